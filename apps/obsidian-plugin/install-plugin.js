@@ -10,9 +10,16 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
 class ObsidianPluginInstaller {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.log] - Receives progress messages (default: console.log)
+     * @param {string} [options.stdio] - stdio of the npm install and build processes (default: inherit)
+     */
+    constructor(options = {}) {
         this.pluginDir = __dirname;
         this.pluginId = 'task-master-obsidian';
+        this.log = options.log || console.log;
+        this.stdio = options.stdio || 'inherit';
     }
 
     async findObsidianVaults() {
@@ -92,18 +99,18 @@ class ObsidianPluginInstaller {
     }
 
     async buildPlugin() {
-        console.log('🔨 Building Obsidian plugin...');
+        this.log('🔨 Building Obsidian plugin...');
         
         return new Promise((resolve, reject) => {
             const buildProcess = spawn('npm', ['run', 'build'], {
                 cwd: this.pluginDir,
-                stdio: 'inherit',
+                stdio: this.stdio,
                 shell: true
             });
 
             buildProcess.on('close', (code) => {
                 if (code === 0) {
-                    console.log('✅ Plugin build completed successfully');
+                    this.log('✅ Plugin build completed successfully');
                     resolve();
                 } else {
                     reject(new Error(`Build failed with exit code ${code}`));
@@ -119,8 +126,8 @@ class ObsidianPluginInstaller {
     async installToVault(vault) {
         const pluginTargetDir = path.join(vault.obsidianPath, 'plugins', this.pluginId);
         
-        console.log(`📦 Installing plugin to ${vault.name}...`);
-        console.log(`   Target: ${pluginTargetDir}`);
+        this.log(`📦 Installing plugin to ${vault.name}...`);
+        this.log(`   Target: ${pluginTargetDir}`);
 
         // Create plugin directory
         await fs.mkdir(pluginTargetDir, { recursive: true });
@@ -135,7 +142,7 @@ class ObsidianPluginInstaller {
             try {
                 await fs.access(sourcePath);
                 await fs.copyFile(sourcePath, targetPath);
-                console.log(`   ✅ Copied ${file}`);
+                this.log(`   ✅ Copied ${file}`);
             } catch (error) {
                 throw new Error(`Failed to copy ${file}: ${error.message}`);
             }
@@ -146,10 +153,10 @@ class ObsidianPluginInstaller {
             const stylesPath = path.join(this.pluginDir, 'styles.css');
             await fs.access(stylesPath);
             await fs.copyFile(stylesPath, path.join(pluginTargetDir, 'styles.css'));
-            console.log('   ✅ Copied styles.css');
+            this.log('   ✅ Copied styles.css');
         } catch (error) {
             // styles.css is optional
-            console.log('   ℹ️  No styles.css found (optional)');
+            this.log('   ℹ️  No styles.css found (optional)');
         }
 
         return pluginTargetDir;
@@ -173,22 +180,22 @@ class ObsidianPluginInstaller {
             if (!communityPlugins.includes(this.pluginId)) {
                 communityPlugins.push(this.pluginId);
                 await fs.writeFile(communityPluginsPath, JSON.stringify(communityPlugins, null, 2));
-                console.log('   ✅ Plugin enabled in community-plugins.json');
+                this.log('   ✅ Plugin enabled in community-plugins.json');
             } else {
-                console.log('   ℹ️  Plugin already enabled');
+                this.log('   ℹ️  Plugin already enabled');
             }
         } catch (error) {
-            console.log('   ⚠️  Could not auto-enable plugin, you\'ll need to enable it manually in Obsidian');
+            this.log('   ⚠️  Could not auto-enable plugin, you\'ll need to enable it manually in Obsidian');
         }
     }
 
     async promptVaultSelection(vaults) {
-        console.log('\n📁 Found Obsidian vaults:');
+        this.log('\n📁 Found Obsidian vaults:');
         vaults.forEach((vault, index) => {
-            console.log(`   ${index + 1}. ${vault.name} (${vault.path})`);
+            this.log(`   ${index + 1}. ${vault.name} (${vault.path})`);
         });
-        console.log(`   ${vaults.length + 1}. All vaults`);
-        console.log('   0. Cancel');
+        this.log(`   ${vaults.length + 1}. All vaults`);
+        this.log('   0. Cancel');
 
         const readline = await import('readline');
         const rl = readline.createInterface({
@@ -208,7 +215,7 @@ class ObsidianPluginInstaller {
                 } else if (choice >= 1 && choice <= vaults.length) {
                     resolve([vaults[choice - 1]]);
                 } else {
-                    console.log('Invalid selection, cancelling...');
+                    this.log('Invalid selection, cancelling...');
                     resolve([]);
                 }
             });
@@ -216,7 +223,7 @@ class ObsidianPluginInstaller {
     }
 
     async checkDependencies() {
-        console.log('🔍 Checking dependencies...');
+        this.log('🔍 Checking dependencies...');
         
         // Check if we're in the right directory
         try {
@@ -230,18 +237,18 @@ class ObsidianPluginInstaller {
         try {
             await fs.access(path.join(this.pluginDir, 'node_modules'));
         } catch (error) {
-            console.log('📦 Installing dependencies...');
+            this.log('📦 Installing dependencies...');
             await this.runCommand('npm', ['install']);
         }
 
-        console.log('✅ Dependencies check completed');
+        this.log('✅ Dependencies check completed');
     }
 
     async runCommand(command, args) {
         return new Promise((resolve, reject) => {
             const process = spawn(command, args, {
                 cwd: this.pluginDir,
-                stdio: 'inherit',
+                stdio: this.stdio,
                 shell: true
             });
 
@@ -261,8 +268,8 @@ class ObsidianPluginInstaller {
 
     async install(vaultPaths = null) {
         try {
-            console.log('🚀 TaskMaster Obsidian Plugin Installer');
-            console.log('=====================================\n');
+            this.log('🚀 TaskMaster Obsidian Plugin Installer');
+            this.log('=====================================\n');
 
             // Check dependencies and build
             await this.checkDependencies();
@@ -282,17 +289,17 @@ class ObsidianPluginInstaller {
                             obsidianPath: obsidianPath
                         });
                     } catch (error) {
-                        console.log(`⚠️  Warning: ${vaultPath} doesn't appear to be a valid Obsidian vault`);
+                        this.log(`⚠️  Warning: ${vaultPath} doesn't appear to be a valid Obsidian vault`);
                     }
                 }
             } else {
                 // Auto-discover vaults
-                console.log('🔍 Searching for Obsidian vaults...');
+                this.log('🔍 Searching for Obsidian vaults...');
                 const vaults = await this.findObsidianVaults();
 
                 if (vaults.length === 0) {
-                    console.log('❌ No Obsidian vaults found.');
-                    console.log('   Make sure Obsidian is installed and you have at least one vault.');
+                    this.log('❌ No Obsidian vaults found.');
+                    this.log('   Make sure Obsidian is installed and you have at least one vault.');
                     return false;
                 }
 
@@ -300,7 +307,7 @@ class ObsidianPluginInstaller {
             }
 
             if (targetVaults.length === 0) {
-                console.log('❌ Installation cancelled or no vaults selected.');
+                this.log('❌ Installation cancelled or no vaults selected.');
                 return false;
             }
 
@@ -311,24 +318,24 @@ class ObsidianPluginInstaller {
                     const pluginPath = await this.installToVault(vault);
                     await this.enablePluginInVault(vault);
                     installedVaults.push({ vault, pluginPath });
-                    console.log(`✅ Successfully installed to ${vault.name}`);
+                    this.log(`✅ Successfully installed to ${vault.name}`);
                 } catch (error) {
-                    console.log(`❌ Failed to install to ${vault.name}: ${error.message}`);
+                    this.log(`❌ Failed to install to ${vault.name}: ${error.message}`);
                 }
             }
 
             if (installedVaults.length > 0) {
-                console.log('\n🎉 Installation completed!');
-                console.log('\nNext steps:');
-                console.log('1. Restart Obsidian');
-                console.log('2. Go to Settings > Community Plugins');
-                console.log('3. Enable "TaskMaster" plugin');
-                console.log('4. Configure TaskMaster settings in the plugin settings');
-                console.log('5. Use Ctrl/Cmd+P and type "TaskMaster" to see available commands');
+                this.log('\n🎉 Installation completed!');
+                this.log('\nNext steps:');
+                this.log('1. Restart Obsidian');
+                this.log('2. Go to Settings > Community Plugins');
+                this.log('3. Enable "TaskMaster" plugin');
+                this.log('4. Configure TaskMaster settings in the plugin settings');
+                this.log('5. Use Ctrl/Cmd+P and type "TaskMaster" to see available commands');
 
                 return true;
             } else {
-                console.log('\n❌ Installation failed for all vaults.');
+                this.log('\n❌ Installation failed for all vaults.');
                 return false;
             }
 
@@ -27,7 +27,10 @@ import { spawn } from 'child_process';
 import { Command } from 'commander';
 import { displayHelp, displayBanner } from '../scripts/modules/ui.js';
 import { registerCommands } from '../scripts/modules/commands.js';
-import { detectCamelCaseFlags } from '../scripts/modules/utils.js';
+import {
+	detectCamelCaseFlags,
+	enableSilentMode
+} from '../scripts/modules/utils.js';
 import chalk from 'chalk';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -297,6 +300,12 @@ program
 		runDevScript(args);
 	});
 
+// Machine-readable output (obsidian-doctor --json) keeps stdout to the report;
+// config warnings are also logged while the commands register
+if (process.argv.includes('--json')) {
+	enableSilentMode();
+}
+
 // Use a temporary Command instance to get all command definitions
 const tempProgram = new Command();
 registerCommands(tempProgram);
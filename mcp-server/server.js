@@ -1,12 +1,32 @@
 #!/usr/bin/env node
 
-import TaskMasterMCPServer from './src/index.js';
+import { Command } from 'commander';
+import TaskMasterMCPServer, { DEFAULT_HTTP_PORT } from './src/index.js';
 import dotenv from 'dotenv';
 import logger from './src/logger.js';
 
 // Load environment variables
 dotenv.config();
 
+const options = new Command()
+	.option(
+		'--transport <type>',
+		'stdio, or http to share one server between several local clients',
+		'stdio'
+	)
+	.option('--port <number>', 'Port of the HTTP transport', DEFAULT_HTTP_PORT)
+	.option(
+		'--auth-token <token>',
+		'Bearer token HTTP clients must send (default: TASK_MASTER_MCP_AUTH_TOKEN, else a generated one)'
+	)
+	.option(
+		'--allowed-hosts <hosts>',
+		'Comma-separated host names HTTP clients may use besides localhost (default: TASK_MASTER_MCP_ALLOWED_HOSTS)'
+	)
+	.allowUnknownOption()
+	.parse(process.argv)
+	.opts();
+
 /**
  * Start the MCP server
  */
@@ -25,7 +45,20 @@ async function startServer() {
 	});
 
 	try {
-		await server.start();
+		await server.start({
+			transport: options.transport,
+			port: options.port,
+			authToken:
+				options.authToken || process.env.TASK_MASTER_MCP_AUTH_TOKEN || null,
+			allowedHosts: (
+				options.allowedHosts ||
+				process.env.TASK_MASTER_MCP_ALLOWED_HOSTS ||
+				''
+			)
+				.split(',')
+				.map((host) => host.trim())
+				.filter(Boolean)
+		});
 	} catch (error) {
 		logger.error(`Failed to start MCP server: ${error.message}`);
 		process.exit(1);
@@ -0,0 +1,270 @@
+/**
+ * async-operation-manager.js
+ * Runs long tool calls in the background, so a tool can return an operation
+ * ID right away instead of running into the request timeout. Progress,
+ * results and cancellation are read through get_operation_status and
+ * cancel_operation.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { TASKMASTER_OPERATIONS_FILE } from '../../../src/constants/paths.js';
+
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Configuration options for the AsyncOperationManager
+ * @typedef {Object} AsyncOperationManagerConfig
+ * @property {number} maxOperations - Finished operations kept in memory and
+ *   per project file; the oldest are dropped first
+ * @property {boolean} persist - Also record operations in
+ *   `.taskmaster/operations.json` of their project, so their results outlive
+ *   a server restart
+ */
+
+export class AsyncOperationManager {
+	/**
+	 * Create a new AsyncOperationManager instance
+	 * @param {AsyncOperationManagerConfig} config - Configuration options
+	 */
+	constructor(config = {}) {
+		this.config = {
+			maxOperations: config.maxOperations || 50,
+			persist: config.persist || false
+		};
+
+		this.operations = new Map();
+	}
+
+	/**
+	 * Start an operation without waiting for it
+	 * @param {string} name - Name of the tool that started it
+	 * @param {Function} operationFn - Direct function, called as
+	 *   `operationFn(args, log, context)`
+	 * @param {Object} args - Direct function arguments; `args.projectRoot` is
+	 *   the project the operation is recorded in
+	 * @param {Object} log - Logger object
+	 * @param {Object} [context={}] - Context passed on to the direct function,
+	 *   with `reportProgress` and an abort `signal` of the operation added
+	 * @returns {string} Operation ID
+	 */
+	addOperation(name, operationFn, args, log, context = {}) {
+		const controller = new AbortController();
+		const operation = {
+			id: `op-${crypto.randomUUID()}`,
+			name,
+			projectRoot: args.projectRoot || null,
+			status: 'pending',
+			progress: null,
+			result: null,
+			error: null,
+			createdAt: new Date().toISOString(),
+			startedAt: null,
+			finishedAt: null,
+			controller
+		};
+		this.operations.set(operation.id, operation);
+		this._persist(operation);
+
+		const operationContext = {
+			...context,
+			reportProgress: async (progress) => {
+				operation.progress = { ...progress };
+			},
+			signal: controller.signal
+		};
+		// Started on the next tick so the caller can answer with the ID first
+		setImmediate(() =>
+			this._run(operation, operationFn, args, toQuietLog(log), operationContext)
+		);
+
+		return operation.id;
+	}
+
+	/**
+	 * Get the status of an operation
+	 * @param {string} operationId - Operation ID
+	 * @param {Object} [options]
+	 * @param {string} [options.projectRoot] - Project whose operations file is
+	 *   read when the operation is no longer in memory
+	 * @returns {Object} Status, progress, result or error and timestamps;
+	 *   `status` is `not_found` for unknown IDs
+	 */
+	getStatus(operationId, options = {}) {
+		const operation =
+			this.operations.get(operationId) ||
+			this._readPersisted(operationId, options.projectRoot);
+
+		if (!operation) {
+			return {
+				operationId,
+				status: 'not_found',
+				error: {
+					code: 'OPERATION_NOT_FOUND',
+					message: `Operation ID not found: ${operationId}`
+				}
+			};
+		}
+
+		return toStatus(operation);
+	}
+
+	/**
+	 * Cancel a pending or running operation. Its abort signal fires, so the
+	 * operation stops at its next checkpoint, and whatever it returns after
+	 * that is discarded.
+	 * @param {string} operationId - Operation ID
+	 * @returns {{cancelled: boolean, operation: Object}} Whether it was
+	 *   cancelled now, and its status
+	 */
+	cancelOperation(operationId) {
+		const operation = this.operations.get(operationId);
+		if (!operation || FINISHED_STATUSES.has(operation.status)) {
+			return { cancelled: false, operation: this.getStatus(operationId) };
+		}
+
+		operation.controller.abort();
+		this._finish(operation, 'cancelled', {
+			error: {
+				code: 'OPERATION_CANCELLED',
+				message: 'Operation cancelled'
+			}
+		});
+
+		return { cancelled: true, operation: toStatus(operation) };
+	}
+
+	async _run(operation, operationFn, args, log, context) {
+		if (operation.status !== 'pending') return;
+		operation.status = 'running';
+		operation.startedAt = new Date().toISOString();
+		this._persist(operation);
+
+		try {
+			const result = await operationFn(args, log, context);
+			if (operation.status !== 'running') return;
+
+			// Direct functions report failures as { success: false, error }
+			if (result?.success === false) {
+				this._finish(operation, 'failed', { error: result.error });
+			} else {
+				this._finish(operation, 'completed', {
+					result: result?.success ? result.data : result
+				});
+			}
+		} catch (error) {
+			if (operation.status !== 'running') return;
+			this._finish(operation, 'failed', {
+				error: { code: 'OPERATION_ERROR', message: error.message }
+			});
+		}
+	}
+
+	_finish(operation, status, { result = null, error = null }) {
+		operation.status = status;
+		operation.result = result;
+		operation.error = error;
+		operation.finishedAt = new Date().toISOString();
+		this._persist(operation);
+		this._prune();
+	}
+
+	_prune() {
+		const finished = [...this.operations.values()].filter((operation) =>
+			FINISHED_STATUSES.has(operation.status)
+		);
+		for (const operation of finished.slice(
+			0,
+			Math.max(0, finished.length - this.config.maxOperations)
+		)) {
+			this.operations.delete(operation.id);
+		}
+	}
+
+	_persist(operation) {
+		if (!this.config.persist || !operation.projectRoot) return;
+
+		const filePath = path.join(
+			operation.projectRoot,
+			TASKMASTER_OPERATIONS_FILE
+		);
+		try {
+			const operations = readOperationsFile(filePath).filter(
+				(entry) => entry.operationId !== operation.id
+			);
+			operations.push(toStatus(operation));
+			const tempPath = `${filePath}.tmp`;
+			fs.mkdirSync(path.dirname(filePath), { recursive: true });
+			fs.writeFileSync(
+				tempPath,
+				JSON.stringify(operations.slice(-this.config.maxOperations), null, 2),
+				'utf8'
+			);
+			fs.renameSync(tempPath, filePath);
+		} catch {
+			// Persistence is best effort; the operation itself goes on
+		}
+	}
+
+	_readPersisted(operationId, projectRoot) {
+		if (!this.config.persist || !projectRoot) return null;
+
+		const entry = readOperationsFile(
+			path.join(projectRoot, TASKMASTER_OPERATIONS_FILE)
+		).find((operation) => operation.operationId === operationId);
+		if (!entry) return null;
+
+		// Recorded as unfinished by a server that is gone
+		if (!FINISHED_STATUSES.has(entry.status)) {
+			return {
+				...entry,
+				id: entry.operationId,
+				status: 'failed',
+				error: {
+					code: 'OPERATION_INTERRUPTED',
+					message: 'The server stopped before the operation finished'
+				}
+			};
+		}
+		return { ...entry, id: entry.operationId };
+	}
+}
+
+function readOperationsFile(filePath) {
+	try {
+		const operations = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		return Array.isArray(operations) ? operations : [];
+	} catch {
+		return [];
+	}
+}
+
+function toStatus(operation) {
+	return {
+		operationId: operation.id,
+		name: operation.name,
+		status: operation.status,
+		progress: operation.progress,
+		result: operation.result,
+		error: operation.error,
+		createdAt: operation.createdAt,
+		startedAt: operation.startedAt,
+		finishedAt: operation.finishedAt
+	};
+}
+
+// The request that started the operation may be answered before it logs
+function toQuietLog(log) {
+	const quiet = {};
+	for (const level of ['info', 'warn', 'error', 'debug']) {
+		quiet[level] = (...args) => {
+			try {
+				log?.[level]?.(...args);
+			} catch {
+				// The client is gone or no longer listens to this request
+			}
+		};
+	}
+	return quiet;
+}
@@ -29,7 +29,7 @@ import { createLogWrapper } from '../../tools/utils.js'; // Import the new utili
  * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
  */
 export async function analyzeTaskComplexityDirect(args, log, context = {}) {
-	const { session } = context;
+	const { session, signal } = context;
 	const {
 		tasksJsonPath,
 		outputPath,
@@ -117,7 +117,8 @@ export async function analyzeTaskComplexityDirect(args, log, context = {}) {
 				commandName: 'analyze-complexity',
 				outputType: 'mcp',
 				projectRoot,
-				tag
+				tag,
+				signal
 			});
 			report = coreResult.report;
 		} catch (error) {
@@ -20,11 +20,11 @@ import { createLogWrapper } from '../../tools/utils.js';
  * @param {string} [args.projectRoot] - Project root path.
  * @param {string} [args.tag] - Tag for the task (optional)
  * @param {Object} log - Logger object from FastMCP
- * @param {Object} context - Context object containing session
+ * @param {Object} context - Context object containing session, and reportProgress and signal of a background operation
  * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
  */
 export async function expandAllTasksDirect(args, log, context = {}) {
-	const { session } = context; // Extract session
+	const { session, reportProgress, signal } = context;
 	// Destructure expected args, including projectRoot
 	const { tasksJsonPath, num, research, prompt, force, projectRoot, tag } =
 		args;
@@ -62,7 +62,7 @@ export async function expandAllTasksDirect(args, log, context = {}) {
 			useResearch,
 			additionalContext,
 			forceFlag,
-			{ session, mcpLog, projectRoot, tag },
+			{ session, mcpLog, projectRoot, tag, reportProgress, signal },
 			'json'
 		);
 
@@ -0,0 +1,95 @@
+/**
+ * obsidian-doctor.js
+ * Direct function implementation for checking an Obsidian vault against the tasks
+ */
+
+import fs from 'fs';
+import { diagnoseObsidianVault } from '../../../../scripts/modules/task-manager/obsidian-doctor.js';
+import { resolveObsidianVault } from '../../../../scripts/modules/task-manager/obsidian-vaults.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Direct function wrapper for diagnoseObsidianVault
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.vaultPath] - Path or configured name of the vault; defaults to the vault of the tag.
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.tag] - Tag context
+ * @param {boolean} [args.fix] - Apply the fix of every finding
+ * @param {string} [args.strategy] - How fixes resolve sync conflicts
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ *   On success, data is the doctor report
+ */
+export async function obsidianDoctorDirect(args, log) {
+	const { tasksJsonPath, projectRoot, tag, fix, strategy } = args;
+
+	if (!tasksJsonPath) {
+		log.error('obsidianDoctorDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	let vaultPath;
+	let vault;
+	try {
+		({ vaultPath, vault } = resolveObsidianVault({
+			vault: args.vaultPath,
+			tag,
+			tasksPath: tasksJsonPath,
+			projectRoot
+		}));
+	} catch (error) {
+		log.error(error.message);
+		return {
+			success: false,
+			error: { code: 'MISSING_ARGUMENT', message: error.message }
+		};
+	}
+	if (!fs.existsSync(vaultPath)) {
+		return {
+			success: false,
+			error: {
+				code: 'VAULT_NOT_FOUND',
+				message: `Vault path does not exist: ${vaultPath}`
+			}
+		};
+	}
+
+	try {
+		log.info(`Checking Obsidian vault ${vaultPath} against ${tasksJsonPath}`);
+
+		enableSilentMode();
+		const report = await diagnoseObsidianVault({
+			vaultPath,
+			tasksPath: tasksJsonPath,
+			tag,
+			projectRoot,
+			fix: fix || false,
+			strategy,
+			vault
+		});
+		disableSilentMode();
+
+		return { success: true, data: report };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error checking Obsidian vault: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'OBSIDIAN_DOCTOR_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
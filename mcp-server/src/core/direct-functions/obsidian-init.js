@@ -0,0 +1,92 @@
+/**
+ * obsidian-init.js
+ * Direct function implementation for initializing Obsidian vault integration
+ */
+
+import fs from 'fs';
+import { initObsidianSync } from '../../../../scripts/modules/task-manager/obsidian-sync.js';
+import { resolveObsidianVault } from '../../../../scripts/modules/task-manager/obsidian-vaults.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Direct function wrapper for initObsidianSync
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.vaultPath] - Path or configured name of the vault; defaults to the vault of the tag.
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.tag] - Tag context
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ *   On success, data holds the vault path and the paths of the written sync
+ *   config and README
+ */
+export async function obsidianInitDirect(args, log) {
+	const { tasksJsonPath, projectRoot, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('obsidianInitDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	let vaultPath;
+	let vault;
+	try {
+		({ vaultPath, vault } = resolveObsidianVault({
+			vault: args.vaultPath,
+			tag,
+			tasksPath: tasksJsonPath,
+			projectRoot
+		}));
+	} catch (error) {
+		log.error(error.message);
+		return {
+			success: false,
+			error: { code: 'MISSING_ARGUMENT', message: error.message }
+		};
+	}
+	if (!fs.existsSync(vaultPath)) {
+		return {
+			success: false,
+			error: {
+				code: 'VAULT_NOT_FOUND',
+				message: `Vault path does not exist: ${vaultPath}`
+			}
+		};
+	}
+
+	try {
+		log.info(`Initializing Obsidian vault ${vaultPath}`);
+
+		enableSilentMode();
+		const { success, ...result } = await initObsidianSync({
+			vaultPath,
+			tasksPath: tasksJsonPath,
+			tag,
+			projectRoot,
+			vault
+		});
+		disableSilentMode();
+
+		return { success: true, data: { ...result, tag } };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error initializing Obsidian vault: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'OBSIDIAN_INIT_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
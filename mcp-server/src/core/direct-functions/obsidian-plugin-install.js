@@ -0,0 +1,146 @@
+/**
+ * obsidian-plugin-install.js
+ * Direct function implementation for installing the TaskMaster Obsidian plugin into vaults
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import {
+	getConfiguredVaultPaths,
+	resolveObsidianVault
+} from '../../../../scripts/modules/task-manager/obsidian-vaults.js';
+
+// The plugin ships with Task Master, not with the project being worked on, so
+// a project can never substitute the installer and the build it runs
+const PLUGIN_DIR = fileURLToPath(
+	new URL('../../../../apps/obsidian-plugin/', import.meta.url)
+);
+
+/**
+ * Direct function that builds the Obsidian plugin of Task Master's
+ * `apps/obsidian-plugin` and installs and enables it in each vault. Unlike the CLI command it never
+ * prompts: without `vaults` it installs to every configured vault, or to the
+ * vault recorded for the tag.
+ * @param {Object} args - Function arguments
+ * @param {Array<string>} [args.vaults] - Paths or configured names of the vaults
+ * @param {string} args.projectRoot - Project root path, for the configured vaults
+ * @param {string} [args.tasksJsonPath] - Path to the tasks.json file, for the recorded vault
+ * @param {string} [args.tag] - Tag context
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ *   On success, data lists the vaults the plugin was installed to and those
+ *   that failed
+ */
+export async function obsidianPluginInstallDirect(args, log) {
+	const { vaults = [], projectRoot, tasksJsonPath, tag } = args;
+
+	const installerPath = path.join(PLUGIN_DIR, 'install-plugin.js');
+	if (!fs.existsSync(installerPath)) {
+		return {
+			success: false,
+			error: {
+				code: 'PLUGIN_NOT_FOUND',
+				message: `Obsidian plugin installer not found: ${installerPath}`
+			}
+		};
+	}
+
+	let vaultPaths;
+	try {
+		if (vaults.length > 0) {
+			vaultPaths = vaults.map(
+				(vault) => resolveObsidianVault({ vault, projectRoot }).vaultPath
+			);
+		} else {
+			vaultPaths = getConfiguredVaultPaths(projectRoot);
+			if (vaultPaths.length === 0) {
+				vaultPaths = [
+					resolveObsidianVault({ tag, tasksPath: tasksJsonPath, projectRoot })
+						.vaultPath
+				];
+			}
+		}
+	} catch (error) {
+		log.error(error.message);
+		return {
+			success: false,
+			error: { code: 'MISSING_ARGUMENT', message: error.message }
+		};
+	}
+
+	const invalid = vaultPaths.filter(
+		(vaultPath) => !fs.existsSync(path.join(vaultPath, '.obsidian'))
+	);
+	if (invalid.length > 0) {
+		return {
+			success: false,
+			error: {
+				code: 'VAULT_NOT_FOUND',
+				message: `Not an Obsidian vault (no .obsidian directory): ${invalid.join(', ')}`
+			}
+		};
+	}
+
+	try {
+		const { ObsidianPluginInstaller } = await import(
+			pathToFileURL(installerPath).href
+		);
+		// Child process output would corrupt the MCP stdio transport
+		const installer = new ObsidianPluginInstaller({
+			log: (message) => log.info(message.trim()),
+			stdio: 'ignore'
+		});
+
+		await installer.checkDependencies();
+		await installer.buildPlugin();
+
+		const installed = [];
+		const failed = [];
+		for (const vaultPath of vaultPaths) {
+			const vault = {
+				name: path.basename(vaultPath),
+				path: vaultPath,
+				obsidianPath: path.join(vaultPath, '.obsidian')
+			};
+			try {
+				const pluginPath = await installer.installToVault(vault);
+				await installer.enablePluginInVault(vault);
+				installed.push({ name: vault.name, vaultPath, pluginPath });
+			} catch (error) {
+				log.error(`Failed to install to ${vaultPath}: ${error.message}`);
+				failed.push({ name: vault.name, vaultPath, error: error.message });
+			}
+		}
+
+		if (installed.length === 0) {
+			return {
+				success: false,
+				error: {
+					code: 'PLUGIN_INSTALL_ERROR',
+					message: `Installation failed for all vaults: ${failed.map((f) => `${f.vaultPath} (${f.error})`).join(', ')}`
+				}
+			};
+		}
+
+		return {
+			success: true,
+			data: {
+				pluginId: installer.pluginId,
+				installed,
+				failed,
+				message:
+					'Restart Obsidian, then enable "TaskMaster" under Settings > Community Plugins if it is not enabled yet.'
+			}
+		};
+	} catch (error) {
+		log.error(`Error installing Obsidian plugin: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'PLUGIN_INSTALL_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,92 @@
+/**
+ * obsidian-status.js
+ * Direct function implementation for checking the sync status of an Obsidian vault
+ */
+
+import fs from 'fs';
+import { getObsidianSyncStatus } from '../../../../scripts/modules/task-manager/obsidian-sync.js';
+import { resolveObsidianVault } from '../../../../scripts/modules/task-manager/obsidian-vaults.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Direct function wrapper for getObsidianSyncStatus
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.vaultPath] - Path or configured name of the vault; defaults to the vault of the tag.
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.tag] - Tag context
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ *   On success, data is the sync status: task counts on both sides, conflicts,
+ *   out-of-sync tasks, unresolved dependency links and `inSync`
+ */
+export async function obsidianStatusDirect(args, log) {
+	const { tasksJsonPath, projectRoot, tag } = args;
+
+	if (!tasksJsonPath) {
+		log.error('obsidianStatusDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	let vaultPath;
+	let vault;
+	try {
+		({ vaultPath, vault } = resolveObsidianVault({
+			vault: args.vaultPath,
+			tag,
+			tasksPath: tasksJsonPath,
+			projectRoot
+		}));
+	} catch (error) {
+		log.error(error.message);
+		return {
+			success: false,
+			error: { code: 'MISSING_ARGUMENT', message: error.message }
+		};
+	}
+	if (!fs.existsSync(vaultPath)) {
+		return {
+			success: false,
+			error: {
+				code: 'VAULT_NOT_FOUND',
+				message: `Vault path does not exist: ${vaultPath}`
+			}
+		};
+	}
+
+	try {
+		log.info(`Checking sync status of Obsidian vault ${vaultPath}`);
+
+		enableSilentMode();
+		const status = await getObsidianSyncStatus({
+			vaultPath,
+			tasksPath: tasksJsonPath,
+			tag,
+			projectRoot,
+			vault
+		});
+		disableSilentMode();
+
+		return { success: true, data: status };
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error checking Obsidian sync status: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'OBSIDIAN_STATUS_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
@@ -0,0 +1,158 @@
+/**
+ * obsidian-sync.js
+ * Direct function implementation for syncing tasks with an Obsidian vault
+ */
+
+import fs from 'fs';
+import {
+	syncTasksFromObsidian,
+	syncTasksToObsidian
+} from '../../../../scripts/modules/task-manager/obsidian-sync.js';
+import { resolveObsidianVault } from '../../../../scripts/modules/task-manager/obsidian-vaults.js';
+import { VAULT_SYNC_DIRECTIONS } from '../../../../scripts/modules/config-manager.js';
+import {
+	enableSilentMode,
+	disableSilentMode
+} from '../../../../scripts/modules/utils.js';
+
+/**
+ * Direct function wrapper for the Obsidian sync. Runs the same steps as
+ * `task-master obsidian-sync`: vault changes are read first, then the task
+ * notes are written, so a bidirectional sync never overwrites unsynced edits.
+ * @param {Object} args - Function arguments
+ * @param {string} args.tasksJsonPath - Explicit path to the tasks.json file.
+ * @param {string} [args.vaultPath] - Path or configured name of the vault; defaults to the vault of the tag.
+ * @param {string} args.projectRoot - Project root path
+ * @param {string} [args.tag] - Tag context
+ * @param {string} [args.direction] - `to-obsidian`, `from-obsidian` or `bidirectional`; defaults to the vault's syncDirection
+ * @param {boolean} [args.dryRun] - Report what would change without writing anything
+ * @param {string} [args.conflictResolution] - Overrides `syncSettings.conflictResolution` of the tag
+ * @param {boolean} [args.indexJson] - Overrides `syncSettings.indexJson` of the tag
+ * @param {Object} log - Logger object
+ * @returns {Promise<{success: boolean, data?: Object, error?: {code: string, message: string}}>}
+ *   On success, data holds the totals of both directions (created, updated,
+ *   conflicts, errors, ...) and the result of each direction that ran
+ */
+export async function obsidianSyncDirect(args, log) {
+	const {
+		tasksJsonPath,
+		projectRoot,
+		tag,
+		direction,
+		dryRun = false,
+		conflictResolution,
+		indexJson
+	} = args;
+
+	if (!tasksJsonPath) {
+		log.error('obsidianSyncDirect called without tasksJsonPath');
+		return {
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'tasksJsonPath is required'
+			}
+		};
+	}
+
+	if (direction && !VAULT_SYNC_DIRECTIONS.includes(direction)) {
+		return {
+			success: false,
+			error: {
+				code: 'INVALID_ARGUMENT',
+				message: `Invalid sync direction "${direction}". Use one of: ${VAULT_SYNC_DIRECTIONS.join(', ')}`
+			}
+		};
+	}
+
+	let vaultPath;
+	let vault;
+	try {
+		({ vaultPath, vault } = resolveObsidianVault({
+			vault: args.vaultPath,
+			tag,
+			tasksPath: tasksJsonPath,
+			projectRoot
+		}));
+	} catch (error) {
+		log.error(error.message);
+		return {
+			success: false,
+			error: { code: 'MISSING_ARGUMENT', message: error.message }
+		};
+	}
+	if (!fs.existsSync(vaultPath)) {
+		return {
+			success: false,
+			error: {
+				code: 'VAULT_NOT_FOUND',
+				message: `Vault path does not exist: ${vaultPath}`
+			}
+		};
+	}
+
+	const syncDirection = direction || vault?.syncDirection || 'bidirectional';
+	const syncOptions = {
+		vaultPath,
+		tasksPath: tasksJsonPath,
+		tag,
+		projectRoot,
+		dryRun,
+		conflictResolution,
+		indexJson,
+		vault
+	};
+
+	try {
+		log.info(
+			`Syncing tasks ${syncDirection} with Obsidian vault ${vaultPath}${dryRun ? ' (dry run)' : ''}`
+		);
+
+		enableSilentMode();
+		const fromObsidian =
+			syncDirection === 'to-obsidian'
+				? null
+				: await syncTasksFromObsidian(syncOptions);
+		const toObsidian =
+			syncDirection === 'from-obsidian'
+				? null
+				: await syncTasksToObsidian(syncOptions);
+		disableSilentMode();
+
+		const results = [fromObsidian, toObsidian].filter(Boolean);
+		return {
+			success: true,
+			data: {
+				vaultPath,
+				tag,
+				direction: syncDirection,
+				dryRun,
+				created: sumOf(results, 'created'),
+				updated: sumOf(results, 'updated'),
+				conflicts: fromObsidian?.conflicts || 0,
+				autoResolved: fromObsidian?.autoResolved || 0,
+				skippedConflicts: toObsidian?.skippedConflicts || 0,
+				conflictDetails: fromObsidian?.conflictDetails || [],
+				brokenLinks: fromObsidian?.brokenLinks || [],
+				errors: results.flatMap((result) => result.errors || []),
+				fromObsidian,
+				toObsidian
+			}
+		};
+	} catch (error) {
+		disableSilentMode();
+
+		log.error(`Error syncing with Obsidian: ${error.message}`);
+		return {
+			success: false,
+			error: {
+				code: 'OBSIDIAN_SYNC_ERROR',
+				message: error.message
+			}
+		};
+	}
+}
+
+function sumOf(results, key) {
+	return results.reduce((total, result) => total + (result[key] || 0), 0);
+}
@@ -13,6 +13,7 @@ import {
 } from '../../../../scripts/modules/utils.js';
 import { createLogWrapper } from '../../tools/utils.js';
 import { getDefaultNumTasks } from '../../../../scripts/modules/config-manager.js';
+import { resolveObsidianVault } from '../../../../scripts/modules/task-manager/obsidian-vaults.js';
 import { resolveProjectPath } from '../utils/path-utils.js';
 import { TASKMASTER_TASKS_FILE } from '../../../../src/constants/paths.js';
 
@@ -20,7 +21,7 @@ import { TASKMASTER_TASKS_FILE } from '../../../../src/constants/paths.js';
  * Direct function wrapper for parsing Obsidian notes and extracting tasks.
  *
  * @param {Object} args - Command arguments containing vaultPath, projectRoot, and options.
- * @param {string} args.vaultPath - Path to the Obsidian vault directory.
+ * @param {string} [args.vaultPath] - Path to the Obsidian vault directory; defaults to the vault of the tag.
  * @param {string} args.projectRoot - Project root path.
  * @param {string} args.output - Path to the output directory.
  * @param {string} args.numTasks - Number of tasks to extract.
@@ -33,15 +34,24 @@ import { TASKMASTER_TASKS_FILE } from '../../../../src/constants/paths.js';
  * @param {Array} args.excludePatterns - Patterns to exclude from scanning.
  * @param {boolean} args.syncAfterParse - Whether to sync tasks back to vault after parsing.
  * @param {boolean} args.autoSync - Whether to enable auto-sync.
+ * @param {number} args.chunkTokens - Token budget per chunk of notes sent to the AI.
+ * @param {string} args.folder - Only parse notes in this vault folder subtree.
+ * @param {Array<string>} args.noteTags - Only parse notes with one of these Obsidian tags.
+ * @param {string} args.where - Frontmatter query the notes must match.
+ * @param {string} args.since - Only parse notes modified on or after this date.
+ * @param {string} args.rootNote - Only parse notes linked within `hops` of this note.
+ * @param {number} args.hops - Maximum link distance from the root note.
+ * @param {boolean} args.reconcile - Diff extracted tasks against the existing ones instead of replacing them.
+ * @param {boolean} args.acceptAll - Apply every reconcile change; without it the diff is only returned.
  * @param {Object} log - Logger object.
- * @param {Object} context - Context object containing session data.
+ * @param {Object} context - Context object containing session data, reportProgress and the signal of a background operation.
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function parseObsidianNotesDirect(args, log, context = {}) {
-    const { session } = context;
+    const { session, reportProgress, signal } = context;
     // Extract args
     const {
-        vaultPath,
+        vaultPath: vaultPathArg,
         output: outputArg,
         numTasks: numTasksArg,
         force,
@@ -53,7 +63,16 @@ export async function parseObsidianNotesDirect(args, log, context = {}) {
         includeTags,
         excludePatterns,
         syncAfterParse,
-        autoSync
+        autoSync,
+        chunkTokens,
+        folder,
+        noteTags,
+        where,
+        since,
+        rootNote,
+        hops,
+        reconcile,
+        acceptAll
     } = args;
 
     // Create the standard logger wrapper
@@ -71,15 +90,26 @@ export async function parseObsidianNotesDirect(args, log, context = {}) {
         };
     }
 
+    // Resolve output path
+    const outputPath = outputArg
+        ? path.isAbsolute(outputArg)
+            ? outputArg
+            : path.resolve(projectRoot, outputArg)
+        : resolveProjectPath(TASKMASTER_TASKS_FILE, args) ||
+            path.resolve(projectRoot, TASKMASTER_TASKS_FILE);
+
+    // Without vaultPath, use the vault of the tag from the config or a previous sync
+    let vaultPath = vaultPathArg;
     if (!vaultPath) {
-        logWrapper.error('parseObsidianNotesDirect requires a vaultPath argument.');
-        return {
-            success: false,
-            error: {
-                code: 'MISSING_ARGUMENT',
-                message: 'vaultPath is required.'
-            }
-        };
+        try {
+            ({ vaultPath } = resolveObsidianVault({ tag, tasksPath: outputPath, projectRoot }));
+        } catch (error) {
+            logWrapper.error(error.message);
+            return {
+                success: false,
+                error: { code: 'MISSING_ARGUMENT', message: error.message }
+            };
+        }
     }
 
     // Validate vault path
@@ -108,14 +138,6 @@ export async function parseObsidianNotesDirect(args, log, context = {}) {
         logWrapper.warn(`No .obsidian directory found in ${vaultPath}. This might not be a valid Obsidian vault.`);
     }
 
-    // Resolve output path
-    const outputPath = outputArg
-        ? path.isAbsolute(outputArg)
-            ? outputArg
-            : path.resolve(projectRoot, outputArg)
-        : resolveProjectPath(TASKMASTER_TASKS_FILE, args) ||
-            path.resolve(projectRoot, TASKMASTER_TASKS_FILE);
-
     const outputDir = path.dirname(outputPath);
     try {
         if (!fs.existsSync(outputDir)) {
@@ -188,6 +210,7 @@ export async function parseObsidianNotesDirect(args, log, context = {}) {
             numTasks,
             {
                 session,
+                reportProgress,
                 mcpLog: logWrapper,
                 projectRoot,
                 tag,
@@ -199,6 +222,18 @@ export async function parseObsidianNotesDirect(args, log, context = {}) {
                 excludePatterns,
                 syncAfterParse,
                 autoSync,
+                chunkTokens,
+                filters: {
+                    folder,
+                    tag: noteTags,
+                    frontmatter: where,
+                    since,
+                    root: rootNote,
+                    hops
+                },
+                reconcile,
+                acceptAll,
+                signal,
                 commandName: 'parse-obsidian-notes',
                 outputType: 'mcp'
             }
@@ -217,6 +252,7 @@ export async function parseObsidianNotesDirect(args, log, context = {}) {
                     sourceFiles: result.sourceFiles,
                     vaultPath: result.vaultPath,
                     syncResult: result.syncResult,
+                    ...(result.reconcile ? { reconcile: result.reconcile } : {}),
                     telemetryData: result.telemetryData
                 }
             };
@@ -32,7 +32,7 @@ import { TASKMASTER_TASKS_FILE } from '../../../../src/constants/paths.js';
  * @returns {Promise<Object>} - Result object with success status and data/error information.
  */
 export async function parsePRDDirect(args, log, context = {}) {
-	const { session } = context;
+	const { session, signal } = context;
 	// Extract projectRoot from args
 	const {
 		input: inputArg,
@@ -164,6 +164,7 @@ export async function parsePRDDirect(args, log, context = {}) {
 				force,
 				append,
 				research,
+				signal,
 				commandName: 'parse-prd',
 				outputType: 'mcp'
 			},
@@ -0,0 +1,87 @@
+/**
+ * http-auth.js
+ * Authentication and project-root binding of the sessions of the HTTP
+ * transport, where one server is shared by several local clients.
+ */
+
+import crypto from 'crypto';
+import { normalizeProjectRoot } from '../tools/utils.js';
+
+/**
+ * Request header binding a session to a project. Tools of the session use it
+ * in place of their projectRoot argument (see withNormalizedProjectRoot).
+ */
+export const PROJECT_ROOT_HEADER = 'x-task-master-project-root';
+
+// Host names a browser on this machine uses to reach the server
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Read the project root a request binds its session to
+ * @param {Object} [headers] - Request headers
+ * @returns {string|null} Absolute project root, or null when not bound
+ */
+export function getProjectRootFromHeaders(headers) {
+	const value = headers?.[PROJECT_ROOT_HEADER];
+	return normalizeProjectRoot(Array.isArray(value) ? value[0] : value);
+}
+
+/**
+ * Authenticate the request opening an HTTP session. The request needs
+ * `Authorization: Bearer <token>`, and its `Host` and `Origin` must name this
+ * machine or an allowed host, so web pages open in a browser can neither
+ * start a session nor reach the server through DNS rebinding.
+ * @param {http.IncomingMessage} request - The request opening the session
+ * @param {Object} options
+ * @param {string} options.authToken - Bearer token clients must send
+ * @param {string[]} [options.allowedHosts] - Host names accepted besides
+ *   localhost, e.g. to reach the server from another machine
+ * @returns {{id: string, projectRoot: string|null, env: Object}} Session data,
+ *   handed to tools as their `session`
+ * @throws {Response} 403 response for foreign hosts and origins, 401 for a
+ *   missing or wrong token
+ */
+export function authenticateHttpRequest(request, options = {}) {
+	const { authToken, allowedHosts = [] } = options;
+	const hostnames = new Set(
+		[...LOCAL_HOSTNAMES, ...allowedHosts].map((host) => host.toLowerCase())
+	);
+
+	const { host, origin } = request.headers;
+	if (
+		!hostnames.has(parseHostname(`http://${host}`)) ||
+		(origin !== undefined && !hostnames.has(parseHostname(origin)))
+	) {
+		throw new Response(null, { status: 403, statusText: 'Forbidden' });
+	}
+
+	const [scheme, token] = (request.headers.authorization || '').split(' ');
+	if (
+		!authToken ||
+		scheme?.toLowerCase() !== 'bearer' ||
+		!tokensMatch(token, authToken)
+	) {
+		throw new Response(null, { status: 401, statusText: 'Unauthorized' });
+	}
+
+	const projectRoot = getProjectRootFromHeaders(request.headers);
+	return {
+		id: crypto.randomUUID(),
+		projectRoot,
+		env: projectRoot ? { TASK_MASTER_PROJECT_ROOT: projectRoot } : {}
+	};
+}
+
+function parseHostname(url) {
+	try {
+		return new URL(url).hostname.toLowerCase();
+	} catch {
+		return null;
+	}
+}
+
+function tokensMatch(token = '', expected) {
+	const a = Buffer.from(token);
+	const b = Buffer.from(expected);
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
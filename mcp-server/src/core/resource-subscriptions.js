@@ -0,0 +1,268 @@
+/**
+ * resource-subscriptions.js
+ * Tracks the resources/subscribe requests of MCP sessions and watches the
+ * task files behind them, so subscribed clients are sent
+ * notifications/resources/updated instead of polling get_tasks.
+ */
+
+import path from 'path';
+import chokidar from 'chokidar';
+import { FastMCPSession } from 'fastmcp';
+import { z } from 'zod';
+import {
+	TASKMASTER_REPORTS_DIR,
+	TASKMASTER_STATE_FILE,
+	TASKMASTER_TASKS_FILE
+} from '../../../src/constants/paths.js';
+import { findProjectRoot } from '../../../scripts/modules/utils.js';
+import logger from '../logger.js';
+import { getProjectRootFromHeaders } from './http-auth.js';
+import {
+	getRawProjectRootFromSession,
+	normalizeProjectRoot
+} from '../tools/utils.js';
+
+const SubscribeRequestSchema = z.object({
+	method: z.literal('resources/subscribe'),
+	params: z.object({ uri: z.string() }).passthrough()
+});
+const UnsubscribeRequestSchema = z.object({
+	method: z.literal('resources/unsubscribe'),
+	params: z.object({ uri: z.string() }).passthrough()
+});
+
+// Resource URI prefixes whose content depends on each watched file
+const AFFECTED_RESOURCES = {
+	tasks: ['taskmaster://tags', 'taskmaster://tasks/', 'taskmaster://task/'],
+	state: ['taskmaster://tags', 'taskmaster://task/'],
+	complexity: ['taskmaster://complexity/', 'taskmaster://task/']
+};
+
+/**
+ * Configuration options for the ResourceSubscriptionManager
+ * @typedef {Object} ResourceSubscriptionManagerConfig
+ * @property {number} debounceMs - Quiet period after a file change before
+ *   notifying, so one write of several files sends one notification per URI
+ * @property {Function} watch - Creates a file watcher (chokidar.watch)
+ * @property {Object} log - Logger object
+ */
+
+export class ResourceSubscriptionManager {
+	/**
+	 * Create a new ResourceSubscriptionManager instance
+	 * @param {ResourceSubscriptionManagerConfig} config - Configuration options
+	 */
+	constructor(config = {}) {
+		this.config = {
+			debounceMs: config.debounceMs ?? 100,
+			watch: config.watch || chokidar.watch,
+			log: config.log || logger
+		};
+
+		// session -> Map(uri -> projectRoot)
+		this.subscriptions = new Map();
+		// projectRoot -> { watcher, changes, timer }
+		this.watchers = new Map();
+		this.originalConnect = null;
+	}
+
+	/**
+	 * Add subscription support to every session of a FastMCP server.
+	 * FastMCP has no resources/subscribe, and a session answers `initialize`
+	 * before the server emits `connect`, so the capability and handlers are
+	 * added right before each session connects.
+	 * @param {FastMCP} server - FastMCP server instance
+	 */
+	attach(server) {
+		if (this.originalConnect) return;
+
+		const manager = this;
+		const originalConnect = FastMCPSession.prototype.connect;
+		this.originalConnect = originalConnect;
+		FastMCPSession.prototype.connect = function (transport) {
+			manager.attachSession(this);
+			return originalConnect.call(this, transport);
+		};
+
+		server.on('disconnect', ({ session }) => this.detachSession(session));
+	}
+
+	/**
+	 * Advertise subscriptions and handle (un)subscribe requests of a session
+	 * that is not connected yet
+	 * @param {FastMCPSession} session - The MCP session
+	 */
+	attachSession(session) {
+		session.server.registerCapabilities({ resources: { subscribe: true } });
+		session.server.setRequestHandler(
+			SubscribeRequestSchema,
+			(request, extra) => {
+				this.subscribe(
+					session,
+					request.params.uri,
+					getProjectRootFromHeaders(extra?.requestInfo?.headers)
+				);
+				return {};
+			}
+		);
+		session.server.setRequestHandler(UnsubscribeRequestSchema, (request) => {
+			this.unsubscribe(session, request.params.uri);
+			return {};
+		});
+		this.subscriptions.set(session, new Map());
+	}
+
+	/**
+	 * Drop all subscriptions of a session that went away
+	 * @param {FastMCPSession} session - The MCP session
+	 */
+	detachSession(session) {
+		this.subscriptions.delete(session);
+		this._unwatchUnused();
+	}
+
+	/**
+	 * Subscribe a session to a resource URI
+	 * @param {FastMCPSession} session - The MCP session
+	 * @param {string} uri - Resource URI, e.g. `taskmaster://tasks/master`
+	 * @param {string|null} [boundProjectRoot] - Project the HTTP session is
+	 *   bound to
+	 */
+	subscribe(session, uri, boundProjectRoot = null) {
+		if (!isWatchedResource(uri)) {
+			throw new Error(`Resource does not support subscriptions: ${uri}`);
+		}
+		if (!this.subscriptions.has(session)) {
+			this.subscriptions.set(session, new Map());
+		}
+
+		const projectRoot = this.getProjectRoot(boundProjectRoot);
+		this.subscriptions.get(session).set(uri, projectRoot);
+		this._watch(projectRoot);
+		this.config.log.debug?.(`Subscribed to ${uri} in ${projectRoot}`);
+	}
+
+	/**
+	 * Unsubscribe a session from a resource URI
+	 * @param {FastMCPSession} session - The MCP session
+	 * @param {string} uri - Resource URI
+	 */
+	unsubscribe(session, uri) {
+		this.subscriptions.get(session)?.delete(uri);
+		this._unwatchUnused();
+	}
+
+	/**
+	 * Project whose files the resources are read from: TASK_MASTER_PROJECT_ROOT,
+	 * else the project the HTTP session is bound to, else the root of the
+	 * latest session that reported one, else the project around the working
+	 * directory
+	 * @param {string|null} [boundProjectRoot] - Project the HTTP session is
+	 *   bound to
+	 * @returns {string} Absolute project root
+	 */
+	getProjectRoot(boundProjectRoot = null) {
+		if (process.env.TASK_MASTER_PROJECT_ROOT) {
+			return path.resolve(process.env.TASK_MASTER_PROJECT_ROOT);
+		}
+		if (boundProjectRoot) return boundProjectRoot;
+
+		for (const session of [...this.subscriptions.keys()].reverse()) {
+			const projectRoot = normalizeProjectRoot(
+				getRawProjectRootFromSession(session, this.config.log)
+			);
+			if (projectRoot) return projectRoot;
+		}
+
+		return findProjectRoot() || process.cwd();
+	}
+
+	/**
+	 * Stop all watchers and stop attaching to new sessions
+	 */
+	async close() {
+		if (this.originalConnect) {
+			FastMCPSession.prototype.connect = this.originalConnect;
+			this.originalConnect = null;
+		}
+		for (const { watcher, timer } of this.watchers.values()) {
+			clearTimeout(timer);
+			await watcher.close();
+		}
+		this.watchers.clear();
+	}
+
+	_watch(projectRoot) {
+		if (this.watchers.has(projectRoot)) return;
+
+		const tasksPath = path.join(projectRoot, TASKMASTER_TASKS_FILE);
+		const statePath = path.join(projectRoot, TASKMASTER_STATE_FILE);
+		const reportsDir = path.join(projectRoot, TASKMASTER_REPORTS_DIR);
+		const entry = { watcher: null, changes: new Set(), timer: null };
+
+		entry.watcher = this.config.watch([tasksPath, statePath, reportsDir], {
+			ignoreInitial: true
+		});
+		entry.watcher.on('all', (_event, filePath) => {
+			const resolved = path.resolve(filePath);
+			if (resolved === tasksPath) entry.changes.add('tasks');
+			else if (resolved === statePath) entry.changes.add('state');
+			else if (resolved.startsWith(reportsDir)) entry.changes.add('complexity');
+			else return;
+
+			clearTimeout(entry.timer);
+			entry.timer = setTimeout(
+				() => this._notify(projectRoot, entry),
+				this.config.debounceMs
+			);
+		});
+		entry.watcher.on('error', (error) =>
+			this.config.log.warn(`Task file watcher error: ${error.message}`)
+		);
+
+		this.watchers.set(projectRoot, entry);
+	}
+
+	_notify(projectRoot, entry) {
+		const prefixes = [...entry.changes].flatMap(
+			(change) => AFFECTED_RESOURCES[change]
+		);
+		entry.changes.clear();
+		entry.timer = null;
+
+		for (const [session, uris] of this.subscriptions) {
+			for (const [uri, root] of uris) {
+				if (root !== projectRoot) continue;
+				if (!prefixes.some((prefix) => uri.startsWith(prefix))) continue;
+
+				Promise.resolve()
+					.then(() => session.server.sendResourceUpdated({ uri }))
+					.catch((error) =>
+						this.config.log.debug?.(
+							`Could not notify about ${uri}: ${error.message}`
+						)
+					);
+			}
+		}
+	}
+
+	_unwatchUnused() {
+		const inUse = new Set();
+		for (const uris of this.subscriptions.values()) {
+			for (const projectRoot of uris.values()) inUse.add(projectRoot);
+		}
+
+		for (const [projectRoot, { watcher, timer }] of this.watchers) {
+			if (inUse.has(projectRoot)) continue;
+			clearTimeout(timer);
+			watcher.close();
+			this.watchers.delete(projectRoot);
+		}
+	}
+}
+
+function isWatchedResource(uri) {
+	return Object.values(AFFECTED_RESOURCES).some((prefixes) =>
+		prefixes.some((prefix) => uri.startsWith(prefix))
+	);
+}
@@ -7,39 +7,86 @@
 // Import direct function implementations
 import { listTasksDirect } from './direct-functions/list-tasks.js';
 import { getCacheStatsDirect } from './direct-functions/cache-stats.js';
-import { parsePRDDirect } from './direct-functions/parse-prd.js';
-import { updateTasksDirect } from './direct-functions/update-tasks.js';
-import { updateTaskByIdDirect } from './direct-functions/update-task-by-id.js';
-import { updateSubtaskByIdDirect } from './direct-functions/update-subtask-by-id.js';
+import { parsePRDDirect as unqueuedParsePRDDirect } from './direct-functions/parse-prd.js';
+import { updateTasksDirect as unqueuedUpdateTasksDirect } from './direct-functions/update-tasks.js';
+import { updateTaskByIdDirect as unqueuedUpdateTaskByIdDirect } from './direct-functions/update-task-by-id.js';
+import { updateSubtaskByIdDirect as unqueuedUpdateSubtaskByIdDirect } from './direct-functions/update-subtask-by-id.js';
 import { generateTaskFilesDirect } from './direct-functions/generate-task-files.js';
-import { setTaskStatusDirect } from './direct-functions/set-task-status.js';
+import { setTaskStatusDirect as unqueuedSetTaskStatusDirect } from './direct-functions/set-task-status.js';
 import { showTaskDirect } from './direct-functions/show-task.js';
 import { nextTaskDirect } from './direct-functions/next-task.js';
-import { expandTaskDirect } from './direct-functions/expand-task.js';
-import { addTaskDirect } from './direct-functions/add-task.js';
-import { addSubtaskDirect } from './direct-functions/add-subtask.js';
-import { removeSubtaskDirect } from './direct-functions/remove-subtask.js';
+import { expandTaskDirect as unqueuedExpandTaskDirect } from './direct-functions/expand-task.js';
+import { addTaskDirect as unqueuedAddTaskDirect } from './direct-functions/add-task.js';
+import { addSubtaskDirect as unqueuedAddSubtaskDirect } from './direct-functions/add-subtask.js';
+import { removeSubtaskDirect as unqueuedRemoveSubtaskDirect } from './direct-functions/remove-subtask.js';
 import { analyzeTaskComplexityDirect } from './direct-functions/analyze-task-complexity.js';
-import { clearSubtasksDirect } from './direct-functions/clear-subtasks.js';
-import { expandAllTasksDirect } from './direct-functions/expand-all-tasks.js';
-import { removeDependencyDirect } from './direct-functions/remove-dependency.js';
+import { clearSubtasksDirect as unqueuedClearSubtasksDirect } from './direct-functions/clear-subtasks.js';
+import { expandAllTasksDirect as unqueuedExpandAllTasksDirect } from './direct-functions/expand-all-tasks.js';
+import { removeDependencyDirect as unqueuedRemoveDependencyDirect } from './direct-functions/remove-dependency.js';
 import { validateDependenciesDirect } from './direct-functions/validate-dependencies.js';
-import { fixDependenciesDirect } from './direct-functions/fix-dependencies.js';
+import { fixDependenciesDirect as unqueuedFixDependenciesDirect } from './direct-functions/fix-dependencies.js';
 import { complexityReportDirect } from './direct-functions/complexity-report.js';
-import { addDependencyDirect } from './direct-functions/add-dependency.js';
-import { removeTaskDirect } from './direct-functions/remove-task.js';
+import { addDependencyDirect as unqueuedAddDependencyDirect } from './direct-functions/add-dependency.js';
+import { removeTaskDirect as unqueuedRemoveTaskDirect } from './direct-functions/remove-task.js';
 import { initializeProjectDirect } from './direct-functions/initialize-project.js';
 import { modelsDirect } from './direct-functions/models.js';
-import { moveTaskDirect } from './direct-functions/move-task.js';
-import { researchDirect } from './direct-functions/research.js';
-import { addTagDirect } from './direct-functions/add-tag.js';
-import { deleteTagDirect } from './direct-functions/delete-tag.js';
+import { moveTaskDirect as unqueuedMoveTaskDirect } from './direct-functions/move-task.js';
+import { researchDirect as unqueuedResearchDirect } from './direct-functions/research.js';
+import { addTagDirect as unqueuedAddTagDirect } from './direct-functions/add-tag.js';
+import { deleteTagDirect as unqueuedDeleteTagDirect } from './direct-functions/delete-tag.js';
 import { listTagsDirect } from './direct-functions/list-tags.js';
-import { useTagDirect } from './direct-functions/use-tag.js';
-import { renameTagDirect } from './direct-functions/rename-tag.js';
-import { copyTagDirect } from './direct-functions/copy-tag.js';
-import { scopeUpDirect } from './direct-functions/scope-up.js';
-import { scopeDownDirect } from './direct-functions/scope-down.js';
+import { useTagDirect as unqueuedUseTagDirect } from './direct-functions/use-tag.js';
+import { renameTagDirect as unqueuedRenameTagDirect } from './direct-functions/rename-tag.js';
+import { copyTagDirect as unqueuedCopyTagDirect } from './direct-functions/copy-tag.js';
+import { scopeUpDirect as unqueuedScopeUpDirect } from './direct-functions/scope-up.js';
+import { scopeDownDirect as unqueuedScopeDownDirect } from './direct-functions/scope-down.js';
+import { obsidianDoctorDirect as unqueuedObsidianDoctorDirect } from './direct-functions/obsidian-doctor.js';
+import { obsidianSyncDirect as unqueuedObsidianSyncDirect } from './direct-functions/obsidian-sync.js';
+import { obsidianInitDirect as unqueuedObsidianInitDirect } from './direct-functions/obsidian-init.js';
+import { obsidianStatusDirect } from './direct-functions/obsidian-status.js';
+import { obsidianPluginInstallDirect } from './direct-functions/obsidian-plugin-install.js';
+import { parseObsidianNotesDirect as unqueuedParseObsidianNotesDirect } from './direct-functions/parse-obsidian-notes.js';
+import { serializeTaskWrites } from './task-write-queue.js';
+
+// Direct functions that change tasks.json run one at a time per project, so
+// concurrent MCP sessions don't overwrite each other's changes
+const parsePRDDirect = serializeTaskWrites(unqueuedParsePRDDirect);
+const updateTasksDirect = serializeTaskWrites(unqueuedUpdateTasksDirect);
+const updateTaskByIdDirect = serializeTaskWrites(unqueuedUpdateTaskByIdDirect);
+const updateSubtaskByIdDirect = serializeTaskWrites(
+	unqueuedUpdateSubtaskByIdDirect
+);
+const setTaskStatusDirect = serializeTaskWrites(unqueuedSetTaskStatusDirect);
+const expandTaskDirect = serializeTaskWrites(unqueuedExpandTaskDirect);
+const addTaskDirect = serializeTaskWrites(unqueuedAddTaskDirect);
+const addSubtaskDirect = serializeTaskWrites(unqueuedAddSubtaskDirect);
+const removeSubtaskDirect = serializeTaskWrites(unqueuedRemoveSubtaskDirect);
+const clearSubtasksDirect = serializeTaskWrites(unqueuedClearSubtasksDirect);
+const expandAllTasksDirect = serializeTaskWrites(unqueuedExpandAllTasksDirect);
+const removeDependencyDirect = serializeTaskWrites(
+	unqueuedRemoveDependencyDirect
+);
+const fixDependenciesDirect = serializeTaskWrites(
+	unqueuedFixDependenciesDirect
+);
+const addDependencyDirect = serializeTaskWrites(unqueuedAddDependencyDirect);
+const removeTaskDirect = serializeTaskWrites(unqueuedRemoveTaskDirect);
+const moveTaskDirect = serializeTaskWrites(unqueuedMoveTaskDirect);
+const researchDirect = serializeTaskWrites(unqueuedResearchDirect);
+const addTagDirect = serializeTaskWrites(unqueuedAddTagDirect);
+const deleteTagDirect = serializeTaskWrites(unqueuedDeleteTagDirect);
+const useTagDirect = serializeTaskWrites(unqueuedUseTagDirect);
+const renameTagDirect = serializeTaskWrites(unqueuedRenameTagDirect);
+const copyTagDirect = serializeTaskWrites(unqueuedCopyTagDirect);
+const scopeUpDirect = serializeTaskWrites(unqueuedScopeUpDirect);
+const scopeDownDirect = serializeTaskWrites(unqueuedScopeDownDirect);
+// obsidian_doctor only writes with `fix`, but is queued either way
+const obsidianDoctorDirect = serializeTaskWrites(unqueuedObsidianDoctorDirect);
+const obsidianSyncDirect = serializeTaskWrites(unqueuedObsidianSyncDirect);
+const obsidianInitDirect = serializeTaskWrites(unqueuedObsidianInitDirect);
+const parseObsidianNotesDirect = serializeTaskWrites(
+	unqueuedParseObsidianNotesDirect
+);
 
 // Re-export utility functions
 export { findTasksPath } from './utils/path-utils.js';
@@ -80,7 +127,13 @@ export const directFunctions = new Map([
 	['renameTagDirect', renameTagDirect],
 	['copyTagDirect', copyTagDirect],
 	['scopeUpDirect', scopeUpDirect],
-	['scopeDownDirect', scopeDownDirect]
+	['scopeDownDirect', scopeDownDirect],
+	['obsidianDoctorDirect', obsidianDoctorDirect],
+	['obsidianSyncDirect', obsidianSyncDirect],
+	['obsidianInitDirect', obsidianInitDirect],
+	['obsidianStatusDirect', obsidianStatusDirect],
+	['obsidianPluginInstallDirect', obsidianPluginInstallDirect],
+	['parseObsidianNotesDirect', parseObsidianNotesDirect]
 ]);
 
 // Re-export all direct function implementations
@@ -119,5 +172,11 @@ export {
 	renameTagDirect,
 	copyTagDirect,
 	scopeUpDirect,
-	scopeDownDirect
+	scopeDownDirect,
+	obsidianDoctorDirect,
+	obsidianSyncDirect,
+	obsidianInitDirect,
+	obsidianStatusDirect,
+	obsidianPluginInstallDirect,
+	parseObsidianNotesDirect
 };
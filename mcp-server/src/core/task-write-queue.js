@@ -0,0 +1,53 @@
+/**
+ * task-write-queue.js
+ * Runs the direct functions that change tasks.json one at a time per project.
+ * They read the file, may wait on an AI call and then write it back, so two
+ * sessions of a shared server running them side by side would each drop the
+ * other's changes.
+ */
+
+import path from 'path';
+
+// projectRoot -> promise settled when the last queued call is done
+const queues = new Map();
+
+/**
+ * Run a function once every earlier call queued for the same project is done
+ * @param {string} projectRoot - Project whose tasks the function changes
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What the function returns
+ */
+export async function runTaskWrite(projectRoot, fn) {
+	const key = path.resolve(projectRoot || '.');
+	const previous = queues.get(key) || Promise.resolve();
+
+	let release;
+	const current = new Promise((resolve) => {
+		release = resolve;
+	});
+	const tail = previous.then(() => current);
+	queues.set(key, tail);
+
+	await previous;
+	try {
+		return await fn();
+	} finally {
+		release();
+		if (queues.get(key) === tail) queues.delete(key);
+	}
+}
+
+/**
+ * Wrap a direct function so calls for the same `args.projectRoot` are queued
+ * @param {Function} directFn - Direct function, called as
+ *   `directFn(args, log, context)`
+ * @returns {Function} Queued direct function
+ */
+export function serializeTaskWrites(directFn) {
+	return (args, log, context) =>
+		runTaskWrite(args?.projectRoot, () => {
+			// A background operation may be cancelled while it waits its turn
+			context?.signal?.throwIfAborted();
+			return directFn(args, log, context);
+		});
+}
@@ -1,4 +1,5 @@
 import { FastMCP } from 'fastmcp';
+import crypto from 'crypto';
 import path from 'path';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
@@ -7,6 +8,11 @@ import logger from './logger.js';
 import { registerTaskMasterTools } from './tools/index.js';
 import ProviderRegistry from '../../src/provider-registry/index.js';
 import { MCPProvider } from './providers/mcp-provider.js';
+import { AsyncOperationManager } from './core/async-operation-manager.js';
+import { ResourceSubscriptionManager } from './core/resource-subscriptions.js';
+import { registerTaskMasterResources } from './resources/index.js';
+import { registerTaskMasterPrompts } from './prompts/index.js';
+import { authenticateHttpRequest } from './core/http-auth.js';
 
 // Load environment variables
 dotenv.config();
@@ -14,6 +20,8 @@ dotenv.config();
 // Constants
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+const TRANSPORTS = ['stdio', 'http'];
+export const DEFAULT_HTTP_PORT = 8080;
 
 /**
  * Main MCP server class that integrates with Task Master
@@ -26,12 +34,28 @@ class TaskMasterMCPServer {
 
 		this.options = {
 			name: 'Task Master MCP Server',
-			version: packageJson.version
+			version: packageJson.version,
+			// Only called for sessions of the HTTP transport
+			authenticate: (request) =>
+				authenticateHttpRequest(request, {
+					authToken: this.authToken,
+					allowedHosts: this.allowedHosts
+				})
 		};
+		this.authToken = null;
+		this.allowedHosts = [];
 
 		this.server = new FastMCP(this.options);
 		this.initialized = false;
 
+		// Background operations of long tools, recorded in each project's
+		// .taskmaster/operations.json so results outlive a restart
+		this.asyncManager = new AsyncOperationManager({ persist: true });
+
+		// Notifies clients subscribed to taskmaster:// resources when the
+		// task files change
+		this.resourceSubscriptions = new ResourceSubscriptionManager();
+
 		// Bind methods
 		this.init = this.init.bind(this);
 		this.start = this.start.bind(this);
@@ -49,6 +73,9 @@ class TaskMasterMCPServer {
 
 		// Pass the manager instance to the tool registration function
 		registerTaskMasterTools(this.server, this.asyncManager);
+		registerTaskMasterResources(this.server, this.resourceSubscriptions);
+		registerTaskMasterPrompts(this.server, this.resourceSubscriptions);
+		this.resourceSubscriptions.attach(this.server);
 
 		this.initialized = true;
 
@@ -57,8 +84,33 @@ class TaskMasterMCPServer {
 
 	/**
 	 * Start the MCP server
+	 * @param {Object} [options]
+	 * @param {'stdio'|'http'} [options.transport='stdio'] - `http` serves one
+	 *   shared instance to several local clients, over streamable HTTP at
+	 *   `/mcp` and SSE at `/sse`
+	 * @param {number} [options.port] - Port of the HTTP transport
+	 * @param {string} [options.authToken] - Bearer token HTTP clients must
+	 *   send; one is generated and logged when not given
+	 * @param {string[]} [options.allowedHosts] - Host names HTTP clients may
+	 *   use besides localhost
 	 */
-	async start() {
+	async start(options = {}) {
+		const {
+			transport = 'stdio',
+			port = DEFAULT_HTTP_PORT,
+			authToken = null,
+			allowedHosts = []
+		} = options;
+		if (!TRANSPORTS.includes(transport)) {
+			throw new Error(
+				`Unknown transport "${transport}". Use one of: ${TRANSPORTS.join(', ')}`
+			);
+		}
+		const portNumber = Number(port);
+		if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+			throw new Error(`Invalid port "${port}"`);
+		}
+
 		if (!this.initialized) {
 			await this.init();
 		}
@@ -74,6 +126,26 @@ class TaskMasterMCPServer {
 			this.registerRemoteProvider(event.session);
 		});
 
+		if (transport === 'http') {
+			// Any web page open in a browser can reach a local port, so HTTP
+			// sessions always need a token
+			this.authToken = authToken || crypto.randomBytes(24).toString('hex');
+			this.allowedHosts = allowedHosts;
+			await this.server.start({
+				transportType: 'httpStream',
+				httpStream: { port: portNumber, endpoint: '/mcp' }
+			});
+			logger.info(
+				`Task Master MCP server listening on http://localhost:${portNumber}/mcp (SSE at /sse)`
+			);
+			if (!authToken) {
+				logger.info(
+					`No auth token configured. Clients must send: Authorization: Bearer ${this.authToken}`
+				);
+			}
+			return this;
+		}
+
 		// Start the FastMCP server with increased timeout
 		await this.server.start({
 			transportType: 'stdio',
@@ -133,6 +205,7 @@ class TaskMasterMCPServer {
 	 * Stop the MCP server
 	 */
 	async stop() {
+		await this.resourceSubscriptions.close();
 		if (this.server) {
 			await this.server.stop();
 		}
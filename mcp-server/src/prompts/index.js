@@ -0,0 +1,98 @@
+/**
+ * prompts/index.js
+ * Register the prompt templates of src/prompts and of the project's
+ * .taskmaster/prompts directory as MCP prompts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { TASKMASTER_PROMPTS_DIR } from '../../../src/constants/paths.js';
+import {
+	PromptManager,
+	getPromptManager
+} from '../../../scripts/modules/prompt-manager.js';
+import logger from '../logger.js';
+import {
+	parsePromptArguments,
+	toPromptArguments,
+	toPromptMessages,
+	withoutLogging
+} from './templates.js';
+import { WORKFLOWS } from './workflows.js';
+
+/**
+ * Register all Task Master prompts with the MCP server. The prompt list is
+ * read once, so project prompts come from the project the server starts in;
+ * every prompts/get renders the current template of the session's project,
+ * so a project file overrides the built-in template of the same ID.
+ * @param {Object} server - FastMCP server instance
+ * @param {ResourceSubscriptionManager} subscriptions - Resolves the project root
+ */
+export function registerTaskMasterPrompts(server, subscriptions) {
+	try {
+		const templates = new Map();
+		const projectPromptsDir = path.join(
+			subscriptions.getProjectRoot(),
+			TASKMASTER_PROMPTS_DIR
+		);
+		withoutLogging(() => {
+			for (const manager of [
+				getPromptManager(),
+				new PromptManager({ promptsDir: projectPromptsDir })
+			]) {
+				for (const template of manager.listPrompts()) {
+					templates.set(template.id, template);
+				}
+			}
+		});
+
+		for (const template of templates.values()) {
+			const workflow = WORKFLOWS[template.id];
+			server.addPrompt({
+				name: template.id,
+				description: template.description,
+				arguments: toPromptArguments(template.parameters, workflow?.provides),
+				load: async (args, auth) =>
+					renderPrompt(
+						template.id,
+						args,
+						subscriptions.getProjectRoot(auth?.projectRoot)
+					)
+			});
+		}
+	} catch (error) {
+		logger.error(`Error registering Task Master prompts: ${error.message}`);
+		throw error;
+	}
+}
+
+/**
+ * Render a prompt template for a prompts/get request
+ * @param {string} id - Template ID
+ * @param {Object<string, string>} args - Prompt arguments
+ * @param {string} projectRoot - Project whose prompts and tasks to use
+ * @returns {{messages: Array}} Prompt messages
+ */
+export function renderPrompt(id, args, projectRoot) {
+	return withoutLogging(() => {
+		const promptsDir = path.join(projectRoot, TASKMASTER_PROMPTS_DIR);
+		// Project templates are read on every request, so edits apply without
+		// restarting the server
+		const manager = fs.existsSync(path.join(promptsDir, `${id}.json`))
+			? new PromptManager({ promptsDir })
+			: getPromptManager();
+
+		const template = manager.loadTemplate(id);
+		const variables = parsePromptArguments(args, template.parameters);
+		const workflow = WORKFLOWS[id];
+		if (workflow) {
+			Object.assign(variables, workflow.load(variables, projectRoot));
+		}
+
+		return toPromptMessages(manager.loadPrompt(id, variables));
+	});
+}
+
+export default {
+	registerTaskMasterPrompts
+};
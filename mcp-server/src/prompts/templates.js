@@ -0,0 +1,130 @@
+/**
+ * prompts/templates.js
+ * Turn PromptManager templates into MCP prompts: template parameters become
+ * prompt arguments, and the string values clients send are parsed back into
+ * the parameter types before rendering.
+ */
+
+import {
+	disableSilentMode,
+	enableSilentMode,
+	isSilentMode
+} from '../../../scripts/modules/utils.js';
+
+const TYPE_HINTS = {
+	number: 'number',
+	boolean: 'true or false',
+	array: 'JSON array',
+	object: 'JSON object'
+};
+
+/**
+ * Build the MCP prompt arguments of a template
+ * @param {Object} [parameters] - Template parameters
+ * @param {string[]} [hidden] - Parameters the server fills in itself
+ * @returns {Array<{name: string, description: string, required: boolean, enum?: string[]}>}
+ */
+export function toPromptArguments(parameters = {}, hidden = []) {
+	return Object.entries(parameters)
+		.filter(([name]) => !hidden.includes(name))
+		.map(([name, param]) => {
+			const hint = TYPE_HINTS[param.type];
+			const argument = {
+				name,
+				description: hint
+					? `${param.description} (${hint})`
+					: param.description,
+				required: Boolean(param.required) && param.default === undefined
+			};
+			if (param.enum) argument.enum = param.enum.map(String);
+			return argument;
+		});
+}
+
+/**
+ * Parse the string arguments of a prompts/get request into template variables.
+ * Empty values count as missing, and missing values take the parameter default.
+ * @param {Object<string, string>} [args] - Prompt arguments
+ * @param {Object} [parameters] - Template parameters
+ * @returns {Object} Template variables
+ * @throws {Error} If a value cannot be parsed as its parameter type
+ */
+export function parsePromptArguments(args = {}, parameters = {}) {
+	const variables = {};
+
+	for (const [name, param] of Object.entries(parameters)) {
+		const value = args[name];
+		if (value === undefined || value === '') {
+			if (param.default !== undefined) variables[name] = param.default;
+			continue;
+		}
+		variables[name] = parseValue(name, value, param.type);
+	}
+
+	return variables;
+}
+
+function parseValue(name, value, type) {
+	if (typeof value !== 'string') return value;
+
+	switch (type) {
+		case 'number': {
+			const number = Number(value);
+			if (Number.isNaN(number)) {
+				throw new Error(`Argument "${name}" must be a number, got "${value}"`);
+			}
+			return number;
+		}
+		case 'boolean': {
+			const normalized = value.trim().toLowerCase();
+			if (normalized !== 'true' && normalized !== 'false') {
+				throw new Error(`Argument "${name}" must be true or false`);
+			}
+			return normalized === 'true';
+		}
+		case 'array':
+		case 'object': {
+			let parsed;
+			try {
+				parsed = JSON.parse(value);
+			} catch (error) {
+				throw new Error(
+					`Argument "${name}" is not valid JSON: ${error.message}`
+				);
+			}
+			if (Array.isArray(parsed) !== (type === 'array')) {
+				throw new Error(`Argument "${name}" must be a JSON ${type}`);
+			}
+			return parsed;
+		}
+		default:
+			return value;
+	}
+}
+
+/**
+ * Build the prompts/get result of a rendered template. MCP prompts have no
+ * system role, so the system prompt leads the single user message.
+ * @param {{systemPrompt: string, userPrompt: string}} rendered - Rendered template
+ * @returns {{messages: Array}} Prompt messages
+ */
+export function toPromptMessages({ systemPrompt, userPrompt }) {
+	const text = [systemPrompt, userPrompt].filter(Boolean).join('\n\n');
+	return { messages: [{ role: 'user', content: { type: 'text', text } }] };
+}
+
+/**
+ * Run a PromptManager call without its console logging, which would corrupt
+ * the stdio transport
+ * @param {Function} fn - Function to run
+ * @returns {*} The result of fn
+ */
+export function withoutLogging(fn) {
+	const wasSilent = isSilentMode();
+	if (!wasSilent) enableSilentMode();
+	try {
+		return fn();
+	} finally {
+		if (!wasSilent) disableSilentMode();
+	}
+}
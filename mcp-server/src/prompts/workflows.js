@@ -0,0 +1,85 @@
+/**
+ * prompts/workflows.js
+ * Task data the workflow prompt templates are rendered with. The parameters
+ * a workflow provides are read from the project instead of being asked from
+ * the client.
+ */
+
+import {
+	findTaskById,
+	readComplexityReport
+} from '../../../scripts/modules/utils.js';
+import findNextTask from '../../../scripts/modules/task-manager/find-next-task.js';
+import { findComplexityReportPath } from '../core/utils/path-utils.js';
+import { readTaggedTasks } from '../resources/utils.js';
+
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+/**
+ * Workflow templates by template ID
+ * @type {Object<string, {provides: string[], load: Function}>}
+ */
+export const WORKFLOWS = {
+	'plan-session': {
+		provides: ['tag', 'tasks', 'nextTask'],
+		load: (_variables, projectRoot) => {
+			const { tag, tasks } = readCurrentTasks(projectRoot);
+			const nextTask = findNextTask(tasks);
+			return {
+				tag,
+				tasks: tasks
+					.filter((task) => !CLOSED_STATUSES.includes(task.status))
+					.map((task) => ({
+						...summarize(task),
+						priority: task.priority,
+						dependencies: task.dependencies || [],
+						subtasks: (task.subtasks || [])
+							.filter((subtask) => !CLOSED_STATUSES.includes(subtask.status))
+							.map(summarize)
+					})),
+				nextTask: nextTask ? summarize(nextTask) : undefined
+			};
+		}
+	},
+	'break-down-task': {
+		provides: ['task'],
+		load: ({ id }, projectRoot) => ({
+			task: findTask(projectRoot, id, { withComplexity: true })
+		})
+	},
+	'implementation-log': {
+		provides: ['subtask'],
+		load: ({ id }, projectRoot) => ({ subtask: findTask(projectRoot, id) })
+	},
+	'triage-obsidian-inbox': {
+		provides: ['tag', 'tasks'],
+		load: (_variables, projectRoot) => {
+			const { tag, tasks } = readCurrentTasks(projectRoot);
+			return { tag, tasks: tasks.map(summarize) };
+		}
+	}
+};
+
+function readCurrentTasks(projectRoot) {
+	const { currentTag, tags } = readTaggedTasks(projectRoot);
+	return { tag: currentTag, tasks: tags[currentTag]?.tasks || [] };
+}
+
+function findTask(projectRoot, id, { withComplexity = false } = {}) {
+	const { tag, tasks } = readCurrentTasks(projectRoot);
+	let complexityReport = null;
+	if (withComplexity) {
+		const reportPath = findComplexityReportPath({ projectRoot, tag });
+		complexityReport = reportPath ? readComplexityReport(reportPath) : null;
+	}
+
+	const { task } = findTaskById(tasks, id, complexityReport);
+	if (!task) {
+		throw new Error(`Task ${id} not found in tag "${tag}"`);
+	}
+	return task;
+}
+
+function summarize({ id, title, status }) {
+	return { id, title, status };
+}
@@ -0,0 +1,45 @@
+/**
+ * resources/complexity.js
+ * Resource template for the complexity report of a tag
+ */
+
+import { readComplexityReport } from '../../../scripts/modules/utils.js';
+import { findComplexityReportPath } from '../core/utils/path-utils.js';
+import { completeTag, toJsonContent } from './utils.js';
+
+/**
+ * Register the taskmaster://complexity/{tag} resource template
+ * @param {FastMCP} server - FastMCP server instance
+ * @param {ResourceSubscriptionManager} subscriptions - Resolves the project root
+ */
+export function registerComplexityResources(server, subscriptions) {
+	server.addResourceTemplate({
+		uriTemplate: 'taskmaster://complexity/{tag}',
+		name: 'Task Master complexity report',
+		description:
+			'The complexity report of a tag, as written by analyze_project_complexity.',
+		mimeType: 'application/json',
+		arguments: [
+			{
+				name: 'tag',
+				description: 'Tag whose complexity report to read, e.g. master',
+				required: true,
+				complete: completeTag(subscriptions)
+			}
+		],
+		load: async ({ tag }, auth) => {
+			const reportPath = findComplexityReportPath({
+				projectRoot: subscriptions.getProjectRoot(auth?.projectRoot),
+				tag
+			});
+			const report = reportPath ? readComplexityReport(reportPath) : null;
+			if (!report) {
+				throw new Error(
+					`No complexity report for tag "${tag}". Run analyze_project_complexity first.`
+				);
+			}
+
+			return toJsonContent(report);
+		}
+	});
+}
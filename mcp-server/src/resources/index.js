@@ -0,0 +1,28 @@
+/**
+ * resources/index.js
+ * Register the Task Master resources of the MCP server
+ */
+
+import logger from '../logger.js';
+import { registerComplexityResources } from './complexity.js';
+import { registerTaskResources } from './tasks.js';
+
+/**
+ * Register all Task Master resources with the MCP server
+ * @param {Object} server - FastMCP server instance
+ * @param {ResourceSubscriptionManager} subscriptions - Resolves the project
+ *   root and notifies subscribers when the task files change
+ */
+export function registerTaskMasterResources(server, subscriptions) {
+	try {
+		registerTaskResources(server, subscriptions);
+		registerComplexityResources(server, subscriptions);
+	} catch (error) {
+		logger.error(`Error registering Task Master resources: ${error.message}`);
+		throw error;
+	}
+}
+
+export default {
+	registerTaskMasterResources
+};
@@ -0,0 +1,106 @@
+/**
+ * resources/tasks.js
+ * Resources for the tags of a project, the tasks of a tag and single tasks
+ */
+
+import {
+	findTaskById,
+	readComplexityReport
+} from '../../../scripts/modules/utils.js';
+import { findComplexityReportPath } from '../core/utils/path-utils.js';
+import { completeTag, readTaggedTasks, toJsonContent } from './utils.js';
+
+/**
+ * Register the taskmaster://tags resource and the taskmaster://tasks/{tag}
+ * and taskmaster://task/{id} resource templates
+ * @param {FastMCP} server - FastMCP server instance
+ * @param {ResourceSubscriptionManager} subscriptions - Resolves the project root
+ */
+export function registerTaskResources(server, subscriptions) {
+	server.addResource({
+		uri: 'taskmaster://tags',
+		name: 'Task Master tags',
+		description:
+			'All tags of the project with their task counts, and the current tag.',
+		mimeType: 'application/json',
+		load: async (auth) => {
+			const { currentTag, tags } = readTaggedTasks(
+				subscriptions.getProjectRoot(auth?.projectRoot)
+			);
+
+			return toJsonContent({
+				currentTag,
+				tags: Object.entries(tags).map(([name, { tasks, metadata }]) => ({
+					name,
+					isCurrent: name === currentTag,
+					taskCount: tasks.length,
+					completedTasks: tasks.filter((task) => task.status === 'done').length,
+					description: metadata?.description || null
+				}))
+			});
+		}
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: 'taskmaster://tasks/{tag}',
+		name: 'Task Master tasks',
+		description: 'All tasks of a tag, with their subtasks.',
+		mimeType: 'application/json',
+		arguments: [
+			{
+				name: 'tag',
+				description: 'Tag whose tasks to read, e.g. master',
+				required: true,
+				complete: completeTag(subscriptions)
+			}
+		],
+		load: async ({ tag }, auth) => {
+			const { tags } = readTaggedTasks(
+				subscriptions.getProjectRoot(auth?.projectRoot)
+			);
+			if (!tags[tag]) {
+				throw new Error(`Tag "${tag}" does not exist`);
+			}
+
+			return toJsonContent({
+				tag,
+				tasks: tags[tag].tasks,
+				metadata: tags[tag].metadata || {}
+			});
+		}
+	});
+
+	server.addResourceTemplate({
+		uriTemplate: 'taskmaster://task/{id}',
+		name: 'Task Master task',
+		description:
+			'A task or subtask (e.g. 15 or 15.2) of the current tag, with its complexity score when analyzed.',
+		mimeType: 'application/json',
+		arguments: [
+			{
+				name: 'id',
+				description: 'Task or subtask ID',
+				required: true
+			}
+		],
+		load: async ({ id }, auth) => {
+			const projectRoot = subscriptions.getProjectRoot(auth?.projectRoot);
+			const { currentTag, tags } = readTaggedTasks(projectRoot);
+			const tasks = tags[currentTag]?.tasks || [];
+			const reportPath = findComplexityReportPath({
+				projectRoot,
+				tag: currentTag
+			});
+			const complexityReport = reportPath
+				? readComplexityReport(reportPath)
+				: null;
+
+			const { task } = findTaskById(tasks, id, complexityReport);
+			if (!task) {
+				throw new Error(`Task ${id} not found in tag "${currentTag}"`);
+			}
+
+			return toJsonContent({ tag: currentTag, task });
+		}
+	});
+}
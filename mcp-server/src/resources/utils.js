@@ -0,0 +1,73 @@
+/**
+ * resources/utils.js
+ * Shared helpers for the Task Master MCP resources
+ */
+
+import {
+	disableSilentMode,
+	enableSilentMode,
+	getCurrentTag,
+	isSilentMode,
+	readJSON
+} from '../../../scripts/modules/utils.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+
+/**
+ * Read every tag of the project's tasks.json
+ * @param {string} projectRoot - The project root directory
+ * @returns {{currentTag: string, tags: Object<string, {tasks: Array, metadata: Object}>}}
+ *   The current tag and the tasks and metadata of each tag
+ * @throws {Error} If the project has no readable tasks.json
+ */
+export function readTaggedTasks(projectRoot) {
+	const tasksPath = findTasksPath({ projectRoot });
+	if (!tasksPath) {
+		throw new Error(
+			`No tasks.json found in ${projectRoot}. Run parse_prd or add_task first.`
+		);
+	}
+
+	const wasSilent = isSilentMode();
+	if (!wasSilent) enableSilentMode();
+	try {
+		const data = readJSON(tasksPath, projectRoot);
+		if (!data) {
+			throw new Error(`Could not read tasks from ${tasksPath}`);
+		}
+
+		return {
+			currentTag: getCurrentTag(projectRoot),
+			tags: data._rawTaggedData || { [data.tag || 'master']: data }
+		};
+	} finally {
+		if (!wasSilent) disableSilentMode();
+	}
+}
+
+/**
+ * Build the contents of a JSON resource
+ * @param {Object} data - Resource data
+ * @returns {{text: string}} Resource contents
+ */
+export function toJsonContent(data) {
+	return { text: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * Completion for a `{tag}` resource template argument
+ * @param {ResourceSubscriptionManager} subscriptions - Resolves the project root
+ * @returns {Function} Completer returning the tag names starting with the value
+ */
+export function completeTag(subscriptions) {
+	return async (value, auth) => {
+		try {
+			const { tags } = readTaggedTasks(
+				subscriptions.getProjectRoot(auth?.projectRoot)
+			);
+			const values = Object.keys(tags).filter((tag) => tag.startsWith(value));
+			return { values };
+		} catch {
+			return { values: [] };
+		}
+	};
+}
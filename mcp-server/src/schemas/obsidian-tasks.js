@@ -22,6 +22,11 @@ export const TaskStatusSchema = z.enum([
     'cancelled'
 ]);
 
+/**
+ * Calendar date as written by the Obsidian Tasks plugin, e.g. 2025-01-31
+ */
+export const IsoDateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD');
+
 /**
  * Schema for a single task extracted from Obsidian notes
  * Contains both standard TaskMaster fields and Obsidian-specific metadata
@@ -37,6 +42,13 @@ export const ObsidianTaskSchema = z.object({
     dependencies: z.array(z.number().int().positive()).default([]),
     status: TaskStatusSchema.default('pending'),
     
+    // Obsidian Tasks plugin / Dataview metadata (dates as YYYY-MM-DD)
+    dueDate: IsoDateSchema.optional(),
+    scheduledDate: IsoDateSchema.optional(),
+    startDate: IsoDateSchema.optional(),
+    completedAt: IsoDateSchema.optional(),
+    recurrence: z.string().optional(),
+    
     // Obsidian-specific fields
     sourceFile: z.string().min(1, 'Source file path is required'),
     obsidianTags: z.array(z.string()).optional().default([]),
@@ -45,13 +57,18 @@ export const ObsidianTaskSchema = z.object({
     
     // Optional metadata fields
     frontmatterData: z.record(z.string(), z.any()).optional(),
+    // Source passage: first and last line, heading path ("A > B"), block
+    // reference appended to the passage (e.g. "^src-1a2b3c") and its text
     lineNumber: z.number().int().positive().optional(),
+    lineEnd: z.number().int().positive().optional(),
     section: z.string().optional(),
+    blockRef: z.string().regex(/^\^[A-Za-z0-9-]+$/).optional(),
     originalTaskText: z.string().optional(),
     
     // Sync tracking fields  
     syncStatus: z.enum(['pending', 'synced', 'conflict', 'error']).default('pending'),
     lastSyncAt: z.string().datetime().optional(),
+    syncBase: z.record(z.string(), z.any()).optional(),
     conflictResolution: z.enum(['manual', 'obsidian_wins', 'taskmaster_wins']).optional()
 });
 
@@ -272,15 +289,5 @@ export function validateParseConfig(config) {
  * @typedef {z.infer<typeof BatchParseConfigSchema>} BatchParseConfig
  */
 
-// Export all schemas for external use
-export {
-    ObsidianTaskSchema as default,
-    ObsidianNotesResponseSchema,
-    ParseConfigSchema,
-    VaultScanOptionsSchema,
-    VaultContentSchema,
-    SyncResultSchema,
-    BatchParseConfigSchema,
-    TaskPrioritySchema,
-    TaskStatusSchema
-};
+// The named schemas are exported where they are declared
+export { ObsidianTaskSchema as default };
@@ -9,7 +9,8 @@ import fs from 'fs'; // Import fs for directory check/creation
 import {
 	handleApiResult,
 	createErrorResponse,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	startBackgroundOperation
 } from './utils.js';
 import { analyzeTaskComplexityDirect } from '../core/task-master-core.js'; // Assuming core functions are exported via task-master-core.js
 import { findTasksPath } from '../core/utils/path-utils.js';
@@ -20,8 +21,9 @@ import { resolveComplexityReportOutputPath } from '../../../src/utils/path-utils
 /**
  * Register the analyze_project_complexity tool
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} [asyncManager] - Runs the tool in the background when asked to
  */
-export function registerAnalyzeProjectComplexityTool(server) {
+export function registerAnalyzeProjectComplexityTool(server, asyncManager) {
 	server.addTool({
 		name: 'analyze_project_complexity',
 		description:
@@ -73,7 +75,13 @@ export function registerAnalyzeProjectComplexityTool(server) {
 			projectRoot: z
 				.string()
 				.describe('The directory of the project. Must be an absolute path.'),
-			tag: z.string().optional().describe('Tag context to operate on')
+			tag: z.string().optional().describe('Tag context to operate on'),
+			background: z
+				.boolean()
+				.optional()
+				.describe(
+					'Return an operation ID right away and run in the background; follow it with get_operation_status'
+				)
 		}),
 		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
 			const toolName = 'analyze_project_complexity'; // Define tool name for logging
@@ -130,21 +138,31 @@ export function registerAnalyzeProjectComplexityTool(server) {
 				}
 
 				// 3. Call Direct Function - Pass projectRoot in first arg object
-				const result = await analyzeTaskComplexityDirect(
-					{
-						tasksJsonPath: tasksJsonPath,
-						outputPath: outputPath,
-						threshold: args.threshold,
-						research: args.research,
-						projectRoot: args.projectRoot,
-						tag: resolvedTag,
-						ids: args.ids,
-						from: args.from,
-						to: args.to
-					},
-					log,
-					{ session }
-				);
+				const directArgs = {
+					tasksJsonPath: tasksJsonPath,
+					outputPath: outputPath,
+					threshold: args.threshold,
+					research: args.research,
+					projectRoot: args.projectRoot,
+					tag: resolvedTag,
+					ids: args.ids,
+					from: args.from,
+					to: args.to
+				};
+				if (args.background && asyncManager) {
+					return startBackgroundOperation(
+						asyncManager,
+						toolName,
+						analyzeTaskComplexityDirect,
+						directArgs,
+						log,
+						{ session }
+					);
+				}
+
+				const result = await analyzeTaskComplexityDirect(directArgs, log, {
+					session
+				});
 
 				// 4. Handle Result
 				log.info(
@@ -0,0 +1,46 @@
+// mcp-server/src/tools/cancel-operation.js
+import { z } from 'zod';
+import { createErrorResponse, createContentResponse } from './utils.js';
+
+/**
+ * Register the cancel_operation tool.
+ * @param {FastMCP} server - FastMCP server instance.
+ * @param {AsyncOperationManager} asyncManager - The async operation manager.
+ */
+export function registerCancelOperationTool(server, asyncManager) {
+	server.addTool({
+		name: 'cancel_operation',
+		description:
+			'Cancels a pending or running background operation. It stops at its next checkpoint (for example before the next task or note chunk, or before writing AI results); an AI call already in flight still finishes, but its result is discarded.',
+		parameters: z.object({
+			operationId: z.string().describe('The ID of the operation to cancel.')
+		}),
+		execute: async (args, { log }) => {
+			try {
+				const { operationId } = args;
+				log.info(`Cancelling operation ID: ${operationId}`);
+
+				const { cancelled, operation } =
+					asyncManager.cancelOperation(operationId);
+
+				if (operation.status === 'not_found') {
+					log.warn(`Operation ID not found: ${operationId}`);
+					return createErrorResponse(operation.error.message);
+				}
+				if (!cancelled) {
+					return createErrorResponse(
+						`Operation ${operationId} already finished with status ${operation.status}`
+					);
+				}
+
+				log.info(`Cancelled operation ${operationId}`);
+				return createContentResponse(operation);
+			} catch (error) {
+				log.error(`Error in cancel_operation tool: ${error.message}`);
+				return createErrorResponse(
+					`Failed to cancel operation: ${error.message}`
+				);
+			}
+		}
+	});
+}
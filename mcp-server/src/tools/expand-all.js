@@ -7,7 +7,8 @@ import { z } from 'zod';
 import {
 	handleApiResult,
 	createErrorResponse,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	startBackgroundOperation
 } from './utils.js';
 import { expandAllTasksDirect } from '../core/task-master-core.js';
 import { findTasksPath } from '../core/utils/path-utils.js';
@@ -16,8 +17,9 @@ import { resolveTag } from '../../../scripts/modules/utils.js';
 /**
  * Register the expandAll tool with the MCP server
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} [asyncManager] - Runs the tool in the background when asked to
  */
-export function registerExpandAllTool(server) {
+export function registerExpandAllTool(server, asyncManager) {
 	server.addTool({
 		name: 'expand_all',
 		description:
@@ -59,7 +61,13 @@ export function registerExpandAllTool(server) {
 				.describe(
 					'Absolute path to the project root directory (derived from session if possible)'
 				),
-			tag: z.string().optional().describe('Tag context to operate on')
+			tag: z.string().optional().describe('Tag context to operate on'),
+			background: z
+				.boolean()
+				.optional()
+				.describe(
+					'Return an operation ID right away and run in the background; follow it with get_operation_status'
+				)
 		}),
 		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
 			try {
@@ -85,19 +93,29 @@ export function registerExpandAllTool(server) {
 					);
 				}
 
-				const result = await expandAllTasksDirect(
-					{
-						tasksJsonPath: tasksJsonPath,
-						num: args.num,
-						research: args.research,
-						prompt: args.prompt,
-						force: args.force,
-						projectRoot: args.projectRoot,
-						tag: resolvedTag
-					},
-					log,
-					{ session }
-				);
+				const directArgs = {
+					tasksJsonPath: tasksJsonPath,
+					num: args.num,
+					research: args.research,
+					prompt: args.prompt,
+					force: args.force,
+					projectRoot: args.projectRoot,
+					tag: resolvedTag
+				};
+				if (args.background && asyncManager) {
+					return startBackgroundOperation(
+						asyncManager,
+						'expand_all',
+						expandAllTasksDirect,
+						directArgs,
+						log,
+						{ session }
+					);
+				}
+
+				const result = await expandAllTasksDirect(directArgs, log, {
+					session
+				});
 
 				return handleApiResult(
 					result,
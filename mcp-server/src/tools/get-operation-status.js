@@ -1,6 +1,10 @@
 // mcp-server/src/tools/get-operation-status.js
 import { z } from 'zod';
-import { createErrorResponse, createContentResponse } from './utils.js'; // Assuming these utils exist
+import {
+	createErrorResponse,
+	createContentResponse,
+	normalizeProjectRoot
+} from './utils.js';
 
 /**
  * Register the get_operation_status tool.
@@ -11,24 +15,29 @@ export function registerGetOperationStatusTool(server, asyncManager) {
 	server.addTool({
 		name: 'get_operation_status',
 		description:
-			'Retrieves the status and result/error of a background operation.',
+			'Retrieves the status, progress and result/error of a background operation started by a tool called with background: true.',
 		parameters: z.object({
-			operationId: z.string().describe('The ID of the operation to check.')
+			operationId: z.string().describe('The ID of the operation to check.'),
+			projectRoot: z
+				.string()
+				.optional()
+				.describe(
+					'The directory of the project, to find operations recorded before a server restart. Must be an absolute path.'
+				)
 		}),
 		execute: async (args, { log }) => {
 			try {
 				const { operationId } = args;
 				log.info(`Checking status for operation ID: ${operationId}`);
 
-				const status = asyncManager.getStatus(operationId);
+				const status = asyncManager.getStatus(operationId, {
+					projectRoot: normalizeProjectRoot(args.projectRoot, log)
+				});
 
 				// Status will now always return an object, but it might have status='not_found'
 				if (status.status === 'not_found') {
 					log.warn(`Operation ID not found: ${operationId}`);
-					return createErrorResponse(
-						status.error?.message || `Operation ID not found: ${operationId}`,
-						status.error?.code || 'OPERATION_NOT_FOUND'
-					);
+					return createErrorResponse(status.error.message);
 				}
 
 				log.info(`Status for ${operationId}: ${status.status}`);
@@ -38,8 +47,7 @@ export function registerGetOperationStatusTool(server, asyncManager) {
 					stack: error.stack
 				});
 				return createErrorResponse(
-					`Failed to get operation status: ${error.message}`,
-					'GET_STATUS_ERROR'
+					`Failed to get operation status: ${error.message}`
 				);
 			}
 		}
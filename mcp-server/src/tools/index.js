@@ -41,12 +41,20 @@ import { registerRulesTool } from './rules.js';
 import { registerScopeUpTool } from './scope-up.js';
 import { registerScopeDownTool } from './scope-down.js';
 import { registerParseObsidianNotesTool } from './parse-obsidian-notes.js';
+import { registerObsidianDoctorTool } from './obsidian-doctor.js';
+import { registerObsidianSyncTool } from './obsidian-sync.js';
+import { registerObsidianInitTool } from './obsidian-init.js';
+import { registerObsidianStatusTool } from './obsidian-status.js';
+import { registerObsidianPluginInstallTool } from './obsidian-plugin-install.js';
+import { registerGetOperationStatusTool } from './get-operation-status.js';
+import { registerCancelOperationTool } from './cancel-operation.js';
 
 /**
  * Register all Task Master tools with the MCP server
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} [asyncManager] - Runs long tools in the background
  */
-export function registerTaskMasterTools(server) {
+export function registerTaskMasterTools(server, asyncManager) {
 	try {
 		// Register each tool in a logical workflow order
 
@@ -54,13 +62,13 @@ export function registerTaskMasterTools(server) {
 		registerInitializeProjectTool(server);
 		registerModelsTool(server);
 		registerRulesTool(server);
-		registerParsePRDTool(server);
-		registerParseObsidianNotesTool(server);
+		registerParsePRDTool(server, asyncManager);
+		registerParseObsidianNotesTool(server, asyncManager);
 
 		// Group 2: Task Analysis & Expansion
-		registerAnalyzeProjectComplexityTool(server);
+		registerAnalyzeProjectComplexityTool(server, asyncManager);
 		registerExpandTaskTool(server);
-		registerExpandAllTool(server);
+		registerExpandAllTool(server, asyncManager);
 		registerScopeUpTool(server);
 		registerScopeDownTool(server);
 
@@ -90,6 +98,7 @@ export function registerTaskMasterTools(server) {
 		registerRemoveDependencyTool(server);
 		registerValidateDependenciesTool(server);
 		registerFixDependenciesTool(server);
+		registerObsidianDoctorTool(server);
 		registerResponseLanguageTool(server);
 
 		// Group 7: Tag Management
@@ -102,6 +111,18 @@ export function registerTaskMasterTools(server) {
 
 		// Group 8: Research Features
 		registerResearchTool(server);
+
+		// Group 9: Obsidian Vault Sync
+		registerObsidianInitTool(server);
+		registerObsidianSyncTool(server);
+		registerObsidianStatusTool(server);
+		registerObsidianPluginInstallTool(server);
+
+		// Group 10: Background Operations
+		if (asyncManager) {
+			registerGetOperationStatusTool(server, asyncManager);
+			registerCancelOperationTool(server, asyncManager);
+		}
 	} catch (error) {
 		logger.error(`Error registering Task Master tools: ${error.message}`);
 		throw error;
@@ -0,0 +1,105 @@
+/**
+ * tools/obsidian-doctor.js
+ * Tool for checking an Obsidian vault for broken task notes and links
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { obsidianDoctorDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+import { resolveTag } from '../../../scripts/modules/utils.js';
+import { RESOLVE_CHOICES } from '../../../scripts/modules/task-manager/obsidian-resolve.js';
+
+/**
+ * Register the obsidian_doctor tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerObsidianDoctorTool(server) {
+	server.addTool({
+		name: 'obsidian_doctor',
+		description:
+			'Check an Obsidian vault against the tasks: task notes whose task no longer exists, tasks whose source note is missing, notes sharing a task_id, links to missing task notes and unresolved sync conflicts. Returns a report with the fix for each finding; set fix to apply them.',
+		parameters: z.object({
+			vaultPath: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path to the Obsidian vault directory (default: the vault the tag is routed to in .taskmaster/config.json)'
+				),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.'),
+			tag: z.string().optional().describe('Tag context to operate on'),
+			fix: z
+				.boolean()
+				.optional()
+				.describe(
+					'Apply the fix of every finding: archive orphaned and duplicate notes, relink or clear missing sources, repair broken links and resolve conflicts'
+				),
+			strategy: z
+				.enum(RESOLVE_CHOICES)
+				.optional()
+				.describe(
+					'How fix resolves sync conflicts: keep the taskmaster or obsidian values, or the merged proposal (default)'
+				)
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				const resolvedTag = resolveTag({
+					projectRoot: args.projectRoot,
+					tag: args.tag
+				});
+				log.info(`Checking Obsidian vault with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await obsidianDoctorDirect(
+					{
+						tasksJsonPath,
+						vaultPath: args.vaultPath,
+						projectRoot: args.projectRoot,
+						tag: resolvedTag,
+						fix: args.fix,
+						strategy: args.strategy
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(
+						`Vault check found ${result.data.summary.findings} finding(s), ${result.data.summary.fixed} fixed`
+					);
+				} else {
+					log.error(`Failed to check vault: ${result.error.message}`);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error checking Obsidian vault',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in obsidian_doctor tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
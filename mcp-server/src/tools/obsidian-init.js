@@ -0,0 +1,92 @@
+/**
+ * tools/obsidian-init.js
+ * Tool for initializing Obsidian vault integration
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { obsidianInitDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+import { resolveTag } from '../../../scripts/modules/utils.js';
+
+/**
+ * Register the obsidian_init tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerObsidianInitTool(server) {
+	server.addTool({
+		name: 'obsidian_init',
+		description:
+			'Prepare an Obsidian vault for syncing, like `task-master obsidian-init`: create the task and tag folders of the tag, a TaskMaster-README.md and the .taskmaster-sync.json config.',
+		parameters: z.object({
+			vaultPath: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path or configured name of the Obsidian vault (default: the vault the tag is routed to in .taskmaster/config.json)'
+				),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.'),
+			tag: z.string().optional().describe('Tag context to operate on')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				const resolvedTag = resolveTag({
+					projectRoot: args.projectRoot,
+					tag: args.tag
+				});
+				log.info(
+					`Initializing Obsidian vault with args: ${JSON.stringify(args)}`
+				);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await obsidianInitDirect(
+					{
+						tasksJsonPath,
+						vaultPath: args.vaultPath,
+						projectRoot: args.projectRoot,
+						tag: resolvedTag
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(`Initialized Obsidian vault ${result.data.vaultPath}`);
+				} else {
+					log.error(
+						`Failed to initialize Obsidian vault: ${result.error.message}`
+					);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error initializing Obsidian vault',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in obsidian_init tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
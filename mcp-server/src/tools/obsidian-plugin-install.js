@@ -0,0 +1,90 @@
+/**
+ * tools/obsidian-plugin-install.js
+ * Tool for installing the TaskMaster Obsidian plugin into vaults
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { obsidianPluginInstallDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+import { resolveTag } from '../../../scripts/modules/utils.js';
+
+/**
+ * Register the obsidian_plugin_install tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerObsidianPluginInstallTool(server) {
+	server.addTool({
+		name: 'obsidian_plugin_install',
+		description:
+			'Build the TaskMaster Obsidian plugin and install and enable it in vaults, like `task-master obsidian-plugin-install`. Without vaults it installs to every vault configured in .taskmaster/config.json, or to the vault recorded for the tag. Obsidian must be restarted afterwards.',
+		parameters: z.object({
+			vaults: z
+				.array(z.string())
+				.optional()
+				.describe('Absolute paths or configured names of the vaults'),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.'),
+			tag: z.string().optional().describe('Tag context to operate on')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				const resolvedTag = resolveTag({
+					projectRoot: args.projectRoot,
+					tag: args.tag
+				});
+				log.info(
+					`Installing Obsidian plugin with args: ${JSON.stringify(args)}`
+				);
+
+				// Only needed to find the vault recorded for the tag
+				let tasksJsonPath = null;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.debug(`No tasks.json found: ${error.message}`);
+				}
+
+				const result = await obsidianPluginInstallDirect(
+					{
+						vaults: args.vaults,
+						projectRoot: args.projectRoot,
+						tasksJsonPath,
+						tag: resolvedTag
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(
+						`Installed Obsidian plugin to ${result.data.installed.length} vault(s)`
+					);
+				} else {
+					log.error(
+						`Failed to install Obsidian plugin: ${result.error.message}`
+					);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error installing Obsidian plugin',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in obsidian_plugin_install tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -0,0 +1,94 @@
+/**
+ * tools/obsidian-status.js
+ * Tool for checking the sync status of an Obsidian vault
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { obsidianStatusDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+import { resolveTag } from '../../../scripts/modules/utils.js';
+
+/**
+ * Register the obsidian_status tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerObsidianStatusTool(server) {
+	server.addTool({
+		name: 'obsidian_status',
+		description:
+			'Compare the tasks of a tag with their Obsidian vault without changing anything, like `task-master obsidian-status`: task counts on both sides, conflicting and out-of-sync tasks, unresolved dependency links and whether everything is in sync.',
+		parameters: z.object({
+			vaultPath: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path or configured name of the Obsidian vault (default: the vault the tag is routed to in .taskmaster/config.json)'
+				),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.'),
+			tag: z.string().optional().describe('Tag context to operate on')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				const resolvedTag = resolveTag({
+					projectRoot: args.projectRoot,
+					tag: args.tag
+				});
+				log.info(
+					`Checking Obsidian sync status with args: ${JSON.stringify(args)}`
+				);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await obsidianStatusDirect(
+					{
+						tasksJsonPath,
+						vaultPath: args.vaultPath,
+						projectRoot: args.projectRoot,
+						tag: resolvedTag
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(
+						`Obsidian sync status: ${result.data.conflicts.length} conflicts, ${result.data.outOfSync.length} out of sync`
+					);
+				} else {
+					log.error(
+						`Failed to check Obsidian sync status: ${result.error.message}`
+					);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error checking Obsidian sync status',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in obsidian_status tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
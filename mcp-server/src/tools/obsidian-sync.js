@@ -0,0 +1,118 @@
+/**
+ * tools/obsidian-sync.js
+ * Tool for syncing tasks with an Obsidian vault
+ */
+
+import { z } from 'zod';
+import {
+	handleApiResult,
+	createErrorResponse,
+	withNormalizedProjectRoot
+} from './utils.js';
+import { obsidianSyncDirect } from '../core/task-master-core.js';
+import { findTasksPath } from '../core/utils/path-utils.js';
+import { resolveTag } from '../../../scripts/modules/utils.js';
+import { VAULT_SYNC_DIRECTIONS } from '../../../scripts/modules/config-manager.js';
+import { CONFLICT_STRATEGIES } from '../../../scripts/modules/task-manager/obsidian-merge.js';
+
+/**
+ * Register the obsidian_sync tool with the MCP server
+ * @param {Object} server - FastMCP server instance
+ */
+export function registerObsidianSyncTool(server) {
+	server.addTool({
+		name: 'obsidian_sync',
+		description:
+			'Sync the tasks of a tag with an Obsidian vault, like `task-master obsidian-sync`: read checkbox, frontmatter and dependency edits from the task notes, then write the notes, tag overview and task index. Returns the created, updated and conflicting tasks and any errors.',
+		parameters: z.object({
+			vaultPath: z
+				.string()
+				.optional()
+				.describe(
+					'Absolute path or configured name of the Obsidian vault (default: the vault the tag is routed to in .taskmaster/config.json)'
+				),
+			direction: z
+				.enum(VAULT_SYNC_DIRECTIONS)
+				.optional()
+				.describe(
+					"Sync direction (default: the vault's syncDirection, or bidirectional)"
+				),
+			dryRun: z
+				.boolean()
+				.optional()
+				.describe('Report what would be synced without changing any file'),
+			conflictResolution: z
+				.enum(CONFLICT_STRATEGIES)
+				.optional()
+				.describe(
+					"How to resolve fields changed on both sides (default: the tag's syncSettings.conflictResolution)"
+				),
+			indexJson: z
+				.boolean()
+				.optional()
+				.describe(
+					"Also write the task index as JSON for DataviewJS (default: the tag's syncSettings.indexJson)"
+				),
+			file: z.string().optional().describe('Absolute path to the tasks file'),
+			projectRoot: z
+				.string()
+				.describe('The directory of the project. Must be an absolute path.'),
+			tag: z.string().optional().describe('Tag context to operate on')
+		}),
+		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+			try {
+				const resolvedTag = resolveTag({
+					projectRoot: args.projectRoot,
+					tag: args.tag
+				});
+				log.info(`Syncing with Obsidian with args: ${JSON.stringify(args)}`);
+
+				let tasksJsonPath;
+				try {
+					tasksJsonPath = findTasksPath(
+						{ projectRoot: args.projectRoot, file: args.file },
+						log
+					);
+				} catch (error) {
+					log.error(`Error finding tasks.json: ${error.message}`);
+					return createErrorResponse(
+						`Failed to find tasks.json: ${error.message}`
+					);
+				}
+
+				const result = await obsidianSyncDirect(
+					{
+						tasksJsonPath,
+						vaultPath: args.vaultPath,
+						projectRoot: args.projectRoot,
+						tag: resolvedTag,
+						direction: args.direction,
+						dryRun: args.dryRun,
+						conflictResolution: args.conflictResolution,
+						indexJson: args.indexJson
+					},
+					log
+				);
+
+				if (result.success) {
+					log.info(
+						`Obsidian sync: ${result.data.created} created, ${result.data.updated} updated, ${result.data.conflicts} conflicts`
+					);
+				} else {
+					log.error(`Failed to sync with Obsidian: ${result.error.message}`);
+				}
+
+				return handleApiResult(
+					result,
+					log,
+					'Error syncing with Obsidian',
+					undefined,
+					args.projectRoot
+				);
+			} catch (error) {
+				log.error(`Error in obsidian_sync tool: ${error.message}`);
+				return createErrorResponse(error.message);
+			}
+		})
+	});
+}
@@ -7,9 +7,10 @@ import { z } from 'zod';
 import {
     handleApiResult,
     withNormalizedProjectRoot,
-    createErrorResponse
+    createErrorResponse,
+    startBackgroundOperation
 } from './utils.js';
-import { parseObsidianNotesDirect } from '../core/direct-functions/parse-obsidian-notes.js';
+import { parseObsidianNotesDirect } from '../core/task-master-core.js';
 import {
     TASKMASTER_TASKS_FILE
 } from '../../../src/constants/paths.js';
@@ -18,8 +19,9 @@ import { resolveTag } from '../../../scripts/modules/utils.js';
 /**
  * Register the parse_obsidian_notes tool
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} [asyncManager] - Runs the tool in the background when asked to
  */
-export function registerParseObsidianNotesTool(server) {
+export function registerParseObsidianNotesTool(server, asyncManager) {
     server.addTool({
         name: 'parse_obsidian_notes',
         description: `Extract actionable tasks from Obsidian vault notes using AI analysis. This tool scans markdown files in an Obsidian vault, analyzes their content, and generates structured tasks. It preserves Obsidian-specific elements like [[internal links]] and #tags. Perfect for converting project notes, meeting notes, or brainstorming sessions into actionable task lists.`,
@@ -27,7 +29,8 @@ export function registerParseObsidianNotesTool(server) {
         parameters: z.object({
             vaultPath: z
                 .string()
-                .describe('Absolute path to the Obsidian vault directory'),
+                .optional()
+                .describe('Absolute path to the Obsidian vault directory (default: the vault the tag is routed to in .taskmaster/config.json)'),
             projectRoot: z
                 .string()
                 .describe('The directory of the project. Must be an absolute path.'),
@@ -53,6 +56,14 @@ export function registerParseObsidianNotesTool(server) {
                 .boolean()
                 .optional()
                 .describe('Append extracted tasks to existing file.'),
+            reconcile: z
+                .boolean()
+                .optional()
+                .describe('Compare the extracted tasks with the existing ones (matched by source block reference, then by similarity) and return a diff of new, changed, obsolete and unchanged tasks. Tasks that are in-progress or done are never overwritten.'),
+            acceptAll: z
+                .boolean()
+                .optional()
+                .describe('With reconcile, apply every change in the diff. Without it, the diff is returned and nothing is changed.'),
             research: z
                 .boolean()
                 .optional()
@@ -82,22 +93,63 @@ export function registerParseObsidianNotesTool(server) {
                 .boolean()
                 .optional()
                 .default(false)
-                .describe('Enable automatic synchronization between TaskMaster and Obsidian')
+                .describe('Enable automatic synchronization between TaskMaster and Obsidian'),
+            chunkTokens: z
+                .number()
+                .int()
+                .positive()
+                .optional()
+                .describe('Token budget for the notes sent to the AI in one request; larger vaults are split into chunks whose results are merged (default: 24000)'),
+            folder: z
+                .string()
+                .optional()
+                .describe('Only parse notes in this vault-relative folder and its subfolders (e.g., "Projects/API")'),
+            noteTags: z
+                .array(z.string())
+                .optional()
+                .describe('Only parse notes with at least one of these Obsidian tags; nested tags match too (e.g., ["project"] matches #project/api)'),
+            where: z
+                .string()
+                .optional()
+                .describe('Frontmatter query the notes must match: comma-separated "key: value" or "key != value" conditions (e.g., "type: project, status != done")'),
+            since: z
+                .string()
+                .optional()
+                .describe('Only parse notes modified on or after this date (YYYY-MM-DD or ISO timestamp)'),
+            rootNote: z
+                .string()
+                .optional()
+                .describe('Only parse notes linked to or from this note, by path or name; see hops'),
+            hops: z
+                .number()
+                .int()
+                .min(0)
+                .optional()
+                .describe('Maximum link distance from rootNote (default: 1)'),
+            background: z
+                .boolean()
+                .optional()
+                .describe('Return an operation ID right away and run in the background; follow it with get_operation_status, which reports progress per chunk')
         }),
-        execute: withNormalizedProjectRoot(async (args, { log, session }) => {
+        execute: withNormalizedProjectRoot(async (args, { log, session, reportProgress }) => {
             try {
                 const resolvedTag = resolveTag({
                     projectRoot: args.projectRoot,
                     tag: args.tag
                 });
-                const result = await parseObsidianNotesDirect(
-                    {
-                        ...args,
-                        tag: resolvedTag
-                    },
-                    log,
-                    { session }
-                );
+                const directArgs = { ...args, tag: resolvedTag };
+                if (args.background && asyncManager) {
+                    return startBackgroundOperation(
+                        asyncManager,
+                        'parse_obsidian_notes',
+                        parseObsidianNotesDirect,
+                        directArgs,
+                        log,
+                        { session }
+                    );
+                }
+
+                const result = await parseObsidianNotesDirect(directArgs, log, { session, reportProgress });
                 return handleApiResult(
                     result,
                     log,
@@ -7,7 +7,8 @@ import { z } from 'zod';
 import {
 	handleApiResult,
 	withNormalizedProjectRoot,
-	createErrorResponse
+	createErrorResponse,
+	startBackgroundOperation
 } from './utils.js';
 import { parsePRDDirect } from '../core/task-master-core.js';
 import {
@@ -20,8 +21,9 @@ import { resolveTag } from '../../../scripts/modules/utils.js';
 /**
  * Register the parse_prd tool
  * @param {Object} server - FastMCP server instance
+ * @param {AsyncOperationManager} [asyncManager] - Runs the tool in the background when asked to
  */
-export function registerParsePRDTool(server) {
+export function registerParsePRDTool(server, asyncManager) {
 	server.addTool({
 		name: 'parse_prd',
 		description: `Parse a Product Requirements Document (PRD) text file to automatically generate initial tasks. Reinitializing the project is not necessary to run this tool. It is recommended to run parse-prd after initializing the project and creating/importing a prd.txt file in the project root's ${TASKMASTER_DOCS_DIR} directory.`,
@@ -62,7 +64,13 @@ export function registerParsePRDTool(server) {
 			append: z
 				.boolean()
 				.optional()
-				.describe('Append generated tasks to existing file.')
+				.describe('Append generated tasks to existing file.'),
+			background: z
+				.boolean()
+				.optional()
+				.describe(
+					'Return an operation ID right away and run in the background; follow it with get_operation_status'
+				)
 		}),
 		execute: withNormalizedProjectRoot(async (args, { log, session }) => {
 			try {
@@ -70,14 +78,19 @@ export function registerParsePRDTool(server) {
 					projectRoot: args.projectRoot,
 					tag: args.tag
 				});
-				const result = await parsePRDDirect(
-					{
-						...args,
-						tag: resolvedTag
-					},
-					log,
-					{ session }
-				);
+				const directArgs = { ...args, tag: resolvedTag };
+				if (args.background && asyncManager) {
+					return startBackgroundOperation(
+						asyncManager,
+						'parse_prd',
+						parsePRDDirect,
+						directArgs,
+						log,
+						{ session }
+					);
+				}
+
+				const result = await parsePRDDirect(directArgs, log, { session });
 				return handleApiResult(
 					result,
 					log,
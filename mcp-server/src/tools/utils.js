@@ -778,6 +778,41 @@ function withNormalizedProjectRoot(executeFn) {
 	};
 }
 
+/**
+ * Starts a direct function as a background operation and answers with its ID,
+ * for tools called with `background: true`
+ * @param {AsyncOperationManager} asyncManager - The async operation manager
+ * @param {string} toolName - Name of the tool, recorded with the operation
+ * @param {Function} directFn - Direct function to run
+ * @param {Object} args - Direct function arguments
+ * @param {Object} log - Logger object
+ * @param {Object} [context] - Context passed on to the direct function (session)
+ * @returns {Object} Content response with the operation ID
+ */
+function startBackgroundOperation(
+	asyncManager,
+	toolName,
+	directFn,
+	args,
+	log,
+	context = {}
+) {
+	const operationId = asyncManager.addOperation(
+		toolName,
+		directFn,
+		args,
+		log,
+		context
+	);
+	log.info(`Started ${toolName} as background operation ${operationId}`);
+
+	return createContentResponse({
+		operationId,
+		status: 'pending',
+		message: `${toolName} is running in the background. Call get_operation_status with this operationId for its progress and result, or cancel_operation to stop it.`
+	});
+}
+
 // Ensure all functions are exported
 export {
 	getProjectRoot,
@@ -792,5 +827,6 @@ export {
 	createLogWrapper,
 	normalizeProjectRoot,
 	getRawProjectRootFromSession,
-	withNormalizedProjectRoot
+	withNormalizedProjectRoot,
+	startBackgroundOperation
 };
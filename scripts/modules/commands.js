@@ -20,7 +20,9 @@ import {
 	writeJSON,
 	getCurrentTag,
 	detectCamelCaseFlags,
-	toKebabCase
+	toKebabCase,
+	enableSilentMode,
+	isSilentMode
 } from './utils.js';
 import {
 	parsePRD,
@@ -82,10 +84,31 @@ import {
 	syncTasksFromObsidian,
 	initObsidianSync,
 	validateObsidianVault,
-	getObsidianSyncStatus
+	getObsidianSyncStatus,
+	migrateObsidianAnchors
 } from './task-manager/obsidian-sync.js';
 
 import parseObsidianNotes from './task-manager/parse-obsidian-notes.js';
+import resolveObsidianConflicts, {
+	RESOLVE_CHOICES
+} from './task-manager/obsidian-resolve.js';
+import { watchObsidianSync } from './task-manager/obsidian-watch.js';
+import {
+	exportObsidianCanvas,
+	importObsidianCanvas
+} from './task-manager/obsidian-canvas.js';
+import {
+	configureObsidianJournal,
+	rebuildDailyJournal
+} from './task-manager/obsidian-journal.js';
+import {
+	diagnoseObsidianVault,
+	displayDoctorReport
+} from './task-manager/obsidian-doctor.js';
+import {
+	getConfiguredVaultPaths,
+	resolveObsidianVault
+} from './task-manager/obsidian-vaults.js';
 
 import { CUSTOM_PROVIDERS } from '../../src/constants/providers.js';
 
@@ -102,6 +125,7 @@ import {
 	displayHelp,
 	displayNextTask,
 	displayTaskById,
+	displayTaskSource,
 	displayComplexityReport,
 	getStatusWithColor,
 	confirmTaskOverwrite,
@@ -792,6 +816,43 @@ async function runInteractiveSetup(projectRoot) {
 	// Let the main command flow continue to display results
 }
 
+/**
+ * Resolves the vault of an Obsidian command from --vault (a path or the
+ * name of a configured vault), the vaults config or the tag metadata.
+ * Exits when no vault applies or the vault does not exist.
+ * @param {Object} options - Command options
+ * @param {Object} taskMaster - TaskMaster instance of the command
+ * @param {Object} [settings]
+ * @param {boolean} [settings.required=true] - Exit when no vault applies
+ * @returns {{vaultPath: string, vault: Object|null}} The vault path (undefined
+ *   if not required and none applies) and its config
+ */
+function resolveCommandVault(options, taskMaster, { required = true } = {}) {
+	let resolved;
+	try {
+		resolved = resolveObsidianVault({
+			vault: options.vault,
+			tag: taskMaster.getCurrentTag(),
+			tasksPath: taskMaster.getTasksPath(),
+			projectRoot: taskMaster.getProjectRoot()
+		});
+	} catch (error) {
+		if (!required) {
+			return { vaultPath: undefined, vault: null };
+		}
+		console.error(chalk.red(`Error: ${error.message}`));
+		process.exit(1);
+	}
+
+	if (!fs.existsSync(resolved.vaultPath)) {
+		console.error(
+			chalk.red(`Error: Vault path does not exist: ${resolved.vaultPath}`)
+		);
+		process.exit(1);
+	}
+	return resolved;
+}
+
 /**
  * Configure and register CLI commands
  * @param {Object} program - Commander program instance
@@ -2644,6 +2705,10 @@ ${result.result}
 			'Path to the complexity report file',
 			COMPLEXITY_REPORT_FILE
 		)
+		.option(
+			'--source',
+			'Show the Obsidian note passage the task was extracted from, with an obsidian:// link'
+		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
 		.action(async (taskId, options) => {
 			// Initialize TaskMaster
@@ -2693,6 +2758,12 @@ ${result.result}
 					statusFilter,
 					{ projectRoot: taskMaster.getProjectRoot(), tag }
 				);
+				if (options.source) {
+					displayTaskSource(taskMaster.getTasksPath(), taskIds[0], {
+						projectRoot: taskMaster.getProjectRoot(),
+						tag
+					});
+				}
 			}
 		});
 
@@ -4953,7 +5024,7 @@ Examples:
 		.description('Sync tasks between TaskMaster and Obsidian vault')
 		.option(
 			'-v, --vault <path>',
-			'Path to the Obsidian vault directory (required)'
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
 		)
 		.option(
 			'-f, --file <file>',
@@ -4974,6 +5045,27 @@ Examples:
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
 		.option('--dry-run', 'Show what would be synced without making changes')
+		.option(
+			'--conflict-resolution <strategy>',
+			"How to resolve fields changed on both sides: manual, obsidian_wins or taskmaster_wins (default: the tag's syncSettings.conflictResolution)"
+		)
+		.option(
+			'--index-json',
+			"Also write the task index as JSON for DataviewJS (default: the tag's syncSettings.indexJson)"
+		)
+		.option(
+			'-w, --watch',
+			'Keep running and sync whenever the vault or the tasks file changes'
+		)
+		.option(
+			'--debounce <ms>',
+			'Quiet period in milliseconds before a watch sync runs',
+			'500'
+		)
+		.option(
+			'--force',
+			'With --watch, take over the vault lock held by another watcher'
+		)
 		.addHelpText(
 			'after',
 			`
@@ -4981,7 +5073,8 @@ Examples:
   $ task-master obsidian-sync --vault /path/to/vault --to-obsidian
   $ task-master obsidian-sync --vault /path/to/vault --from-obsidian
   $ task-master obsidian-sync --vault /path/to/vault --bidirectional
-  $ task-master obsidian-sync --vault /path/to/vault --to-obsidian --dry-run`
+  $ task-master obsidian-sync --vault /path/to/vault --to-obsidian --dry-run
+  $ task-master obsidian-sync --vault /path/to/vault --watch`
 		)
 		.action(async (options) => {
 			try {
@@ -4991,46 +5084,42 @@ Examples:
 					tag: options.tag
 				});
 
-				// Validate vault path
-				if (!options.vault) {
-					console.error(
-						chalk.red(
-							'Error: --vault parameter is required. Please provide the path to your Obsidian vault.'
-						)
-					);
-					process.exit(1);
-				}
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
 
-				// Validate sync direction
+				// Validate sync direction; a configured vault supplies the default
 				const syncDirections = [
 					options.toObsidian,
 					options.fromObsidian,
 					options.bidirectional
 				].filter(Boolean);
 
-				if (syncDirections.length === 0) {
+				if (options.watch && (syncDirections.length > 0 || options.dryRun)) {
 					console.error(
 						chalk.red(
-							'Error: Please specify a sync direction: --to-obsidian, --from-obsidian, or --bidirectional'
+							"Error: --watch picks the sync direction from what changed, within the vault's syncDirection, and cannot be combined with a direction or --dry-run."
 						)
 					);
 					process.exit(1);
 				}
 
-				if (syncDirections.length > 1) {
+				if (
+					syncDirections.length === 0 &&
+					!options.watch &&
+					!vault?.syncDirection
+				) {
 					console.error(
 						chalk.red(
-							'Error: Please specify only one sync direction at a time.'
+							'Error: Please specify a sync direction: --to-obsidian, --from-obsidian, or --bidirectional'
 						)
 					);
 					process.exit(1);
 				}
 
-				// Validate vault path exists
-				const vaultPath = path.resolve(options.vault);
-				if (!fs.existsSync(vaultPath)) {
+				if (syncDirections.length > 1) {
 					console.error(
-						chalk.red(`Error: Vault path does not exist: ${vaultPath}`)
+						chalk.red(
+							'Error: Please specify only one sync direction at a time.'
+						)
 					);
 					process.exit(1);
 				}
@@ -5046,34 +5135,115 @@ Examples:
 				console.log(chalk.blue(`Obsidian vault: ${vaultPath}`));
 				console.log(chalk.blue(`Tasks file: ${tasksPath}`));
 
+				if (options.watch) {
+					const debounceMs = parseInt(options.debounce, 10);
+					if (Number.isNaN(debounceMs) || debounceMs < 0) {
+						console.error(
+							chalk.red(`Error: Invalid --debounce value: ${options.debounce}`)
+						);
+						process.exit(1);
+					}
+
+					const formatWatchEvent = (event) => {
+						const time = chalk.gray(event.time.toLocaleTimeString());
+						switch (event.type) {
+							case 'start':
+								return `${time} ${chalk.green('watching')} vault and ${path.basename(event.tasksPath)} ${chalk.gray('(Ctrl+C to stop)')}`;
+							case 'change':
+								return `${time} ${chalk.cyan(event.changeType.padEnd(8))} ${event.file}`;
+							case 'echo':
+								return getDebugFlag()
+									? `${time} ${chalk.gray(`echo     ${event.file}`)}`
+									: null;
+							case 'sync': {
+								const { results } = event;
+								const conflicts =
+									results.conflicts > 0
+										? chalk.yellow(`, ${results.conflicts} conflicts`)
+										: '';
+								return `${time} ${chalk.green('synced  ')} ${event.direction}: ${results.updated} updated, ${results.created} created${conflicts} ${chalk.gray(`(${event.durationMs}ms)`)}`;
+							}
+							case 'error':
+								return `${time} ${chalk.red('error   ')} ${event.message}`;
+							case 'stop':
+								return `${time} ${chalk.green('stopped')}`;
+							default:
+								return null;
+						}
+					};
+
+					let watcher;
+					try {
+						watcher = await watchObsidianSync({
+							vaultPath,
+							tasksPath,
+							tag,
+							projectRoot: taskMaster.getProjectRoot(),
+							conflictResolution: options.conflictResolution,
+							indexJson: options.indexJson,
+							vault,
+							syncDirection: vault?.syncDirection,
+							debounceMs,
+							force: options.force || false,
+							onEvent: (event) => {
+								const line = formatWatchEvent(event);
+								if (line) console.log(line);
+							}
+						});
+					} catch (watchError) {
+						console.error(chalk.red(`❌ ${watchError.message}`));
+						process.exit(1);
+					}
+
+					const stop = async () => {
+						await watcher.close();
+						process.exit(0);
+					};
+					process.once('SIGINT', stop);
+					process.once('SIGTERM', stop);
+					return;
+				}
+
 				if (options.dryRun) {
 					console.log(chalk.yellow('🔍 DRY RUN MODE - No changes will be made'));
 				}
 
+				const direction = options.toObsidian
+					? 'to-obsidian'
+					: options.fromObsidian
+						? 'from-obsidian'
+						: options.bidirectional
+							? 'bidirectional'
+							: vault.syncDirection;
+
 				const syncOptions = {
 					vaultPath,
 					tasksPath,
 					tag,
 					projectRoot: taskMaster.getProjectRoot(),
-					dryRun: options.dryRun || false
+					dryRun: options.dryRun || false,
+					conflictResolution: options.conflictResolution,
+					indexJson: options.indexJson,
+					vault
 				};
 
 				try {
-					if (options.toObsidian) {
+					let fromResult = null;
+					if (direction === 'to-obsidian') {
 						console.log(
 							chalk.blue(
 								'📝 Syncing tasks from TaskMaster to Obsidian...'
 							)
 						);
 						await syncTasksToObsidian(syncOptions);
-					} else if (options.fromObsidian) {
+					} else if (direction === 'from-obsidian') {
 						console.log(
 							chalk.blue(
 								'📖 Syncing tasks from Obsidian to TaskMaster...'
 							)
 						);
-						await syncTasksFromObsidian(syncOptions);
-					} else if (options.bidirectional) {
+						fromResult = await syncTasksFromObsidian(syncOptions);
+					} else if (direction === 'bidirectional') {
 						console.log(
 							chalk.blue(
 								'🔄 Performing bidirectional sync...'
@@ -5083,7 +5253,7 @@ Examples:
 						console.log(
 							chalk.blue('  📖 Step 1: Syncing from Obsidian to TaskMaster...')
 						);
-						await syncTasksFromObsidian(syncOptions);
+						fromResult = await syncTasksFromObsidian(syncOptions);
 						// Then sync to Obsidian to update markdown files
 						console.log(
 							chalk.blue('  📝 Step 2: Syncing from TaskMaster to Obsidian...')
@@ -5093,6 +5263,14 @@ Examples:
 							chalk.green('✅ Bidirectional sync completed!')
 						);
 					}
+
+					if (fromResult && fromResult.conflicts > 0) {
+						console.log(
+							chalk.yellow(
+								`\n⚠️  ${fromResult.conflicts} task(s) changed on both sides. Run ${chalk.cyan('task-master obsidian-resolve')} to resolve them.`
+							)
+						);
+					}
 				} catch (syncError) {
 					console.error(
 						chalk.red(`❌ Sync failed: ${syncError.message}`)
@@ -5116,7 +5294,7 @@ Examples:
 		.description('Initialize Obsidian vault integration')
 		.option(
 			'-v, --vault <path>',
-			'Path to the Obsidian vault directory (required)'
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
 		)
 		.option(
 			'-f, --file <file>',
@@ -5132,23 +5310,7 @@ Examples:
 					tag: options.tag
 				});
 
-				// Validate vault path
-				if (!options.vault) {
-					console.error(
-						chalk.red(
-							'Error: --vault parameter is required. Please provide the path to your Obsidian vault.'
-						)
-					);
-					process.exit(1);
-				}
-
-				const vaultPath = path.resolve(options.vault);
-				if (!fs.existsSync(vaultPath)) {
-					console.error(
-						chalk.red(`Error: Vault path does not exist: ${vaultPath}`)
-					);
-					process.exit(1);
-				}
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
 
 				const tag = taskMaster.getCurrentTag();
 
@@ -5161,7 +5323,8 @@ Examples:
 						vaultPath,
 						tasksPath: taskMaster.getTasksPath(),
 						tag,
-						projectRoot: taskMaster.getProjectRoot()
+						projectRoot: taskMaster.getProjectRoot(),
+						vault
 					});
 					console.log(
 						chalk.green('✅ Obsidian vault integration initialized!')
@@ -5193,7 +5356,7 @@ Examples:
 		.description('Check Obsidian vault synchronization status')
 		.option(
 			'-v, --vault <path>',
-			'Path to the Obsidian vault directory (required)'
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
 		)
 		.option(
 			'-f, --file <file>',
@@ -5209,23 +5372,7 @@ Examples:
 					tag: options.tag
 				});
 
-				// Validate vault path
-				if (!options.vault) {
-					console.error(
-						chalk.red(
-							'Error: --vault parameter is required. Please provide the path to your Obsidian vault.'
-						)
-					);
-					process.exit(1);
-				}
-
-				const vaultPath = path.resolve(options.vault);
-				if (!fs.existsSync(vaultPath)) {
-					console.error(
-						chalk.red(`Error: Vault path does not exist: ${vaultPath}`)
-					);
-					process.exit(1);
-				}
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
 
 				const tag = taskMaster.getCurrentTag();
 
@@ -5238,7 +5385,8 @@ Examples:
 						vaultPath,
 						tasksPath: taskMaster.getTasksPath(),
 						tag,
-						projectRoot: taskMaster.getProjectRoot()
+						projectRoot: taskMaster.getProjectRoot(),
+						vault
 					});
 
 					// Display sync status
@@ -5277,6 +5425,17 @@ Examples:
 									  status.outOfSync
 											.map((s) => `  - ${s}`)
 											.join('\n')
+									: '') +
+								(status.brokenLinks?.length > 0
+									? '\n\n' +
+										chalk.red.bold('🔗 Unresolved Dependency Links:') +
+										'\n' +
+										status.brokenLinks
+											.map(
+												(issue) =>
+													`  - Task ${issue.taskId}: ${issue.link} (${issue.reason === 'ambiguous' ? `matches tasks ${issue.matches.join(', ')}` : 'no such task'})`
+											)
+											.join('\n')
 									: ''),
 							{
 								padding: 1,
@@ -5295,7 +5454,7 @@ Examples:
 					if (status.conflicts.length > 0) {
 						console.log(
 							chalk.yellow(
-								'\n💡 Tip: Resolve conflicts manually, then run sync again.'
+								'\n💡 Tip: Run `task-master obsidian-resolve` to resolve conflicts, then run sync again.'
 							)
 						);
 					} else if (status.outOfSync.length > 0) {
@@ -5304,6 +5463,12 @@ Examples:
 								'\n💡 Tip: Run `task-master obsidian-sync --vault <path> --bidirectional` to sync.'
 							)
 						);
+					} else if (status.brokenLinks?.length > 0) {
+						console.log(
+							chalk.red(
+								'\n💡 Tip: Point each dependency link at a task note (e.g. [[task-003-...]]); dependencies stay unchanged until then.'
+							)
+						);
 					} else {
 						console.log(
 							chalk.green(
@@ -5332,124 +5497,720 @@ Examples:
 			}
 		});
 
-	// parse-obsidian-notes command
+	// obsidian-resolve command
 	programInstance
-		.command('parse-obsidian-notes')
-		.description('Extract actionable tasks from Obsidian vault notes using AI analysis')
-		.option(
-			'-v, --vault <path>',
-			'Path to the Obsidian vault directory (required)'
-		)
-		.option(
-			'-o, --output <file>',
-			'Output file path for tasks.json'
-		)
-		.option(
-			'-n, --num-tasks <number>',
-			'Approximate number of tasks to extract (default: auto-detect based on content complexity)'
-		)
-		.option(
-			'-f, --force',
-			'Overwrite existing output file without prompting'
+		.command('obsidian-resolve')
+		.description(
+			'Resolve tasks whose fields were changed both in TaskMaster and in Obsidian'
 		)
 		.option(
-			'--append',
-			'Append extracted tasks to existing file'
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
 		)
 		.option(
-			'-r, --research',
-			'Use research mode for enhanced AI analysis (requires Perplexity API key)'
+			'-i, --id <ids>',
+			'Comma-separated task IDs to resolve (default: all conflicted tasks)'
 		)
 		.option(
-			'--preserve-links',
-			'Preserve Obsidian [[internal links]] in task content (default: true)',
-			true
+			'-s, --strategy <strategy>',
+			`Resolve without prompting: ${RESOLVE_CHOICES.join(', ')}`
 		)
-		.option(
-			'--include-tags',
-			'Extract and include Obsidian #tags in tasks (default: true)',
-			true
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.addHelpText(
+			'after',
+			`
+Examples:
+  $ task-master obsidian-resolve
+  $ task-master obsidian-resolve --id 3,7 --strategy obsidian
+  $ task-master obsidian-resolve --strategy merged`
 		)
-		.option(
-			'--exclude-patterns <patterns>',
-			'Comma-separated glob patterns for files/folders to exclude from analysis (e.g., "**/Archive/**,**/Templates/**")'
+		.action(async (options) => {
+			try {
+				// Initialize TaskMaster
+				const taskMaster = initTaskMaster({
+					tasksPath: options.file || true,
+					tag: options.tag
+				});
+
+				const tag = taskMaster.getCurrentTag();
+				displayCurrentTagIndicator(tag);
+
+				let ids;
+				if (options.id) {
+					ids = options.id.split(',').map((id) => parseInt(id.trim(), 10));
+					if (ids.some((id) => Number.isNaN(id))) {
+						console.error(chalk.red(`Error: Invalid task IDs: ${options.id}`));
+						process.exit(1);
+					}
+				}
+
+				const summary = await resolveObsidianConflicts(
+					taskMaster.getTasksPath(),
+					{
+						tag,
+						projectRoot: taskMaster.getProjectRoot(),
+						ids,
+						strategy: options.strategy
+					}
+				);
+
+				if (summary.resolved.length === 0 && summary.skipped.length === 0) {
+					console.log(chalk.green('✅ No sync conflicts to resolve.'));
+					return;
+				}
+
+				console.log(
+					chalk.green(
+						`✅ Resolved ${summary.resolved.length} task(s)` +
+							(summary.skipped.length > 0
+								? `, skipped ${summary.skipped.length}`
+								: '')
+					)
+				);
+				if (summary.resolved.length > 0) {
+					console.log(
+						chalk.blue(
+							'💡 Run `task-master obsidian-sync --vault <path> --to-obsidian` to write the resolved values to the vault.'
+						)
+					);
+				}
+			} catch (error) {
+				console.error(
+					chalk.red(`Error resolving sync conflicts: ${error.message}`)
+				);
+				if (getDebugFlag()) {
+					console.error(error);
+				}
+				process.exit(1);
+			}
+		});
+
+	// obsidian-migrate-anchors command
+	programInstance
+		.command('obsidian-migrate-anchors')
+		.description(
+			'Backfill task-id anchors (^tm-<id>) into checkbox lines of an existing vault'
 		)
 		.option(
-			'--sync-after-parse',
-			'Automatically sync extracted tasks back to Obsidian vault as markdown files (default: true)',
-			true
+			'-v, --vault <path>',
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
 		)
 		.option(
-			'--auto-sync',
-			'Enable automatic synchronization between TaskMaster and Obsidian'
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
 		)
 		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--dry-run', 'Show which lines would be anchored without changes')
 		.addHelpText(
 			'after',
 			`
 Examples:
-  $ task-master parse-obsidian-notes --vault /path/to/vault
-  $ task-master parse-obsidian-notes --vault /path/to/vault --num-tasks 20
-  $ task-master parse-obsidian-notes --vault /path/to/vault --research --force
-  $ task-master parse-obsidian-notes --vault /path/to/vault --exclude-patterns "**/Archive/**,**/Templates/**"
-  $ task-master parse-obsidian-notes --vault /path/to/vault --append --tag feature-branch`
+  $ task-master obsidian-migrate-anchors --vault /path/to/vault --dry-run
+  $ task-master obsidian-migrate-anchors --vault /path/to/vault`
 		)
 		.action(async (options) => {
 			try {
-				// Validate required vault path
-				if (!options.vault) {
-					console.error(
-						chalk.red(
-							'Error: --vault parameter is required. Please provide the path to your Obsidian vault.'
-						)
-					);
-					process.exit(1);
-				}
-
 				// Initialize TaskMaster
 				const taskMaster = initTaskMaster({
-					tasksPath: options.output || true,
+					tasksPath: options.file || true,
 					tag: options.tag
 				});
 
-				const vaultPath = path.resolve(options.vault);
-				const tag = taskMaster.getCurrentTag();
-				const tasksPath = taskMaster.getTasksPath();
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
 
-				// Validate vault path exists
-				if (!fs.existsSync(vaultPath)) {
-					console.error(
-						chalk.red(`Error: Vault path does not exist: ${vaultPath}`)
-					);
-					process.exit(1);
-				}
+				const tag = taskMaster.getCurrentTag();
 
 				// Show current context
 				displayCurrentTagIndicator(tag);
 				console.log(chalk.blue(`Obsidian vault: ${vaultPath}`));
-				console.log(chalk.blue(`Output tasks file: ${tasksPath}`));
 
-				// Process exclude patterns
-				let excludePatterns = undefined;
-				if (options.excludePatterns) {
-					excludePatterns = options.excludePatterns.split(',').map(p => p.trim());
-					console.log(chalk.blue(`Excluding patterns: ${excludePatterns.join(', ')}`));
+				if (options.dryRun) {
+					console.log(chalk.yellow('🔍 DRY RUN MODE - No changes will be made'));
 				}
 
-				// Parse numTasks
-				let numTasks = 0; // 0 = auto-detect
-				if (options.numTasks) {
-					numTasks = parseInt(options.numTasks, 10);
-					if (Number.isNaN(numTasks) || numTasks < 0) {
-						console.error(
-							chalk.red(`Error: Invalid number of tasks: ${options.numTasks}`)
-						);
-						process.exit(1);
-					}
-					console.log(chalk.blue(`Target tasks: ${numTasks}`));
-				} else {
-					console.log(chalk.blue('Target tasks: Auto-detect based on content'));
-				}
+				try {
+					const result = await migrateObsidianAnchors({
+						vaultPath,
+						tasksPath: taskMaster.getTasksPath(),
+						tag,
+						projectRoot: taskMaster.getProjectRoot(),
+						dryRun: options.dryRun || false,
+						vault
+					});
+
+					const needsReview = [...result.ambiguous, ...result.unmatched];
+					console.log(
+						boxen(
+							chalk.white.bold('⚓ Task Anchor Migration') +
+								'\n\n' +
+								chalk.white(
+									`${options.dryRun ? 'Would anchor' : 'Anchored'}: ${result.anchored}`
+								) +
+								'\n' +
+								chalk.white(`Already anchored: ${result.alreadyAnchored}`) +
+								(needsReview.length > 0
+									? '\n\n' +
+										chalk.yellow.bold('⚠️  Left untouched:') +
+										'\n' +
+										needsReview.map((line) => `  - ${line}`).join('\n')
+									: ''),
+							{
+								padding: 1,
+								borderColor: needsReview.length > 0 ? 'yellow' : 'green',
+								borderStyle: 'round'
+							}
+						)
+					);
+				} catch (migrateError) {
+					console.error(
+						chalk.red(`❌ Anchor migration failed: ${migrateError.message}`)
+					);
+					if (getDebugFlag()) {
+						console.error(migrateError);
+					}
+					process.exit(1);
+				}
+			} catch (error) {
+				console.error(
+					chalk.red(`Error in obsidian-migrate-anchors: ${error.message}`)
+				);
+				process.exit(1);
+			}
+		});
+
+	// obsidian-canvas-import command
+	programInstance
+		.command('obsidian-canvas-import')
+		.description(
+			'Import an Obsidian Canvas as tasks: text and note nodes become tasks, edges become dependencies'
+		)
+		.option(
+			'-v, --vault <path>',
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
+		)
+		.option(
+			'--canvas <file>',
+			'Canvas file, absolute or relative to the vault (required)'
+		)
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.option('--dry-run', 'Show what would be imported without changes')
+		.addHelpText(
+			'after',
+			`
+An edge from node A to node B makes B depend on A. Nodes exported by
+obsidian-canvas-export map back to their tasks, and nodes imported before
+are updated instead of added again.
+
+Examples:
+  $ task-master obsidian-canvas-import --vault /path/to/vault --canvas Planning/Q3.canvas
+  $ task-master obsidian-canvas-import --vault /path/to/vault --canvas Planning/Q3.canvas --dry-run`
+		)
+		.action(async (options) => {
+			try {
+				const taskMaster = initTaskMaster({
+					tasksPath: options.file || true,
+					tag: options.tag
+				});
+
+				if (!options.canvas) {
+					console.error(chalk.red('Error: --canvas parameter is required.'));
+					process.exit(1);
+				}
+
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
+
+				const tag = taskMaster.getCurrentTag();
+				displayCurrentTagIndicator(tag);
+				if (options.dryRun) {
+					console.log(chalk.yellow('🔍 DRY RUN MODE - No changes will be made'));
+				}
+
+				const result = await importObsidianCanvas(taskMaster.getTasksPath(), {
+					vaultPath,
+					canvasPath: options.canvas,
+					tag,
+					projectRoot: taskMaster.getProjectRoot(),
+					dryRun: options.dryRun || false,
+					vault
+				});
+
+				console.log(
+					boxen(
+						chalk.white.bold('🗺️  Canvas Import') +
+							'\n\n' +
+							chalk.white(`Tasks added: ${result.added}`) +
+							'\n' +
+							chalk.white(`Tasks updated: ${result.updated}`) +
+							'\n' +
+							chalk.white(`Dependencies added: ${result.dependencies}`) +
+							(result.skippedEdges.length > 0
+								? '\n\n' +
+									chalk.yellow.bold('⚠️  Skipped edges:') +
+									'\n' +
+									result.skippedEdges
+										.map((edge) => `  - ${edge.from} → ${edge.to}: ${edge.reason}`)
+										.join('\n')
+								: ''),
+						{
+							padding: 1,
+							borderColor: result.skippedEdges.length > 0 ? 'yellow' : 'green',
+							borderStyle: 'round'
+						}
+					)
+				);
+			} catch (error) {
+				console.error(
+					chalk.red(`Error in obsidian-canvas-import: ${error.message}`)
+				);
+				if (getDebugFlag()) {
+					console.error(error);
+				}
+				process.exit(1);
+			}
+		});
+
+	// obsidian-canvas-export command
+	programInstance
+		.command('obsidian-canvas-export')
+		.description(
+			"Export a tag's tasks as an Obsidian Canvas laid out by dependency depth and colored by status"
+		)
+		.option(
+			'-v, --vault <path>',
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
+		)
+		.option(
+			'--canvas <file>',
+			'Canvas file, absolute or relative to the vault (default: Canvas/<tag>.canvas)'
+		)
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.addHelpText(
+			'after',
+			`
+Re-exporting keeps the position and size of task nodes you moved, and
+the nodes and edges you added yourself.
+
+Examples:
+  $ task-master obsidian-canvas-export --vault /path/to/vault
+  $ task-master obsidian-canvas-export --vault /path/to/vault --tag feature-xyz --canvas Planning/xyz.canvas`
+		)
+		.action(async (options) => {
+			try {
+				const taskMaster = initTaskMaster({
+					tasksPath: options.file || true,
+					tag: options.tag
+				});
+
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
+
+				const tag = taskMaster.getCurrentTag();
+				displayCurrentTagIndicator(tag);
+
+				const result = await exportObsidianCanvas(taskMaster.getTasksPath(), {
+					vaultPath,
+					canvasPath: options.canvas,
+					tag,
+					projectRoot: taskMaster.getProjectRoot(),
+					vault
+				});
+
+				console.log(
+					boxen(
+						chalk.white.bold('🗺️  Canvas Export') +
+							'\n\n' +
+							chalk.white(`Canvas: ${result.canvasPath}`) +
+							'\n' +
+							chalk.white(`Task nodes: ${result.nodes} (${result.kept} kept in place)`) +
+							'\n' +
+							chalk.white(`Dependency edges: ${result.edges}`),
+						{ padding: 1, borderColor: 'green', borderStyle: 'round' }
+					)
+				);
+			} catch (error) {
+				console.error(
+					chalk.red(`Error in obsidian-canvas-export: ${error.message}`)
+				);
+				if (getDebugFlag()) {
+					console.error(error);
+				}
+				process.exit(1);
+			}
+		});
+
+	// obsidian-journal command
+	programInstance
+		.command('obsidian-journal')
+		.description(
+			"Log task activity into the vault's daily notes, or rebuild a day's log from history"
+		)
+		.option(
+			'-v, --vault <path>',
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json, or the one linked by a sync)'
+		)
+		.option(
+			'--date <date>',
+			'Day to rebuild, YYYY-MM-DD (default: today)'
+		)
+		.option('--enable', 'Start logging task activity of the tag into daily notes')
+		.option('--disable', 'Stop logging task activity of the tag')
+		.option(
+			'--heading <heading>',
+			'Heading the entries are written under (default: ## Task Master)'
+		)
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.addHelpText(
+			'after',
+			`
+Once enabled, created, started and completed tasks and subtask notes from
+update-subtask are appended to the daily note, whose folder and date format
+come from .obsidian/daily-notes.json. Without --enable or --disable, the
+journal section of the given day is rebuilt from the recorded history.
+
+Examples:
+  $ task-master obsidian-journal --vault /path/to/vault --enable
+  $ task-master obsidian-journal --enable --heading "## Work log"
+  $ task-master obsidian-journal --date 2025-03-04`
+		)
+		.action(async (options) => {
+			try {
+				const taskMaster = initTaskMaster({
+					tasksPath: options.file || true,
+					tag: options.tag
+				});
+
+				if (options.enable && options.disable) {
+					console.error(
+						chalk.red('Error: --enable and --disable cannot be used together.')
+					);
+					process.exit(1);
+				}
+
+				const { vaultPath } = resolveCommandVault(options, taskMaster, {
+					required: false
+				});
+
+				const tag = taskMaster.getCurrentTag();
+				displayCurrentTagIndicator(tag);
+
+				if (options.enable || options.disable) {
+					const settings = configureObsidianJournal(
+						taskMaster.getTasksPath(),
+						{
+							enabled: !!options.enable,
+							tag,
+							projectRoot: taskMaster.getProjectRoot(),
+							heading: options.heading,
+							vaultPath
+						}
+					);
+					console.log(
+						settings.enabled
+							? chalk.green(
+									`✅ Logging task activity of tag "${tag}" under "${settings.heading}" in ${settings.vaultPath}`
+								)
+							: chalk.yellow(`Daily note logging disabled for tag "${tag}"`)
+					);
+					if (!options.date) {
+						return;
+					}
+				}
+
+				const result = rebuildDailyJournal(taskMaster.getTasksPath(), {
+					projectRoot: taskMaster.getProjectRoot(),
+					tag,
+					vaultPath,
+					date: options.date
+				});
+
+				console.log(
+					boxen(
+						chalk.white.bold('📓 Daily Note Journal') +
+							'\n\n' +
+							chalk.white(`Note: ${result.notePath}`) +
+							'\n' +
+							chalk.white(`Entries: ${result.entries}`),
+						{ padding: 1, borderColor: 'green', borderStyle: 'round' }
+					)
+				);
+			} catch (error) {
+				console.error(
+					chalk.red(`Error in obsidian-journal: ${error.message}`)
+				);
+				if (getDebugFlag()) {
+					console.error(error);
+				}
+				process.exit(1);
+			}
+		});
+
+	// obsidian-doctor command
+	programInstance
+		.command('obsidian-doctor')
+		.description(
+			'Check the vault for orphaned task notes, missing sources, duplicate task IDs, broken task links and sync conflicts'
+		)
+		.option(
+			'-v, --vault <path>',
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
+		)
+		.option('--fix', 'Apply the fix listed for each finding')
+		.option(
+			'--strategy <strategy>',
+			`How --fix resolves sync conflicts: ${RESOLVE_CHOICES.join(', ')}`,
+			'merged'
+		)
+		.option('--json', 'Print the report as JSON (for CI)')
+		.option(
+			'-f, --file <file>',
+			'Path to the tasks file',
+			TASKMASTER_TASKS_FILE
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.addHelpText(
+			'after',
+			`
+Exits with code 1 while findings remain unfixed, so it can gate CI.
+
+Examples:
+  $ task-master obsidian-doctor --vault /path/to/vault
+  $ task-master obsidian-doctor --vault /path/to/vault --fix
+  $ task-master obsidian-doctor --vault /path/to/vault --json > vault-report.json`
+		)
+		.action(async (options) => {
+			try {
+				if (options.json) {
+					enableSilentMode();
+				}
+				const taskMaster = initTaskMaster({
+					tasksPath: options.file || true,
+					tag: options.tag
+				});
+
+				const { vaultPath, vault } = resolveCommandVault(options, taskMaster);
+
+				const tag = taskMaster.getCurrentTag();
+				if (!options.json) {
+					displayCurrentTagIndicator(tag);
+				}
+
+				const report = await diagnoseObsidianVault({
+					vaultPath,
+					tasksPath: taskMaster.getTasksPath(),
+					tag,
+					projectRoot: taskMaster.getProjectRoot(),
+					fix: options.fix || false,
+					strategy: options.strategy,
+					vault
+				});
+
+				if (options.json) {
+					console.log(JSON.stringify(report, null, 2));
+				} else {
+					displayDoctorReport(report, { fix: options.fix });
+				}
+				if (!report.healthy) {
+					process.exit(1);
+				}
+			} catch (error) {
+				console.error(
+					chalk.red(`Error in obsidian-doctor: ${error.message}`)
+				);
+				if (getDebugFlag()) {
+					console.error(error);
+				}
+				process.exit(1);
+			}
+		});
+
+	// parse-obsidian-notes command
+	programInstance
+		.command('parse-obsidian-notes')
+		.description('Extract actionable tasks from Obsidian vault notes using AI analysis')
+		.option(
+			'-v, --vault <path>',
+			'Path or configured name of the Obsidian vault (default: the vault of the tag in .taskmaster/config.json)'
+		)
+		.option(
+			'-o, --output <file>',
+			'Output file path for tasks.json'
+		)
+		.option(
+			'-n, --num-tasks <number>',
+			'Approximate number of tasks to extract (default: auto-detect based on content complexity)'
+		)
+		.option(
+			'-f, --force',
+			'Overwrite existing output file without prompting'
+		)
+		.option(
+			'--append',
+			'Append extracted tasks to existing file'
+		)
+		.option(
+			'--reconcile',
+			'Compare extracted tasks with the existing ones and review new, changed and obsolete tasks (in-progress and done tasks are never overwritten)'
+		)
+		.option(
+			'--accept-all',
+			'With --reconcile, apply every change without prompting'
+		)
+		.option(
+			'-r, --research',
+			'Use research mode for enhanced AI analysis (requires Perplexity API key)'
+		)
+		.option(
+			'--preserve-links',
+			'Preserve Obsidian [[internal links]] in task content (default: true)',
+			true
+		)
+		.option(
+			'--include-tags',
+			'Extract and include Obsidian #tags in tasks (default: true)',
+			true
+		)
+		.option(
+			'--exclude-patterns <patterns>',
+			'Comma-separated glob patterns for files/folders to exclude from analysis (e.g., "**/Archive/**,**/Templates/**")'
+		)
+		.option(
+			'--sync-after-parse',
+			'Automatically sync extracted tasks back to Obsidian vault as markdown files (default: true)',
+			true
+		)
+		.option(
+			'--auto-sync',
+			'Enable automatic synchronization between TaskMaster and Obsidian'
+		)
+		.option(
+			'--chunk-tokens <number>',
+			'Token budget for the notes sent to the AI in one request; larger vaults are split into chunks (default: 24000)'
+		)
+		.option(
+			'--folder <path>',
+			'Only parse notes in this vault folder and its subfolders'
+		)
+		.option(
+			'--note-tag <tags>',
+			'Only parse notes with one of these comma-separated Obsidian tags (nested tags match too)'
+		)
+		.option(
+			'--where <query>',
+			'Only parse notes whose frontmatter matches, e.g. "type: project, status != done"'
+		)
+		.option(
+			'--since <date>',
+			'Only parse notes modified on or after this date (YYYY-MM-DD or ISO timestamp)'
+		)
+		.option(
+			'--root-note <note>',
+			'Only parse notes linked to or from this note (path or name), see --hops'
+		)
+		.option(
+			'--hops <number>',
+			'Maximum link distance from --root-note (default: 1)'
+		)
+		.option('--tag <tag>', 'Specify tag context for task operations')
+		.addHelpText(
+			'after',
+			`
+Examples:
+  $ task-master parse-obsidian-notes --vault /path/to/vault
+  $ task-master parse-obsidian-notes --vault /path/to/vault --num-tasks 20
+  $ task-master parse-obsidian-notes --vault /path/to/vault --research --force
+  $ task-master parse-obsidian-notes --vault /path/to/vault --exclude-patterns "**/Archive/**,**/Templates/**"
+  $ task-master parse-obsidian-notes --vault /path/to/vault --folder Projects/API --where "status != done"
+  $ task-master parse-obsidian-notes --vault /path/to/vault --note-tag project --since 2024-06-01
+  $ task-master parse-obsidian-notes --vault /path/to/vault --root-note "Roadmap" --hops 2
+  $ task-master parse-obsidian-notes --vault /path/to/vault --reconcile
+  $ task-master parse-obsidian-notes --vault /path/to/vault --append --tag feature-branch`
+		)
+		.action(async (options) => {
+			try {
+				// Initialize TaskMaster
+				const taskMaster = initTaskMaster({
+					tasksPath: options.output || true,
+					tag: options.tag
+				});
+
+				const { vaultPath } = resolveCommandVault(options, taskMaster);
+				const tag = taskMaster.getCurrentTag();
+				const tasksPath = taskMaster.getTasksPath();
+
+				// Show current context
+				displayCurrentTagIndicator(tag);
+				console.log(chalk.blue(`Obsidian vault: ${vaultPath}`));
+				console.log(chalk.blue(`Output tasks file: ${tasksPath}`));
+
+				// Process exclude patterns
+				let excludePatterns = undefined;
+				if (options.excludePatterns) {
+					excludePatterns = options.excludePatterns.split(',').map(p => p.trim());
+					console.log(chalk.blue(`Excluding patterns: ${excludePatterns.join(', ')}`));
+				}
+
+				// Parse numTasks
+				let numTasks = 0; // 0 = auto-detect
+				if (options.numTasks) {
+					numTasks = parseInt(options.numTasks, 10);
+					if (Number.isNaN(numTasks) || numTasks < 0) {
+						console.error(
+							chalk.red(`Error: Invalid number of tasks: ${options.numTasks}`)
+						);
+						process.exit(1);
+					}
+					console.log(chalk.blue(`Target tasks: ${numTasks}`));
+				} else {
+					console.log(chalk.blue('Target tasks: Auto-detect based on content'));
+				}
+
+				let chunkTokens = undefined;
+				if (options.chunkTokens) {
+					chunkTokens = parseInt(options.chunkTokens, 10);
+					if (Number.isNaN(chunkTokens) || chunkTokens <= 0) {
+						console.error(
+							chalk.red(`Error: Invalid chunk token budget: ${options.chunkTokens}`)
+						);
+						process.exit(1);
+					}
+				}
+
+				const filters = {
+					folder: options.folder,
+					tag: options.noteTag,
+					frontmatter: options.where,
+					since: options.since,
+					root: options.rootNote
+				};
+				if (options.hops !== undefined) {
+					filters.hops = parseInt(options.hops, 10);
+					if (Number.isNaN(filters.hops) || filters.hops < 0) {
+						console.error(
+							chalk.red(`Error: Invalid number of link hops: ${options.hops}`)
+						);
+						process.exit(1);
+					}
+					if (!options.rootNote) {
+						console.error(chalk.red('Error: --hops requires --root-note'));
+						process.exit(1);
+					}
+				}
 
 				if (options.research) {
 					console.log(
@@ -5461,6 +6222,16 @@ Examples:
 					console.log(chalk.blue('Append mode: Adding to existing tasks'));
 				}
 
+				if (options.acceptAll && !options.reconcile) {
+					console.error(chalk.red('Error: --accept-all requires --reconcile'));
+					process.exit(1);
+				}
+				if (options.reconcile) {
+					console.log(
+						chalk.blue('Reconcile mode: Reviewing changes against existing tasks')
+					);
+				}
+
 				if (options.force) {
 					console.log(chalk.blue('Force mode: Overwriting without confirmation'));
 				}
@@ -5481,6 +6252,10 @@ Examples:
 							excludePatterns,
 							syncAfterParse: options.syncAfterParse !== false,
 							autoSync: options.autoSync || false,
+							chunkTokens,
+							filters,
+							reconcile: options.reconcile || false,
+							acceptAll: options.acceptAll || false,
 							commandName: 'parse-obsidian-notes',
 							outputType: 'cli'
 						}
@@ -5541,7 +6316,7 @@ Examples:
 		.description('Install TaskMaster Obsidian plugin to your vaults')
 		.option(
 			'-v, --vault <path>',
-			'Path to specific Obsidian vault (can be used multiple times)',
+			'Path or configured name of an Obsidian vault (can be used multiple times)',
 			(value, previous) => previous ? previous.concat(value) : [value],
 			[]
 		)
@@ -5593,9 +6368,12 @@ Examples:
 					
 					// Determine vault paths
 					let vaultPaths = [];
+					const configuredVaults = getConfiguredVaultPaths();
 					if (options.vault && options.vault.length > 0) {
-						// Use specified vault paths
-						vaultPaths = options.vault.map(v => path.resolve(v));
+						// Use specified vault paths or configured vault names
+						vaultPaths = options.vault.map(
+							(v) => resolveObsidianVault({ vault: v }).vaultPath
+						);
 						
 						// Validate vault paths
 						for (const vaultPath of vaultPaths) {
@@ -5619,6 +6397,9 @@ Examples:
 					} else if (options.autoDiscover) {
 						// Let installer auto-discover but don't prompt
 						vaultPaths = null;
+					} else if (configuredVaults.length > 0) {
+						// Install to the vaults of the config
+						vaultPaths = configuredVaults;
 					} else {
 						// Interactive mode - let installer handle discovery and selection
 						vaultPaths = null;
@@ -5845,6 +6626,12 @@ async function runCLI(argv = process.argv) {
 			process.exit(0);
 		}
 
+		// Machine-readable output (obsidian-doctor --json) keeps stdout to the
+		// report; config warnings are also logged while the commands register
+		if (argv.includes('--json')) {
+			enableSilentMode();
+		}
+
 		// Start the update check in the background - don't await yet
 		const updateCheckPromise = checkForUpdate();
 
@@ -5856,7 +6643,8 @@ async function runCLI(argv = process.argv) {
 
 		// After command execution, check if an update is available
 		const updateInfo = await updateCheckPromise;
-		if (updateInfo.needsUpdate) {
+		// Skip the notice when a command writes machine-readable output (e.g. --json)
+		if (updateInfo.needsUpdate && !isSilentMode()) {
 			displayUpgradeNotification(
 				updateInfo.currentVersion,
 				updateInfo.latestVersion
@@ -1,4 +1,5 @@
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
@@ -74,9 +75,13 @@ const DEFAULTS = {
 		bedrockBaseURL: 'https://bedrock.us-east-1.amazonaws.com',
 		responseLanguage: 'English'
 	},
-	claudeCode: {}
+	claudeCode: {},
+	vaults: {}
 };
 
+// Sync directions a vault can default to, as accepted by obsidian-sync
+const VAULT_SYNC_DIRECTIONS = ['bidirectional', 'to-obsidian', 'from-obsidian'];
+
 // --- Internal Config Loading ---
 let loadedConfig = null;
 let loadedConfigRoot = null; // Track which root loaded the config
@@ -149,7 +154,8 @@ function _loadAndValidateConfig(explicitRoot = null) {
 							: { ...defaults.models.fallback }
 				},
 				global: { ...defaults.global, ...parsedConfig?.global },
-				claudeCode: { ...defaults.claudeCode, ...parsedConfig?.claudeCode }
+				claudeCode: { ...defaults.claudeCode, ...parsedConfig?.claudeCode },
+				vaults: { ...defaults.vaults, ...parsedConfig?.vaults }
 			};
 			configSource = `file (${configPath})`; // Update source info
 
@@ -195,6 +201,9 @@ function _loadAndValidateConfig(explicitRoot = null) {
 			if (config.claudeCode && !isEmpty(config.claudeCode)) {
 				config.claudeCode = validateClaudeCodeSettings(config.claudeCode);
 			}
+			if (!isEmpty(config.vaults)) {
+				config.vaults = validateVaultsConfig(config.vaults);
+			}
 		} catch (error) {
 			// Use console.error for actual errors during parsing
 			console.error(
@@ -372,6 +381,66 @@ function validateClaudeCodeSettings(settings) {
 	return validatedSettings;
 }
 
+/**
+ * Validates the named Obsidian vaults of the config. Invalid vaults are
+ * dropped with a warning so the others stay usable.
+ * @param {object} vaults Vault settings keyed by vault name
+ * @returns {object} The valid vaults
+ */
+function validateVaultsConfig(vaults) {
+	const VaultSchema = z.object({
+		root: z.string().min(1),
+		taskFolder: z.string().min(1).optional(),
+		filenameTemplate: z.string().min(1).optional(),
+		syncDirection: z.enum(VAULT_SYNC_DIRECTIONS).optional(),
+		tags: z.array(z.string()).optional(),
+		default: z.boolean().optional()
+	});
+
+	const validatedVaults = {};
+	const routedTags = new Map();
+	let defaultVault = null;
+
+	for (const [name, vault] of Object.entries(vaults || {})) {
+		const result = VaultSchema.safeParse(vault);
+		if (!result.success) {
+			console.warn(
+				chalk.yellow(
+					`Warning: Invalid settings for vault "${name}" in config: ${result.error.message}. The vault will be ignored.`
+				)
+			);
+			continue;
+		}
+
+		for (const tag of result.data.tags || []) {
+			if (routedTags.has(tag)) {
+				console.warn(
+					chalk.yellow(
+						`Warning: Tag "${tag}" is routed to both vault "${routedTags.get(tag)}" and vault "${name}". Using "${routedTags.get(tag)}".`
+					)
+				);
+			} else {
+				routedTags.set(tag, name);
+			}
+		}
+		if (result.data.default) {
+			if (defaultVault) {
+				console.warn(
+					chalk.yellow(
+						`Warning: Vaults "${defaultVault}" and "${name}" are both marked as default. Using "${defaultVault}".`
+					)
+				);
+			} else {
+				defaultVault = name;
+			}
+		}
+
+		validatedVaults[name] = result.data;
+	}
+
+	return validatedVaults;
+}
+
 // --- Claude Code Settings Getters ---
 
 function getClaudeCodeSettings(explicitRoot = null, forceReload = false) {
@@ -542,6 +611,55 @@ function getResponseLanguage(explicitRoot = null) {
 	return getGlobalConfig(explicitRoot).responseLanguage;
 }
 
+// --- Obsidian Vault Getters ---
+
+function getVaultsConfig(explicitRoot = null) {
+	const config = getConfig(explicitRoot);
+	return { ...DEFAULTS.vaults, ...(config?.vaults || {}) };
+}
+
+/**
+ * Gets a named vault from configuration, with its root resolved against the
+ * project root (`~` is the home directory)
+ * @param {string} name - Vault name
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {{name: string, root: string, taskFolder?: string, filenameTemplate?: string, syncDirection: string, tags: string[], default?: boolean}|null}
+ *   The vault, or null if no vault has that name
+ */
+function getVaultConfig(name, explicitRoot = null) {
+	const vaults = getVaultsConfig(explicitRoot);
+	if (!name || !Object.hasOwn(vaults, name)) {
+		return null;
+	}
+
+	const vault = vaults[name];
+	const projectRoot = explicitRoot || findProjectRoot() || process.cwd();
+	const root = vault.root.replace(/^~(?=$|[\\/])/, os.homedir());
+	return {
+		syncDirection: 'bidirectional',
+		tags: [],
+		...vault,
+		name,
+		root: path.resolve(projectRoot, root)
+	};
+}
+
+/**
+ * Gets the vault a tag is routed to: the vault listing the tag, else the
+ * default vault, else the only configured vault
+ * @param {string} tag - Tag name
+ * @param {string|null} explicitRoot - Optional explicit path to the project root.
+ * @returns {object|null} The vault as returned by getVaultConfig, or null if none applies
+ */
+function getVaultForTag(tag, explicitRoot = null) {
+	const vaults = Object.entries(getVaultsConfig(explicitRoot));
+	const [name] =
+		vaults.find(([, vault]) => vault.tags?.includes(tag)) ||
+		vaults.find(([, vault]) => vault.default) ||
+		(vaults.length === 1 ? vaults[0] : []);
+	return name ? getVaultConfig(name, explicitRoot) : null;
+}
+
 /**
  * Gets model parameters (maxTokens, temperature) for a specific role,
  * considering model-specific overrides from supported-models.json.
@@ -953,6 +1071,7 @@ export {
 	validateProvider,
 	validateProviderModelCombination,
 	validateClaudeCodeSettings,
+	validateVaultsConfig,
 	VALIDATED_PROVIDERS,
 	CUSTOM_PROVIDERS,
 	ALL_PROVIDERS,
@@ -985,6 +1104,11 @@ export {
 	getResponseLanguage,
 	getParametersForRole,
 	getUserId,
+	// Obsidian vault getters
+	getVaultsConfig,
+	getVaultConfig,
+	getVaultForTag,
+	VAULT_SYNC_DIRECTIONS,
 	// API Key Checkers (still relevant)
 	isApiKeySet,
 	getMcpApiKeyStatus,
@@ -9,10 +9,16 @@ import addFormats from 'ajv-formats';
  * Manages prompt templates for AI interactions
  */
 export class PromptManager {
-	constructor() {
+	/**
+	 * @param {Object} [options]
+	 * @param {string} [options.promptsDir] - Directory to load the templates
+	 *   from instead of src/prompts, e.g. a project's .taskmaster/prompts
+	 */
+	constructor(options = {}) {
 		const __filename = fileURLToPath(import.meta.url);
 		const __dirname = path.dirname(__filename);
-		this.promptsDir = path.join(__dirname, '..', '..', 'src', 'prompts');
+		this.builtinPromptsDir = path.join(__dirname, '..', '..', 'src', 'prompts');
+		this.promptsDir = options.promptsDir || this.builtinPromptsDir;
 		this.cache = new Map();
 		this.setupValidation();
 	}
@@ -28,7 +34,7 @@ export class PromptManager {
 		try {
 			// Load schema from src/prompts/schemas
 			const schemaPath = path.join(
-				this.promptsDir,
+				this.builtinPromptsDir,
 				'schemas',
 				'prompt-template.schema.json'
 			);
@@ -29,6 +29,7 @@ import { getDefaultPriority } from '../config-manager.js';
 import { getPromptManager } from '../prompt-manager.js';
 import ContextGatherer from '../utils/contextGatherer.js';
 import generateTaskFiles from './generate-task-files.js';
+import { recordTaskActivity } from './obsidian-journal.js';
 import {
 	TASK_PRIORITY_OPTIONS,
 	DEFAULT_TASK_PRIORITY,
@@ -559,6 +560,12 @@ async function addTask(
 		writeJSON(tasksPath, rawData, projectRoot, targetTag);
 		report('DEBUG: tasks.json written.', 'debug');
 
+		recordTaskActivity(rawData[targetTag], {
+			tag: targetTag,
+			projectRoot,
+			events: [{ type: 'created', taskId: newTask.id, title: newTask.title }]
+		});
+
 		// Show success message - only for text output (CLI)
 		if (outputFormat === 'text') {
 			const table = new Table({
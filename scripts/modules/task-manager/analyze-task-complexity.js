@@ -82,9 +82,10 @@ Do not include any explanatory text, markdown formatting, or code block markers
  * @param {Object} [context.session] - Session object from MCP server (optional)
  * @param {Object} [context.mcpLog] - MCP logger object (optional)
  * @param {function} [context.reportProgress] - Deprecated: Function to report progress (ignored)
+ * @param {AbortSignal} [context.signal] - Once aborted, the report is not written
  */
 async function analyzeTaskComplexity(options, context = {}) {
-	const { session, mcpLog } = context;
+	const { session, mcpLog, signal } = context;
 	const tasksPath = options.file || LEGACY_TASKS_FILE;
 	const thresholdScore = parseFloat(options.threshold || '5');
 	const useResearch = options.research || false;
@@ -589,6 +590,7 @@ async function analyzeTaskComplexity(options, context = {}) {
 				},
 				complexityAnalysis: finalComplexityAnalysis
 			};
+			signal?.throwIfAborted();
 			reportLog(`Writing complexity report to ${outputPath}...`, 'info');
 			fs.writeFileSync(outputPath, JSON.stringify(report, null, '\t'), 'utf8');
 
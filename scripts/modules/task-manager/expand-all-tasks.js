@@ -23,6 +23,8 @@ import boxen from 'boxen';
  * @param {string} [context.projectRoot] - Project root path
  * @param {string} [context.tag] - Tag for the task
  * @param {string} [context.complexityReportPath] - Path to the complexity report file
+ * @param {function} [context.reportProgress] - Receives { progress, total } after each task
+ * @param {AbortSignal} [context.signal] - Once aborted, no further task is expanded
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json'). MCP calls should use 'json'.
  * @returns {Promise<{success: boolean, expandedCount: number, failedCount: number, skippedCount: number, tasksToExpand: number, telemetryData: Array<Object>}>} - Result summary.
  */
@@ -40,7 +42,9 @@ async function expandAllTasks(
 		mcpLog,
 		projectRoot: providedProjectRoot,
 		tag,
-		complexityReportPath
+		complexityReportPath,
+		reportProgress,
+		signal
 	} = context;
 	const isMCPCall = !!mcpLog; // Determine if called from MCP
 
@@ -118,7 +122,13 @@ async function expandAllTasks(
 		}
 
 		// Iterate over the already filtered tasks
-		for (const task of tasksToExpand) {
+		for (const [index, task] of tasksToExpand.entries()) {
+			if (signal?.aborted) {
+				logger.warn(
+					`Expansion cancelled after ${index} of ${tasksToExpandCount} tasks.`
+				);
+				break;
+			}
 			// Start indicator for individual task expansion in CLI mode
 			let taskIndicator = null;
 			if (!isMCPCall && outputFormat === 'text') {
@@ -164,6 +174,10 @@ async function expandAllTasks(
 				logger.error(`Failed to expand task ${task.id}: ${error.message}`);
 				// Continue to the next task
 			}
+			await reportProgress?.({
+				progress: index + 1,
+				total: tasksToExpandCount
+			});
 		}
 
 		// --- AGGREGATION AND DISPLAY ---
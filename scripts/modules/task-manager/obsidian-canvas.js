@@ -0,0 +1,426 @@
+/**
+ * obsidian-canvas.js
+ * Import and export of Obsidian Canvas files (JSON Canvas) as task graphs.
+ * Text and Markdown file nodes are tasks and an edge from A to B means B
+ * depends on A. Exported task nodes get stable `tm-<id>` node IDs, so a
+ * later export keeps where the user moved them and an import maps them back
+ * to the same tasks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { log, readJSON, writeJSON } from '../utils.js';
+import { isCircularDependency } from '../dependency-manager.js';
+import { getDefaultPriority } from '../config-manager.js';
+import { DEFAULT_TASK_PRIORITY } from '../../../src/constants/task-priority.js';
+import {
+	DEFAULT_NOTE_LAYOUT,
+	getTagCanvasPath,
+	getTagNotesDir,
+	getTaskNoteId,
+	getTaskNotePath,
+	loadVaultLayout
+} from './obsidian-layout.js';
+
+const TASK_NODE_ID_REGEX = /^tm-(\d+)$/;
+
+const NODE_WIDTH = 360;
+const NODE_HEIGHT = 200;
+const COLUMN_GAP = 120;
+const ROW_GAP = 60;
+
+/**
+ * Canvas preset colors by task status (1 red, 3 yellow, 4 green, 5 cyan,
+ * 6 purple); statuses without one use the default node color
+ */
+export const STATUS_CANVAS_COLORS = {
+	'in-progress': '3',
+	review: '5',
+	done: '4',
+	blocked: '1',
+	deferred: '6'
+};
+
+/**
+ * Reads the tasks of a Canvas graph into a tag. Text nodes and Markdown file
+ * nodes become tasks (nodes exported by Task Master map back to their task),
+ * edges become dependencies. Nodes imported before are matched by canvas and
+ * node ID and updated instead of added again; an edge that would close a
+ * dependency cycle is skipped.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options
+ * @param {string} options.vaultPath - Path to the Obsidian vault
+ * @param {string} options.canvasPath - Canvas file, absolute or vault-relative
+ * @param {string} [options.tag] - Tag context
+ * @param {string} [options.projectRoot] - Project root path
+ * @param {boolean} [options.dryRun=false] - Report without writing tasks.json
+ * @returns {Promise<{added: number, updated: number, dependencies: number, skippedEdges: Array<{from: string, to: string, reason: string}>}>}
+ */
+export async function importObsidianCanvas(tasksPath, options = {}) {
+	const { vaultPath, tag, projectRoot, dryRun = false } = options;
+	const canvasFile = resolveCanvasPath(vaultPath, options.canvasPath);
+	const canvas = readCanvas(canvasFile);
+	const canvasRef = path
+		.relative(vaultPath, canvasFile)
+		.split(path.sep)
+		.join('/');
+
+	const data = readJSON(tasksPath, projectRoot, tag) || { tasks: [] };
+	data.tasks = data.tasks || [];
+	const result = canvasToTasks(canvas, data.tasks, {
+		canvasRef,
+		tag,
+		layout: loadVaultLayout(vaultPath, options),
+		defaultPriority: getDefaultPriority(projectRoot) || DEFAULT_TASK_PRIORITY
+	});
+
+	for (const edge of result.skippedEdges) {
+		log(
+			'warn',
+			`Skipped canvas edge ${edge.from} → ${edge.to}: ${edge.reason}`
+		);
+	}
+	if (!dryRun && (result.added || result.updated || result.dependencies)) {
+		writeJSON(tasksPath, data, projectRoot, tag);
+	}
+	log(
+		'success',
+		`Canvas ${canvasRef}: ${result.added} tasks added, ${result.updated} updated, ${result.dependencies} dependencies`
+	);
+	return result;
+}
+
+/**
+ * Writes a tag's tasks as a Canvas laid out by dependency depth (one column
+ * per level) and colored by status. Task nodes link the task notes when they
+ * exist. When the canvas exists, task nodes keep their position and size,
+ * and nodes and edges the user added are left alone.
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options
+ * @param {string} options.vaultPath - Path to the Obsidian vault
+ * @param {string} [options.canvasPath] - Canvas file, absolute or vault-relative (default `Canvas/<tag>.canvas`)
+ * @param {string} [options.tag] - Tag context
+ * @param {string} [options.projectRoot] - Project root path
+ * @returns {Promise<{canvasPath: string, nodes: number, edges: number, kept: number}>}
+ *   Written file, task nodes and edges, and task nodes that kept a hand-set position
+ */
+export async function exportObsidianCanvas(tasksPath, options = {}) {
+	const { vaultPath, tag = 'master', projectRoot } = options;
+	const canvasFile = resolveCanvasPath(
+		vaultPath,
+		options.canvasPath || getTagCanvasPath(tag)
+	);
+
+	const data = readJSON(tasksPath, projectRoot, tag);
+	if (!data || !data.tasks) {
+		throw new Error(`No valid tasks found in ${tasksPath}`);
+	}
+
+	const existing = fs.existsSync(canvasFile) ? readCanvas(canvasFile) : null;
+	const layout = loadVaultLayout(vaultPath, options);
+	const canvas = tasksToCanvas(data.tasks, {
+		existing,
+		taskNotePath: (task) => {
+			const notePath = getTaskNotePath(tag, task, layout);
+			return fs.existsSync(path.join(vaultPath, notePath)) ? notePath : null;
+		}
+	});
+
+	fs.mkdirSync(path.dirname(canvasFile), { recursive: true });
+	fs.writeFileSync(
+		canvasFile,
+		`${JSON.stringify(canvas, null, '\t')}\n`,
+		'utf8'
+	);
+
+	const taskNodes = canvas.nodes.filter((node) =>
+		TASK_NODE_ID_REGEX.test(node.id)
+	);
+	const kept = taskNodes.filter((node) =>
+		existing?.nodes?.some((old) => old.id === node.id)
+	).length;
+	log('success', `Exported ${taskNodes.length} tasks to ${canvasFile}`);
+	return {
+		canvasPath: canvasFile,
+		nodes: taskNodes.length,
+		edges: canvas.edges.filter((edge) => edge.id.startsWith('tm-')).length,
+		kept
+	};
+}
+
+/**
+ * Adds or updates the tasks of a Canvas graph in a task list
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} canvas - Parsed Canvas
+ * @param {Array<Object>} tasks - Tasks of the tag; updated in place
+ * @param {Object} options
+ * @param {string} options.canvasRef - Vault-relative canvas path, recorded on imported tasks
+ * @param {string} [options.tag] - Tag whose task notes map back to tasks
+ * @param {Object} [options.layout] - Note layout of the vault, naming the task notes
+ * @param {string} [options.defaultPriority] - Priority of new tasks
+ * @returns {{added: number, updated: number, dependencies: number, skippedEdges: Array<{from: string, to: string, reason: string}>}}
+ */
+export function canvasToTasks(
+	canvas,
+	tasks,
+	{
+		canvasRef,
+		tag = 'master',
+		layout = DEFAULT_NOTE_LAYOUT,
+		defaultPriority = DEFAULT_TASK_PRIORITY
+	}
+) {
+	const summary = { added: 0, updated: 0, dependencies: 0, skippedEdges: [] };
+	const nodeTasks = new Map();
+	let nextId = Math.max(0, ...tasks.map((task) => task.id || 0)) + 1;
+
+	for (const node of canvas.nodes || []) {
+		const taskId = taskIdOfNode(node, tag, layout);
+		if (taskId !== null) {
+			// Task Master's own nodes only carry their task into the graph
+			const task = tasks.find((candidate) => candidate.id === taskId);
+			if (task) nodeTasks.set(node.id, task);
+			continue;
+		}
+
+		const fields = nodeToTaskFields(node);
+		if (!fields) continue;
+		const existing = tasks.find(
+			(task) =>
+				task.canvasNode?.canvas === canvasRef &&
+				task.canvasNode.node === node.id
+		);
+		if (existing) {
+			if (
+				Object.entries(fields).some(([key, value]) => existing[key] !== value)
+			) {
+				Object.assign(existing, fields);
+				summary.updated++;
+			}
+			nodeTasks.set(node.id, existing);
+			continue;
+		}
+		const task = {
+			id: nextId++,
+			...fields,
+			status: 'pending',
+			priority: defaultPriority,
+			dependencies: [],
+			subtasks: [],
+			canvasNode: { canvas: canvasRef, node: node.id }
+		};
+		tasks.push(task);
+		nodeTasks.set(node.id, task);
+		summary.added++;
+	}
+
+	for (const edge of canvas.edges || []) {
+		// The arrow points at the dependent task; reversed arrows are honored
+		const reversed = edge.fromEnd === 'arrow' && edge.toEnd === 'none';
+		const from = nodeTasks.get(reversed ? edge.toNode : edge.fromNode);
+		const to = nodeTasks.get(reversed ? edge.fromNode : edge.toNode);
+		if (!from || !to) continue;
+
+		const skip = (reason) =>
+			summary.skippedEdges.push({
+				from: String(from.id),
+				to: String(to.id),
+				reason
+			});
+		to.dependencies = to.dependencies || [];
+		if (from === to) {
+			skip('a task cannot depend on itself');
+		} else if (to.dependencies.includes(from.id)) {
+			continue;
+		} else if (isCircularDependency(tasks, from.id, [to.id])) {
+			skip('it would create a circular dependency');
+		} else {
+			to.dependencies.push(from.id);
+			summary.dependencies++;
+		}
+	}
+
+	return summary;
+}
+
+/**
+ * Lays out tasks as a Canvas graph, merged into an existing canvas
+ * @param {Array<Object>} tasks - Tasks of the tag
+ * @param {Object} [options]
+ * @param {{nodes: Array<Object>, edges: Array<Object>}|null} [options.existing] - Canvas written before
+ * @param {function(Object): string|null} [options.taskNotePath] - Vault-relative note of a task, if any
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} Canvas content
+ */
+export function tasksToCanvas(
+	tasks,
+	{ existing = null, taskNotePath = () => null } = {}
+) {
+	const oldNodes = new Map(
+		(existing?.nodes || []).map((node) => [node.id, node])
+	);
+	const taskIds = new Set(tasks.map((task) => task.id));
+	const userNodes = (existing?.nodes || []).filter(
+		(node) => !TASK_NODE_ID_REGEX.test(node.id)
+	);
+	const keptNodes = tasks.filter((task) => oldNodes.has(`tm-${task.id}`));
+
+	// New nodes go below everything already on the canvas
+	const placed = [
+		...userNodes,
+		...keptNodes.map((task) => oldNodes.get(`tm-${task.id}`))
+	];
+	const offsetY = placed.length
+		? Math.max(...placed.map((node) => node.y + node.height)) + ROW_GAP * 2
+		: 0;
+
+	const depths = dependencyDepths(tasks);
+	const rows = new Map();
+	const nodes = [...tasks]
+		.sort((a, b) => depths.get(a.id) - depths.get(b.id) || a.id - b.id)
+		.map((task) => {
+			const old = oldNodes.get(`tm-${task.id}`);
+			const depth = depths.get(task.id);
+			const row = rows.get(depth) || 0;
+			rows.set(depth, row + 1);
+			const notePath = taskNotePath(task);
+			const node = {
+				id: `tm-${task.id}`,
+				...(notePath
+					? { type: 'file', file: notePath }
+					: { type: 'text', text: formatTaskText(task) }),
+				x: old ? old.x : depth * (NODE_WIDTH + COLUMN_GAP),
+				y: old ? old.y : offsetY + row * (NODE_HEIGHT + ROW_GAP),
+				width: old ? old.width : NODE_WIDTH,
+				height: old ? old.height : NODE_HEIGHT
+			};
+			if (STATUS_CANVAS_COLORS[task.status]) {
+				node.color = STATUS_CANVAS_COLORS[task.status];
+			}
+			return node;
+		});
+
+	const edges = tasks.flatMap((task) =>
+		(task.dependencies || [])
+			.filter((depId) => taskIds.has(depId))
+			.map((depId) => ({
+				id: `tm-${depId}-${task.id}`,
+				fromNode: `tm-${depId}`,
+				fromSide: 'right',
+				toNode: `tm-${task.id}`,
+				toSide: 'left'
+			}))
+	);
+	const userEdges = (existing?.edges || []).filter(
+		(edge) =>
+			!edge.id?.startsWith('tm-') &&
+			!(
+				TASK_NODE_ID_REGEX.test(edge.fromNode) &&
+				TASK_NODE_ID_REGEX.test(edge.toNode)
+			)
+	);
+
+	return { nodes: [...userNodes, ...nodes], edges: [...userEdges, ...edges] };
+}
+
+/**
+ * Longest chain of dependencies below each task, within the given tasks
+ * @param {Array<Object>} tasks - Tasks of the tag
+ * @returns {Map<number, number>} Depth by task ID, 0 for tasks without dependencies
+ */
+export function dependencyDepths(tasks) {
+	const byId = new Map(tasks.map((task) => [task.id, task]));
+	const depths = new Map();
+	const visit = (task, visiting) => {
+		if (depths.has(task.id)) return depths.get(task.id);
+		if (visiting.has(task.id)) return 0;
+		visiting.add(task.id);
+		const depth = Math.max(
+			0,
+			...(task.dependencies || [])
+				.filter((depId) => byId.has(depId))
+				.map((depId) => visit(byId.get(depId), visiting) + 1)
+		);
+		visiting.delete(task.id);
+		depths.set(task.id, depth);
+		return depth;
+	};
+	for (const task of tasks) visit(task, new Set());
+	return depths;
+}
+
+function resolveCanvasPath(vaultPath, canvasPath) {
+	if (!canvasPath) {
+		throw new Error('A canvas file is required');
+	}
+	const file = path.isAbsolute(canvasPath)
+		? canvasPath
+		: path.join(vaultPath, canvasPath);
+	return file.endsWith('.canvas') ? file : `${file}.canvas`;
+}
+
+function readCanvas(canvasFile) {
+	if (!fs.existsSync(canvasFile)) {
+		throw new Error(`Canvas file not found: ${canvasFile}`);
+	}
+	try {
+		const canvas = JSON.parse(fs.readFileSync(canvasFile, 'utf8') || '{}');
+		return { nodes: canvas.nodes || [], edges: canvas.edges || [] };
+	} catch (error) {
+		throw new Error(`Invalid canvas file ${canvasFile}: ${error.message}`);
+	}
+}
+
+/**
+ * ID of the task a node stands for: an exported `tm-<id>` node or a file
+ * node showing a task note of the tag
+ */
+function taskIdOfNode(node, tag, layout) {
+	const nodeMatch = TASK_NODE_ID_REGEX.exec(node.id);
+	if (nodeMatch) return Number(nodeMatch[1]);
+	if (
+		node.type === 'file' &&
+		node.file?.startsWith(`${getTagNotesDir(tag, layout)}/`) &&
+		node.file.endsWith('.md')
+	) {
+		return getTaskNoteId(node.file, layout);
+	}
+	return null;
+}
+
+/**
+ * Task fields of a text or Markdown file node; null for other nodes
+ * (groups, links, images)
+ */
+function nodeToTaskFields(node) {
+	if (node.type === 'text') {
+		const [first = '', ...rest] = (node.text || '').trim().split('\n');
+		const title = first
+			.replace(/^#{1,6}\s+/, '')
+			.replace(/^\s*[-*+]\s+(?:\[.\]\s+)?/, '')
+			.replace(/^\*\*(.*)\*\*$/, '$1')
+			.trim();
+		if (!title) return null;
+		const body = rest.join('\n').trim();
+		return { title, description: body || title, details: body };
+	}
+	if (node.type === 'file' && node.file?.endsWith('.md')) {
+		const name = path.posix.basename(node.file, '.md');
+		return {
+			title: name,
+			description: `See [[${node.file.replace(/\.md$/, '')}|${name}]]`,
+			details: '',
+			sourceFile: node.file
+		};
+	}
+	return null;
+}
+
+function formatTaskText(task) {
+	return [
+		`**#${task.id} ${task.title}**`,
+		task.description || '',
+		`_${task.status || 'pending'} · ${task.priority || DEFAULT_TASK_PRIORITY}_`
+	]
+		.filter(Boolean)
+		.join('\n\n');
+}
@@ -0,0 +1,269 @@
+/**
+ * obsidian-chunks.js
+ * Map-reduce support for parse-obsidian-notes. Scanned notes are grouped by
+ * link cluster and folder and packed into token-budgeted chunks, each sent
+ * to the model on its own; the per-chunk results are then merged into one
+ * task list with duplicates folded together and global IDs.
+ */
+
+import path from 'path';
+
+/**
+ * Default token budget for the notes content of one chunk, leaving room in
+ * the model's context for the prompt and the generated tasks
+ */
+export const DEFAULT_CHUNK_TOKENS = 24000;
+
+const PRIORITY_ORDER = ['low', 'medium', 'high'];
+
+/**
+ * Groups notes that link to each other, directly or through other notes.
+ * Clusters are ordered by the folder of their first note, so notes of the
+ * same folder stay close together.
+ * @param {Array<{path: string, links: Array<string>}>} sections - Scanned notes
+ * @returns {Array<Array<Object>>} Clusters of notes, each sorted by path
+ */
+export function clusterNotes(sections) {
+	const byName = new Map();
+	for (const section of sections) {
+		const name = noteName(section.path);
+		if (!byName.has(name)) byName.set(name, []);
+		byName.get(name).push(section);
+	}
+
+	const parent = new Map(sections.map((section) => [section, section]));
+	const find = (section) => {
+		while (parent.get(section) !== section) {
+			parent.set(section, parent.get(parent.get(section)));
+			section = parent.get(section);
+		}
+		return section;
+	};
+
+	for (const section of sections) {
+		for (const link of section.links || []) {
+			const target = link
+				.replace(/^\[\[|\]\]$/g, '')
+				.split('|')[0]
+				.split('#')[0];
+			for (const linked of byName.get(noteName(target)) || []) {
+				parent.set(find(linked), find(section));
+			}
+		}
+	}
+
+	const clusters = new Map();
+	for (const section of sections) {
+		const root = find(section);
+		if (!clusters.has(root)) clusters.set(root, []);
+		clusters.get(root).push(section);
+	}
+	return [...clusters.values()]
+		.map((cluster) => cluster.sort((a, b) => a.path.localeCompare(b.path)))
+		.sort((a, b) => a[0].path.localeCompare(b[0].path));
+}
+
+/**
+ * Packs notes into chunks of at most `maxTokens` tokens. A link cluster that
+ * fits in a chunk is never split across two; a note larger than the budget
+ * is split at paragraph boundaries into numbered parts.
+ * @param {Array<{path: string, links: Array<string>, header: string, body: string}>} sections
+ *   Scanned notes: the file header written before each note in the prompt, and its body
+ * @param {Object} options
+ * @param {number} [options.maxTokens=DEFAULT_CHUNK_TOKENS] - Token budget per chunk
+ * @param {function(string): number} options.countTokens - Token counter
+ * @returns {Array<{files: Array<string>, content: string, tokens: number}>} Chunks in prompt order
+ */
+export function buildNoteChunks(
+	sections,
+	{ maxTokens = DEFAULT_CHUNK_TOKENS, countTokens }
+) {
+	const chunks = [];
+	let current = { files: [], content: '', tokens: 0 };
+	const flush = () => {
+		if (current.content) chunks.push(current);
+		current = { files: [], content: '', tokens: 0 };
+	};
+
+	for (const cluster of clusterNotes(sections)) {
+		const pieces = cluster.flatMap((section) =>
+			splitSection(section, maxTokens, countTokens)
+		);
+		const clusterTokens = pieces.reduce((sum, piece) => sum + piece.tokens, 0);
+		if (
+			current.tokens + clusterTokens > maxTokens &&
+			clusterTokens <= maxTokens
+		) {
+			flush();
+		}
+		for (const piece of pieces) {
+			if (current.tokens + piece.tokens > maxTokens) {
+				flush();
+			}
+			current.content += piece.text;
+			current.tokens += piece.tokens;
+			if (!current.files.includes(piece.path)) {
+				current.files.push(piece.path);
+			}
+		}
+	}
+	flush();
+	return chunks;
+}
+
+/**
+ * Splits a task target across chunks in proportion to their tokens, using
+ * the largest remainder method so the shares add up to exactly `numTasks`.
+ * A chunk too small for a whole task gets a share of 0.
+ * @param {number} numTasks - Total number of tasks to extract
+ * @param {Array<{tokens: number}>} chunks - Chunks in prompt order
+ * @returns {Array<number>} Number of tasks for each chunk
+ */
+export function splitTaskBudget(numTasks, chunks) {
+	const totalTokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+	if (numTasks <= 0 || totalTokens <= 0) {
+		return chunks.map(() => 0);
+	}
+
+	const quotas = chunks.map((chunk) => (numTasks * chunk.tokens) / totalTokens);
+	const shares = quotas.map(Math.floor);
+	let remaining = numTasks - shares.reduce((sum, share) => sum + share, 0);
+	// Stable sort, so equal remainders favor the earlier chunk
+	const byRemainder = quotas
+		.map((quota, index) => ({ index, remainder: quota - shares[index] }))
+		.sort((a, b) => b.remainder - a.remainder);
+	for (const { index } of byRemainder) {
+		if (remaining === 0) break;
+		shares[index]++;
+		remaining--;
+	}
+	return shares;
+}
+
+/**
+ * Merges the tasks extracted from each chunk. Tasks with the same title are
+ * folded into the first one (tags, links and dependencies are unioned, the
+ * longer text and the higher priority kept), then every task gets a global
+ * ID and its chunk-local dependency IDs are remapped. Dependencies on tasks
+ * the model did not return, and on the task itself, are dropped.
+ * @param {Array<Array<Object>>} chunkTasks - Tasks returned for each chunk, with chunk-local IDs
+ * @param {Object} [options]
+ * @param {number} [options.nextId=1] - First global ID
+ * @returns {{tasks: Array<Object>, duplicates: number}} Merged tasks and the number of duplicates folded
+ */
+export function mergeChunkResults(chunkTasks, { nextId = 1 } = {}) {
+	const tasks = [];
+	const byTitle = new Map();
+	const idMap = new Map();
+	let duplicates = 0;
+
+	chunkTasks.forEach((chunk, chunkIndex) => {
+		for (const task of chunk) {
+			const key = normalizeTitle(task.title);
+			const existing = byTitle.get(key);
+			if (existing) {
+				foldTask(existing.task, task);
+				existing.sources.push({ chunkIndex, task });
+				idMap.set(`${chunkIndex}:${task.id}`, existing.task.id);
+				duplicates++;
+				continue;
+			}
+			const merged = {
+				...task,
+				id: nextId + tasks.length,
+				obsidianTags: [...(task.obsidianTags || [])],
+				linkedNotes: [...(task.linkedNotes || [])]
+			};
+			tasks.push(merged);
+			byTitle.set(key, { task: merged, sources: [{ chunkIndex, task }] });
+			idMap.set(`${chunkIndex}:${task.id}`, merged.id);
+		}
+	});
+
+	for (const { task, sources } of byTitle.values()) {
+		const dependencies = new Set();
+		for (const { chunkIndex, task: source } of sources) {
+			for (const depId of source.dependencies || []) {
+				const globalId = idMap.get(`${chunkIndex}:${depId}`);
+				if (globalId !== undefined && globalId !== task.id) {
+					dependencies.add(globalId);
+				}
+			}
+		}
+		task.dependencies = [...dependencies].sort((a, b) => a - b);
+	}
+
+	return { tasks, duplicates };
+}
+
+function noteName(notePath) {
+	return path.posix.basename(notePath.trim(), '.md').toLowerCase();
+}
+
+function normalizeTitle(title) {
+	return String(title || '')
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, ' ')
+		.trim();
+}
+
+function foldTask(target, task) {
+	for (const field of ['description', 'details', 'testStrategy']) {
+		if ((task[field] || '').length > (target[field] || '').length) {
+			target[field] = task[field];
+		}
+	}
+	if (
+		PRIORITY_ORDER.indexOf(task.priority) >
+		PRIORITY_ORDER.indexOf(target.priority)
+	) {
+		target.priority = task.priority;
+	}
+	target.obsidianTags = [
+		...new Set([...target.obsidianTags, ...(task.obsidianTags || [])])
+	];
+	target.linkedNotes = [
+		...new Set([...target.linkedNotes, ...(task.linkedNotes || [])])
+	];
+}
+
+/**
+ * Splits a note that exceeds the budget into parts at paragraph boundaries,
+ * each with its own numbered file header
+ */
+function splitSection(section, maxTokens, countTokens) {
+	const text = section.header + section.body;
+	const tokens = countTokens(text);
+	if (tokens <= maxTokens) {
+		return [{ path: section.path, text, tokens }];
+	}
+
+	const headerTokens = countTokens(section.header);
+	const bodies = [];
+	let body = '';
+	let bodyTokens = 0;
+	for (const paragraph of section.body.split(/(?<=\n\n)/)) {
+		const paragraphTokens = countTokens(paragraph);
+		if (body && headerTokens + bodyTokens + paragraphTokens > maxTokens) {
+			bodies.push(body);
+			body = '';
+			bodyTokens = 0;
+		}
+		body += paragraph;
+		bodyTokens += paragraphTokens;
+	}
+	bodies.push(body);
+
+	const marker = `--- FILE: ${section.path} ---`;
+	return bodies.map((partBody, index) => {
+		const header = section.header.replace(
+			marker,
+			`--- FILE: ${section.path} (part ${index + 1}/${bodies.length}) ---`
+		);
+		return {
+			path: section.path,
+			text: header + partBody,
+			tokens: countTokens(header + partBody)
+		};
+	});
+}
@@ -0,0 +1,237 @@
+/**
+ * obsidian-dataview.js
+ * Dataview index of a tag's tasks. Each sync writes one index note per tag
+ * whose frontmatter lists every task with the same keys and real types
+ * (numbers, booleans, ISO dates, note links), a dashboard of ready-made
+ * queries over the index notes and, optionally, a JSON cache for
+ * DataviewJS.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { formatFrontmatter } from './obsidian-frontmatter.js';
+import {
+	DASHBOARD_PATH,
+	DEFAULT_NOTE_LAYOUT,
+	INDEX_DIR,
+	getTaskIndexPath,
+	getTaskNotePath
+} from './obsidian-layout.js';
+import { TASK_PRIORITY_OPTIONS } from '../../../src/constants/task-priority.js';
+
+/**
+ * Sort rank of each priority (high 3, medium 2, low 1), highest first in
+ * the dashboard
+ */
+export const PRIORITY_RANKS = Object.fromEntries(
+	TASK_PRIORITY_OPTIONS.map((priority, index) => [
+		priority,
+		TASK_PRIORITY_OPTIONS.length - index
+	])
+);
+
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const CLOSED_STATUSES = ['done', 'cancelled'];
+
+/**
+ * Describes each task of a tag with the fixed, typed schema of the index
+ * @param {string} tag - Tag name
+ * @param {Array<Object>} tasks - Tasks of the tag
+ * @param {Object} [layout] - Note layout of the vault, for the note links
+ * @returns {Array<Object>} One entry per task; every key is always present,
+ *   null when the task has no value
+ */
+export function buildTaskIndexEntries(
+	tag,
+	tasks,
+	layout = DEFAULT_NOTE_LAYOUT
+) {
+	const statusById = new Map(tasks.map((task) => [task.id, task.status]));
+	return tasks.map((task) => {
+		const dependencies = (task.dependencies || []).map(toId);
+		const subtasks = task.subtasks || [];
+		const waitingOn = dependencies.filter(
+			(depId) => statusById.has(depId) && statusById.get(depId) !== 'done'
+		);
+		const status = task.status || 'pending';
+		const notePath = getTaskNotePath(tag, task, layout).replace(/\.md$/, '');
+
+		return {
+			id: toId(task.id),
+			title: task.title || '',
+			status,
+			priority: task.priority || null,
+			priority_rank: PRIORITY_RANKS[task.priority] ?? 0,
+			complexity: toNumber(task.complexityScore),
+			dependencies,
+			blocked:
+				status === 'blocked' ||
+				(!CLOSED_STATUSES.includes(status) && waitingOn.length > 0),
+			waiting_on: waitingOn,
+			subtasks_total: subtasks.length,
+			subtasks_done: subtasks.filter((subtask) => subtask.status === 'done')
+				.length,
+			start: toDate(task.startDate),
+			scheduled: toDate(task.scheduledDate),
+			due: toDate(task.dueDate),
+			completed: toDate(task.completedAt),
+			created: toDate(task.createdAt),
+			updated: toDate(task.updatedAt),
+			note: `[[${notePath}|#${task.id} ${task.title}]]`,
+			source: task.sourceFile
+				? `[[${task.sourceFile.replace(/\.md$/, '')}]]`
+				: null
+		};
+	});
+}
+
+/**
+ * Generates the index note of a tag
+ * @param {string} tag - Tag name
+ * @param {Array<Object>} entries - Entries from buildTaskIndexEntries
+ * @param {Object} [options]
+ * @param {string} [options.jsonPath] - Vault-relative JSON cache, mentioned when written
+ * @returns {string} Markdown content
+ */
+export function generateTaskIndexNote(tag, entries, { jsonPath } = {}) {
+	let content = formatFrontmatter({
+		tag,
+		taskmaster_index: true,
+		total_tasks: entries.length,
+		tasks: entries
+	});
+	content += `# Task index: ${tag}\n\n`;
+	content +=
+		'Generated by Task Master on every sync; edits to this note are overwritten. ' +
+		`Query it with \`FROM "${INDEX_DIR}/Index" FLATTEN tasks AS t\`, ` +
+		`or open [[${DASHBOARD_PATH.replace(/\.md$/, '')}|the dashboard]].\n`;
+	if (jsonPath) {
+		content += `\nThe same entries are cached in \`${jsonPath}\` for DataviewJS:\n\n`;
+		content += '```dataviewjs\n';
+		content += `const { tasks } = JSON.parse(await dv.io.load("${jsonPath}"));\n`;
+		content +=
+			'dv.table(["Task", "Status"], tasks.map((t) => [dv.parse(t.note), t.status]));\n';
+		content += '```\n';
+	}
+	return content;
+}
+
+/**
+ * Generates the dashboard: next, blocked, by priority and completed this
+ * week, over the index notes of every tag
+ * @returns {string} Markdown content
+ */
+export function generateDashboard() {
+	const from = `FROM "${INDEX_DIR}/Index"\nFLATTEN tasks AS t`;
+	const query = (lines) => `\`\`\`dataview\n${lines.join('\n')}\n\`\`\`\n`;
+
+	return [
+		'# Task Master Dashboard\n',
+		'Generated once by Task Master from the task index notes; edit it freely.\n',
+		'## Next Tasks\n',
+		query([
+			'TABLE WITHOUT ID t.note AS Task, t.priority AS Priority, t.due AS Due, tag AS Tag',
+			from,
+			'WHERE (t.status = "pending" OR t.status = "in-progress") AND !t.blocked',
+			'SORT t.priority_rank DESC, t.due ASC, t.id ASC',
+			'LIMIT 10'
+		]),
+		'## Blocked Tasks\n',
+		query([
+			'TABLE WITHOUT ID t.note AS Task, t.status AS Status, t.waiting_on AS "Waiting on", tag AS Tag',
+			from,
+			'WHERE t.blocked',
+			'SORT t.priority_rank DESC, t.id ASC'
+		]),
+		'## Open Tasks by Priority\n',
+		query([
+			'TABLE WITHOUT ID rows.t.priority[0] AS Priority, length(rows) AS Count, rows.t.note AS Tasks',
+			from,
+			'WHERE t.status != "done" AND t.status != "cancelled"',
+			'GROUP BY t.priority_rank',
+			'SORT key DESC'
+		]),
+		'## Completed This Week\n',
+		query([
+			'TABLE WITHOUT ID t.note AS Task, t.completed AS Completed, tag AS Tag',
+			from,
+			'WHERE t.status = "done" AND t.completed AND t.completed >= date(sow)',
+			'SORT t.completed DESC'
+		])
+	].join('\n');
+}
+
+/**
+ * Writes the index note of a tag, the dashboard when it does not exist yet
+ * and, when asked, the JSON cache. Files are only written when their
+ * content changed.
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {string} tag - Tag name
+ * @param {Object} tagData - Tag data with tasks
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - Also write `TaskMaster/Index/<tag>.json`
+ * @param {Object} [options.layout] - Note layout of the vault
+ * @returns {{indexPath: string, jsonPath: string|null}} Vault-relative paths written
+ */
+export function writeTaskIndex(
+	vaultPath,
+	tag,
+	tagData,
+	{ json = false, layout = DEFAULT_NOTE_LAYOUT } = {}
+) {
+	const entries = buildTaskIndexEntries(tag, tagData?.tasks || [], layout);
+	const indexPath = getTaskIndexPath(tag);
+	const jsonPath = json ? indexPath.replace(/\.md$/, '.json') : null;
+
+	writeIfChanged(
+		vaultPath,
+		indexPath,
+		generateTaskIndexNote(tag, entries, { jsonPath })
+	);
+	if (jsonPath) {
+		writeIfChanged(
+			vaultPath,
+			jsonPath,
+			`${JSON.stringify({ tag, tasks: entries }, null, 2)}\n`
+		);
+	}
+	// The dashboard is the user's to edit once it exists
+	if (!fs.existsSync(path.join(vaultPath, DASHBOARD_PATH))) {
+		writeIfChanged(vaultPath, DASHBOARD_PATH, generateDashboard());
+	}
+	return { indexPath, jsonPath };
+}
+
+function writeIfChanged(vaultPath, relativePath, content) {
+	const filePath = path.join(vaultPath, relativePath);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	if (
+		!fs.existsSync(filePath) ||
+		fs.readFileSync(filePath, 'utf8') !== content
+	) {
+		fs.writeFileSync(filePath, content, 'utf8');
+	}
+}
+
+function toId(value) {
+	const number = Number(value);
+	return Number.isInteger(number) ? number : String(value);
+}
+
+function toNumber(value) {
+	if (value === undefined || value === null || value === '') return null;
+	const number = Number(value);
+	return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * ISO date (`YYYY-MM-DD`) or date-time, which Dataview reads as dates
+ */
+function toDate(value) {
+	if (!value) return null;
+	const text = String(value).trim();
+	if (DATE_ONLY_REGEX.test(text)) return text;
+	const date = new Date(text);
+	return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
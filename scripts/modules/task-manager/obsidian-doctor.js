@@ -0,0 +1,428 @@
+/**
+ * obsidian-doctor.js
+ * Health check of a vault against a tag's tasks: task notes whose task no
+ * longer exists, tasks whose source note is gone, notes sharing a task ID,
+ * links to missing task notes and unresolved sync conflicts. Every finding
+ * carries the action `--fix` takes for it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import chalk from 'chalk';
+import boxen from 'boxen';
+import Table from 'cli-table3';
+
+import { log, readJSON, writeJSON, validateObsidianLink } from '../utils.js';
+import { scanVaultIndex } from './obsidian-index.js';
+import { frontmatterToTask } from './obsidian-frontmatter.js';
+import {
+	ARCHIVE_DIR,
+	getTagNotesDir,
+	getTaskNoteId,
+	getTaskNotePath,
+	isOutsideTagScope,
+	isTaskNote,
+	loadVaultLayout
+} from './obsidian-layout.js';
+import {
+	formatTaskLink,
+	parseWikilink,
+	resolveTaskLink
+} from './obsidian-links.js';
+import { RESOLVE_CHOICES, resolveTaskConflict } from './obsidian-resolve.js';
+
+/**
+ * Checks run by the doctor, in report order
+ */
+export const DOCTOR_CHECKS = [
+	'orphaned-note',
+	'duplicate-task-id',
+	'missing-source',
+	'broken-link',
+	'sync-conflict'
+];
+
+// Source fields recorded by parse-obsidian-notes, cleared with the source
+const SOURCE_FIELDS = [
+	'sourceFile',
+	'lineNumber',
+	'lineEnd',
+	'section',
+	'blockRef'
+];
+
+/**
+ * Checks a vault against the tasks of a tag and, when asked, fixes what it
+ * finds
+ * @param {Object} options
+ * @param {string} options.vaultPath - Path to Obsidian vault
+ * @param {string} options.tasksPath - Path to tasks.json
+ * @param {string} [options.tag='master'] - Tag context
+ * @param {string} [options.projectRoot] - Project root path
+ * @param {boolean} [options.fix=false] - Apply the fix of every finding
+ * @param {string} [options.strategy='merged'] - How `--fix` resolves sync
+ *   conflicts, one of RESOLVE_CHOICES
+ * @param {Object} [options.vault] - Configured vault, whose note layout settings apply
+ * @returns {Promise<Object>} Report: `{ vaultPath, tag, checkedAt, healthy,
+ *   summary: { notes, tasks, findings, fixed, byCheck }, findings }`; each
+ *   finding is `{ check, message, file?, taskId?, link?, fix, fixed }`
+ */
+export async function diagnoseObsidianVault(options) {
+	const {
+		vaultPath,
+		tasksPath,
+		tag = 'master',
+		projectRoot,
+		fix = false,
+		strategy = 'merged'
+	} = options;
+
+	if (!fs.existsSync(vaultPath) || !fs.statSync(vaultPath).isDirectory()) {
+		throw new Error(`Vault path does not exist: ${vaultPath}`);
+	}
+	if (!RESOLVE_CHOICES.includes(strategy)) {
+		throw new Error(
+			`Invalid strategy "${strategy}". Use one of: ${RESOLVE_CHOICES.join(', ')}`
+		);
+	}
+	const data = readJSON(tasksPath, projectRoot, tag);
+	if (!data || !data.tasks) {
+		throw new Error(`No valid tasks found in ${tasksPath}`);
+	}
+	const tasks = data.tasks;
+	const layout = loadVaultLayout(vaultPath, options);
+
+	const { notes: allNotes } = scanVaultIndex(vaultPath, { projectRoot });
+	const notes = allNotes.filter(
+		(note) => !isOutsideTagScope(note.path, tag, layout)
+	);
+
+	const findings = [
+		...checkTaskNotes(notes, tasks, tag, layout),
+		...checkSources(vaultPath, allNotes, tasks),
+		...checkLinks(notes, tasks, tag, layout),
+		...checkConflicts(tasks, strategy)
+	].map((finding) => ({ ...finding, fixed: false }));
+	findings.sort(
+		(a, b) => DOCTOR_CHECKS.indexOf(a.check) - DOCTOR_CHECKS.indexOf(b.check)
+	);
+
+	if (fix && findings.length > 0) {
+		applyFixes(vaultPath, tag, tasks, findings, strategy);
+		if (findings.some((finding) => finding.fixed && finding.taskId)) {
+			writeJSON(tasksPath, data, projectRoot, tag);
+		}
+	}
+
+	const byCheck = Object.fromEntries(DOCTOR_CHECKS.map((check) => [check, 0]));
+	for (const finding of findings) {
+		byCheck[finding.check]++;
+	}
+	const fixed = findings.filter((finding) => finding.fixed).length;
+
+	log(
+		'debug',
+		`Vault check: ${findings.length} findings, ${fixed} fixed in ${vaultPath}`
+	);
+	return {
+		vaultPath,
+		tasksPath,
+		tag,
+		checkedAt: new Date().toISOString(),
+		healthy: fixed === findings.length,
+		summary: {
+			notes: notes.length,
+			tasks: tasks.length,
+			findings: findings.length,
+			fixed,
+			byCheck
+		},
+		findings
+	};
+}
+
+/**
+ * Prints a doctor report as a table
+ * @param {Object} report - Report from diagnoseObsidianVault
+ * @param {Object} [options]
+ * @param {boolean} [options.fix=false] - Whether fixes were applied
+ */
+export function displayDoctorReport(report, { fix = false } = {}) {
+	const { summary } = report;
+	if (summary.findings === 0) {
+		console.log(
+			boxen(
+				chalk.green.bold('✅ Vault is healthy') +
+					'\n\n' +
+					chalk.white(
+						`${summary.notes} notes and ${summary.tasks} tasks of tag "${report.tag}" checked`
+					),
+				{ padding: 1, borderColor: 'green', borderStyle: 'round' }
+			)
+		);
+		return;
+	}
+
+	const table = new Table({
+		head: [
+			chalk.cyan.bold('Check'),
+			chalk.cyan.bold('Where'),
+			chalk.cyan.bold('Problem'),
+			chalk.cyan.bold(fix ? 'Fix applied' : 'Fix (--fix)')
+		],
+		colWidths: [19, 30, 40, 34],
+		wordWrap: true
+	});
+	for (const finding of report.findings) {
+		const where = [
+			finding.file,
+			finding.taskId !== undefined ? `task ${finding.taskId}` : null
+		]
+			.filter(Boolean)
+			.join('\n');
+		const action = fix
+			? finding.fixed
+				? chalk.green(finding.fix)
+				: chalk.red(`Not fixed: ${finding.error || finding.fix}`)
+			: chalk.gray(finding.fix);
+		table.push([chalk.yellow(finding.check), where, finding.message, action]);
+	}
+	console.log(table.toString());
+
+	const counts = Object.entries(summary.byCheck)
+		.filter(([, count]) => count > 0)
+		.map(([check, count]) => `${check}: ${count}`)
+		.join(', ');
+	console.log(
+		boxen(
+			chalk.white.bold(
+				`${summary.findings} finding(s) in tag "${report.tag}"`
+			) +
+				'\n\n' +
+				chalk.white(counts) +
+				'\n' +
+				(fix
+					? chalk.green(`Fixed: ${summary.fixed}`)
+					: chalk.yellow(
+							`Run ${chalk.cyan('task-master obsidian-doctor --fix')} to apply the fixes`
+						)),
+			{
+				padding: 1,
+				borderColor: report.healthy ? 'green' : 'yellow',
+				borderStyle: 'round'
+			}
+		)
+	);
+}
+
+/**
+ * Task notes whose task is gone, and task IDs claimed by several notes
+ */
+function checkTaskNotes(notes, tasks, tag, layout) {
+	const findings = [];
+	const taskIds = new Set(tasks.map((task) => String(task.id)));
+	const notesById = new Map();
+
+	for (const note of notes) {
+		if (!isTaskNote(note.path, layout)) continue;
+		const taskId =
+			frontmatterToTask(note.frontmatter, { keys: layout.frontmatterKeys })
+				.taskId ?? getTaskNoteId(note.path, layout);
+		if (taskId === null) continue;
+		const id = String(Number(taskId));
+
+		if (!taskIds.has(id)) {
+			findings.push({
+				check: 'orphaned-note',
+				file: note.path,
+				message: `Task note for task ${id}, which no longer exists`,
+				fix: `Move the note to ${ARCHIVE_DIR}/${tag}/`
+			});
+			continue;
+		}
+		if (!notesById.has(id)) notesById.set(id, []);
+		notesById.get(id).push(note);
+	}
+
+	for (const [id, copies] of notesById) {
+		if (copies.length < 2) continue;
+		const task = tasks.find((candidate) => String(candidate.id) === id);
+		const expected = getTaskNotePath(tag, task, layout);
+		const keep =
+			copies.find((note) => note.path === expected) ||
+			[...copies].sort((a, b) => b.mtimeMs - a.mtimeMs)[0];
+		for (const note of copies) {
+			if (note === keep) continue;
+			findings.push({
+				check: 'duplicate-task-id',
+				file: note.path,
+				message: `task_id ${id} is also used by ${keep.path}`,
+				fix: `Keep ${keep.path} and move this note to ${ARCHIVE_DIR}/${tag}/`
+			});
+		}
+	}
+	return findings;
+}
+
+/**
+ * Tasks whose source note no longer exists; a single note with the same
+ * name elsewhere in the vault is taken to be the moved source
+ */
+function checkSources(vaultPath, allNotes, tasks) {
+	const findings = [];
+	for (const task of tasks) {
+		if (!task.sourceFile) continue;
+		if (fs.existsSync(path.join(vaultPath, task.sourceFile))) continue;
+
+		const name = path.posix.basename(task.sourceFile).toLowerCase();
+		const candidates = allNotes.filter(
+			(note) => path.posix.basename(note.path).toLowerCase() === name
+		);
+		const movedTo = candidates.length === 1 ? candidates[0].path : null;
+		findings.push({
+			check: 'missing-source',
+			taskId: task.id,
+			file: task.sourceFile,
+			message: `Source note of task ${task.id} is missing`,
+			fix: movedTo
+				? `Point the source at ${movedTo}`
+				: 'Clear the source fields of the task',
+			movedTo
+		});
+	}
+	return findings;
+}
+
+/**
+ * Links to task notes that do not exist. Links that still name a task are
+ * pointed at its current note; the others are replaced by their text.
+ */
+function checkLinks(notes, tasks, tag, layout) {
+	const findings = [];
+	const paths = new Set(notes.map((note) => note.path));
+	const names = new Set(
+		notes.map((note) => path.posix.basename(note.path, '.md'))
+	);
+
+	for (const note of notes) {
+		for (const link of new Set(note.links || [])) {
+			const parsed = parseWikilink(link);
+			if (!parsed?.target) continue;
+			const target = parsed.target.replace(/\.md$/, '');
+			const name = path.posix.basename(target);
+			if (getTaskNoteId(name, layout) === null) continue;
+			// Task IDs are only unique within a tag
+			const folder = path.posix.dirname(target);
+			if (
+				folder.startsWith(`${layout.taskFolder}/`) &&
+				folder !== getTagNotesDir(tag, layout)
+			) {
+				continue;
+			}
+			const exists =
+				folder === '.' ? names.has(name) : paths.has(`${target}.md`);
+			if (exists) continue;
+
+			const validation = validateObsidianLink(link, tasks);
+			const resolved = resolveTaskLink(link, tasks, layout);
+			const replacement =
+				validation.valid && !validation.warning && !resolved.error
+					? formatTaskLink(resolved.id, tasks, tag, layout)
+					: null;
+			findings.push({
+				check: 'broken-link',
+				file: note.path,
+				link,
+				message: `Link to missing task note ${target}`,
+				fix: replacement
+					? `Replace with ${replacement}`
+					: `Replace the link with its text "${parsed.alias || name}"`,
+				replacement: replacement || parsed.alias || name
+			});
+		}
+	}
+	return findings;
+}
+
+function checkConflicts(tasks, strategy) {
+	return tasks
+		.filter((task) => task.syncStatus === 'conflict')
+		.map((task) => {
+			const fields = (task.syncConflict?.fields || []).map(
+				(conflict) => conflict.field
+			);
+			return {
+				check: 'sync-conflict',
+				taskId: task.id,
+				message: `Task ${task.id} has an unresolved sync conflict${fields.length > 0 ? ` (${fields.join(', ')})` : ''}`,
+				fix: `Resolve with the ${strategy} values (or run obsidian-resolve)`
+			};
+		});
+}
+
+function applyFixes(vaultPath, tag, tasks, findings, strategy) {
+	const taskById = new Map(tasks.map((task) => [String(task.id), task]));
+	const linkFixes = new Map();
+
+	for (const finding of findings) {
+		try {
+			switch (finding.check) {
+				case 'orphaned-note':
+				case 'duplicate-task-id':
+					archiveNote(vaultPath, tag, finding.file);
+					break;
+				case 'missing-source': {
+					const task = taskById.get(String(finding.taskId));
+					if (finding.movedTo) {
+						task.sourceFile = finding.movedTo;
+					} else {
+						for (const field of SOURCE_FIELDS) delete task[field];
+					}
+					break;
+				}
+				case 'broken-link':
+					if (!linkFixes.has(finding.file)) linkFixes.set(finding.file, []);
+					linkFixes.get(finding.file).push(finding);
+					continue;
+				case 'sync-conflict':
+					resolveTaskConflict(taskById.get(String(finding.taskId)), strategy);
+					break;
+			}
+			finding.fixed = true;
+		} catch (error) {
+			finding.error = error.message;
+			log('warn', `Could not fix ${finding.check}: ${error.message}`);
+		}
+	}
+
+	for (const [file, fileFindings] of linkFixes) {
+		const filePath = path.join(vaultPath, file);
+		try {
+			let content = fs.readFileSync(filePath, 'utf8');
+			for (const finding of fileFindings) {
+				content = content.split(finding.link).join(finding.replacement);
+			}
+			fs.writeFileSync(filePath, content, 'utf8');
+			for (const finding of fileFindings) finding.fixed = true;
+		} catch (error) {
+			for (const finding of fileFindings) finding.error = error.message;
+			log('warn', `Could not fix links in ${file}: ${error.message}`);
+		}
+	}
+}
+
+/**
+ * Moves a note into the tag's archive folder without overwriting older
+ * archived notes
+ */
+function archiveNote(vaultPath, tag, file) {
+	const dir = `${ARCHIVE_DIR}/${tag}`;
+	const base = path.posix.basename(file, '.md');
+	let target = `${dir}/${base}.md`;
+	for (let suffix = 2; fs.existsSync(path.join(vaultPath, target)); suffix++) {
+		target = `${dir}/${base}-${suffix}.md`;
+	}
+	fs.mkdirSync(path.join(vaultPath, dir), { recursive: true });
+	fs.renameSync(path.join(vaultPath, file), path.join(vaultPath, target));
+	return target;
+}
@@ -0,0 +1,195 @@
+/**
+ * obsidian-filters.js
+ * Note filters for a scoped parse-obsidian-notes: folder subtree, Obsidian
+ * tag, frontmatter query, modification date and link distance from a root
+ * note. Every given filter must match for a note to be kept.
+ */
+
+import path from 'path';
+
+const QUERY_REGEX = /^\s*([^:=!]+?)\s*(!=|=|:)\s*(.*?)\s*$/;
+
+/**
+ * Parses a frontmatter query: comma-separated conditions that must all hold.
+ * `key: value` and `key = value` match a value (or a list containing it),
+ * `key != value` a note whose value differs or is missing. Values are
+ * compared case-insensitively.
+ * @param {string} query - e.g. `type: project, status != done`
+ * @returns {function(Object|null): boolean} Predicate over parsed frontmatter
+ * @throws {Error} When a condition cannot be parsed
+ */
+export function parseFrontmatterQuery(query) {
+	const conditions = query
+		.split(',')
+		.filter((part) => part.trim())
+		.map((part) => {
+			const match = QUERY_REGEX.exec(part);
+			if (!match) {
+				throw new Error(
+					`Invalid frontmatter query "${part.trim()}". Use "key: value" or "key != value".`
+				);
+			}
+			const [, key, operator, value] = match;
+			return { key, negate: operator === '!=', value: value.toLowerCase() };
+		});
+
+	return (frontmatter) =>
+		conditions.every(({ key, negate, value }) => {
+			const actual = frontmatter?.[key];
+			const values = (Array.isArray(actual) ? actual : [actual])
+				.filter((item) => item !== undefined && item !== null)
+				.map((item) => String(item).toLowerCase());
+			return values.includes(value) !== negate;
+		});
+}
+
+/**
+ * Keeps the notes matching every given filter
+ * @param {Array<{path: string, tags: Array<string>, links: Array<string>, frontmatter: Object|null, mtimeMs: number}>} notes
+ *   Notes from the vault index
+ * @param {Object} [filters]
+ * @param {string} [filters.folder] - Vault-relative folder; its whole subtree matches
+ * @param {string|Array<string>} [filters.tag] - Obsidian tags (with or without `#`); any one
+ *   matches, including its nested tags (`project` matches `project/api`)
+ * @param {string} [filters.frontmatter] - Frontmatter query (see parseFrontmatterQuery)
+ * @param {string|Date} [filters.since] - Only notes modified at or after this date
+ * @param {string} [filters.root] - Root note (path or name) for the link filter
+ * @param {number} [filters.hops=1] - Maximum link distance from the root note, in either direction
+ * @returns {Array<Object>} Matching notes, in their original order
+ * @throws {Error} On an invalid date, frontmatter query or unknown root note
+ */
+export function filterNotes(notes, filters = {}) {
+	const predicates = [];
+
+	if (filters.folder) {
+		const folder = filters.folder.replace(/^\.?\/+|\/+$/g, '');
+		predicates.push((note) => note.path.startsWith(`${folder}/`));
+	}
+
+	const tags = [filters.tag ?? []]
+		.flat()
+		.flatMap((tag) => String(tag).split(','))
+		.map((tag) => tag.trim().replace(/^#/, '').toLowerCase())
+		.filter(Boolean);
+	if (tags.length > 0) {
+		predicates.push((note) =>
+			(note.tags || []).some((noteTag) => {
+				const lower = noteTag.toLowerCase();
+				return tags.some((tag) => lower === tag || lower.startsWith(`${tag}/`));
+			})
+		);
+	}
+
+	if (filters.frontmatter) {
+		const matches = parseFrontmatterQuery(filters.frontmatter);
+		predicates.push((note) => matches(note.frontmatter));
+	}
+
+	if (filters.since) {
+		const since = new Date(filters.since).getTime();
+		if (Number.isNaN(since)) {
+			throw new Error(
+				`Invalid date "${filters.since}". Use YYYY-MM-DD or an ISO timestamp.`
+			);
+		}
+		predicates.push((note) => note.mtimeMs >= since);
+	}
+
+	if (filters.root) {
+		const linked = notesWithinHops(notes, filters.root, filters.hops ?? 1);
+		predicates.push((note) => linked.has(note.path));
+	}
+
+	return notes.filter((note) => predicates.every((matches) => matches(note)));
+}
+
+/**
+ * Describes the active filters for log messages
+ * @param {Object} [filters] - Filters as accepted by filterNotes
+ * @returns {string} e.g. `folder Projects/API, tag #project`, or an empty string
+ */
+export function describeNoteFilters(filters = {}) {
+	const parts = [];
+	if (filters.folder) parts.push(`folder ${filters.folder}`);
+	if (filters.tag) {
+		const tags = [filters.tag].flat().flatMap((tag) => String(tag).split(','));
+		parts.push(
+			`tag ${tags.map((tag) => `#${tag.trim().replace(/^#/, '')}`).join(' or ')}`
+		);
+	}
+	if (filters.frontmatter) parts.push(`frontmatter ${filters.frontmatter}`);
+	if (filters.since) parts.push(`modified since ${filters.since}`);
+	if (filters.root) {
+		parts.push(`within ${filters.hops ?? 1} link hop(s) of ${filters.root}`);
+	}
+	return parts.join(', ');
+}
+
+/**
+ * Collects the notes reachable from a root note by following links in
+ * either direction, up to `hops` steps
+ */
+function notesWithinHops(notes, root, hops) {
+	const maxHops = Number(hops);
+	if (!Number.isInteger(maxHops) || maxHops < 0) {
+		throw new Error(
+			`Invalid link hops "${hops}". Use a whole number of 0 or more.`
+		);
+	}
+
+	const [start] = resolveNoteReference(notes, root);
+	if (!start) {
+		throw new Error(`Root note "${root}" not found in the scanned notes`);
+	}
+
+	const neighbours = new Map(notes.map((note) => [note.path, new Set()]));
+	for (const note of notes) {
+		for (const link of note.links || []) {
+			for (const target of resolveNoteReference(notes, link)) {
+				if (target.path !== note.path) {
+					neighbours.get(note.path).add(target.path);
+					neighbours.get(target.path).add(note.path);
+				}
+			}
+		}
+	}
+
+	const reached = new Set([start.path]);
+	let frontier = [start.path];
+	for (let hop = 0; hop < maxHops && frontier.length > 0; hop++) {
+		const next = [];
+		for (const notePath of frontier) {
+			for (const neighbour of neighbours.get(notePath)) {
+				if (!reached.has(neighbour)) {
+					reached.add(neighbour);
+					next.push(neighbour);
+				}
+			}
+		}
+		frontier = next;
+	}
+	return reached;
+}
+
+/**
+ * Resolves a wikilink or a note reference (path or name) to the notes it names
+ */
+function resolveNoteReference(notes, reference) {
+	const target = reference
+		.replace(/^\[\[|\]\]$/g, '')
+		.split('|')[0]
+		.split('#')[0]
+		.trim()
+		.replace(/\.md$/, '')
+		.toLowerCase();
+	if (!target) return [];
+	if (target.includes('/')) {
+		return notes.filter((note) => {
+			const notePath = note.path.replace(/\.md$/, '').toLowerCase();
+			return notePath === target || notePath.endsWith(`/${target}`);
+		});
+	}
+	return notes.filter(
+		(note) => path.posix.basename(note.path, '.md').toLowerCase() === target
+	);
+}
@@ -0,0 +1,242 @@
+/**
+ * obsidian-frontmatter.js
+ * YAML frontmatter of task notes. Every task field is written under a fixed
+ * key (which a vault's note layout can rename) and read back with its type;
+ * keys Task Master does not manage are kept as custom keys so they survive
+ * when the note is generated again.
+ */
+
+import YAML from 'yaml';
+
+// The closing fence must start a line, so an indented `---` inside a block
+// scalar (a markdown rule in a task's details) stays part of the YAML
+const FRONTMATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const EMPTY_FRONTMATTER_REGEX = /^---\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Frontmatter keys managed by Task Master, in the order they are written,
+ * with the task field each one holds. `readOnly` keys are informational and
+ * never change the task when edited in Obsidian.
+ */
+export const TASK_FRONTMATTER_KEYS = [
+	{ key: 'task_id', field: 'id', readOnly: true },
+	{ key: 'title', field: 'title' },
+	{ key: 'status', field: 'status' },
+	{ key: 'priority', field: 'priority' },
+	{ key: 'tag', field: 'tag', readOnly: true },
+	{ key: 'dependencies', field: 'dependencies' },
+	{ key: 'complexity', field: 'complexityScore' },
+	{ key: 'description', field: 'description' },
+	{ key: 'details', field: 'details' },
+	{ key: 'test_strategy', field: 'testStrategy' },
+	{ key: 'recurrence', field: 'recurrence' },
+	{ key: 'start', field: 'startDate' },
+	{ key: 'scheduled', field: 'scheduledDate' },
+	{ key: 'due', field: 'dueDate' },
+	{ key: 'completed', field: 'completedAt' },
+	{ key: 'created', field: 'createdAt', readOnly: true },
+	{ key: 'updated', field: 'updatedAt', readOnly: true },
+	{ key: 'tags', field: 'obsidianTags', readOnly: true }
+];
+
+const TEMPLATE_KEY_REGEX =
+	/^([\w-]+):[ \t]*(["']?)\{\{\s*([\w]+)\s*\}\}\2[ \t]*$/gm;
+
+/**
+ * Splits a note into its parsed frontmatter and body
+ * @param {string} content - Markdown content
+ * @returns {{data: Object|null, body: string, error?: string}} `data` is null
+ *   when the note has no frontmatter or it is not a YAML mapping (`error` then
+ *   says why)
+ */
+export function parseFrontmatter(content) {
+	const match = matchFrontmatter(content);
+	if (!match) {
+		return { data: null, body: content };
+	}
+	const body = content.slice(match.length).replace(/^\r?\n/, '');
+	try {
+		const data = YAML.parse(match.yaml);
+		if (data === null || data === undefined) {
+			return { data: {}, body };
+		}
+		if (typeof data !== 'object' || Array.isArray(data)) {
+			return { data: null, body, error: 'Frontmatter is not a key/value map' };
+		}
+		return { data, body };
+	} catch (error) {
+		return { data: null, body, error: error.message };
+	}
+}
+
+/**
+ * Formats a frontmatter block
+ * @param {Object} data - Keys and values, written in insertion order
+ * @returns {string} `---` delimited YAML followed by a blank line, or an
+ *   empty string when there is nothing to write
+ */
+export function formatFrontmatter(data) {
+	if (!data || Object.keys(data).length === 0) {
+		return '';
+	}
+	return `---\n${YAML.stringify(data)}---\n\n`;
+}
+
+/**
+ * Builds the frontmatter of a task note: the managed keys for every field
+ * the task has, followed by custom keys
+ * @param {Object} task - Task to describe
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Tag the task belongs to
+ * @param {Object} [options.custom] - Custom keys to keep (e.g. read from the existing note)
+ * @param {Object} [options.keys] - Keys replacing the default ones, by task field
+ * @returns {Object} Frontmatter data
+ */
+export function taskToFrontmatter(task, { tag, custom = {}, keys } = {}) {
+	const data = {};
+	const values = { ...task, tag };
+	const managedKeys = getFrontmatterKeys(keys);
+	for (const { key, field } of managedKeys) {
+		const value = values[field];
+		if (field === 'dependencies') {
+			// Always written, so clearing the list in Obsidian clears the dependencies
+			data[key] = value || [];
+		} else if (value !== undefined && value !== null && value !== '') {
+			if (!Array.isArray(value) || value.length > 0) {
+				data[key] = value;
+			}
+		}
+	}
+	for (const [key, value] of Object.entries({
+		...task.frontmatter,
+		...custom
+	})) {
+		if (!managedKeys.some((managed) => managed.key === key)) {
+			data[key] = value;
+		}
+	}
+	return data;
+}
+
+/**
+ * Reads task fields back from frontmatter data
+ * @param {Object} data - Parsed frontmatter
+ * @param {Object} [options]
+ * @param {Object} [options.keys] - Keys replacing the default ones, by task field
+ * @returns {{taskId: number|null, fields: Object, custom: Object}} The task
+ *   ID the note belongs to, the editable task fields present in the
+ *   frontmatter, and the keys Task Master does not manage
+ */
+export function frontmatterToTask(data, { keys } = {}) {
+	const fields = {};
+	const custom = {};
+	const managedKeys = getFrontmatterKeys(keys);
+	for (const [key, value] of Object.entries(data || {})) {
+		if (!managedKeys.some((managed) => managed.key === key)) {
+			custom[key] = value;
+		}
+	}
+
+	let taskId = null;
+	for (const { key, field, readOnly } of managedKeys) {
+		if (field === 'id') {
+			taskId = Number.parseInt(data?.[key], 10);
+		}
+		const value = data?.[key];
+		if (readOnly || value === undefined || value === null) continue;
+		if (field === 'dependencies') {
+			fields.dependencies = toIdList(value);
+		} else if (field === 'complexityScore') {
+			const score = Number(value);
+			if (!Number.isNaN(score)) fields.complexityScore = score;
+		} else {
+			fields[field] = String(value);
+		}
+	}
+
+	return {
+		taskId: Number.isNaN(taskId) ? null : taskId,
+		fields,
+		custom
+	};
+}
+
+/**
+ * Reads the key mapping declared by a note template's frontmatter: a key
+ * whose value is a bare `{{field}}` holds that task field
+ * @param {string} template - Note template
+ * @returns {Object} Frontmatter key by task field, e.g. `{ dueDate: 'deadline' }`
+ */
+export function readTemplateFrontmatterKeys(template) {
+	const match = matchFrontmatter(template);
+	const keys = {};
+	for (const [, key, , field] of match?.yaml.matchAll(TEMPLATE_KEY_REGEX) ||
+		[]) {
+		if (TASK_FRONTMATTER_KEYS.some((managed) => managed.field === field)) {
+			keys[field] = key;
+		}
+	}
+	return keys;
+}
+
+/**
+ * Splits a note template into its frontmatter and body. The frontmatter
+ * loses the lines of keys holding a bare `{{field}}`: those are written from
+ * the task with their types, as values such as titles are not always valid
+ * YAML once rendered.
+ * @param {string} template - Note template
+ * @returns {{frontmatter: string|null, body: string}} Frontmatter lines
+ *   (without the `---` delimiters), null when the template has none, and body
+ */
+export function splitTemplateFrontmatter(template) {
+	const match = matchFrontmatter(template);
+	if (!match) {
+		return { frontmatter: null, body: template };
+	}
+	const mapped = new Set(Object.values(readTemplateFrontmatterKeys(template)));
+	const frontmatter = match.yaml
+		.split(/\r?\n/)
+		.filter((line) => !mapped.has(/^([\w-]+):/.exec(line)?.[1]))
+		.join('\n');
+	return {
+		frontmatter,
+		body: template.slice(match.length).replace(/^\r?\n/, '')
+	};
+}
+
+/**
+ * Finds the frontmatter block at the start of a note
+ * @returns {{yaml: string, length: number}|null} The YAML between the fences
+ *   and the length of the block, or null when the note has none
+ */
+function matchFrontmatter(content) {
+	const empty = EMPTY_FRONTMATTER_REGEX.exec(content);
+	if (empty) {
+		return { yaml: '', length: empty[0].length };
+	}
+	const match = FRONTMATTER_REGEX.exec(content);
+	return match ? { yaml: match[1], length: match[0].length } : null;
+}
+
+/**
+ * The managed keys with the keys of a mapping in place of the default ones
+ */
+function getFrontmatterKeys(keys) {
+	if (!keys || Object.keys(keys).length === 0) {
+		return TASK_FRONTMATTER_KEYS;
+	}
+	return TASK_FRONTMATTER_KEYS.map((managed) =>
+		keys[managed.field] ? { ...managed, key: keys[managed.field] } : managed
+	);
+}
+
+/**
+ * Normalizes a dependency list written as a YAML list or a comma-separated string
+ */
+function toIdList(value) {
+	const items = Array.isArray(value) ? value : String(value).split(',');
+	return items
+		.map((item) => String(item).trim())
+		.filter(Boolean)
+		.map((item) => (/^\d+$/.test(item) ? Number(item) : item));
+}
@@ -0,0 +1,213 @@
+/**
+ * obsidian-index.js
+ * Persistent per-note index of an Obsidian vault. Each note is stored with
+ * its mtime, size and content hash plus what was extracted from it, so a
+ * scan only re-reads and re-parses notes that were added or changed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import glob from 'glob';
+
+import { log } from '../utils.js';
+import { TASKMASTER_OBSIDIAN_INDEX_FILE } from '../../../src/constants/paths.js';
+import { extractTaskLines } from './obsidian-task-line.js';
+import { extractDependencyEntries } from './obsidian-links.js';
+import { parseFrontmatter } from './obsidian-frontmatter.js';
+import { findRegions } from './obsidian-regions.js';
+
+/**
+ * Bumped whenever the shape of a note summary changes, which invalidates
+ * every cached entry
+ */
+export const OBSIDIAN_INDEX_VERSION = 5;
+
+const RACY_WINDOW_MS = 2000;
+
+/**
+ * Extracts what the sync and parse commands need from a note
+ * @param {string} content - Markdown content
+ * @returns {{tasks: Array<Object>, tags: Array<string>, links: Array<string>, dependencies: Array<string>|null, frontmatter: Object|null}}
+ *   Checkbox lines (see extractTaskLines), tags without `#` (inline and from
+ *   the frontmatter `tags` key), `[[wikilinks]]` to other notes (links to a
+ *   heading or block of the same note, and the links Task Master generated
+ *   in managed regions, are left out), the entries of the
+ *   note's dependencies section (see extractDependencyEntries) and the parsed
+ *   frontmatter
+ */
+export function summarizeNote(content) {
+	const { data: frontmatter, body } = parseFrontmatter(content);
+	const frontmatterTags = [frontmatter?.tags ?? []]
+		.flat()
+		.flatMap((tag) => String(tag).split(/[,\s]+/))
+		.map((tag) => tag.replace(/^#/, ''))
+		.filter(Boolean);
+	// Obsidian tags cannot be all digits; `#3` is a task number in a link alias
+	const inlineTags = (body.match(/#[\w-]+/g) || [])
+		.map((tag) => tag.substring(1))
+		.filter((tag) => !/^\d+$/.test(tag));
+	return {
+		tasks: extractTaskLines(content),
+		tags: [...new Set([...frontmatterTags, ...inlineTags])],
+		links: (withoutRegions(content).match(/\[\[([^\]]+)\]\]/g) || []).filter(
+			(link) => !link.startsWith('[[#')
+		),
+		dependencies: extractDependencyEntries(content),
+		frontmatter
+	};
+}
+
+// Dependency and related-note links of a task note are rendered from the
+// task; reading them back as links would keep them after they are removed
+function withoutRegions(content) {
+	return findRegions(content)
+		.reverse()
+		.reduce(
+			(text, region) => text.slice(0, region.start) + text.slice(region.end),
+			content
+		);
+}
+
+/**
+ * Scans the markdown notes of a vault, re-parsing only notes whose mtime or
+ * size changed and whose content hash differs from the indexed one.
+ * The index is kept in `.taskmaster/obsidian-index.json` under the project
+ * root; without a project root every note is parsed and nothing is stored.
+ *
+ * @param {string} vaultPath - Path to the Obsidian vault
+ * @param {Object} [options]
+ * @param {string} [options.projectRoot] - Project root holding the index
+ * @param {string} [options.pattern='**\/*.md'] - Glob pattern of the notes to scan
+ * @param {Array<string>} [options.ignore] - Glob patterns to leave out of this scan
+ * @param {boolean} [options.useIndex=true] - Set to false to force a full re-parse
+ * @returns {{notes: Array<Object>, stats: {total: number, skipped: number, reparsed: number, removed: number}}}
+ *   One entry per note: `{ path, mtimeMs, size, hash, tasks, tags, links }`
+ */
+export function scanVaultIndex(vaultPath, options = {}) {
+	const {
+		projectRoot,
+		pattern = '**/*.md',
+		ignore = [],
+		useIndex = true
+	} = options;
+	const indexPath = projectRoot
+		? path.join(projectRoot, TASKMASTER_OBSIDIAN_INDEX_FILE)
+		: null;
+	const vaultKey = path.resolve(vaultPath);
+
+	const index = indexPath ? readIndex(indexPath) : { vaults: {} };
+	const cached = useIndex ? index.vaults[vaultKey]?.files || {} : {};
+	const files = {};
+	const notes = [];
+	const stats = { total: 0, skipped: 0, reparsed: 0, removed: 0 };
+
+	const markdownFiles = glob.sync(pattern, {
+		cwd: vaultPath,
+		ignore,
+		nodir: true
+	});
+
+	for (const relativePath of markdownFiles) {
+		const fullPath = path.join(vaultPath, relativePath);
+		try {
+			const fileStats = fs.statSync(fullPath);
+			let entry = cached[relativePath];
+
+			if (
+				!entry ||
+				entry.mtimeMs !== fileStats.mtimeMs ||
+				entry.size !== fileStats.size ||
+				isRacy(entry)
+			) {
+				const content = fs.readFileSync(fullPath, 'utf8');
+				const hash = hashContent(content);
+				const checkedAt = Date.now();
+				if (entry && entry.hash === hash) {
+					// Touched but unchanged: keep the parsed data
+					entry = { ...entry, mtimeMs: fileStats.mtimeMs, checkedAt };
+					stats.skipped++;
+				} else {
+					entry = {
+						mtimeMs: fileStats.mtimeMs,
+						size: fileStats.size,
+						hash,
+						checkedAt,
+						...summarizeNote(content)
+					};
+					stats.reparsed++;
+				}
+			} else {
+				stats.skipped++;
+			}
+
+			files[relativePath] = entry;
+			notes.push({ path: relativePath, ...entry });
+		} catch (error) {
+			log('warn', `Warning: Could not read ${relativePath}: ${error.message}`);
+		}
+	}
+	stats.total = notes.length;
+
+	// Notes left out of this scan stay indexed; only deleted notes are dropped
+	for (const [relativePath, entry] of Object.entries(cached)) {
+		if (files[relativePath]) continue;
+		if (fs.existsSync(path.join(vaultPath, relativePath))) {
+			files[relativePath] = entry;
+		} else {
+			stats.removed++;
+		}
+	}
+
+	if (indexPath) {
+		index.vaults[vaultKey] = { updatedAt: new Date().toISOString(), files };
+		writeIndex(indexPath, index);
+	}
+
+	log(
+		'debug',
+		`Vault index: ${stats.reparsed} re-parsed, ${stats.skipped} unchanged, ${stats.removed} removed`
+	);
+	return { notes, stats };
+}
+
+/**
+ * A note written within the mtime resolution of the moment it was indexed
+ * may have changed again without a visible mtime change, so its hash is
+ * checked on the next scan
+ */
+function isRacy(entry) {
+	return !entry.checkedAt || entry.checkedAt - entry.mtimeMs < RACY_WINDOW_MS;
+}
+
+function hashContent(content) {
+	return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function readIndex(indexPath) {
+	if (!fs.existsSync(indexPath)) {
+		return { version: OBSIDIAN_INDEX_VERSION, vaults: {} };
+	}
+	try {
+		const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+		if (index.version === OBSIDIAN_INDEX_VERSION && index.vaults) {
+			return index;
+		}
+		log('info', 'Obsidian index format changed, rebuilding');
+	} catch (error) {
+		log('warn', `Could not read Obsidian index, rebuilding: ${error.message}`);
+	}
+	return { version: OBSIDIAN_INDEX_VERSION, vaults: {} };
+}
+
+function writeIndex(indexPath, index) {
+	try {
+		fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+		// Write to a temp file first so an interrupted sync never leaves a truncated index
+		const tempPath = `${indexPath}.tmp`;
+		fs.writeFileSync(tempPath, JSON.stringify(index), 'utf8');
+		fs.renameSync(tempPath, indexPath);
+	} catch (error) {
+		log('warn', `Could not write Obsidian index: ${error.message}`);
+	}
+}
@@ -0,0 +1,423 @@
+/**
+ * obsidian-journal.js
+ * Daily note journal of task activity. When a tag opts in through
+ * `syncSettings.dailyNotes`, created, started and completed tasks and
+ * subtask implementation notes are appended to the day's daily note of the
+ * tag's vault and recorded in a history file, from which any day can be
+ * rebuilt.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { log, readJSON, writeJSON } from '../utils.js';
+import { TASKMASTER_OBSIDIAN_JOURNAL_FILE } from '../../../src/constants/paths.js';
+import {
+	DEFAULT_NOTE_LAYOUT,
+	getTaskNotePath,
+	loadVaultLayout
+} from './obsidian-layout.js';
+import { formatMomentDate } from './obsidian-templates.js';
+
+/**
+ * Heading the entries are written under when the tag does not set one
+ */
+export const DEFAULT_JOURNAL_HEADING = '## Task Master';
+
+/**
+ * Daily note settings of Obsidian's core plugin when the vault has none
+ */
+export const DEFAULT_DAILY_NOTE_SETTINGS = { folder: '', format: 'YYYY-MM-DD' };
+
+const ENTRY_LABELS = {
+	created: 'Created',
+	started: 'Started',
+	completed: 'Completed',
+	note: 'Note on'
+};
+
+/**
+ * Journal settings of a tag
+ * @param {Object} tagData - Tag data with metadata
+ * @returns {{vaultPath: string, heading: string}|null} Null when the tag has
+ *   not opted in or is not linked to a vault
+ */
+export function getJournalSettings(tagData) {
+	const metadata = tagData?.metadata;
+	const settings = metadata?.syncSettings?.dailyNotes;
+	if (!settings || settings.enabled === false || !metadata.vaultPath) {
+		return null;
+	}
+	return {
+		vaultPath: metadata.vaultPath,
+		heading: normalizeHeading(settings.heading)
+	};
+}
+
+/**
+ * Reads the vault's daily note settings from `.obsidian/daily-notes.json`
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @returns {{folder: string, format: string}}
+ */
+export function readDailyNoteSettings(vaultPath) {
+	const settingsPath = path.join(vaultPath, '.obsidian', 'daily-notes.json');
+	let settings = {};
+	try {
+		if (fs.existsSync(settingsPath)) {
+			settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+		}
+	} catch (error) {
+		log('warn', `Could not read ${settingsPath}: ${error.message}`);
+	}
+	return {
+		folder: (settings.folder || DEFAULT_DAILY_NOTE_SETTINGS.folder)
+			.trim()
+			.replace(/^\/+|\/+$/g, ''),
+		format: settings.format?.trim() || DEFAULT_DAILY_NOTE_SETTINGS.format
+	};
+}
+
+/**
+ * Vault-relative path of the daily note of a day
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Date} date - Day of the note
+ * @returns {string} e.g. `Daily/2025-03-04.md`
+ */
+export function getDailyNotePath(vaultPath, date) {
+	const { folder, format } = readDailyNoteSettings(vaultPath);
+	const name = `${formatMomentDate(date, format)}.md`;
+	return folder ? `${folder}/${name}` : name;
+}
+
+/**
+ * Formats journal events as daily note lines, oldest first
+ * @param {Array<Object>} events - Events from recordTaskActivity
+ * @param {Object} [layout] - Note layout of the vault, for the task links
+ * @returns {Array<string>} List items, with notes quoted below their item
+ */
+export function formatJournalEntries(events, layout = DEFAULT_NOTE_LAYOUT) {
+	const lines = [];
+	const sorted = [...events].sort((a, b) => a.time.localeCompare(b.time));
+	for (const event of sorted) {
+		const time = formatMomentDate(new Date(event.time), 'HH:mm');
+		const label = ENTRY_LABELS[event.type] || event.type;
+		const link = taskLink(event, layout);
+		const subject = event.parent
+			? `subtask ${event.taskId} ${event.title} (${link})`
+			: link;
+		lines.push(`- ${time} ${label} ${subject}`);
+		if (event.type === 'note' && event.text) {
+			for (const line of event.text.trim().split('\n')) {
+				lines.push(`\t> ${line}`.trimEnd());
+			}
+		}
+	}
+	return lines;
+}
+
+/**
+ * Writes lines into the section of a note under a heading. The section runs
+ * to the next heading of the same or a higher level; a missing heading is
+ * added at the end of the note.
+ * @param {string} content - Note content
+ * @param {string} heading - Markdown heading, e.g. `## Task Master`
+ * @param {Array<string>} lines - Lines to write
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Replace the section instead of appending to it
+ * @returns {string} Updated content
+ */
+export function writeJournalSection(
+	content,
+	heading,
+	lines,
+	{ replace = false } = {}
+) {
+	const level = heading.match(/^#+/)[0].length;
+	const noteLines = content.split('\n');
+	const start = noteLines.findIndex((line) => line.trim() === heading);
+
+	if (start === -1) {
+		const before = content.trimEnd();
+		return `${before ? `${before}\n\n` : ''}${heading}\n\n${lines.join('\n')}\n`;
+	}
+
+	let end = start + 1;
+	while (end < noteLines.length) {
+		const match = /^(#{1,6})\s/.exec(noteLines[end]);
+		if (match && match[1].length <= level) break;
+		end++;
+	}
+	const body = replace ? [] : trimBlankLines(noteLines.slice(start + 1, end));
+	const after = noteLines.slice(end);
+	const section = [...body, ...lines];
+	return [
+		...noteLines.slice(0, start + 1),
+		'',
+		...section,
+		...(after.length > 0 ? ['', ...after] : [''])
+	].join('\n');
+}
+
+/**
+ * Records task activity of a tag that opted in to the journal: appends the
+ * events to the day's daily note and to the project's journal history.
+ * Failures are logged and never fail the command that caused the activity.
+ * @param {Object} tagData - Tag data with metadata
+ * @param {Object} options
+ * @param {string} options.tag - Tag name
+ * @param {string} [options.projectRoot] - Project root holding the history
+ * @param {Array<Object>} options.events - `{ type, taskId, title, parent?, text? }`
+ *   with type created, started, completed or note; `parent` is `{ id, title }`
+ *   of a subtask's task
+ * @returns {string|null} Vault-relative daily note written, or null
+ */
+export function recordTaskActivity(tagData, { tag, projectRoot, events }) {
+	const settings = getJournalSettings(tagData);
+	if (!settings || events.length === 0) {
+		return null;
+	}
+
+	try {
+		const time = new Date();
+		const recorded = events.map((event) => ({
+			time: time.toISOString(),
+			tag,
+			vault: path.resolve(settings.vaultPath),
+			...event,
+			taskId: String(event.taskId)
+		}));
+
+		if (projectRoot) {
+			const historyPath = path.join(
+				projectRoot,
+				TASKMASTER_OBSIDIAN_JOURNAL_FILE
+			);
+			fs.mkdirSync(path.dirname(historyPath), { recursive: true });
+			fs.appendFileSync(
+				historyPath,
+				recorded.map((event) => `${JSON.stringify(event)}\n`).join(''),
+				'utf8'
+			);
+		}
+
+		const notePath = getDailyNotePath(settings.vaultPath, time);
+		const filePath = path.join(settings.vaultPath, notePath);
+		const content = fs.existsSync(filePath)
+			? fs.readFileSync(filePath, 'utf8')
+			: '';
+		fs.mkdirSync(path.dirname(filePath), { recursive: true });
+		fs.writeFileSync(
+			filePath,
+			writeJournalSection(
+				content,
+				settings.heading,
+				formatJournalEntries(recorded, loadVaultLayout(settings.vaultPath))
+			),
+			'utf8'
+		);
+		return notePath;
+	} catch (error) {
+		log('warn', `Could not update the daily note: ${error.message}`);
+		return null;
+	}
+}
+
+/**
+ * Journal events of status changes: moving to in-progress starts a task,
+ * moving to done completes it
+ * @param {Array<Object>} tasks - Tasks of the tag, already updated
+ * @param {Array<Object>} updates - `{ id, oldStatus, newStatus }` per task or
+ *   subtask (`parentId.subtaskId`)
+ * @returns {Array<Object>} Events for recordTaskActivity
+ */
+export function statusChangeEvents(tasks, updates) {
+	const types = { 'in-progress': 'started', done: 'completed' };
+	const events = [];
+	for (const { id, oldStatus, newStatus } of updates) {
+		if (!types[newStatus] || oldStatus === newStatus) continue;
+		const [taskId, subtaskId] = String(id).split('.');
+		const task = tasks.find((candidate) => String(candidate.id) === taskId);
+		if (!task) continue;
+		const subtask = subtaskId
+			? task.subtasks?.find((candidate) => String(candidate.id) === subtaskId)
+			: null;
+		if (subtaskId && !subtask) continue;
+		events.push({
+			type: types[newStatus],
+			taskId: id,
+			title: (subtask || task).title,
+			...(subtask && { parent: { id: task.id, title: task.title } })
+		});
+	}
+	return events;
+}
+
+/**
+ * Reads the journal history of a project
+ * @param {string} projectRoot - Project root
+ * @returns {Array<Object>} Recorded events; unreadable lines are skipped
+ */
+export function readJournalHistory(projectRoot) {
+	const historyPath = path.join(projectRoot, TASKMASTER_OBSIDIAN_JOURNAL_FILE);
+	if (!fs.existsSync(historyPath)) {
+		return [];
+	}
+	const events = [];
+	for (const line of fs.readFileSync(historyPath, 'utf8').split('\n')) {
+		if (!line.trim()) continue;
+		try {
+			events.push(JSON.parse(line));
+		} catch (error) {
+			log('warn', `Skipping unreadable journal entry: ${line}`);
+		}
+	}
+	return events;
+}
+
+/**
+ * Rebuilds the journal section of a day's daily note from the history.
+ * Entries of every tag journaled into the vault are included; links use the
+ * current task titles, so they follow renamed task notes.
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} options
+ * @param {string} options.projectRoot - Project root holding the history
+ * @param {string} [options.tag='master'] - Tag whose vault and heading are used
+ * @param {string} [options.vaultPath] - Vault to rebuild; defaults to the tag's vault
+ * @param {string|Date} [options.date] - Day to rebuild (`YYYY-MM-DD`); defaults to today
+ * @returns {{notePath: string, entries: number}}
+ */
+export function rebuildDailyJournal(tasksPath, options = {}) {
+	const { projectRoot, tag = 'master' } = options;
+	const date = parseJournalDate(options.date);
+	const data = readJSON(tasksPath, projectRoot, tag);
+	const rawData = data?._rawTaggedData || data || {};
+	const tagData = rawData[tag];
+	const vaultPath = options.vaultPath || tagData?.metadata?.vaultPath;
+	if (!vaultPath) {
+		throw new Error(
+			`Tag "${tag}" is not linked to a vault. Pass --vault or run obsidian-sync first.`
+		);
+	}
+	const heading = normalizeHeading(
+		tagData?.metadata?.syncSettings?.dailyNotes?.heading
+	);
+
+	const day = formatMomentDate(date, 'YYYY-MM-DD');
+	const vault = path.resolve(vaultPath);
+	const events = readJournalHistory(projectRoot)
+		.filter(
+			(event) =>
+				event.vault === vault &&
+				formatMomentDate(new Date(event.time), 'YYYY-MM-DD') === day
+		)
+		.map((event) => withCurrentTitles(event, rawData[event.tag]?.tasks));
+
+	const notePath = getDailyNotePath(vaultPath, date);
+	const filePath = path.join(vaultPath, notePath);
+	const content = fs.existsSync(filePath)
+		? fs.readFileSync(filePath, 'utf8')
+		: '';
+	const lines =
+		events.length > 0
+			? formatJournalEntries(events, loadVaultLayout(vaultPath))
+			: ['_No task activity recorded._'];
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(
+		filePath,
+		writeJournalSection(content, heading, lines, { replace: true }),
+		'utf8'
+	);
+
+	log('success', `Rebuilt ${notePath} with ${events.length} journal entries`);
+	return { notePath, entries: events.length };
+}
+
+/**
+ * Turns the daily note journal of a tag on or off
+ * @param {string} tasksPath - Path to tasks.json
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether task activity is journaled
+ * @param {string} [options.tag='master'] - Tag to configure
+ * @param {string} [options.projectRoot] - Project root path
+ * @param {string} [options.heading] - Heading the entries go under
+ * @param {string} [options.vaultPath] - Vault to link when the tag has none yet
+ * @returns {{enabled: boolean, heading: string, vaultPath: string|null}}
+ */
+export function configureObsidianJournal(tasksPath, options) {
+	const { enabled, tag = 'master', projectRoot, heading, vaultPath } = options;
+	const data = readJSON(tasksPath, projectRoot, tag);
+	const rawData = data?._rawTaggedData || data;
+	const tagData = rawData?.[tag];
+	if (!tagData) {
+		throw new Error(`Tag "${tag}" not found in ${tasksPath}`);
+	}
+
+	tagData.metadata = tagData.metadata || {};
+	if (vaultPath && !tagData.metadata.vaultPath) {
+		tagData.metadata.vaultPath = vaultPath;
+	}
+	if (enabled && !tagData.metadata.vaultPath) {
+		throw new Error(
+			`Tag "${tag}" is not linked to a vault. Pass --vault or run obsidian-sync first.`
+		);
+	}
+	const current = tagData.metadata.syncSettings?.dailyNotes || {};
+	const settings = {
+		enabled,
+		heading: normalizeHeading(heading || current.heading)
+	};
+	tagData.metadata.syncSettings = {
+		...tagData.metadata.syncSettings,
+		dailyNotes: settings
+	};
+
+	writeJSON(tasksPath, rawData, projectRoot, tag);
+	return { ...settings, vaultPath: tagData.metadata.vaultPath || null };
+}
+
+function normalizeHeading(heading) {
+	const text = String(heading || DEFAULT_JOURNAL_HEADING).trim();
+	return /^#{1,6}\s/.test(text) ? text : `## ${text}`;
+}
+
+function parseJournalDate(value) {
+	if (value instanceof Date) return value;
+	if (!value) return new Date();
+	const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+	if (!match) {
+		throw new Error(`Invalid date "${value}". Use YYYY-MM-DD.`);
+	}
+	return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function taskLink(event, layout) {
+	const task = event.parent || { id: event.taskId, title: event.title };
+	const notePath = getTaskNotePath(event.tag, task, layout).replace(
+		/\.md$/,
+		''
+	);
+	return `[[${notePath}|#${task.id} ${task.title}]]`;
+}
+
+function withCurrentTitles(event, tasks = []) {
+	const [taskId, subtaskId] = event.taskId.split('.');
+	const task = tasks.find((candidate) => String(candidate.id) === taskId);
+	if (!task) return event;
+	if (!subtaskId) return { ...event, title: task.title };
+	const subtask = task.subtasks?.find(
+		(candidate) => String(candidate.id) === subtaskId
+	);
+	return {
+		...event,
+		title: subtask?.title || event.title,
+		parent: { id: task.id, title: task.title }
+	};
+}
+
+function trimBlankLines(lines) {
+	let start = 0;
+	let end = lines.length;
+	while (start < end && !lines[start].trim()) start++;
+	while (end > start && !lines[end - 1].trim()) end--;
+	return lines.slice(start, end);
+}
@@ -0,0 +1,524 @@
+/**
+ * obsidian-layout.js
+ * Where Task Master puts things in an Obsidian vault: one folder of task
+ * notes per tag (`Tasks/<tag>/`), a generated overview per tag
+ * (`Tags/<tag>.md`) and an archive for the folders of deleted tags. A vault
+ * can change the task folder, the note file names and the note content
+ * with a note layout in `TaskMaster/templates.json`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { TASK_STATUS_OPTIONS } from '../../../src/constants/task-status.js';
+import {
+	TASK_FRONTMATTER_KEYS,
+	readTemplateFrontmatterKeys
+} from './obsidian-frontmatter.js';
+import { compileFilenamePattern } from './obsidian-templates.js';
+
+/**
+ * Folder holding the generated task notes, one subfolder per tag
+ */
+export const TASK_NOTES_DIR = 'Tasks';
+
+/**
+ * Folder holding the generated tag overview notes
+ */
+export const TAG_NOTES_DIR = 'Tags';
+
+/**
+ * Folder receiving the task notes of deleted tags
+ */
+export const ARCHIVE_DIR = 'Archive/Tasks';
+
+/**
+ * Folder holding the exported Canvas task graphs, one per tag
+ */
+export const CANVAS_DIR = 'Canvas';
+
+/**
+ * Folder holding the generated Dataview index notes and dashboard
+ */
+export const INDEX_DIR = 'TaskMaster';
+
+/**
+ * Vault-relative path of the generated Dataview dashboard
+ */
+export const DASHBOARD_PATH = `${INDEX_DIR}/Dashboard.md`;
+
+/**
+ * Vault-relative path of the note layout of a vault
+ */
+export const LAYOUT_CONFIG_PATH = `${INDEX_DIR}/templates.json`;
+
+/**
+ * File name pattern of task notes when the vault sets none
+ */
+export const DEFAULT_FILENAME_PATTERN = 'task-{{pad id 3}}-{{slug title}}';
+
+const PROGRESS_BAR_WIDTH = 20;
+const LAYOUT_KEYS = [
+	'taskFolder',
+	'filename',
+	'noteTemplate',
+	'frontmatterKeys'
+];
+const TASK_FIELDS = new Set(TASK_FRONTMATTER_KEYS.map(({ field }) => field));
+
+/**
+ * Builds a note layout: where task notes go, how they are named and, with a
+ * template, what they contain
+ * @param {Object} [options]
+ * @param {string} [options.taskFolder='Tasks'] - Vault folder holding one subfolder per tag
+ * @param {string} [options.filename] - File name pattern, e.g. `{{pad id 3}} {{title}}`
+ * @param {string} [options.template] - Note template; without it notes get the built-in structure
+ * @param {string} [options.templatePath] - Vault-relative path of the template note
+ * @param {Object} [options.frontmatterKeys] - Frontmatter key of task fields, by field name
+ *   (e.g. `{ dueDate: 'deadline' }`); fields the template's frontmatter
+ *   sets to a bare `{{field}}` are mapped to that key too
+ * @returns {Object} Layout accepted by the path helpers and the sync
+ * @throws {Error} When the file name pattern or the key mapping is invalid
+ */
+export function createNoteLayout(options = {}) {
+	const {
+		taskFolder = TASK_NOTES_DIR,
+		filename = DEFAULT_FILENAME_PATTERN,
+		template = null,
+		templatePath = null,
+		frontmatterKeys = {}
+	} = options;
+
+	const folder = String(taskFolder).replace(/^\/+|\/+$/g, '');
+	if (!folder || folder.split('/').includes('..')) {
+		throw new Error(`Invalid task folder "${taskFolder}"`);
+	}
+	for (const [field, key] of Object.entries(frontmatterKeys)) {
+		if (!TASK_FIELDS.has(field)) {
+			throw new Error(`Unknown task field "${field}" in frontmatterKeys`);
+		}
+		if (typeof key !== 'string' || !key.trim()) {
+			throw new Error(`Invalid frontmatter key for task field "${field}"`);
+		}
+	}
+
+	return {
+		taskFolder: folder,
+		filename: compileFilenamePattern(filename),
+		template,
+		templatePath,
+		frontmatterKeys: {
+			...(template ? readTemplateFrontmatterKeys(template) : {}),
+			...frontmatterKeys
+		}
+	};
+}
+
+/**
+ * The built-in layout: `Tasks/<tag>/task-NNN-slug.md` notes with the
+ * built-in structure
+ */
+export const DEFAULT_NOTE_LAYOUT = createNoteLayout();
+
+/**
+ * Loads the note layout of a vault from `TaskMaster/templates.json`, e.g.
+ * `{ "taskFolder": "Projects", "filename": "{{pad id 3}} {{title}}",
+ * "noteTemplate": "Templates/Task.md" }`. The `taskFolder` and
+ * `filenameTemplate` of the vault's entry in `.taskmaster/config.json` take
+ * precedence over the file.
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Object} [options]
+ * @param {Object} [options.vault] - Configured vault (see getVaultConfig)
+ * @returns {Object} Note layout; the built-in one when nothing is set
+ * @throws {Error} When the layout file or the template is invalid or missing
+ */
+export function loadVaultLayout(vaultPath, { vault } = {}) {
+	const layoutFile = path.join(vaultPath || '', LAYOUT_CONFIG_PATH);
+	let settings = {};
+	if (vaultPath && fs.existsSync(layoutFile)) {
+		try {
+			settings = JSON.parse(fs.readFileSync(layoutFile, 'utf8'));
+		} catch (error) {
+			throw new Error(`Invalid ${LAYOUT_CONFIG_PATH}: ${error.message}`);
+		}
+		const unknown = Object.keys(settings).filter(
+			(key) => !LAYOUT_KEYS.includes(key)
+		);
+		if (unknown.length > 0) {
+			throw new Error(
+				`Unknown setting "${unknown[0]}" in ${LAYOUT_CONFIG_PATH}. Use: ${LAYOUT_KEYS.join(', ')}`
+			);
+		}
+	}
+
+	const taskFolder = vault?.taskFolder || settings.taskFolder;
+	const filename = vault?.filenameTemplate || settings.filename;
+	if (
+		!taskFolder &&
+		!filename &&
+		!settings.noteTemplate &&
+		!settings.frontmatterKeys
+	) {
+		return DEFAULT_NOTE_LAYOUT;
+	}
+
+	let template = null;
+	if (settings.noteTemplate) {
+		const templateFile = path.join(vaultPath, settings.noteTemplate);
+		if (!fs.existsSync(templateFile)) {
+			throw new Error(
+				`Note template ${settings.noteTemplate} set in ${LAYOUT_CONFIG_PATH} does not exist`
+			);
+		}
+		template = fs.readFileSync(templateFile, 'utf8');
+	}
+
+	try {
+		return createNoteLayout({
+			taskFolder: taskFolder || undefined,
+			filename: filename || undefined,
+			template,
+			templatePath: settings.noteTemplate || null,
+			frontmatterKeys: settings.frontmatterKeys || {}
+		});
+	} catch (error) {
+		throw new Error(`Invalid note layout: ${error.message}`);
+	}
+}
+
+/**
+ * Builds the file name of a generated task note
+ * @param {Object} task - Task with id and title
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {string} File name, e.g. `task-007-write-docs.md`
+ */
+export function getTaskNoteFileName(task, layout = DEFAULT_NOTE_LAYOUT) {
+	return `${layout.filename.render(task)}.md`;
+}
+
+/**
+ * Reads the task ID from the file name of a task note
+ * @param {string} relativePath - Note path or file name
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {number|null} Task ID, or null when the name does not follow the layout
+ */
+export function getTaskNoteId(relativePath, layout = DEFAULT_NOTE_LAYOUT) {
+	return layout.filename.parseTaskId(
+		path.posix.basename(relativePath).replace(/\.md$/, '')
+	);
+}
+
+/**
+ * Vault-relative path of a tag's task note folder
+ * @param {string} tag - Tag name
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {string} e.g. `Tasks/master`
+ */
+export function getTagNotesDir(tag, layout = DEFAULT_NOTE_LAYOUT) {
+	return `${layout.taskFolder}/${tag}`;
+}
+
+/**
+ * Vault-relative path of a generated task note
+ * @param {string} tag - Tag name
+ * @param {Object} task - Task with id and title
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {string} e.g. `Tasks/master/task-007-write-docs.md`
+ */
+export function getTaskNotePath(tag, task, layout = DEFAULT_NOTE_LAYOUT) {
+	return `${getTagNotesDir(tag, layout)}/${getTaskNoteFileName(task, layout)}`;
+}
+
+/**
+ * Vault-relative path of a tag overview note
+ * @param {string} tag - Tag name
+ * @returns {string} e.g. `Tags/master.md`
+ */
+export function getTagOverviewPath(tag) {
+	return `${TAG_NOTES_DIR}/${tag}.md`;
+}
+
+/**
+ * Vault-relative path of a tag's exported Canvas
+ * @param {string} tag - Tag name
+ * @returns {string} e.g. `Canvas/master.canvas`
+ */
+export function getTagCanvasPath(tag) {
+	return `${CANVAS_DIR}/${tag}.canvas`;
+}
+
+/**
+ * Vault-relative path of a tag's Dataview index note
+ * @param {string} tag - Tag name
+ * @returns {string} e.g. `TaskMaster/Index/master.md`
+ */
+export function getTaskIndexPath(tag) {
+	return `${INDEX_DIR}/Index/${tag}.md`;
+}
+
+/**
+ * Tells whether a note is a generated task note (in any tag folder, or
+ * the flat layout used before per-tag folders)
+ * @param {string} relativePath - Vault-relative note path
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {boolean}
+ */
+export function isTaskNote(relativePath, layout = DEFAULT_NOTE_LAYOUT) {
+	return relativePath.startsWith(`${layout.taskFolder}/`);
+}
+
+/**
+ * Tells whether a note must be left out when syncing a tag: task notes of
+ * other tags, tag overviews, Dataview index notes, archived tag folders and
+ * the note template. Task IDs are only unique within a tag, so their anchors
+ * would match the wrong tasks.
+ * @param {string} relativePath - Vault-relative note path
+ * @param {string} [tag] - Tag being synced; without it only overviews and archives are excluded
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {boolean}
+ */
+export function isOutsideTagScope(
+	relativePath,
+	tag,
+	layout = DEFAULT_NOTE_LAYOUT
+) {
+	if (
+		relativePath.startsWith(`${TAG_NOTES_DIR}/`) ||
+		relativePath.startsWith(`${ARCHIVE_DIR}/`) ||
+		relativePath.startsWith(`${INDEX_DIR}/`) ||
+		relativePath === layout.templatePath
+	) {
+		return true;
+	}
+	if (!tag || !isTaskNote(relativePath, layout)) {
+		return false;
+	}
+	const inFlatLayout = !relativePath
+		.slice(layout.taskFolder.length + 1)
+		.includes('/');
+	return (
+		!inFlatLayout && !relativePath.startsWith(`${getTagNotesDir(tag, layout)}/`)
+	);
+}
+
+/**
+ * Generates the overview note of a tag: description, status counts,
+ * progress and a link to every task note. Tasks are listed as links rather
+ * than checkboxes so the overview is never read back as tasks.
+ * @param {string} tag - Tag name
+ * @param {Object} tagData - Tag data with tasks and metadata
+ * @param {Object} [layout] - Note layout; the built-in one by default
+ * @returns {string} Markdown content
+ */
+export function generateTagOverview(
+	tag,
+	tagData,
+	layout = DEFAULT_NOTE_LAYOUT
+) {
+	const tasks = tagData?.tasks || [];
+	const description = tagData?.metadata?.description;
+	const done = tasks.filter((task) => task.status === 'done').length;
+	const percent =
+		tasks.length > 0 ? Math.round((done / tasks.length) * 100) : 0;
+
+	const counts = new Map();
+	for (const task of tasks) {
+		const status = task.status || 'pending';
+		counts.set(status, (counts.get(status) || 0) + 1);
+	}
+	const statuses = [
+		...TASK_STATUS_OPTIONS.filter((status) => counts.has(status)),
+		...[...counts.keys()].filter(
+			(status) => !TASK_STATUS_OPTIONS.includes(status)
+		)
+	];
+
+	const filled = Math.round((percent / 100) * PROGRESS_BAR_WIDTH);
+	const bar = '█'.repeat(filled) + '░'.repeat(PROGRESS_BAR_WIDTH - filled);
+
+	let content = '---\n';
+	content += `tag: ${tag}\n`;
+	content += `total_tasks: ${tasks.length}\n`;
+	content += `done_tasks: ${done}\n`;
+	content += `progress: ${percent}\n`;
+	content += '---\n\n';
+	content += `# ${tag}\n\n`;
+	if (description) {
+		content += `${description}\n\n`;
+	}
+
+	content += '## Progress\n\n';
+	content += `\`${bar}\` ${percent}% (${done} of ${tasks.length} tasks done)\n\n`;
+
+	if (statuses.length > 0) {
+		content += '| Status | Tasks |\n| --- | ---: |\n';
+		for (const status of statuses) {
+			content += `| ${status} | ${counts.get(status)} |\n`;
+		}
+		content += '\n';
+	}
+
+	content += '## Tasks\n\n';
+	if (tasks.length === 0) {
+		content += '_No tasks in this tag yet._\n';
+	}
+	for (const task of tasks) {
+		const notePath = getTaskNotePath(tag, task, layout).replace(/\.md$/, '');
+		const details = [task.status || 'pending', task.priority].filter(Boolean);
+		content += `- [[${notePath}|#${task.id} ${task.title}]] · ${details.join(' · ')}\n`;
+	}
+
+	return content;
+}
+
+/**
+ * Writes (or refreshes) the overview note of a tag
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {string} tag - Tag name
+ * @param {Object} tagData - Tag data with tasks and metadata
+ * @param {Object} [layout] - Note layout; by default the vault's own
+ * @returns {string} Vault-relative path of the overview
+ */
+export function writeTagOverview(
+	vaultPath,
+	tag,
+	tagData,
+	layout = loadVaultLayout(vaultPath)
+) {
+	const relativePath = getTagOverviewPath(tag);
+	const filePath = path.join(vaultPath, relativePath);
+	const content = generateTagOverview(tag, tagData, layout);
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	if (
+		!fs.existsSync(filePath) ||
+		fs.readFileSync(filePath, 'utf8') !== content
+	) {
+		fs.writeFileSync(filePath, content, 'utf8');
+	}
+	return relativePath;
+}
+
+/**
+ * Renames a tag's task folder and overview after `rename-tag`
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {string} oldTag - Previous tag name
+ * @param {string} newTag - New tag name
+ * @param {Object} tagData - Data of the renamed tag, used to regenerate the overview
+ * @param {Object} [options]
+ * @param {Object} [options.vault] - Configured vault, whose settings override the layout file
+ * @returns {{moved: boolean, from: string, to: string, overview: string}} Whether a
+ *   task folder was moved, the vault-relative old and new folders, and the new overview path
+ */
+export function renameVaultTag(
+	vaultPath,
+	oldTag,
+	newTag,
+	tagData,
+	options = {}
+) {
+	const layout = loadVaultLayout(vaultPath, options);
+	const fromDir = getTagNotesDir(oldTag, layout);
+	const toDir = getTagNotesDir(newTag, layout);
+	let moved = false;
+	if (fs.existsSync(path.join(vaultPath, fromDir))) {
+		if (fs.existsSync(path.join(vaultPath, toDir))) {
+			throw new Error(`Vault folder ${toDir} already exists`);
+		}
+		fs.renameSync(path.join(vaultPath, fromDir), path.join(vaultPath, toDir));
+		moved = true;
+	}
+
+	fs.rmSync(path.join(vaultPath, getTagOverviewPath(oldTag)), { force: true });
+	removeTaskIndex(vaultPath, oldTag);
+	const overview = writeTagOverview(vaultPath, newTag, tagData, layout);
+	return { moved, from: fromDir, to: toDir, overview };
+}
+
+/**
+ * Moves a deleted tag's task folder and overview into the archive
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {string} tag - Deleted tag name
+ * @param {Object} [options]
+ * @param {Object} [options.vault] - Configured vault, whose settings override the layout file
+ * @returns {string|null} Vault-relative archive folder, or null if the vault had nothing for the tag
+ */
+export function archiveVaultTag(vaultPath, tag, options = {}) {
+	const tagDir = path.join(
+		vaultPath,
+		getTagNotesDir(tag, loadVaultLayout(vaultPath, options))
+	);
+	const overview = path.join(vaultPath, getTagOverviewPath(tag));
+	removeTaskIndex(vaultPath, tag);
+	if (!fs.existsSync(tagDir) && !fs.existsSync(overview)) {
+		return null;
+	}
+
+	// Keep earlier archives of a tag with the same name
+	let archiveDir = `${ARCHIVE_DIR}/${tag}`;
+	if (fs.existsSync(path.join(vaultPath, archiveDir))) {
+		archiveDir += `-${new Date().toISOString().slice(0, 10)}`;
+		let suffix = 2;
+		const base = archiveDir;
+		while (fs.existsSync(path.join(vaultPath, archiveDir))) {
+			archiveDir = `${base}-${suffix++}`;
+		}
+	}
+	const target = path.join(vaultPath, archiveDir);
+	fs.mkdirSync(path.dirname(target), { recursive: true });
+
+	if (fs.existsSync(tagDir)) {
+		fs.renameSync(tagDir, target);
+	} else {
+		fs.mkdirSync(target, { recursive: true });
+	}
+	if (fs.existsSync(overview)) {
+		fs.renameSync(overview, path.join(target, `${tag}.md`));
+	}
+	return archiveDir;
+}
+
+/**
+ * Removes a tag's generated Dataview index, so the dashboard stops listing
+ * its tasks; the next sync of a renamed tag writes it under the new name
+ */
+function removeTaskIndex(vaultPath, tag) {
+	const indexPath = path.join(vaultPath, getTaskIndexPath(tag));
+	fs.rmSync(indexPath, { force: true });
+	fs.rmSync(indexPath.replace(/\.md$/, '.json'), { force: true });
+}
+
+/**
+ * Prepares the vault for a tag made current with `use-tag`: creates its task
+ * folder and refreshes its overview
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {string} tag - Tag name
+ * @param {Object} tagData - Tag data with tasks and metadata
+ * @param {Object} [options]
+ * @param {Object} [options.vault] - Configured vault, whose settings override the layout file
+ * @returns {string} Vault-relative overview path
+ */
+export function activateVaultTag(vaultPath, tag, tagData, options = {}) {
+	const layout = loadVaultLayout(vaultPath, options);
+	fs.mkdirSync(path.join(vaultPath, getTagNotesDir(tag, layout)), {
+		recursive: true
+	});
+	return writeTagOverview(vaultPath, tag, tagData, layout);
+}
+
+/**
+ * Lists the vaults linked to a project, i.e. the `vaultPath` recorded in
+ * tag metadata by previous syncs, keeping only those still on disk
+ * @param {Object} rawData - Raw tagged tasks data
+ * @returns {Array<string>} Vault paths
+ */
+export function getLinkedVaults(rawData) {
+	const vaults = new Set();
+	for (const [key, tagData] of Object.entries(rawData || {})) {
+		if (key === '_rawTaggedData') continue;
+		const vaultPath = tagData?.metadata?.vaultPath;
+		if (vaultPath && fs.existsSync(vaultPath)) {
+			vaults.add(vaultPath);
+		}
+	}
+	return [...vaults];
+}
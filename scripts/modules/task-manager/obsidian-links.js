@@ -0,0 +1,184 @@
+/**
+ * obsidian-links.js
+ * Wikilinks between task notes. Dependencies are written as links to the
+ * dependency's note file and resolved back by the task ID in that file name,
+ * so a link keeps pointing at the same task when titles change. A link that
+ * names no task, or more than one, is reported rather than guessed.
+ */
+
+import path from 'path';
+
+import {
+	formatTaskAnchor,
+	isSubtaskId,
+	TASK_ANCHOR_PREFIX
+} from './obsidian-task-line.js';
+import {
+	DEFAULT_NOTE_LAYOUT,
+	getTagNotesDir,
+	getTaskNoteFileName,
+	getTaskNoteId
+} from './obsidian-layout.js';
+import { isRegionMarker } from './obsidian-regions.js';
+
+/**
+ * Heading of the dependencies section in generated task notes
+ */
+export const DEPENDENCIES_HEADING = '## Dependencies';
+
+/**
+ * Matches the file name of a task note of the built-in layout and captures
+ * the task ID
+ */
+export const TASK_NOTE_ID_REGEX = /^task-(\d+)-/;
+
+const WIKILINK_REGEX = /\[\[([^\]]+)\]\]/g;
+const LEGACY_DEPENDENCY_REGEX = /^Task (\d+(?:\.\d+)?)$/;
+const SUBTASK_BLOCK_REGEX = new RegExp(
+	`^\\^${TASK_ANCHOR_PREFIX}(\\d+)-(\\d+)$`
+);
+
+/**
+ * Formats the wikilink to a task's note, or to a subtask's line in its
+ * parent's note
+ * @param {number|string} taskId - Task ID or dotted subtask ID
+ * @param {Array<Object>} tasks - All tasks of the tag
+ * @param {string} [tag] - Tag whose folder holds the note; without it the
+ *   link uses the bare file name
+ * @param {Object} [layout] - Note layout of the vault; the built-in one by default
+ * @returns {string|null} Wikilink, or null when no such task exists
+ */
+export function formatTaskLink(
+	taskId,
+	tasks,
+	tag,
+	layout = DEFAULT_NOTE_LAYOUT
+) {
+	const [parentId, subtaskId] = String(taskId).split('.').map(Number);
+	const parent = tasks.find((task) => task.id === parentId);
+	if (!parent) {
+		return null;
+	}
+	const file = getTaskNoteFileName(parent, layout).replace(/\.md$/, '');
+	const target = tag ? `${getTagNotesDir(tag, layout)}/${file}` : file;
+
+	if (!isSubtaskId(String(taskId))) {
+		return `[[${target}|#${parent.id} ${parent.title}]]`;
+	}
+	const subtask = parent.subtasks?.find((s) => s.id === subtaskId);
+	if (!subtask) {
+		return null;
+	}
+	return `[[${target}#${formatTaskAnchor(taskId)}|${taskId} ${subtask.title}]]`;
+}
+
+/**
+ * Splits a wikilink into its target note, heading or block, and alias
+ * @param {string} link - e.g. `[[Tasks/master/task-003-setup|#3 Setup]]`
+ * @returns {{target: string, subpath: string|null, alias: string|null}|null}
+ */
+export function parseWikilink(link) {
+	const match = /^\[\[([^\]]+)\]\]$/.exec(link.trim());
+	if (!match) {
+		return null;
+	}
+	const [reference, alias = null] = match[1].split('|');
+	const [target, subpath = null] = reference.split('#');
+	return { target: target.trim(), subpath, alias };
+}
+
+/**
+ * Resolves a dependency entry of a task note to a task ID. Links to a task
+ * note resolve by the ID in the file name; other links must match exactly
+ * one task or subtask title. Legacy `Task 3` entries resolve by ID.
+ * @param {string} entry - Wikilink or legacy `Task <id>` text
+ * @param {Array<Object>} tasks - All tasks of the tag
+ * @param {Object} [layout] - Note layout of the vault; the built-in one by default
+ * @returns {{id: number|string}|{error: string, matches: Array}} The task ID,
+ *   or `error` 'broken' (no task) or 'ambiguous' (several, listed in `matches`)
+ */
+export function resolveTaskLink(entry, tasks, layout = DEFAULT_NOTE_LAYOUT) {
+	const broken = { error: 'broken', matches: [] };
+	const legacy = LEGACY_DEPENDENCY_REGEX.exec(entry.trim());
+	if (legacy) {
+		return taskIdExists(legacy[1], tasks)
+			? { id: toTaskId(legacy[1]) }
+			: broken;
+	}
+
+	const link = parseWikilink(entry);
+	if (!link || !link.target) {
+		return broken;
+	}
+
+	const name = path.posix.basename(link.target).replace(/\.md$/, '');
+	const fileId = getTaskNoteId(name, layout);
+	if (fileId !== null) {
+		const block = link.subpath && SUBTASK_BLOCK_REGEX.exec(link.subpath);
+		const id = block ? `${block[1]}.${block[2]}` : String(fileId);
+		if (block && block[1] !== String(fileId)) {
+			return broken;
+		}
+		return taskIdExists(id, tasks) ? { id: toTaskId(id) } : broken;
+	}
+
+	const title = name.toLowerCase();
+	const matches = [];
+	for (const task of tasks) {
+		if (task.title?.toLowerCase() === title) {
+			matches.push(task.id);
+		}
+		for (const subtask of task.subtasks || []) {
+			if (subtask.title?.toLowerCase() === title) {
+				matches.push(`${task.id}.${subtask.id}`);
+			}
+		}
+	}
+	if (matches.length === 1) {
+		return { id: matches[0] };
+	}
+	return matches.length > 1 ? { error: 'ambiguous', matches } : broken;
+}
+
+/**
+ * Reads the entries of the dependencies section of a note: the wikilinks,
+ * plus legacy `Task <id>` items
+ * @param {string} content - Markdown content
+ * @returns {Array<string>|null} Entries, or null when the note has no such section
+ */
+export function extractDependencyEntries(content) {
+	const lines = content.split('\n');
+	const start = lines.findIndex((line) => line.trim() === DEPENDENCIES_HEADING);
+	if (start === -1) {
+		return null;
+	}
+
+	const entries = [];
+	for (const line of lines.slice(start + 1)) {
+		// The section ends at the next heading or at the end of its managed region
+		if (/^#{1,6}\s/.test(line) || isRegionMarker(line)) break;
+		const item = /^\s*[-*+]\s+(.*)$/.exec(line);
+		if (!item) continue;
+		const links = item[1].match(WIKILINK_REGEX);
+		if (links) {
+			entries.push(...links);
+		} else if (LEGACY_DEPENDENCY_REGEX.test(item[1].trim())) {
+			entries.push(item[1].trim());
+		}
+	}
+	return entries;
+}
+
+function toTaskId(id) {
+	return isSubtaskId(id) ? id : Number(id);
+}
+
+function taskIdExists(id, tasks) {
+	const [parentId, subtaskId] = String(id).split('.').map(Number);
+	const parent = tasks.find((task) => task.id === parentId);
+	if (!parent) return false;
+	return (
+		subtaskId === undefined ||
+		Boolean(parent.subtasks?.some((s) => s.id === subtaskId))
+	);
+}
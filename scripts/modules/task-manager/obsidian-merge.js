@@ -0,0 +1,169 @@
+/**
+ * obsidian-merge.js
+ * Field-level three-way merge between a task in tasks.json ("taskmaster"),
+ * its representation in the vault ("obsidian") and the snapshot taken at the
+ * last successful sync ("base").
+ */
+
+/**
+ * Task fields covered by the three-way merge
+ */
+export const MERGE_FIELDS = [
+	'title',
+	'status',
+	'description',
+	'details',
+	'testStrategy',
+	'priority',
+	'dependencies',
+	'complexityScore',
+	'recurrence',
+	'startDate',
+	'scheduledDate',
+	'dueDate',
+	'completedAt'
+];
+
+/**
+ * Conflict resolution strategies accepted in `syncSettings.conflictResolution`
+ */
+export const CONFLICT_STRATEGIES = [
+	'manual',
+	'obsidian_wins',
+	'taskmaster_wins'
+];
+
+/**
+ * Takes the sync base snapshot stored on a task after a successful sync
+ * @param {Object} task - Task to snapshot
+ * @returns {Object} Snapshot of the merge fields, plus one snapshot per
+ *   subtask (with its `id`) under `subtasks`
+ */
+export function createSyncBase(task) {
+	const base = {};
+	for (const field of MERGE_FIELDS) {
+		if (task[field] !== undefined) {
+			base[field] = cloneValue(task[field]);
+		}
+	}
+	if (Array.isArray(task.subtasks) && task.subtasks.length > 0) {
+		base.subtasks = task.subtasks.map((subtask) => ({
+			id: subtask.id,
+			...createSyncBase(subtask)
+		}));
+	}
+	return base;
+}
+
+/**
+ * Merges the Obsidian side of a task into the TaskMaster side.
+ * Only fields present on `obsidian` take part: a vault line that carries
+ * just a title and status never touches details or dependencies.
+ *
+ * @param {Object|undefined} base - Snapshot from the last sync; when missing, the TaskMaster side is used as base
+ * @param {Object} taskmaster - Task as stored in tasks.json
+ * @param {Object} obsidian - Fields read from the vault
+ * @param {string} [strategy='manual'] - One of CONFLICT_STRATEGIES
+ * @returns {{merged: Object, changes: Array<string>, conflicts: Array<Object>}}
+ *   `merged` holds the merge fields to apply, `changes` the fields taken from
+ *   Obsidian, and `conflicts` the fields changed on both sides. With the
+ *   `manual` strategy conflicting fields keep their TaskMaster value.
+ */
+export function threeWayMerge(base, taskmaster, obsidian, strategy = 'manual') {
+	const effectiveBase = base || createSyncBase(taskmaster);
+	const merged = {};
+	const changes = [];
+	const conflicts = [];
+
+	for (const field of MERGE_FIELDS) {
+		const local = taskmaster[field];
+		if (obsidian[field] === undefined) {
+			if (local !== undefined) {
+				merged[field] = cloneValue(local);
+			}
+			continue;
+		}
+
+		const remote = obsidian[field];
+		const baseValue = effectiveBase[field];
+
+		if (valuesEqual(local, remote) || valuesEqual(baseValue, remote)) {
+			// Unchanged in Obsidian (or both sides agree)
+			merged[field] = cloneValue(local);
+		} else if (valuesEqual(baseValue, local)) {
+			// Changed only in Obsidian
+			merged[field] = cloneValue(remote);
+			changes.push(field);
+		} else {
+			// Changed on both sides
+			const conflict = {
+				field,
+				base: cloneValue(baseValue),
+				taskmaster: cloneValue(local),
+				obsidian: cloneValue(remote)
+			};
+			if (strategy === 'obsidian_wins') {
+				merged[field] = cloneValue(remote);
+				changes.push(field);
+				conflict.resolution = 'obsidian_wins';
+			} else if (strategy === 'taskmaster_wins') {
+				merged[field] = cloneValue(local);
+				conflict.resolution = 'taskmaster_wins';
+			} else {
+				merged[field] = cloneValue(local);
+			}
+			conflicts.push(conflict);
+		}
+	}
+
+	return { merged, changes, conflicts };
+}
+
+/**
+ * Proposes a merged value for a field changed on both sides.
+ * Dependencies are unioned; text fields keep the longer side when one
+ * contains the other and otherwise keep both; scalar fields take the
+ * Obsidian value since it is the most recent hand edit.
+ * @param {Object} conflict - Conflict entry produced by threeWayMerge
+ * @returns {*} Proposed value
+ */
+export function proposeResolution(conflict) {
+	const { field, taskmaster, obsidian } = conflict;
+
+	if (field === 'dependencies') {
+		const union = new Set([...(taskmaster || []), ...(obsidian || [])]);
+		return [...union].sort((a, b) => Number(a) - Number(b));
+	}
+
+	if (field === 'description' || field === 'details') {
+		const local = taskmaster || '';
+		const remote = obsidian || '';
+		if (local.includes(remote)) return local;
+		if (remote.includes(local)) return remote;
+		return `${local}\n\n${remote}`;
+	}
+
+	return obsidian;
+}
+
+/**
+ * Compares two field values (arrays are compared element-wise, ignoring order)
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+export function valuesEqual(a, b) {
+	if (Array.isArray(a) || Array.isArray(b)) {
+		if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+			return false;
+		}
+		const sortedA = a.map(String).sort();
+		const sortedB = b.map(String).sort();
+		return sortedA.every((value, index) => value === sortedB[index]);
+	}
+	return (a ?? '') === (b ?? '');
+}
+
+function cloneValue(value) {
+	return Array.isArray(value) ? [...value] : value;
+}
@@ -0,0 +1,378 @@
+/**
+ * obsidian-reconcile.js
+ * Reconcile mode of parse-obsidian-notes: tasks extracted again from edited
+ * notes are matched to the tasks extracted before, the differences shown
+ * as new, changed, obsolete and unchanged tasks, and only the accepted
+ * changes applied. Tasks already in progress or done are never overwritten.
+ */
+
+import chalk from 'chalk';
+import boxen from 'boxen';
+import inquirer from 'inquirer';
+import Table from 'cli-table3';
+
+import { truncate } from '../utils.js';
+import { valuesEqual } from './obsidian-merge.js';
+
+/**
+ * Task fields compared between an existing task and its re-extracted proposal
+ */
+export const RECONCILE_FIELDS = [
+	'title',
+	'description',
+	'details',
+	'testStrategy',
+	'priority',
+	'dependencies'
+];
+
+/**
+ * Source fields refreshed along with an accepted change
+ */
+const SOURCE_FIELDS = [
+	'sourceFile',
+	'lineNumber',
+	'lineEnd',
+	'section',
+	'originalTaskText',
+	'blockRef',
+	'obsidianTags',
+	'linkedNotes'
+];
+
+/**
+ * Statuses whose tasks are never overwritten or retired by a reconcile
+ */
+export const PROTECTED_STATUSES = ['in-progress', 'done'];
+
+/**
+ * Minimum similarity for a proposal to match an existing task without a
+ * shared source anchor
+ */
+export const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Matches re-extracted tasks to existing ones and classifies the differences.
+ * A proposal matches the existing task with the same source block reference;
+ * the rest are paired by title and description similarity. Only existing
+ * tasks from the scanned notes can become obsolete, so a scoped parse leaves
+ * the others alone.
+ * @param {Array<Object>} existingTasks - Tasks currently in the tag
+ * @param {Array<Object>} proposedTasks - Newly extracted tasks, with IDs not used by existing tasks
+ * @param {Object} [options]
+ * @param {Array<string>} [options.scannedFiles] - Vault-relative paths of the notes parsed
+ * @param {number} [options.threshold=DEFAULT_MATCH_THRESHOLD] - Minimum similarity, 0 to 1
+ * @returns {Array<{type: string, existing?: Object, proposed?: Object, changes: Array<{field: string, from: *, to: *}>, matchedBy?: string, protected: boolean}>}
+ *   One entry per task, typed `new`, `changed`, `obsolete` or `unchanged`;
+ *   proposal dependencies are already mapped to existing task IDs
+ */
+export function diffExtractedTasks(
+	existingTasks,
+	proposedTasks,
+	{ scannedFiles = [], threshold = DEFAULT_MATCH_THRESHOLD } = {}
+) {
+	const matches = new Map();
+	const matchedExisting = new Set();
+	const match = (proposed, existing, matchedBy) => {
+		matches.set(proposed, { existing, matchedBy });
+		matchedExisting.add(existing);
+	};
+
+	for (const proposed of proposedTasks) {
+		if (!proposed.blockRef) continue;
+		const existing = existingTasks.find(
+			(task) =>
+				!matchedExisting.has(task) &&
+				task.blockRef === proposed.blockRef &&
+				task.sourceFile === proposed.sourceFile
+		);
+		if (existing) match(proposed, existing, 'anchor');
+	}
+
+	const pairs = [];
+	for (const proposed of proposedTasks) {
+		if (matches.has(proposed)) continue;
+		for (const existing of existingTasks) {
+			if (matchedExisting.has(existing)) continue;
+			const score = taskSimilarity(existing, proposed);
+			if (score >= threshold) pairs.push({ proposed, existing, score });
+		}
+	}
+	pairs.sort((a, b) => b.score - a.score);
+	for (const { proposed, existing } of pairs) {
+		if (!matches.has(proposed) && !matchedExisting.has(existing)) {
+			match(proposed, existing, 'similarity');
+		}
+	}
+
+	// Proposal IDs of matched tasks become the existing IDs
+	const idMap = new Map(
+		[...matches].map(([proposed, { existing }]) => [proposed.id, existing.id])
+	);
+	const mapDependencies = (proposed) =>
+		(proposed.dependencies || []).map((depId) => idMap.get(depId) ?? depId);
+
+	const entries = proposedTasks.map((proposed) => {
+		const mapped = { ...proposed, dependencies: mapDependencies(proposed) };
+		const found = matches.get(proposed);
+		if (!found) {
+			return { type: 'new', proposed: mapped, changes: [], protected: false };
+		}
+		const { existing, matchedBy } = found;
+		const changes = RECONCILE_FIELDS.filter(
+			(field) => !valuesEqual(existing[field], mapped[field])
+		).map((field) => ({ field, from: existing[field], to: mapped[field] }));
+		return {
+			type: changes.length > 0 ? 'changed' : 'unchanged',
+			existing,
+			proposed: mapped,
+			changes,
+			matchedBy,
+			protected: PROTECTED_STATUSES.includes(existing.status)
+		};
+	});
+
+	for (const existing of existingTasks) {
+		if (
+			!matchedExisting.has(existing) &&
+			existing.sourceFile &&
+			scannedFiles.includes(existing.sourceFile) &&
+			existing.status !== 'cancelled'
+		) {
+			entries.push({
+				type: 'obsolete',
+				existing,
+				changes: [],
+				protected: PROTECTED_STATUSES.includes(existing.status)
+			});
+		}
+	}
+
+	return entries;
+}
+
+/**
+ * Applies the accepted entries to the existing tasks. Changed tasks take the
+ * proposed fields and source, new tasks are added with the next free IDs and
+ * obsolete tasks are cancelled; protected entries are never applied.
+ * @param {Array<Object>} existingTasks - Tasks currently in the tag; not modified
+ * @param {Array<Object>} entries - Entries from diffExtractedTasks, with `accepted` set
+ * @returns {{tasks: Array<Object>, added: number, updated: number, cancelled: number}}
+ *   The resulting task list and what was applied
+ */
+export function applyReconcileEntries(existingTasks, entries) {
+	const applied = entries.filter((entry) => entry.accepted && !entry.protected);
+	const summary = { added: 0, updated: 0, cancelled: 0 };
+	const tasks = existingTasks.map((task) => ({ ...task }));
+	const byId = new Map(tasks.map((task) => [task.id, task]));
+
+	let nextId = Math.max(0, ...existingTasks.map((task) => task.id || 0)) + 1;
+	const newIds = new Map();
+	for (const entry of applied) {
+		if (entry.type === 'new') newIds.set(entry.proposed.id, nextId++);
+	}
+	// Proposal IDs and the IDs assigned to added tasks share a range, so a
+	// proposal ID is only ever mapped through newIds; dependencies on
+	// proposals that were not added, or on unknown tasks, are dropped
+	const proposalIds = new Set(
+		entries
+			.filter((entry) => entry.type === 'new')
+			.map((entry) => entry.proposed.id)
+	);
+	const mapDependencies = (dependencies) =>
+		dependencies.flatMap((depId) => {
+			if (proposalIds.has(depId)) {
+				return newIds.has(depId) ? [newIds.get(depId)] : [];
+			}
+			return byId.has(depId) ? [depId] : [];
+		});
+
+	for (const entry of applied) {
+		if (entry.type === 'new') {
+			tasks.push({
+				...entry.proposed,
+				id: newIds.get(entry.proposed.id),
+				dependencies: mapDependencies(entry.proposed.dependencies)
+			});
+			summary.added++;
+		} else if (entry.type === 'changed') {
+			const task = byId.get(entry.existing.id);
+			for (const field of [...RECONCILE_FIELDS, ...SOURCE_FIELDS]) {
+				if (entry.proposed[field] !== undefined) {
+					task[field] =
+						field === 'dependencies'
+							? mapDependencies(entry.proposed.dependencies)
+							: entry.proposed[field];
+				}
+			}
+			summary.updated++;
+		} else if (entry.type === 'obsolete') {
+			byId.get(entry.existing.id).status = 'cancelled';
+			summary.cancelled++;
+		}
+	}
+
+	return { tasks, ...summary };
+}
+
+/**
+ * Shows the reconcile diff and asks which changes to apply, one by one or
+ * all at once. Sets `accepted` on each entry.
+ * @param {Array<Object>} entries - Entries from diffExtractedTasks
+ * @param {Object} [options]
+ * @param {boolean} [options.acceptAll=false] - Accept every change without prompting
+ * @returns {Promise<Array<Object>>} The same entries
+ */
+export async function reviewReconcileEntries(
+	entries,
+	{ acceptAll = false } = {}
+) {
+	displayReconcileDiff(entries);
+
+	let remaining = acceptAll ? 'accept' : null;
+	for (const entry of entries) {
+		if (!isActionable(entry)) continue;
+		if (!remaining) {
+			printEntry(entry);
+			const { action } = await inquirer.prompt([
+				{
+					type: 'list',
+					name: 'action',
+					message: `${ACTION_LABELS[entry.type]}?`,
+					choices: [
+						{ name: 'Accept', value: 'accept' },
+						{ name: 'Skip', value: 'skip' },
+						{ name: 'Accept this and all remaining', value: 'accept-all' },
+						{ name: 'Skip this and all remaining', value: 'skip-all' }
+					]
+				}
+			]);
+			if (action.endsWith('-all')) remaining = action.replace('-all', '');
+			entry.accepted = action.startsWith('accept');
+			continue;
+		}
+		entry.accepted = remaining === 'accept';
+	}
+	return entries;
+}
+
+/**
+ * Prints the summary table of a reconcile diff
+ * @param {Array<Object>} entries - Entries from diffExtractedTasks
+ */
+export function displayReconcileDiff(entries) {
+	const counts = { new: 0, changed: 0, obsolete: 0, unchanged: 0 };
+	for (const entry of entries) counts[entry.type]++;
+
+	const table = new Table({
+		head: ['Change', 'ID', 'Title', 'Details'].map((h) => chalk.cyan.bold(h)),
+		colWidths: [12, 6, 40, 40],
+		wordWrap: true
+	});
+	for (const entry of entries) {
+		if (entry.type === 'unchanged') continue;
+		const task = entry.existing || entry.proposed;
+		table.push([
+			chalk[TYPE_COLORS[entry.type]](entry.type),
+			entry.existing ? String(entry.existing.id) : chalk.gray('-'),
+			truncate(task.title, 38),
+			entry.protected
+				? chalk.yellow(`kept: task is ${entry.existing.status}`)
+				: entry.changes.map((change) => change.field).join(', ')
+		]);
+	}
+
+	console.log(
+		boxen(
+			chalk.white.bold('Reconcile with existing tasks') +
+				'\n\n' +
+				`${chalk.green(`${counts.new} new`)}, ${chalk.yellow(`${counts.changed} changed`)}, ${chalk.red(`${counts.obsolete} obsolete`)}, ${chalk.gray(`${counts.unchanged} unchanged`)}`,
+			{ padding: 1, borderColor: 'blue', borderStyle: 'round' }
+		)
+	);
+	if (table.length > 0) console.log(table.toString());
+}
+
+const ACTION_LABELS = {
+	new: 'Add this task',
+	changed: 'Apply these changes',
+	obsolete: 'Cancel this task'
+};
+
+const TYPE_COLORS = {
+	new: 'green',
+	changed: 'yellow',
+	obsolete: 'red',
+	unchanged: 'gray'
+};
+
+function isActionable(entry) {
+	return entry.type !== 'unchanged' && !entry.protected;
+}
+
+function formatValue(value) {
+	if (value === undefined || value === null || value === '') {
+		return chalk.gray('(empty)');
+	}
+	if (Array.isArray(value)) return value.length ? value.join(', ') : '[]';
+	return truncate(String(value), 60);
+}
+
+function printEntry(entry) {
+	const task = entry.existing || entry.proposed;
+	const lines = [
+		chalk.white.bold(
+			`${entry.existing ? `Task ${entry.existing.id}` : 'New task'}: ${task.title}`
+		)
+	];
+	if (task.sourceFile) {
+		lines.push(
+			chalk.gray(
+				`Obsidian: ${task.sourceFile}${task.lineNumber ? `:${task.lineNumber}` : ''}${entry.matchedBy ? ` (matched by ${entry.matchedBy})` : ''}`
+			)
+		);
+	}
+	if (entry.type === 'changed') {
+		for (const change of entry.changes) {
+			lines.push(
+				`${chalk.cyan(change.field)}: ${chalk.red(formatValue(change.from))} → ${chalk.green(formatValue(change.to))}`
+			);
+		}
+	} else if (entry.type === 'new') {
+		lines.push(formatValue(task.description));
+	} else {
+		lines.push(chalk.gray('No longer found in the notes'));
+	}
+	console.log(
+		boxen(lines.join('\n'), {
+			padding: { left: 1, right: 1 },
+			borderColor: TYPE_COLORS[entry.type],
+			borderStyle: 'round'
+		})
+	);
+}
+
+/**
+ * Word overlap (Dice coefficient) of titles, and to a lesser degree descriptions
+ */
+function taskSimilarity(a, b) {
+	const title = dice(words(a.title), words(b.title));
+	if (!a.description || !b.description) return title;
+	return 0.7 * title + 0.3 * dice(words(a.description), words(b.description));
+}
+
+function words(text) {
+	return new Set(
+		String(text || '')
+			.toLowerCase()
+			.split(/[^\p{L}\p{N}]+/u)
+			.filter((word) => word.length > 1)
+	);
+}
+
+function dice(a, b) {
+	if (a.size === 0 || b.size === 0) return 0;
+	let shared = 0;
+	for (const word of a) if (b.has(word)) shared++;
+	return (2 * shared) / (a.size + b.size);
+}
@@ -0,0 +1,175 @@
+/**
+ * obsidian-regions.js
+ * Managed regions of generated task notes. Everything Task Master writes
+ * below the frontmatter sits between `<!-- TASKMASTER_START: <name> -->` and
+ * `<!-- TASKMASTER_END: <name> -->` comments (hidden in Obsidian's reading
+ * view). A sync rewrites those regions only, so text, images and links the
+ * user adds around them are kept.
+ */
+
+import { parseFrontmatter } from './obsidian-frontmatter.js';
+import { parseTaskLine } from './obsidian-task-line.js';
+
+const REGION_MARKER_REGEX = /^<!-- TASKMASTER_(START|END): ([\w-]+) -->$/;
+const REGION_REGEX =
+	/<!-- TASKMASTER_START: ([\w-]+) -->\n[\s\S]*?\n?<!-- TASKMASTER_END: \1 -->/g;
+
+// List items the old generator wrote under these headings, now written by
+// the dependencies and related-notes regions
+const LEGACY_LISTS = {
+	'## Dependencies': /^- Task [\w.]+$/,
+	'## Related Notes': /^- \[\[[^\]]+\]\]$/
+};
+
+/**
+ * Wraps generated content in the markers of a managed region
+ * @param {string} name - Region name, e.g. `description`
+ * @param {string} content - Generated Markdown
+ * @returns {string} Region text, without a trailing newline
+ */
+export function formatRegion(name, content) {
+	return `<!-- TASKMASTER_START: ${name} -->\n${content.replace(/\n+$/, '')}\n<!-- TASKMASTER_END: ${name} -->`;
+}
+
+/**
+ * Tells whether a line is a region start or end marker
+ * @param {string} line - Line of a note
+ * @returns {boolean}
+ */
+export function isRegionMarker(line) {
+	return REGION_MARKER_REGEX.test(line.trim());
+}
+
+/**
+ * Lists the managed regions of a note in order
+ * @param {string} content - Markdown content
+ * @returns {Array<{name: string, start: number, end: number, text: string}>}
+ *   Regions with the character range they cover, markers included
+ */
+export function findRegions(content) {
+	return [...content.matchAll(REGION_REGEX)].map((match) => ({
+		name: match[1],
+		start: match.index,
+		end: match.index + match[0].length,
+		text: match[0]
+	}));
+}
+
+/**
+ * Applies a freshly generated note to the note already in the vault. The
+ * frontmatter is replaced, every managed region is replaced by its new text,
+ * regions the task no longer has are removed and new ones are inserted after
+ * the region preceding them. Content outside the regions is left as is.
+ * Notes without any region (written before regions existed) are converted,
+ * see convertLegacyNote.
+ * @param {string} existing - Current note content
+ * @param {string} generated - Generated note content
+ * @returns {string} Updated note content
+ */
+export function applyManagedRegions(existing, generated) {
+	if (findRegions(existing).length === 0) {
+		return convertLegacyNote(existing, generated);
+	}
+
+	const { body: generatedBody } = parseFrontmatter(generated);
+	const head = generated.slice(0, generated.length - generatedBody.length);
+	const wanted = findRegions(generatedBody);
+	const wantedNames = new Set(wanted.map((region) => region.name));
+
+	let body = parseFrontmatter(existing).body;
+	// Drop regions the generated note no longer has, with the blank line after them
+	for (const region of findRegions(body).reverse()) {
+		if (!wantedNames.has(region.name)) {
+			const rest = body.slice(region.end);
+			body = rest.trim()
+				? body.slice(0, region.start) + rest.replace(/^\n{1,2}/, '')
+				: body.slice(0, region.start).replace(/\n+$/, '\n');
+		}
+	}
+
+	let previousName = null;
+	for (const region of wanted) {
+		const current = findRegions(body);
+		const found = current.find((r) => r.name === region.name);
+		if (found) {
+			body = body.slice(0, found.start) + region.text + body.slice(found.end);
+		} else {
+			const previous = current.find((r) => r.name === previousName);
+			const at = previous ? previous.end : 0;
+			const separator = previous ? '\n\n' : '';
+			const trailer = previous ? '' : '\n\n';
+			body =
+				body.slice(0, at) + separator + region.text + trailer + body.slice(at);
+		}
+		previousName = region.name;
+	}
+
+	return head + body;
+}
+
+/**
+ * Converts a note written before managed regions existed. The generated
+ * regions come first; the old body follows without what the old generator
+ * wrote: the leading title heading, the task's checkbox lines (matched by
+ * title, since they carry no metadata or anchor), the `- Task <id>` and
+ * wikilink lists of the Dependencies and Related Notes sections, and the
+ * sections (split at `#` and `##` headings) whose every line is also in the
+ * generated note. Anything the user wrote or changed is kept.
+ * @param {string} existing - Current note content, without regions
+ * @param {string} generated - Generated note content
+ * @returns {string} Converted note content
+ */
+export function convertLegacyNote(existing, generated) {
+	const { body: generatedBody } = parseFrontmatter(generated);
+	const head = generated.slice(0, generated.length - generatedBody.length);
+	const generatedLines = new Set(
+		generatedBody.split('\n').map(normalizeLine).filter(Boolean)
+	);
+	const taskTitles = new Set(
+		generatedBody
+			.split('\n')
+			.map(parseTaskLine)
+			.filter(Boolean)
+			.map((task) => task.title)
+	);
+	const isTaskCheckbox = (line) => taskTitles.has(parseTaskLine(line)?.title);
+
+	const lines = parseFrontmatter(existing).body.split('\n');
+	const first = lines.findIndex((line) => line.trim());
+	if (/^# /.test(lines[first] || '')) {
+		lines[first] = '';
+	}
+
+	const kept = [];
+	let section = [];
+	const flush = () => {
+		const heading = /^#{1,2} /.test(section[0] || '') ? section[0] : null;
+		const generatedList = LEGACY_LISTS[heading?.trim()];
+		const rest = section.filter(
+			(line) =>
+				!isTaskCheckbox(line) &&
+				!(line !== heading && generatedList?.test(line.trim()))
+		);
+		const text = rest.map(normalizeLine).filter(Boolean);
+		const emptyList = generatedList && text.length === 1;
+		if (!emptyList && text.some((line) => !generatedLines.has(line))) {
+			kept.push(rest.join('\n').trim());
+		}
+		section = [];
+	};
+	for (const line of lines) {
+		if (/^#{1,2} /.test(line)) flush();
+		section.push(line);
+	}
+	flush();
+
+	const rest = kept.filter(Boolean).join('\n\n');
+	return rest
+		? `${head}${generatedBody.replace(/\n+$/, '')}\n\n${rest}\n`
+		: generated;
+}
+
+// Anchors are new since regions, so a legacy task line matches without one
+function normalizeLine(line) {
+	return line.replace(/\s\^tm-[\w.-]+\s*$/, '').trim();
+}
@@ -0,0 +1,206 @@
+import chalk from 'chalk';
+import boxen from 'boxen';
+import inquirer from 'inquirer';
+import Table from 'cli-table3';
+
+import { log, readJSON, writeJSON, truncate } from '../utils.js';
+import { proposeResolution } from './obsidian-merge.js';
+
+/**
+ * Non-interactive resolution choices accepted by `--strategy`
+ */
+export const RESOLVE_CHOICES = ['taskmaster', 'obsidian', 'merged'];
+
+/**
+ * Resolve Obsidian sync conflicts recorded on tasks by a previous sync
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {Object} options - Options object
+ * @param {string} [options.tag] - Tag context
+ * @param {string} [options.projectRoot] - Project root path
+ * @param {Array<number>} [options.ids] - Only resolve these task IDs
+ * @param {string} [options.strategy] - One of RESOLVE_CHOICES; prompts per field when omitted
+ * @returns {Promise<{resolved: Array<number>, skipped: Array<number>}>} Resolution summary
+ */
+async function resolveObsidianConflicts(tasksPath, options = {}) {
+	const { tag, projectRoot, ids, strategy } = options;
+
+	if (strategy && !RESOLVE_CHOICES.includes(strategy)) {
+		throw new Error(
+			`Invalid strategy "${strategy}". Use one of: ${RESOLVE_CHOICES.join(', ')}`
+		);
+	}
+
+	const data = readJSON(tasksPath, projectRoot, tag);
+	if (!data || !data.tasks) {
+		throw new Error(`No valid tasks found in ${tasksPath}`);
+	}
+
+	const conflicted = data.tasks.filter(
+		(task) =>
+			task.syncStatus === 'conflict' &&
+			task.syncConflict?.fields?.length > 0 &&
+			(!ids || ids.includes(task.id))
+	);
+
+	const summary = { resolved: [], skipped: [] };
+	if (conflicted.length === 0) {
+		log('info', 'No Obsidian sync conflicts to resolve');
+		return summary;
+	}
+
+	for (const task of conflicted) {
+		const values = strategy
+			? pickAll(task.syncConflict.fields, strategy)
+			: await promptForTask(task);
+
+		if (!values) {
+			summary.skipped.push(task.id);
+			continue;
+		}
+
+		applyResolution(task, values);
+		summary.resolved.push(task.id);
+		log('success', `Resolved sync conflict for task ${task.id}`);
+	}
+
+	if (summary.resolved.length > 0) {
+		writeJSON(tasksPath, data, projectRoot, tag);
+	}
+
+	return summary;
+}
+
+/**
+ * Resolves the sync conflict of a task without prompting
+ * @param {Object} task - Task with `syncStatus: 'conflict'`
+ * @param {string} strategy - One of RESOLVE_CHOICES
+ * @returns {Array<string>} Fields that were in conflict
+ */
+export function resolveTaskConflict(task, strategy) {
+	const fields = task.syncConflict?.fields || [];
+	if (fields.length === 0) {
+		task.syncStatus = 'pending';
+		delete task.syncConflict;
+		return [];
+	}
+	applyResolution(task, pickAll(fields, strategy));
+	return fields.map((conflict) => conflict.field);
+}
+
+/**
+ * Applies the chosen values to a task and clears its conflict.
+ * The base takes the Obsidian values so the next sync sees the vault as
+ * unchanged, keeps the resolved values and writes them back to the vault.
+ */
+function applyResolution(task, values) {
+	const syncBase = { ...(task.syncBase || {}) };
+	for (const conflict of task.syncConflict.fields) {
+		task[conflict.field] = values[conflict.field];
+		syncBase[conflict.field] = conflict.obsidian;
+	}
+	task.syncBase = syncBase;
+	task.syncStatus = 'pending';
+	delete task.syncConflict;
+}
+
+function pickAll(fields, strategy) {
+	const values = {};
+	for (const conflict of fields) {
+		values[conflict.field] =
+			strategy === 'merged' ? proposeResolution(conflict) : conflict[strategy];
+	}
+	return values;
+}
+
+function formatValue(value) {
+	if (value === undefined || value === null) return chalk.gray('(empty)');
+	if (Array.isArray(value)) return value.length ? value.join(', ') : '[]';
+	return truncate(String(value), 60);
+}
+
+/**
+ * Shows both sides and the merged proposal, then asks which value to keep per field
+ * @returns {Promise<Object|null>} Chosen values keyed by field, or null to skip the task
+ */
+async function promptForTask(task) {
+	const table = new Table({
+		head: ['Field', 'Base', 'TaskMaster', 'Obsidian', 'Proposed'].map((h) =>
+			chalk.cyan.bold(h)
+		),
+		colWidths: [14, 22, 22, 22, 22],
+		wordWrap: true
+	});
+	for (const conflict of task.syncConflict.fields) {
+		table.push([
+			conflict.field,
+			formatValue(conflict.base),
+			formatValue(conflict.taskmaster),
+			formatValue(conflict.obsidian),
+			formatValue(proposeResolution(conflict))
+		]);
+	}
+
+	console.log(
+		boxen(
+			chalk.white.bold(`Task ${task.id}: ${task.title}`) +
+				'\n' +
+				chalk.gray(
+					`Obsidian: ${task.syncConflict.sourceFile}${task.syncConflict.lineNumber ? `:${task.syncConflict.lineNumber}` : ''}`
+				),
+			{
+				padding: { left: 1, right: 1 },
+				borderColor: 'yellow',
+				borderStyle: 'round'
+			}
+		)
+	);
+	console.log(table.toString());
+
+	const { action } = await inquirer.prompt([
+		{
+			type: 'list',
+			name: 'action',
+			message: 'How do you want to resolve this task?',
+			choices: [
+				{ name: 'Accept merged proposal', value: 'merged' },
+				{ name: 'Keep TaskMaster values', value: 'taskmaster' },
+				{ name: 'Use Obsidian values', value: 'obsidian' },
+				{ name: 'Choose per field', value: 'per-field' },
+				{ name: 'Skip for now', value: 'skip' }
+			]
+		}
+	]);
+
+	if (action === 'skip') return null;
+	if (action !== 'per-field') return pickAll(task.syncConflict.fields, action);
+
+	const values = {};
+	for (const conflict of task.syncConflict.fields) {
+		const { choice } = await inquirer.prompt([
+			{
+				type: 'list',
+				name: 'choice',
+				message: `${conflict.field}:`,
+				choices: [
+					{
+						name: `Proposed: ${formatValue(proposeResolution(conflict))}`,
+						value: 'merged'
+					},
+					{
+						name: `TaskMaster: ${formatValue(conflict.taskmaster)}`,
+						value: 'taskmaster'
+					},
+					{
+						name: `Obsidian: ${formatValue(conflict.obsidian)}`,
+						value: 'obsidian'
+					}
+				]
+			}
+		]);
+		values[conflict.field] =
+			choice === 'merged' ? proposeResolution(conflict) : conflict[choice];
+	}
+	return values;
+}
+
+export default resolveObsidianConflicts;
@@ -0,0 +1,302 @@
+/**
+ * obsidian-source.js
+ * Traceability from tasks extracted by parse-obsidian-notes back to the note
+ * passage they came from: heading path, line range and a block reference
+ * that keeps pointing at the passage when lines around it change.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const BLOCK_ID_REGEX = /\s\^([A-Za-z0-9-]+)\s*$/;
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)])\s/;
+const CHECKBOX_REGEX = /^\s*(?:[-*+]|\d+[.)])\s+\[.\]/;
+const FENCE_REGEX = /^\s*(`{3,}|~{3,})/;
+const RULE_REGEX = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+
+/**
+ * Finds the passage of a note a task came from: the block holding the
+ * excerpt quoted by the model, or else the first block under the named
+ * heading
+ * @param {string} content - Note content
+ * @param {Object} hint
+ * @param {string} [hint.excerpt] - Text quoted from the note
+ * @param {string} [hint.section] - Heading the passage sits under
+ * @returns {{lineStart: number, lineEnd: number, headingPath: Array<string>, excerpt: string, blockId: string|null}|null}
+ *   1-based line range of the block, the headings above it, its text and
+ *   the block ID it already carries; null when nothing matches
+ */
+export function locateSourcePassage(content, { excerpt, section } = {}) {
+	const lines = content.split('\n');
+	const text = proseLines(lines);
+	let start = findExcerpt(text, excerpt);
+	let end = start;
+
+	if (start === -1 && section) {
+		const wanted = normalize(section.split('>').pop());
+		const heading = text.findIndex(
+			(line) =>
+				HEADING_REGEX.test(line) &&
+				normalize(HEADING_REGEX.exec(line)[2]) === wanted
+		);
+		start = text.findIndex(
+			(line, index) =>
+				index > heading &&
+				heading !== -1 &&
+				line.trim() &&
+				!HEADING_REGEX.test(line)
+		);
+		end = start;
+	}
+	if (start === -1) {
+		return null;
+	}
+
+	if (!LIST_ITEM_REGEX.test(lines[start])) {
+		// A paragraph block runs between blank lines or headings
+		while (start > 0 && isParagraphLine(text[start - 1])) start--;
+		while (end < text.length - 1 && isParagraphLine(text[end + 1])) end++;
+	}
+
+	return {
+		lineStart: start + 1,
+		lineEnd: end + 1,
+		headingPath: headingPathAt(text, start),
+		excerpt: lines
+			.slice(start, end + 1)
+			.map((line) => line.replace(BLOCK_ID_REGEX, ''))
+			.join('\n'),
+		blockId: BLOCK_ID_REGEX.exec(lines[end])?.[1] || null
+	};
+}
+
+/**
+ * Records on each task where in the vault it came from. Source passages
+ * without a block ID get a new one (`^src-<hash>`) as their `blockRef`;
+ * checkbox lines are left alone, since their text is read back as a task.
+ * The notes are not changed: writeSourceBlockIds adds the new IDs once the
+ * tasks are kept.
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Array<Object>} tasks - Tasks with `sourceFile` and the model's
+ *   `originalTaskText` and `section` hints; updated in place
+ * @param {Array<string>} notePaths - Vault-relative paths of the scanned notes
+ * @returns {number} Number of tasks whose source passage was found
+ */
+export function recordTaskSources(vaultPath, tasks, notePaths) {
+	const notes = new Map();
+	let located = 0;
+
+	for (const task of tasks) {
+		const file = resolveNotePath(task.sourceFile, notePaths);
+		if (!file) continue;
+		if (!notes.has(file)) {
+			notes.set(file, {
+				content: fs.readFileSync(path.join(vaultPath, file), 'utf8')
+			});
+		}
+		const note = notes.get(file);
+		const passage = locateSourcePassage(note.content, {
+			excerpt: task.originalTaskText,
+			section: task.section
+		});
+		if (!passage) continue;
+
+		let blockId = passage.blockId;
+		const lines = note.content.split('\n');
+		if (!blockId && !CHECKBOX_REGEX.test(lines[passage.lineEnd - 1])) {
+			// Added to the copy in memory, so later tasks of the passage share it
+			blockId = `src-${crypto.createHash('sha1').update(`${file}\n${passage.excerpt}`).digest('hex').slice(0, 6)}`;
+			lines[passage.lineEnd - 1] =
+				`${lines[passage.lineEnd - 1].replace(/\s+$/, '')} ^${blockId}`;
+			note.content = lines.join('\n');
+		}
+
+		Object.assign(task, {
+			sourceFile: file,
+			lineNumber: passage.lineStart,
+			lineEnd: passage.lineEnd,
+			section: passage.headingPath.join(' > ') || undefined,
+			originalTaskText: passage.excerpt,
+			...(blockId ? { blockRef: `^${blockId}` } : {})
+		});
+		located++;
+	}
+
+	return located;
+}
+
+/**
+ * Appends the block IDs assigned by recordTaskSources to the source
+ * passages that do not carry them yet
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Array<Object>} tasks - Tasks with the source fields recordTaskSources set
+ * @returns {number} Number of block IDs written
+ */
+export function writeSourceBlockIds(vaultPath, tasks) {
+	const notes = new Map();
+	let written = 0;
+
+	for (const task of tasks) {
+		if (!task.blockRef || !task.sourceFile || !task.lineEnd) continue;
+		const filePath = path.join(vaultPath, task.sourceFile);
+		if (!notes.has(filePath)) {
+			if (!fs.existsSync(filePath)) continue;
+			notes.set(filePath, {
+				lines: fs.readFileSync(filePath, 'utf8').split('\n'),
+				changed: false
+			});
+		}
+		const note = notes.get(filePath);
+		const index = task.lineEnd - 1;
+		const line = note.lines[index];
+		if (
+			!proseLines(note.lines)[index] ||
+			BLOCK_ID_REGEX.test(line) ||
+			CHECKBOX_REGEX.test(line) ||
+			note.lines.some((other) => other.trimEnd().endsWith(` ${task.blockRef}`))
+		) {
+			continue;
+		}
+		note.lines[index] = `${line.replace(/\s+$/, '')} ${task.blockRef}`;
+		note.changed = true;
+		written++;
+	}
+
+	for (const [filePath, note] of notes) {
+		if (note.changed) {
+			fs.writeFileSync(filePath, note.lines.join('\n'), 'utf8');
+		}
+	}
+	return written;
+}
+
+/**
+ * Reads the current text of a task's source passage. The block reference is
+ * followed first, so the excerpt stays right when lines above it changed.
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Object} task - Task with source fields
+ * @returns {{lineStart: number, lineEnd: number, headingPath: Array<string>, excerpt: string}|null}
+ *   Null when the note or the passage is gone
+ */
+export function readSourcePassage(vaultPath, task) {
+	const filePath = path.join(vaultPath, task.sourceFile || '');
+	if (!task.sourceFile || !fs.existsSync(filePath)) {
+		return null;
+	}
+	const content = fs.readFileSync(filePath, 'utf8');
+	const lines = content.split('\n');
+
+	const blockLine = task.blockRef
+		? lines.findIndex((line) => line.trimEnd().endsWith(` ${task.blockRef}`))
+		: -1;
+	if (blockLine !== -1) {
+		// The block ID ends the passage; its line finds the whole block again
+		const passage = locateSourcePassage(content, { excerpt: lines[blockLine] });
+		if (passage) return passage;
+	}
+	return locateSourcePassage(content, {
+		excerpt: task.originalTaskText,
+		section: task.section
+	});
+}
+
+/**
+ * Builds an `obsidian://open` link to a note, or to a block of it
+ * @param {string} vaultPath - Path to Obsidian vault (its folder name is the vault name)
+ * @param {string} file - Vault-relative note path
+ * @param {string} [blockRef] - Block reference, e.g. `^src-1a2b3c`
+ * @returns {string} Deep link
+ */
+export function formatObsidianUri(vaultPath, file, blockRef) {
+	const target = file.replace(/\.md$/, '') + (blockRef ? `#${blockRef}` : '');
+	return `obsidian://open?vault=${encodeURIComponent(path.basename(vaultPath))}&file=${encodeURIComponent(target)}`;
+}
+
+/**
+ * Matches the model's `sourceFile` (a path, or just a file name) to a scanned note
+ */
+function resolveNotePath(sourceFile, notePaths) {
+	if (!sourceFile) return null;
+	const wanted = sourceFile.replace(/^\/+/, '');
+	if (notePaths.includes(wanted)) return wanted;
+	const name = path.posix.basename(wanted).replace(/\.md$/, '').toLowerCase();
+	const matches = notePaths.filter(
+		(notePath) => path.posix.basename(notePath, '.md').toLowerCase() === name
+	);
+	return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * The note's lines with frontmatter, fenced code blocks and horizontal rules
+ * blanked out, so passages are only found in and bounded by the note's prose
+ * and no block ID is ever written on a fence
+ */
+function proseLines(lines) {
+	const text = [...lines];
+	const blank = (from, to) => text.fill('', from, to + 1);
+
+	if (lines[0]?.trim() === '---') {
+		const close = lines.findIndex(
+			(line, index) => index > 0 && line.trim() === '---'
+		);
+		if (close !== -1) blank(0, close);
+	}
+	for (let index = 0; index < text.length; index++) {
+		const fence = FENCE_REGEX.exec(text[index]);
+		if (fence) {
+			const marker = fence[1];
+			let close = index + 1;
+			while (
+				close < text.length &&
+				!new RegExp(`^\\s*${marker[0]}{${marker.length},}\\s*$`).test(
+					text[close]
+				)
+			) {
+				close++;
+			}
+			blank(index, Math.min(close, text.length - 1));
+			index = close;
+		} else if (RULE_REGEX.test(text[index])) {
+			blank(index, index);
+		}
+	}
+	return text;
+}
+
+function findExcerpt(lines, excerpt) {
+	const firstLine = (excerpt || '').split('\n').map(normalize).find(Boolean);
+	if (!firstLine) return -1;
+	return lines.findIndex((line) => normalize(line).includes(firstLine));
+}
+
+function headingPathAt(lines, index) {
+	const stack = [];
+	for (const line of lines.slice(0, index)) {
+		const heading = HEADING_REGEX.exec(line);
+		if (heading) {
+			stack.length = Math.min(stack.length, heading[1].length - 1);
+			stack[heading[1].length - 1] = heading[2];
+		}
+	}
+	return stack.filter(Boolean);
+}
+
+function isParagraphLine(line) {
+	return (
+		line !== undefined &&
+		line.trim() !== '' &&
+		!HEADING_REGEX.test(line) &&
+		!LIST_ITEM_REGEX.test(line)
+	);
+}
+
+function normalize(text) {
+	return String(text || '')
+		.replace(BLOCK_ID_REGEX, '')
+		.replace(/^\s*(?:[-*+]|\d+[.)])\s+(?:\[.\]\s+)?/, '')
+		.replace(/\s+/g, ' ')
+		.trim()
+		.toLowerCase();
+}
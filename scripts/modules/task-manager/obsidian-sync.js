@@ -1,39 +1,106 @@
 import fs from 'fs';
 import path from 'path';
-import glob from 'glob';
 import { readJSON, writeJSON, log } from '../utils.js';
+import {
+    extractTaskLines,
+    formatTaskAnchor,
+    formatTaskLine,
+    isSubtaskId,
+    parseTaskLine,
+    replaceTaskLine,
+    setTaskLineAnchor,
+    statusToCheckbox
+} from './obsidian-task-line.js';
+import {
+    CONFLICT_STRATEGIES,
+    createSyncBase,
+    threeWayMerge,
+    valuesEqual
+} from './obsidian-merge.js';
+import { scanVaultIndex } from './obsidian-index.js';
+import {
+    DEFAULT_NOTE_LAYOUT,
+    TAG_NOTES_DIR,
+    getTagNotesDir,
+    getTaskNoteId,
+    getTaskNotePath,
+    isOutsideTagScope,
+    isTaskNote,
+    loadVaultLayout,
+    writeTagOverview
+} from './obsidian-layout.js';
+import {
+    DEPENDENCIES_HEADING,
+    formatTaskLink,
+    resolveTaskLink
+} from './obsidian-links.js';
+import {
+    formatFrontmatter,
+    frontmatterToTask,
+    parseFrontmatter,
+    splitTemplateFrontmatter,
+    taskToFrontmatter
+} from './obsidian-frontmatter.js';
+import { writeTaskIndex } from './obsidian-dataview.js';
+import { applyManagedRegions, findRegions, formatRegion } from './obsidian-regions.js';
+import { renderTemplate } from './obsidian-templates.js';
+
+// Task fields read from Obsidian Tasks / Dataview metadata on a checkbox line
+const LINE_METADATA_FIELDS = [
+    'priority',
+    'recurrence',
+    'startDate',
+    'scheduledDate',
+    'dueDate',
+    'completedAt'
+];
 
 /**
  * Synchronizes tasks between tasks.json and Obsidian markdown files
  * @param {string} tasksPath - Path to tasks.json
  * @param {string} vaultPath - Path to Obsidian vault
  * @param {Object} options - Sync options
+ * @param {string} [options.conflictResolution] - Overrides `syncSettings.conflictResolution` of the tag
+ * @param {boolean} [options.indexJson] - Overrides `syncSettings.indexJson` of the tag
+ * @param {Object} [options.vault] - Configured vault, whose note layout settings apply
  */
 export async function syncWithObsidian(tasksPath, vaultPath, options = {}) {
     const { tag = 'master', direction = 'bidirectional', projectRoot } = options;
     
     log('info', `Starting Obsidian sync: ${direction} for tag: ${tag}`);
-    
-    // Read current tasks
-    const tasksData = readJSON(tasksPath, projectRoot, tag);
-    if (!tasksData || !tasksData.tasks) {
-        throw new Error('No tasks data found');
-    }
-    
+    const layout = loadVaultLayout(vaultPath, options);
     const syncResults = {
         updated: 0,
         created: 0,
         conflicts: 0,
+        autoResolved: 0,
+        conflictDetails: [],
         errors: []
     };
     
+    // Read vault changes first so writing to the vault cannot overwrite unsynced edits
+    if (direction === 'from-obsidian' || direction === 'bidirectional') {
+        Object.assign(syncResults, await syncTasksFromObsidian({ ...options, tasksPath, vaultPath, tag }));
+    }
+    
+    // Read current tasks, including what the vault just added
+    const tasksData = readJSON(tasksPath, projectRoot, tag);
+    if (!tasksData || !tasksData.tasks) {
+        throw new Error('No tasks data found');
+    }
+    
     if (direction === 'to-obsidian' || direction === 'bidirectional') {
         log('info', 'Syncing tasks TO Obsidian files...');
         // Sync tasks TO Obsidian files
         for (const task of tasksData.tasks) {
             if (task.sourceFile) {
+                if (task.syncStatus === 'conflict') {
+                    log('warn', `Skipping task ${task.id} until its sync conflict is resolved`);
+                    continue;
+                }
                 try {
-                    await updateMarkdownFile(vaultPath, task);
+                    await updateMarkdownFile(vaultPath, task, { tag, tasks: tasksData.tasks, layout });
+                    markSynced(task);
                     syncResults.updated++;
                     log('debug', `Updated markdown file for task ${task.id}: ${task.sourceFile}`);
                 } catch (error) {
@@ -44,52 +111,11 @@ export async function syncWithObsidian(tasksPath, vaultPath, options = {}) {
                 }
             }
         }
+        updateTagLayout(vaultPath, tag, tasksData, { ...options, layout });
     }
     
-    if (direction === 'from-obsidian' || direction === 'bidirectional') {
-        log('info', 'Syncing tasks FROM Obsidian files...');
-        // Sync tasks FROM Obsidian files
-        const vaultTasks = await extractTasksFromVault(vaultPath);
-        
-        for (const vaultTask of vaultTasks) {
-            const existingTask = tasksData.tasks.find(t => 
-                t.sourceFile === vaultTask.sourceFile && 
-                t.title === vaultTask.title
-            );
-            
-            if (existingTask) {
-                // Check for conflicts
-                if (hasConflict(existingTask, vaultTask)) {
-                    existingTask.syncStatus = 'conflict';
-                    syncResults.conflicts++;
-                    log('warn', `Conflict detected for task ${existingTask.id}: ${existingTask.title}`);
-                } else {
-                    // Update existing task
-                    Object.assign(existingTask, vaultTask, {
-                        id: existingTask.id, // Preserve ID
-                        syncStatus: 'synced',
-                        lastSyncAt: new Date().toISOString()
-                    });
-                    syncResults.updated++;
-                    log('debug', `Updated task ${existingTask.id} from Obsidian`);
-                }
-            } else {
-                // Create new task
-                const newId = Math.max(...tasksData.tasks.map(t => t.id), 0) + 1;
-                tasksData.tasks.push({
-                    ...vaultTask,
-                    id: newId,
-                    syncStatus: 'synced',
-                    lastSyncAt: new Date().toISOString()
-                });
-                syncResults.created++;
-                log('info', `Created new task ${newId} from Obsidian: ${vaultTask.title}`);
-            }
-        }
-        
-        // Save updated tasks
-        writeJSON(tasksPath, tasksData, projectRoot, tag);
-    }
+    // Save updated tasks (merged fields and sync base snapshots)
+    writeJSON(tasksPath, tasksData, projectRoot, tag);
     
     log('success', `Sync completed: ${syncResults.updated} updated, ${syncResults.created} created, ${syncResults.conflicts} conflicts`);
     return syncResults;
@@ -97,13 +123,14 @@ export async function syncWithObsidian(tasksPath, vaultPath, options = {}) {
 
 /**
  * Updates a markdown file with task information
+ * @param {Object} context - Tag, tasks (used to link dependencies) and note layout
  */
-async function updateMarkdownFile(vaultPath, task) {
+async function updateMarkdownFile(vaultPath, task, context) {
     const filePath = path.join(vaultPath, task.sourceFile);
     
     if (!fs.existsSync(filePath)) {
         // Create new file
-        const content = generateMarkdownForTask(task);
+        const content = generateMarkdownForTask(task, context);
         const fileDir = path.dirname(filePath);
         if (!fs.existsSync(fileDir)) {
             fs.mkdirSync(fileDir, { recursive: true });
@@ -112,141 +139,836 @@ async function updateMarkdownFile(vaultPath, task) {
         return;
     }
     
-    // Update existing file
-    let content = fs.readFileSync(filePath, 'utf8');
-    content = updateTaskInMarkdown(content, task);
-    fs.writeFileSync(filePath, content, 'utf8');
+    // Update existing file, leaving it untouched when nothing changed
+    const content = fs.readFileSync(filePath, 'utf8');
+    const updated = refreshNoteFrontmatter(updateTaskInMarkdown(content, task), task, context);
+    if (updated !== content) {
+        fs.writeFileSync(filePath, updated, 'utf8');
+    }
+    
+    // The generated task note repeats the task's fields in its frontmatter;
+    // a stale copy would read back as an edit on the next sync
+    const notePath = findTaskNotePath(vaultPath, context.tag, task.id, context.layout);
+    if (notePath && notePath !== filePath) {
+        const note = fs.readFileSync(notePath, 'utf8');
+        const refreshed = refreshNoteFrontmatter(
+            updateTaskInMarkdown(note, task, { appendIfMissing: false }),
+            task,
+            context
+        );
+        if (refreshed !== note) {
+            fs.writeFileSync(notePath, refreshed, 'utf8');
+        }
+    }
+}
+
+/**
+ * Rewrites the frontmatter of a task's generated note from the task, keeping
+ * the custom keys found in it. Notes whose frontmatter belongs to no task, or
+ * to another one, are returned unchanged.
+ * @param {Object} context - Tag and note layout
+ */
+function refreshNoteFrontmatter(content, task, { tag, layout = DEFAULT_NOTE_LAYOUT }) {
+    const { data, body } = parseFrontmatter(content);
+    if (!data) {
+        return content;
+    }
+    const keys = layout.frontmatterKeys;
+    const { taskId, custom } = frontmatterToTask(data, { keys });
+    if (taskId !== task.id) {
+        return content;
+    }
+    return formatFrontmatter(taskToFrontmatter(task, { tag, custom, keys })) + body;
 }
 
 /**
- * Extracts tasks from all markdown files in vault
+ * Extracts tasks from all markdown files in vault.
+ * Checkboxes nested under another checkbox are returned as `subtasks` of
+ * the enclosing task rather than as tasks of their own. Notes unchanged
+ * since the last scan are served from the vault index. Task notes of other
+ * tags, tag overviews and archived tags are skipped.
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Object} [options]
+ * @param {string} [options.projectRoot] - Project root holding the vault index
+ * @param {string} [options.tag] - Tag being synced
+ * @param {Object} [options.layout] - Note layout of the vault
+ * @returns {Promise<{tasks: Array<Object>, scan: Object}>} Extracted tasks and the index scan stats
  */
-async function extractTasksFromVault(vaultPath) {
-    const markdownFiles = glob.sync('**/*.md', { cwd: vaultPath });
+async function extractTasksFromVault(vaultPath, options = {}) {
+    const { layout = DEFAULT_NOTE_LAYOUT } = options;
+    const { notes, stats } = scanVaultIndex(vaultPath, { projectRoot: options.projectRoot });
     const tasks = [];
     
-    for (const file of markdownFiles) {
-        try {
-            const filePath = path.join(vaultPath, file);
-            const content = fs.readFileSync(filePath, 'utf8');
-            
-            // Extract tasks using regex
-            const taskMatches = content.match(/^- \[([ x])\] (.+)$/gm) || [];
+    for (const note of notes) {
+        if (isOutsideTagScope(note.path, options.tag, layout)) {
+            continue;
+        }
+        const byLine = new Map();
+        // Only generated task notes describe their task's dependencies and
+        // carry its fields in their frontmatter
+        const taskNote = isTaskNote(note.path, layout);
+        const dependencyLinks = taskNote ? note.dependencies : null;
+        const noteFrontmatter = taskNote && note.frontmatter
+            ? frontmatterToTask(note.frontmatter, { keys: layout.frontmatterKeys })
+            : null;
+        
+        for (const taskLine of note.tasks) {
+            const task = {
+                title: taskLine.title,
+                status: taskLine.status,
+                sourceFile: note.path,
+                description: taskLine.title, // Could be enhanced to extract more details
+                obsidianTags: note.tags,
+                linkedNotes: note.links,
+                details: '',
+                testStrategy: '',
+                ...pickLineMetadata(taskLine),
+                subtasks: [],
+                anchorId: taskLine.anchorId,
+                lineNumber: taskLine.lineNumber
+            };
+            byLine.set(taskLine.lineNumber, task);
             
-            for (const match of taskMatches) {
-                const isCompleted = match.includes('[x]');
-                const taskText = match.replace(/^- \[([ x])\] /, '');
-                
-                // Extract additional metadata if available
-                const task = {
-                    title: taskText,
-                    status: isCompleted ? 'done' : 'pending',
-                    sourceFile: file,
-                    description: taskText, // Could be enhanced to extract more details
-                    priority: 'medium', // Default, could be extracted from tags
-                    dependencies: [],
-                    obsidianTags: extractTagsFromContent(content),
-                    linkedNotes: extractLinksFromContent(content),
-                    details: '',
-                    testStrategy: ''
-                };
-                
+            const parent = byLine.get(taskLine.parentLineNumber);
+            if (parent) {
+                parent.subtasks.push(task);
+            } else {
+                task.dependencyLinks = dependencyLinks;
+                if (noteFrontmatter && task.anchorId !== null && noteFrontmatter.taskId === task.anchorId) {
+                    task.noteFields = noteFrontmatter.fields;
+                    task.frontmatter = noteFrontmatter.custom;
+                }
                 tasks.push(task);
             }
-        } catch (error) {
-            log('warn', `Warning: Could not read ${file}: ${error.message}`);
         }
     }
     
-    return tasks;
+    return { tasks, scan: stats };
 }
 
 /**
- * Checks if there's a conflict between task versions
+ * Picks the task fields carried by a parsed checkbox line's metadata
  */
-function hasConflict(taskA, taskB) {
-    // Simple conflict detection based on modification times and content
-    if (!taskA.lastSyncAt) return false;
+function pickLineMetadata(taskLine) {
+    const metadata = {};
+    for (const field of LINE_METADATA_FIELDS) {
+        if (taskLine[field] !== undefined) {
+            metadata[field] = taskLine[field];
+        }
+    }
+    return metadata;
+}
+
+/**
+ * Matches lines extracted from the vault to existing tasks.
+ * Lines carrying a `^tm-<id>` anchor are matched by ID first, so renaming,
+ * moving or reordering a line keeps its identity. Lines without an anchor
+ * fall back to sourceFile + title, then to title alone. The dependency
+ * links of matched task notes are resolved onto the picked vault line.
+ * @param {Array} tasks - Existing tasks
+ * @param {Array} vaultTasks - Tasks extracted from the vault
+ * @param {Object} [layout] - Note layout of the vault
+ * @returns {{matches: Array<{task: Object, vaultTask: Object, candidates: Array}>, unmatched: Array, linkIssues: Array}}
+ */
+function matchVaultTasks(tasks, vaultTasks, layout = DEFAULT_NOTE_LAYOUT) {
+    const matches = [];
+    const unmatched = [];
+    const claimed = new Set();
+    
+    // Group anchored lines so mirrors of the same task resolve to one match
+    const anchoredGroups = new Map();
+    const unanchored = [];
+    for (const vaultTask of vaultTasks) {
+        if (vaultTask.anchorId === null || vaultTask.anchorId === undefined) {
+            unanchored.push(vaultTask);
+            continue;
+        }
+        if (isSubtaskId(vaultTask.anchorId)) {
+            // Subtask lines are only read nested under their parent's line
+            log('warn', `Ignoring subtask line ${formatTaskAnchor(vaultTask.anchorId)} outside its parent task in ${vaultTask.sourceFile}`);
+            continue;
+        }
+        if (!anchoredGroups.has(vaultTask.anchorId)) {
+            anchoredGroups.set(vaultTask.anchorId, []);
+        }
+        anchoredGroups.get(vaultTask.anchorId).push(vaultTask);
+    }
+    
+    for (const [anchorId, candidates] of anchoredGroups) {
+        const task = tasks.find(t => t.id === anchorId);
+        if (!task) {
+            // Stale anchor (task removed from TaskMaster): treat the line as new
+            log('warn', `No task found for anchor ^tm-${anchorId} in ${candidates[0].sourceFile}`);
+            unmatched.push(candidates[0]);
+            continue;
+        }
+        claimed.add(task.id);
+        matches.push({
+            task,
+            vaultTask: pickAnchoredLine(task, candidates, layout),
+            candidates
+        });
+    }
     
-    const syncTime = new Date(taskA.lastSyncAt);
-    const taskTime = new Date(taskB.lastModified || taskB.lastSyncAt || 0);
+    for (const vaultTask of unanchored) {
+        const available = tasks.filter(t => !claimed.has(t.id));
+        const task =
+            available.find(t => t.sourceFile === vaultTask.sourceFile && t.title === vaultTask.title) ||
+            available.find(t => t.title === vaultTask.title);
+        if (task) {
+            claimed.add(task.id);
+            matches.push({ task, vaultTask, candidates: [vaultTask] });
+            continue;
+        }
+        // A second unanchored copy of an already matched task is a mirror, not a new task
+        const mirrorOf = matches.find(m => m.task.title === vaultTask.title);
+        if (mirrorOf) {
+            mirrorOf.candidates.push(vaultTask);
+        } else {
+            unmatched.push(vaultTask);
+        }
+    }
     
-    return taskTime > syncTime && (
-        taskA.title !== taskB.title ||
-        taskA.status !== taskB.status ||
-        taskA.description !== taskB.description
-    );
+    for (const match of matches) {
+        attachNoteFrontmatter(match);
+    }
+    const linkIssues = matches.flatMap(match => resolveDependencyLinks(match, tasks, layout));
+    return { matches, unmatched, linkIssues };
+}
+
+/**
+ * Carries the frontmatter of a matched task's generated note over to the
+ * picked vault line, which may come from another note
+ */
+function attachNoteFrontmatter({ vaultTask, candidates }) {
+    const note = candidates.find(c => c.noteFields);
+    if (note && note !== vaultTask) {
+        vaultTask.noteFields = note.noteFields;
+        vaultTask.frontmatter = note.frontmatter;
+    }
+}
+
+/**
+ * Resolves the dependencies section of a matched task's note into task IDs
+ * on the picked vault line. When any link is broken or ambiguous the
+ * dependencies are left out of the merge, so nothing is dropped or guessed.
+ * @returns {Array<Object>} Links that could not be resolved
+ */
+function resolveDependencyLinks({ task, vaultTask, candidates }, tasks, layout) {
+    const note = candidates.find(c => c.dependencyLinks);
+    if (!note) {
+        return [];
+    }
+    
+    const dependencies = [];
+    const issues = [];
+    for (const link of note.dependencyLinks) {
+        const resolved = resolveTaskLink(link, tasks, layout);
+        if (resolved.error) {
+            issues.push({
+                taskId: task.id,
+                sourceFile: note.sourceFile,
+                link,
+                reason: resolved.error,
+                matches: resolved.matches
+            });
+        } else if (resolved.id !== task.id && !dependencies.includes(resolved.id)) {
+            dependencies.push(resolved.id);
+        }
+    }
+    if (issues.length === 0) {
+        vaultTask.dependencies = dependencies;
+    }
+    return issues;
+}
+
+/**
+ * Logs the dependency links that could not be resolved
+ * @returns {Array<Object>} The same issues, for sync results
+ */
+function reportLinkIssues(linkIssues) {
+    for (const issue of linkIssues) {
+        const detail = issue.reason === 'ambiguous'
+            ? `matches tasks ${issue.matches.join(', ')}`
+            : 'does not point to a task';
+        log('warn', `Dependency link ${issue.link} of task ${issue.taskId} in ${issue.sourceFile} ${detail}; dependencies left unchanged`);
+    }
+    return linkIssues;
+}
+
+/**
+ * Picks the line to sync from when several lines carry the same anchor
+ * (e.g. the original note and the generated task note). Lines edited since
+ * the last sync win over unchanged ones; ties go to the task's own
+ * sourceFile. Generated task notes are only rewritten by a successful sync,
+ * so they are ignored while the task is pending or in conflict.
+ */
+function pickAnchoredLine(task, candidates, layout) {
+    const base = task.syncBase || task;
+    const current = task.syncStatus && task.syncStatus !== 'synced'
+        ? candidates.filter(c => !isTaskNote(c.sourceFile, layout))
+        : candidates;
+    const eligible = current.length > 0 ? current : candidates;
+    const changed = eligible.filter(c => c.title !== base.title || c.status !== base.status);
+    const pool = changed.length > 0 ? changed : eligible;
+    return pool.find(c => c.sourceFile === task.sourceFile) || pool[0];
 }
 
 /**
- * Generate markdown content for a task
+ * Resolves the sourceFile of a task after sync. A task keeps its sourceFile
+ * while the anchored line is still there; if the line moved to another note,
+ * the new note becomes the source (generated task notes are only mirrors).
  */
-function generateMarkdownForTask(task) {
-    let content = '';
+function resolveSourceFile(task, candidates, layout) {
+    if (candidates.some(c => c.sourceFile === task.sourceFile)) {
+        return task.sourceFile;
+    }
+    const moved = candidates.find(c => !isTaskNote(c.sourceFile, layout));
+    if (moved) {
+        return moved.sourceFile;
+    }
+    return task.sourceFile || candidates[0].sourceFile;
+}
+
+/**
+ * Lists the matched lines that do not yet carry the task's anchor
+ */
+function collectAnchorStamps(task, candidates) {
+    return candidates
+        .filter(c => c.anchorId !== task.id)
+        .map(vaultTask => ({ vaultTask, taskId: task.id }));
+}
+
+/**
+ * Lists the anchors to write for a task created from the vault, including
+ * its nested subtask lines (numbered in order, as in toTaskFields)
+ */
+function collectNewTaskStamps(vaultTask, taskId) {
+    return [
+        { vaultTask, taskId },
+        ...(vaultTask.subtasks || []).map((subtask, index) => ({
+            vaultTask: subtask,
+            taskId: `${taskId}.${index + 1}`
+        }))
+    ];
+}
+
+/**
+ * Turns an extracted vault task into task fields: strips line-location
+ * bookkeeping, applies the default priority and numbers nested checkboxes
+ * as subtasks
+ */
+function toTaskFields(vaultTask) {
+    const { anchorId, lineNumber, dependencyLinks, noteFields, frontmatter, subtasks = [], ...taskFields } = vaultTask;
+    return {
+        ...taskFields,
+        ...noteFields,
+        ...(frontmatter && Object.keys(frontmatter).length > 0 ? { frontmatter } : {}),
+        dependencies: noteFields?.dependencies || taskFields.dependencies || [],
+        priority: taskFields.priority || 'medium',
+        subtasks: subtasks.map((subtask, index) => ({
+            id: index + 1,
+            title: subtask.title,
+            description: '',
+            status: subtask.status,
+            dependencies: [],
+            details: '',
+            ...pickLineMetadata(subtask)
+        }))
+    };
+}
+
+/**
+ * Writes `^tm-<id>` anchors onto vault lines
+ * @param {string} vaultPath - Path to Obsidian vault
+ * @param {Array<{vaultTask: Object, taskId: number}>} stamps - Lines to anchor
+ * @returns {number} Number of lines anchored
+ */
+function writeTaskAnchors(vaultPath, stamps) {
+    const byFile = new Map();
+    for (const stamp of stamps) {
+        const file = stamp.vaultTask.sourceFile;
+        if (!byFile.has(file)) {
+            byFile.set(file, []);
+        }
+        byFile.get(file).push(stamp);
+    }
     
-    // Add frontmatter if task has metadata
-    if (task.obsidianTags?.length || task.linkedNotes?.length || task.id) {
-        content += '---\n';
-        if (task.obsidianTags?.length) {
-            content += `tags: [${task.obsidianTags.map(tag => `"${tag}"`).join(', ')}]\n`;
+    let anchored = 0;
+    for (const [file, fileStamps] of byFile) {
+        const filePath = path.join(vaultPath, file);
+        try {
+            const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+            for (const { vaultTask, taskId } of fileStamps) {
+                const index = vaultTask.lineNumber - 1;
+                const parsed = parseTaskLine(lines[index] || '');
+                // Skip lines that changed since they were read
+                if (!parsed || parsed.title !== vaultTask.title) {
+                    continue;
+                }
+                lines[index] = setTaskLineAnchor(lines[index], taskId);
+                anchored++;
+            }
+            fs.writeFileSync(filePath, lines.join('\n'), 'utf8');
+        } catch (error) {
+            log('warn', `Could not write task anchors to ${file}: ${error.message}`);
         }
-        content += `task_id: ${task.id}\n`;
-        content += `priority: ${task.priority || 'medium'}\n`;
-        content += `status: ${task.status || 'pending'}\n`;
-        content += '---\n\n';
+    }
+    return anchored;
+}
+
+/**
+ * Resolves the conflict strategy: explicit option, then the tag's
+ * `syncSettings.conflictResolution`, then `manual`
+ */
+function resolveConflictStrategy(tasksData, options = {}) {
+    const strategy =
+        options.conflictResolution ||
+        tasksData?.metadata?.syncSettings?.conflictResolution ||
+        'manual';
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        log('warn', `Unknown conflict resolution "${strategy}", falling back to manual`);
+        return 'manual';
+    }
+    return strategy;
+}
+
+/**
+ * Fields a vault line carries for the three-way merge. Metadata missing
+ * from the line is left out so it never clears a task field, and a status
+ * that renders to the same checkbox as the task's (e.g. `review` and
+ * `in-progress` both write `[/]`) counts as unchanged. Dependencies are only
+ * included when resolved from the task note's links. Fields from the task
+ * note's frontmatter are added, and win over the line's value when only the
+ * frontmatter was edited since the last sync.
+ */
+function getVaultFields(vaultTask, task) {
+    const status = statusToCheckbox(vaultTask.status) === statusToCheckbox(task.status)
+        ? task.status
+        : vaultTask.status;
+    const fields = {
+        title: vaultTask.title,
+        status,
+        ...pickLineMetadata(vaultTask),
+        ...(vaultTask.dependencies ? { dependencies: vaultTask.dependencies } : {})
+    };
+    
+    const base = task.syncBase || task;
+    for (const [field, value] of Object.entries(vaultTask.noteFields || {})) {
+        if (fields[field] === undefined ||
+            (valuesEqual(fields[field], base[field]) && !valuesEqual(value, base[field]))) {
+            fields[field] = value;
+        }
+    }
+    return fields;
+}
+
+/**
+ * Merges a matched vault line into its task. Fields changed on only one side
+ * are applied; fields changed on both sides are resolved with the strategy,
+ * or left as a recorded conflict when the strategy is `manual`. Checkboxes
+ * nested under the task's lines are merged into its subtasks.
+ * @returns {{changes: Array<string>, conflicts: Array<Object>, unresolved: Array<Object>, subtaskStamps: Array<Object>}}
+ */
+function mergeVaultTask(task, vaultTask, candidates, strategy, layout) {
+    const { merged, changes, conflicts } = threeWayMerge(
+        task.syncBase,
+        task,
+        getVaultFields(vaultTask, task),
+        strategy
+    );
+    const unresolved = conflicts.filter(c => !c.resolution);
+    const subtaskStamps = mergeVaultSubtasks(task, candidates, strategy);
+    
+    Object.assign(task, merged, {
+        sourceFile: resolveSourceFile(task, candidates, layout),
+        obsidianTags: vaultTask.obsidianTags,
+        linkedNotes: vaultTask.linkedNotes,
+        lastSyncAt: new Date().toISOString()
+    });
+    if (vaultTask.frontmatter) {
+        // Keys added by hand in the task note's frontmatter
+        if (Object.keys(vaultTask.frontmatter).length > 0) {
+            task.frontmatter = vaultTask.frontmatter;
+        } else {
+            delete task.frontmatter;
+        }
+    }
+    
+    if (unresolved.length > 0) {
+        // Keep the old base so the conflict stays detectable until resolved
+        task.syncStatus = 'conflict';
+        task.syncConflict = {
+            detectedAt: new Date().toISOString(),
+            sourceFile: vaultTask.sourceFile,
+            lineNumber: vaultTask.lineNumber,
+            fields: unresolved
+        };
+    } else {
+        markSynced(task);
+    }
+    
+    return { changes, conflicts, unresolved, subtaskStamps };
+}
+
+/**
+ * Merges the checkboxes nested under a task's lines into its subtasks.
+ * Lines are matched by their `^tm-<id>-<subtaskId>` anchor, then by title;
+ * unmatched lines become new subtasks. Title, status and line metadata are
+ * merged three-way against the subtask snapshot in the task's sync base.
+ * Subtask fields changed on both sides follow the strategy, except that
+ * `manual` keeps the TaskMaster value and only warns.
+ * @returns {Array<Object>} Anchors to write onto the subtask lines
+ */
+function mergeVaultSubtasks(task, candidates, strategy) {
+    const stamps = [];
+    const baseSubtasks = task.syncBase?.subtasks || [];
+    
+    // Every note holding the task may carry subtask edits; lines that still
+    // match the base are unchanged and leave the subtask alone
+    for (const candidate of candidates) {
+        for (const line of candidate.subtasks || []) {
+            task.subtasks = task.subtasks || [];
+            let subtask =
+                task.subtasks.find(s => line.anchorId === `${task.id}.${s.id}`) ||
+                task.subtasks.find(s => s.title === line.title);
+            
+            if (!subtask) {
+                subtask = {
+                    id: Math.max(0, ...task.subtasks.map(s => s.id)) + 1,
+                    title: line.title,
+                    description: '',
+                    status: line.status,
+                    dependencies: [],
+                    details: '',
+                    ...pickLineMetadata(line)
+                };
+                task.subtasks.push(subtask);
+                log('info', `Created subtask ${task.id}.${subtask.id} from Obsidian: ${line.title}`);
+            } else {
+                const { merged, conflicts } = threeWayMerge(
+                    baseSubtasks.find(b => b.id === subtask.id),
+                    subtask,
+                    getVaultFields(line, subtask),
+                    strategy
+                );
+                Object.assign(subtask, merged);
+                const unresolved = conflicts.filter(c => !c.resolution);
+                if (unresolved.length > 0) {
+                    log('warn', `Subtask ${task.id}.${subtask.id} changed on both sides (${unresolved.map(c => c.field).join(', ')}); keeping the TaskMaster value`);
+                }
+            }
+            
+            const subtaskId = `${task.id}.${subtask.id}`;
+            if (line.anchorId !== subtaskId) {
+                stamps.push({ vaultTask: line, taskId: subtaskId });
+            }
+        }
+    }
+    
+    return stamps;
+}
+
+/**
+ * Marks a task as in sync and snapshots it as the base for the next merge
+ */
+function markSynced(task) {
+    task.syncStatus = 'synced';
+    task.lastSyncAt = new Date().toISOString();
+    task.syncBase = createSyncBase(task);
+    delete task.syncConflict;
+}
+
+/**
+ * Summarizes an unresolved conflict for sync results
+ */
+function describeConflict(task, unresolved) {
+    return {
+        taskId: task.id,
+        title: task.title,
+        fields: unresolved.map(c => c.field)
+    };
+}
+
+/**
+ * Generate markdown content for a task. Everything below the frontmatter is
+ * written in managed regions, so updates keep what the user adds around them.
+ * @param {Object} task - Task to render
+ * @param {Object} [context]
+ * @param {string} [context.tag] - Tag whose folder holds the task notes
+ * @param {Array} [context.tasks] - All tasks of the tag, to link dependencies
+ * @param {Object} [context.custom] - Custom frontmatter keys of the existing note
+ * @param {Object} [context.layout] - Note layout; its template, if any, replaces the built-in structure
+ */
+function generateMarkdownForTask(task, { tag, tasks = [], custom, layout = DEFAULT_NOTE_LAYOUT } = {}) {
+    if (layout.template) {
+        return renderTaskNoteTemplate(task, { tag, tasks, custom, layout });
     }
     
-    content += `# ${task.title}\n\n`;
+    // Every task field, read back on the next sync, followed by custom keys
+    let content = formatFrontmatter(taskToFrontmatter(task, { tag, custom, keys: layout.frontmatterKeys }));
+    const regions = [];
     
-    // Add task checkbox
-    const checkbox = task.status === 'done' ? '[x]' : '[ ]';
-    content += `- ${checkbox} ${task.title}\n\n`;
+    // Task checkbox, anchored to the task ID, with its subtasks nested below
+    regions.push(formatRegion('task', `# ${task.title}\n\n${[formatTaskLine(task), ...formatSubtaskLines(task)].join('\n')}`));
     
     if (task.description) {
-        content += `## Description\n${task.description}\n\n`;
+        regions.push(formatRegion('description', `## Description\n${task.description}`));
     }
     
     if (task.details) {
-        content += `## Details\n${task.details}\n\n`;
+        regions.push(formatRegion('details', `## Details\n${task.details}`));
     }
     
     if (task.testStrategy) {
-        content += `## Test Strategy\n${task.testStrategy}\n\n`;
+        regions.push(formatRegion('test-strategy', `## Test Strategy\n${task.testStrategy}`));
     }
     
-    if (task.dependencies?.length) {
-        content += `## Dependencies\n`;
-        task.dependencies.forEach(depId => {
-            content += `- Task ${depId}\n`;
-        });
-        content += '\n';
-    }
+    // Always written, so removing the last link in Obsidian removes the dependency
+    const dependencyLines = (task.dependencies || []).map(depId =>
+        `- ${formatTaskLink(depId, tasks, tag, layout) || `Task ${depId}`}`
+    );
+    regions.push(formatRegion('dependencies', [
+        DEPENDENCIES_HEADING,
+        ...(dependencyLines.length > 0 ? dependencyLines : ['_None_'])
+    ].join('\n')));
     
     if (task.linkedNotes?.length) {
-        content += `## Related Notes\n`;
-        for (const link of task.linkedNotes) {
-            content += `- ${link}\n`;
-        }
-        content += '\n';
+        regions.push(formatRegion('related-notes', [
+            '## Related Notes',
+            ...task.linkedNotes.map(link => `- ${link}`)
+        ].join('\n')));
     }
     
+    content += `${regions.join('\n\n')}\n`;
     return content;
 }
 
+/**
+ * Renders a task note from the vault's note template. The template's own
+ * frontmatter keys are kept after the managed ones, which are written from
+ * the task as in built-in notes. `{{#region "name"}}` blocks become managed
+ * regions and the text around them is only written when the note is
+ * created; a body without any region is managed as a whole. The task line
+ * is put on top when the template leaves it out, since the next sync reads
+ * the task back from it.
+ */
+function renderTaskNoteTemplate(task, { tag, tasks, custom, layout }) {
+    const { frontmatter, body } = splitTemplateFrontmatter(layout.template);
+    const context = buildTemplateContext(task, { tag, tasks, layout });
+    const blocks = {
+        region: ([name], render) => {
+            const content = render();
+            // A region on lines of its own keeps the line break after it
+            return formatRegion(name, content) + (content.endsWith('\n') ? '\n' : '');
+        }
+    };
+    
+    let templateKeys = {};
+    if (frontmatter !== null) {
+        const parsed = parseFrontmatter(`---\n${renderTemplate(frontmatter, context)}\n---\n`);
+        if (!parsed.data) {
+            throw new Error(`Frontmatter of note template ${layout.templatePath} is invalid: ${parsed.error}`);
+        }
+        templateKeys = parsed.data;
+    }
+    
+    let noteBody = renderTemplate(body, context, { blocks }).replace(/\n+$/, '');
+    if (findRegions(noteBody).length === 0) {
+        noteBody = formatRegion('note', noteBody);
+    }
+    if (!hasTaskLine(noteBody, task)) {
+        noteBody = `${formatTaskRegion(task)}\n\n${noteBody}`;
+    }
+    
+    const data = taskToFrontmatter(task, {
+        tag,
+        custom: { ...templateKeys, ...custom },
+        keys: layout.frontmatterKeys
+    });
+    return `${formatFrontmatter(data)}${noteBody}\n`;
+}
+
+/**
+ * Keeps the task line of an existing templated note in step with the task:
+ * the line may sit outside the managed regions, and a note written with
+ * another layout loses its task region once the template no longer has it
+ */
+function refreshTemplatedTaskLine(content, task) {
+    if (!hasTaskLine(content, task)) {
+        const { body } = parseFrontmatter(content);
+        const head = content.slice(0, content.length - body.length);
+        return `${head}${formatTaskRegion(task)}\n\n${body}`;
+    }
+    return updateTaskInMarkdown(content, task, { appendIfMissing: false });
+}
+
+function hasTaskLine(content, task) {
+    return content.split('\n').some(line => parseTaskLine(line)?.anchorId === task.id);
+}
+
+function formatTaskRegion(task) {
+    return formatRegion('task', [formatTaskLine(task), ...formatSubtaskLines(task)].join('\n'));
+}
+
+/**
+ * Values a note template can use: the task's fields and tag, its checkbox
+ * line (`taskLine`) and nested subtask lines (`subtaskLines`), its subtasks
+ * with dotted IDs and their own lines, and its dependencies with their
+ * title, status and note link
+ */
+function buildTemplateContext(task, { tag, tasks, layout }) {
+    return {
+        ...task,
+        tag,
+        taskLine: formatTaskLine(task),
+        subtaskLines: formatSubtaskLines(task).join('\n'),
+        subtasks: (task.subtasks || []).map(subtask => {
+            const id = `${task.id}.${subtask.id}`;
+            return { ...subtask, id, line: formatTaskLine({ ...subtask, id }, { indent: '\t' }) };
+        }),
+        dependencies: (task.dependencies || []).map(depId => {
+            const dependency = tasks.find(t => String(t.id) === String(depId));
+            return {
+                id: depId,
+                title: dependency?.title || '',
+                status: dependency?.status || '',
+                link: formatTaskLink(depId, tasks, tag, layout) || `Task ${depId}`
+            };
+        })
+    };
+}
+
+/**
+ * Renders a task's subtasks as a checklist nested under the task's line.
+ * Each subtask line shows the subtask ID and carries its anchor; details and
+ * dependencies go in plain list items below it, with dependencies on
+ * sibling subtasks linking to their lines.
+ */
+function formatSubtaskLines(task) {
+    const lines = [];
+    for (const subtask of task.subtasks || []) {
+        lines.push(formatTaskLine({ ...subtask, id: `${task.id}.${subtask.id}` }, { indent: '\t' }));
+        
+        if (subtask.details) {
+            const [first, ...rest] = subtask.details.trim().split('\n');
+            lines.push(`\t\t- Details: ${first}`, ...rest.map(line => `\t\t  ${line}`));
+        }
+        
+        const dependencies = (subtask.dependencies || []).map(dep => {
+            const siblingId = typeof dep === 'number'
+                ? dep
+                : String(dep).startsWith(`${task.id}.`) ? Number(String(dep).split('.')[1]) : null;
+            if (task.subtasks.some(s => s.id === siblingId)) {
+                const anchor = formatTaskAnchor(`${task.id}.${siblingId}`);
+                return `[[#${anchor}|${task.id}.${siblingId}]]`;
+            }
+            return `Task ${dep}`;
+        });
+        if (dependencies.length > 0) {
+            lines.push(`\t\t- Depends on: ${dependencies.join(', ')}`);
+        }
+    }
+    return lines;
+}
+
+/**
+ * Finds the generated task note for a task ID, whatever its title slug.
+ * Notes of the flat `Tasks/` layout used before per-tag folders are found
+ * too, so they can be moved into the tag folder, and so are notes of the
+ * built-in layout once the vault sets its own.
+ * @returns {string|null} Absolute path of the note, or null if none exists
+ */
+function findTaskNotePath(vaultPath, tag, taskId, layout = DEFAULT_NOTE_LAYOUT) {
+    const layouts = layout === DEFAULT_NOTE_LAYOUT ? [layout] : [layout, DEFAULT_NOTE_LAYOUT];
+    for (const candidate of layouts) {
+        for (const folder of [getTagNotesDir(tag, candidate), candidate.taskFolder]) {
+            const dir = path.join(vaultPath, folder);
+            if (!fs.existsSync(dir)) continue;
+            const match = fs.readdirSync(dir).sort().find(name =>
+                name.endsWith('.md') && getTaskNoteId(name, candidate) === Number(taskId)
+            );
+            if (match) {
+                return path.join(dir, match);
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Refreshes the tag overview and Dataview index, and remembers the vault in
+ * the tag metadata, so tag commands can keep the vault layout in step
+ * @param {Object} [options] - `indexJson` overrides `syncSettings.indexJson` of the tag;
+ *   `layout` is the note layout of the vault
+ */
+function updateTagLayout(vaultPath, tag, tasksData, options = {}) {
+    const { layout = DEFAULT_NOTE_LAYOUT } = options;
+    writeTagOverview(vaultPath, tag, tasksData, layout);
+    writeTaskIndex(vaultPath, tag, tasksData, {
+        json: options.indexJson ?? tasksData.metadata?.syncSettings?.indexJson ?? false,
+        layout
+    });
+    if (tasksData.metadata?.vaultPath) {
+        return false;
+    }
+    tasksData.metadata = { ...tasksData.metadata, vaultPath };
+    return true;
+}
+
 /**
  * Update existing task in markdown content
  */
-function updateTaskInMarkdown(content, task) {
-    // Find and update existing task checkbox
-    const taskRegex = new RegExp(`^- \\[([ x])\\] ${escapeRegex(task.title)}$`, 'm');
-    const newCheckbox = task.status === 'done' ? '[x]' : '[ ]';
-    const replacement = `- ${newCheckbox} ${task.title}`;
+function updateTaskInMarkdown(content, task, { appendIfMissing = true } = {}) {
+    const lines = content.split('\n');
+    
+    // Subtask lines already in the note follow their subtask; missing ones are not added
+    for (const subtask of task.subtasks || []) {
+        const subtaskId = `${task.id}.${subtask.id}`;
+        const subtaskIndex = lines.findIndex(line => parseTaskLine(line)?.anchorId === subtaskId);
+        if (subtaskIndex !== -1) {
+            lines[subtaskIndex] = replaceTaskLine(lines[subtaskIndex], { ...subtask, id: subtaskId });
+        }
+    }
     
-    if (taskRegex.test(content)) {
-        return content.replace(taskRegex, replacement);
-    } else {
-        // If task checkbox doesn't exist, add it at the end
-        return content + `\n- ${newCheckbox} ${task.title}\n`;
+    // Prefer the anchored line, then fall back to a legacy line with the same title
+    let index = lines.findIndex(line => parseTaskLine(line)?.anchorId === task.id);
+    if (index === -1) {
+        index = lines.findIndex(line => {
+            const parsed = parseTaskLine(line);
+            return parsed && parsed.anchorId === null && parsed.title === task.title;
+        });
+    }
+    
+    if (index !== -1) {
+        // Keep the line's indentation and metadata format (emoji or Dataview)
+        lines[index] = replaceTaskLine(lines[index], task);
+        return lines.join('\n');
+    }
+    
+    if (!appendIfMissing) {
+        return lines.join('\n');
+    }
+    
+    // If task checkbox doesn't exist, add it at the end
+    return lines.join('\n') + `\n${formatTaskLine(task)}\n`;
+}
+
+/**
+ * Updates the task's own checkbox line in its source note, if the note still has it
+ */
+function updateSourceLine(vaultPath, task, layout) {
+    if (!task.sourceFile || isTaskNote(task.sourceFile, layout)) {
+        return;
+    }
+    const filePath = path.join(vaultPath, task.sourceFile);
+    if (!fs.existsSync(filePath)) {
+        return;
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    const updated = updateTaskInMarkdown(content, task, { appendIfMissing: false });
+    if (updated !== content) {
+        fs.writeFileSync(filePath, updated, 'utf8');
     }
 }
 
@@ -266,13 +988,6 @@ function extractLinksFromContent(content) {
     return matches;
 }
 
-/**
- * Escape special regex characters
- */
-function escapeRegex(string) {
-    return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 /**
  * Sync tasks TO Obsidian vault (create/update markdown files)
  * @param {Object} options - Sync options
@@ -281,6 +996,7 @@ export async function syncTasksToObsidian(options = {}) {
     const { vaultPath, tasksPath, tag = 'master', projectRoot, dryRun = false } = options;
     
     log('info', `Syncing tasks TO Obsidian: ${vaultPath}`);
+    const layout = loadVaultLayout(vaultPath, options);
     
     // Read current tasks
     const tasksData = readJSON(tasksPath, projectRoot, tag);
@@ -291,27 +1007,62 @@ export async function syncTasksToObsidian(options = {}) {
     const results = {
         updated: 0,
         created: 0,
+        skippedConflicts: 0,
         errors: []
     };
     
     for (const task of tasksData.tasks) {
+        if (task.syncStatus === 'conflict') {
+            // Writing now would overwrite the Obsidian side of the conflict
+            log('warn', `Skipping task ${task.id} until its sync conflict is resolved (task-master obsidian-resolve)`);
+            results.skippedConflicts++;
+            continue;
+        }
         try {
-            const markdownPath = path.join(vaultPath, 'Tasks', `task-${String(task.id).padStart(3, '0')}-${task.title.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase()}.md`);
+            const markdownPath = path.join(vaultPath, getTaskNotePath(tag, task, layout));
             
             if (dryRun) {
-                log('info', `[DRY RUN] Would ${fs.existsSync(markdownPath) ? 'update' : 'create'}: ${markdownPath}`);
+                // A note under an old slug or folder would be moved and updated
+                const exists = fs.existsSync(markdownPath) || Boolean(findTaskNotePath(vaultPath, tag, task.id, layout));
+                log('info', `[DRY RUN] Would ${exists ? 'update' : 'create'}: ${markdownPath}`);
+                if (exists) {
+                    results.updated++;
+                } else {
+                    results.created++;
+                }
                 continue;
             }
             
-            const content = generateMarkdownForTask(task);
             const dir = path.dirname(markdownPath);
             
             if (!fs.existsSync(dir)) {
                 fs.mkdirSync(dir, { recursive: true });
             }
             
+            // A title change changes the slug, and notes of the flat layout belong in
+            // the tag folder; move the old note instead of leaving a stale copy
+            const previousPath = findTaskNotePath(vaultPath, tag, task.id, layout);
+            if (previousPath && previousPath !== markdownPath && !fs.existsSync(markdownPath)) {
+                fs.renameSync(previousPath, markdownPath);
+            }
+            
             const existed = fs.existsSync(markdownPath);
-            fs.writeFileSync(markdownPath, content, 'utf8');
+            const existing = existed ? fs.readFileSync(markdownPath, 'utf8') : null;
+            // Keys added to the note's frontmatter in Obsidian survive regeneration
+            const custom = existed
+                ? frontmatterToTask(parseFrontmatter(existing).data, { keys: layout.frontmatterKeys }).custom
+                : {};
+            const generated = generateMarkdownForTask(task, { tag, tasks: tasksData.tasks, custom, layout });
+            // Only the managed regions are rewritten; the user's own content stays
+            let content = existed ? applyManagedRegions(existing, generated) : generated;
+            if (existed && layout.template) {
+                content = refreshTemplatedTaskLine(content, task);
+            }
+            if (content !== existing) {
+                fs.writeFileSync(markdownPath, content, 'utf8');
+            }
+            updateSourceLine(vaultPath, task, layout);
+            markSynced(task);
             
             if (existed) {
                 results.updated++;
@@ -330,6 +1081,13 @@ export async function syncTasksToObsidian(options = {}) {
         }
     }
     
+    const layoutChanged = !dryRun && updateTagLayout(vaultPath, tag, tasksData, { ...options, layout });
+    
+    if (!dryRun && (results.created > 0 || results.updated > 0 || layoutChanged)) {
+        // Persist the sync base snapshots taken for the written tasks
+        writeJSON(tasksPath, tasksData, projectRoot, tag);
+    }
+    
     log('success', `Sync to Obsidian completed: ${results.created} created, ${results.updated} updated, ${results.errors.length} errors`);
     return results;
 }
@@ -342,13 +1100,15 @@ export async function syncTasksFromObsidian(options = {}) {
     const { vaultPath, tasksPath, tag = 'master', projectRoot, dryRun = false } = options;
     
     log('info', `Syncing tasks FROM Obsidian: ${vaultPath}`);
+    const layout = loadVaultLayout(vaultPath, options);
     
-    // Extract tasks from Obsidian vault
-    const vaultTasks = await extractTasksFromVault(vaultPath);
+    // Extract tasks from Obsidian vault, re-parsing only notes changed since the last scan
+    const { tasks: vaultTasks, scan } = await extractTasksFromVault(vaultPath, { projectRoot, tag, layout });
+    log('info', `Vault scan: ${scan.reparsed} notes re-parsed, ${scan.skipped} unchanged`);
     
     if (vaultTasks.length === 0) {
         log('info', 'No tasks found in Obsidian vault');
-        return { updated: 0, created: 0, errors: [] };
+        return { updated: 0, created: 0, filesReparsed: scan.reparsed, filesSkipped: scan.skipped, errors: [] };
     }
     
     // Read existing tasks
@@ -362,62 +1122,57 @@ export async function syncTasksFromObsidian(options = {}) {
         log('info', 'No existing tasks found, starting fresh');
     }
     
+    const strategy = resolveConflictStrategy(tasksData, options);
     const results = {
         updated: 0,
         created: 0,
         conflicts: 0,
+        autoResolved: 0,
+        conflictDetails: [],
+        filesReparsed: scan.reparsed,
+        filesSkipped: scan.skipped,
         errors: []
     };
     
-    for (const vaultTask of vaultTasks) {
+    const { matches, unmatched, linkIssues } = matchVaultTasks(tasksData.tasks, vaultTasks, layout);
+    results.brokenLinks = reportLinkIssues(linkIssues);
+    const anchorStamps = [];
+    
+    for (const { task: existingTask, vaultTask, candidates } of matches) {
         try {
-            // Find existing task by title or sourceFile
-            const existingTask = tasksData.tasks.find(t => 
-                t.title === vaultTask.title ||
-                (t.sourceFile && vaultTask.sourceFile && t.sourceFile === vaultTask.sourceFile)
-            );
-            
-            if (existingTask) {
-                // Check for conflicts
-                if (hasConflict(existingTask, vaultTask)) {
-                    if (dryRun) {
-                        log('warn', `[DRY RUN] Conflict detected for task: ${existingTask.title}`);
-                    } else {
-                        existingTask.syncStatus = 'conflict';
-                        log('warn', `Conflict detected for task ${existingTask.id}: ${existingTask.title}`);
-                    }
+            if (dryRun) {
+                const { changes, conflicts } = threeWayMerge(
+                    existingTask.syncBase,
+                    existingTask,
+                    getVaultFields(vaultTask, existingTask),
+                    strategy
+                );
+                const unresolved = conflicts.filter(c => !c.resolution);
+                if (unresolved.length > 0) {
+                    log('warn', `[DRY RUN] Conflict detected for task: ${existingTask.title} (${unresolved.map(c => c.field).join(', ')})`);
                     results.conflicts++;
+                    results.conflictDetails.push(describeConflict(existingTask, unresolved));
                 } else {
-                    if (dryRun) {
-                        log('info', `[DRY RUN] Would update task: ${existingTask.title}`);
-                    } else {
-                        // Update existing task
-                        Object.assign(existingTask, vaultTask, {
-                            id: existingTask.id, // Preserve ID
-                            syncStatus: 'synced',
-                            lastSyncAt: new Date().toISOString()
-                        });
-                        log('debug', `Updated task ${existingTask.id} from Obsidian`);
-                    }
+                    log('info', `[DRY RUN] Would update task: ${existingTask.title}${changes.length > 0 ? ` (${changes.join(', ')})` : ''}`);
                     results.updated++;
                 }
+                continue;
+            }
+            
+            const { conflicts, unresolved, subtaskStamps } = mergeVaultTask(existingTask, vaultTask, candidates, strategy, layout);
+            if (unresolved.length > 0) {
+                results.conflicts++;
+                results.conflictDetails.push(describeConflict(existingTask, unresolved));
+                log('warn', `Conflict detected for task ${existingTask.id}: ${existingTask.title} (${unresolved.map(c => c.field).join(', ')})`);
             } else {
-                if (dryRun) {
-                    log('info', `[DRY RUN] Would create new task: ${vaultTask.title}`);
-                } else {
-                    // Create new task
-                    const newId = tasksData.tasks.length > 0 ? Math.max(...tasksData.tasks.map(t => t.id)) + 1 : 1;
-                    tasksData.tasks.push({
-                        ...vaultTask,
-                        id: newId,
-                        syncStatus: 'synced',
-                        lastSyncAt: new Date().toISOString()
-                    });
-                    log('info', `Created new task ${newId} from Obsidian: ${vaultTask.title}`);
+                if (conflicts.length > 0) {
+                    results.autoResolved++;
+                    log('info', `Resolved conflict for task ${existingTask.id} using ${strategy}`);
                 }
-                results.created++;
+                results.updated++;
+                log('debug', `Updated task ${existingTask.id} from Obsidian`);
             }
-            
+            anchorStamps.push(...collectAnchorStamps(existingTask, candidates), ...subtaskStamps);
         } catch (error) {
             results.errors.push({
                 task: vaultTask.title,
@@ -427,9 +1182,31 @@ export async function syncTasksFromObsidian(options = {}) {
         }
     }
     
+    for (const vaultTask of unmatched) {
+        if (dryRun) {
+            log('info', `[DRY RUN] Would create new task: ${vaultTask.title}`);
+        } else {
+            // Create new task
+            const newId = tasksData.tasks.length > 0 ? Math.max(...tasksData.tasks.map(t => t.id)) + 1 : 1;
+            const newTask = {
+                ...toTaskFields(vaultTask),
+                id: newId,
+                syncStatus: 'synced',
+                lastSyncAt: new Date().toISOString()
+            };
+            newTask.syncBase = createSyncBase(newTask);
+            tasksData.tasks.push(newTask);
+            anchorStamps.push(...collectNewTaskStamps(vaultTask, newId));
+            log('info', `Created new task ${newId} from Obsidian: ${vaultTask.title}`);
+        }
+        results.created++;
+    }
+    
     // Save updated tasks if not dry run
-    if (!dryRun && (results.created > 0 || results.updated > 0)) {
+    if (!dryRun && (results.created > 0 || results.updated > 0 || results.conflicts > 0)) {
         writeJSON(tasksPath, tasksData, projectRoot, tag);
+        // Persist identities so later renames or moves resolve to the same task
+        writeTaskAnchors(vaultPath, anchorStamps);
     }
     
     log('success', `Sync from Obsidian completed: ${results.created} created, ${results.updated} updated, ${results.conflicts} conflicts, ${results.errors.length} errors`);
@@ -449,14 +1226,18 @@ export async function parseObsidianVault(vaultPath, tasksPath, numTasks, options
     log('info', `Parsing Obsidian vault: ${vaultPath}`);
     
     // Scan vault for existing tasks and notes
-    const vaultContent = await scanMarkdownFiles(vaultPath);
+    const vaultContent = await scanMarkdownFiles(vaultPath, projectRoot);
     if (!vaultContent) {
         throw new Error(`Vault ${vaultPath} is empty or could not be scanned.`);
     }
     
     // Here we could integrate with AI to generate additional tasks based on vault content
     // For now, we'll extract existing tasks
-    const extractedTasks = await extractTasksFromVault(vaultPath);
+    const { tasks: extractedTasks } = await extractTasksFromVault(vaultPath, {
+        projectRoot,
+        tag,
+        layout: loadVaultLayout(vaultPath, options)
+    });
     
     // Transform to match expected format
     let nextId = 1;
@@ -472,7 +1253,7 @@ export async function parseObsidianVault(vaultPath, tasksPath, numTasks, options
     }
     
     const processedTasks = extractedTasks.slice(0, numTasks).map((task, index) => ({
-        ...task,
+        ...toTaskFields(task),
         id: nextId + index,
         syncStatus: 'synced',
         lastSyncAt: new Date().toISOString(),
@@ -521,8 +1302,9 @@ export async function initObsidianSync(options = {}) {
     await validateObsidianVault(vaultPath);
     
     // Create necessary directories in vault
-    const tasksDir = path.join(vaultPath, 'Tasks');
-    const tagsDir = path.join(vaultPath, 'Tags');
+    const layout = loadVaultLayout(vaultPath, options);
+    const tasksDir = path.join(vaultPath, getTagNotesDir(tag, layout));
+    const tagsDir = path.join(vaultPath, TAG_NOTES_DIR);
     
     if (!fs.existsSync(tasksDir)) {
         fs.mkdirSync(tasksDir, { recursive: true });
@@ -543,8 +1325,9 @@ This vault is integrated with TaskMaster for bidirectional task synchronization.
 
 ## Structure
 
-- \`Tasks/\` - Individual task files
-- \`Tags/\` - Tag overview files
+- \`${layout.taskFolder}/<tag>/\` - Individual task files, one folder per TaskMaster tag
+- \`Tags/<tag>.md\` - Tag overview with status counts, progress and task links
+- \`Archive/Tasks/\` - Task files of deleted tags
 - \`TaskMaster-README.md\` - This file
 
 ## Sync Commands
@@ -635,6 +1418,7 @@ export async function getObsidianSyncStatus(options = {}) {
     const { vaultPath, tasksPath, tag = 'master', projectRoot } = options;
     
     log('info', `Checking sync status for vault: ${vaultPath}`);
+    const layout = loadVaultLayout(vaultPath, options);
     
     // Read TaskMaster tasks
     let taskMasterTasks = [];
@@ -650,7 +1434,7 @@ export async function getObsidianSyncStatus(options = {}) {
     // Read Obsidian tasks
     let obsidianTasks = [];
     try {
-        obsidianTasks = await extractTasksFromVault(vaultPath);
+        ({ tasks: obsidianTasks } = await extractTasksFromVault(vaultPath, { projectRoot, tag, layout }));
     } catch (error) {
         log('warn', 'Could not read Obsidian vault tasks');
     }
@@ -671,24 +1455,30 @@ export async function getObsidianSyncStatus(options = {}) {
     const conflicts = [];
     const outOfSync = [];
     
+    const { matches, unmatched, linkIssues } = matchVaultTasks(taskMasterTasks, obsidianTasks, layout);
+    
     // Check TaskMaster tasks against Obsidian
+    for (const { task: tmTask, vaultTask: obsTask } of matches) {
+        const merge = threeWayMerge(tmTask.syncBase, tmTask, getVaultFields(obsTask, tmTask));
+        const fields = tmTask.syncStatus === 'conflict'
+            ? (tmTask.syncConflict?.fields || []).map(c => c.field)
+            : merge.conflicts.map(c => c.field);
+        if (tmTask.syncStatus === 'conflict' || merge.conflicts.length > 0) {
+            conflicts.push(`Task "${tmTask.title}" has conflicting changes${fields.length > 0 ? ` (${fields.join(', ')})` : ''}`);
+        } else if (merge.changes.length > 0) {
+            outOfSync.push(`Task "${tmTask.title}" changed in Obsidian (${merge.changes.join(', ')})`);
+        }
+    }
+    const matchedIds = new Set(matches.map(m => m.task.id));
     for (const tmTask of taskMasterTasks) {
-        const obsTask = obsidianTasks.find(ot => ot.title === tmTask.title);
-        if (obsTask) {
-            if (hasConflict(tmTask, obsTask)) {
-                conflicts.push(`Task "${tmTask.title}" has conflicting changes`);
-            }
-        } else {
+        if (!matchedIds.has(tmTask.id)) {
             outOfSync.push(`TaskMaster task "${tmTask.title}" not found in Obsidian`);
         }
     }
     
     // Check Obsidian tasks against TaskMaster
-    for (const obsTask of obsidianTasks) {
-        const tmTask = taskMasterTasks.find(tm => tm.title === obsTask.title);
-        if (!tmTask) {
-            outOfSync.push(`Obsidian task "${obsTask.title}" not found in TaskMaster`);
-        }
+    for (const obsTask of unmatched) {
+        outOfSync.push(`Obsidian task "${obsTask.title}" not found in TaskMaster`);
     }
     
     const status = {
@@ -700,76 +1490,108 @@ export async function getObsidianSyncStatus(options = {}) {
         tasksInObsidian: obsidianTasks.length,
         conflicts,
         outOfSync,
-        inSync: conflicts.length === 0 && outOfSync.length === 0
+        brokenLinks: linkIssues,
+        inSync: conflicts.length === 0 && outOfSync.length === 0 && linkIssues.length === 0
     };
     
     log('debug', `Sync status: ${status.conflicts.length} conflicts, ${status.outOfSync.length} out of sync`);
     return status;
 }
 
+/**
+ * Backfill `^tm-<id>` anchors into an existing vault.
+ * Every checkbox line without an anchor is matched to a task by sourceFile +
+ * title, then by title alone; lines that match no task, or more than one,
+ * are reported and left untouched.
+ * @param {Object} options - Migration options
+ */
+export async function migrateObsidianAnchors(options = {}) {
+    const { vaultPath, tasksPath, tag = 'master', projectRoot, dryRun = false } = options;
+    
+    log('info', `Backfilling task anchors in vault: ${vaultPath}`);
+    
+    const tasksData = readJSON(tasksPath, projectRoot, tag);
+    if (!tasksData || !tasksData.tasks) {
+        throw new Error('No tasks data found');
+    }
+    
+    const { tasks: vaultTasks } = await extractTasksFromVault(vaultPath, {
+        projectRoot,
+        tag,
+        layout: loadVaultLayout(vaultPath, options)
+    });
+    const results = {
+        anchored: 0,
+        alreadyAnchored: 0,
+        ambiguous: [],
+        unmatched: []
+    };
+    const stamps = [];
+    
+    for (const vaultTask of vaultTasks) {
+        if (vaultTask.anchorId !== null) {
+            results.alreadyAnchored++;
+            continue;
+        }
+        
+        const location = `${vaultTask.sourceFile}:${vaultTask.lineNumber}`;
+        const sameFile = tasksData.tasks.filter(t => 
+            t.sourceFile === vaultTask.sourceFile && t.title === vaultTask.title
+        );
+        const candidates = sameFile.length > 0
+            ? sameFile
+            : tasksData.tasks.filter(t => t.title === vaultTask.title);
+        
+        if (candidates.length === 1) {
+            stamps.push({ vaultTask, taskId: candidates[0].id });
+            if (dryRun) {
+                log('info', `[DRY RUN] Would anchor ${location} to task ${candidates[0].id}`);
+            }
+        } else if (candidates.length > 1) {
+            results.ambiguous.push(`${location} "${vaultTask.title}" matches tasks ${candidates.map(t => t.id).join(', ')}`);
+        } else {
+            results.unmatched.push(`${location} "${vaultTask.title}"`);
+        }
+    }
+    
+    results.anchored = dryRun ? stamps.length : writeTaskAnchors(vaultPath, stamps);
+    
+    log('success', `Anchor migration completed: ${results.anchored} anchored, ${results.alreadyAnchored} already anchored, ${results.ambiguous.length} ambiguous, ${results.unmatched.length} unmatched`);
+    return results;
+}
+
 /**
  * Scans Obsidian vault for markdown files and extracts consolidated content
  * @param {string} vaultPath - Path to Obsidian vault
  * @returns {string} Consolidated content from all markdown files
  */
-async function scanMarkdownFiles(vaultPath) {
-    const markdownFiles = glob.sync('**/*.md', { cwd: vaultPath });
+async function scanMarkdownFiles(vaultPath, projectRoot) {
+    // Tags, links and tasks come from the vault index; note bodies are still
+    // read because they are passed on in full
+    const { notes } = scanVaultIndex(vaultPath, { projectRoot });
     let consolidatedContent = '';
     let existingTasks = [];
     
-    for (const file of markdownFiles) {
+    for (const note of notes) {
         try {
-            const filePath = path.join(vaultPath, file);
-            const content = fs.readFileSync(filePath, 'utf8');
-            
-            // Extract frontmatter
-            const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-            let frontmatter = {};
-            if (frontmatterMatch) {
-                try {
-                    // Simple YAML parsing for basic frontmatter
-                    const yamlLines = frontmatterMatch[1].split('\n');
-                    for (const line of yamlLines) {
-                        const [key, ...valueParts] = line.split(':');
-                        if (key && valueParts.length > 0) {
-                            frontmatter[key.trim()] = valueParts.join(':').trim();
-                        }
-                    }
-                } catch (e) {
-                    // Ignore invalid YAML
-                }
-            }
-            
-            // Extract existing tasks
-            const taskMatches = content.match(/^- \[([ x])\] (.+)$/gm) || [];
-            const fileTasks = taskMatches.map(match => {
-                const isCompleted = match.includes('[x]');
-                const taskText = match.replace(/^- \[([ x])\] /, '');
-                return { text: taskText, completed: isCompleted, file };
-            });
-            existingTasks.push(...fileTasks);
-            
-            // Extract tags
-            const tags = content.match(/#\w+/g) || [];
-            
-            // Extract internal links
-            const links = content.match(/\[\[([^\]]+)\]\]/g) || [];
+            const content = fs.readFileSync(path.join(vaultPath, note.path), 'utf8');
+            existingTasks.push(...note.tasks);
             
-            consolidatedContent += `\n\n--- File: ${file} ---\n`;
-            consolidatedContent += `Tags: ${tags.join(', ')}\n`;
-            consolidatedContent += `Links: ${links.join(', ')}\n`;
-            consolidatedContent += `Existing Tasks: ${fileTasks.length}\n`;
+            consolidatedContent += `\n\n--- File: ${note.path} ---\n`;
+            consolidatedContent += `Tags: ${note.tags.map(tag => `#${tag}`).join(', ')}\n`;
+            consolidatedContent += `Links: ${note.links.join(', ')}\n`;
+            consolidatedContent += `Existing Tasks: ${note.tasks.length}\n`;
             consolidatedContent += content;
             
         } catch (error) {
-            log('warn', `Warning: Could not read ${file}: ${error.message}`);
+            log('warn', `Warning: Could not read ${note.path}: ${error.message}`);
         }
     }
     
     consolidatedContent += `\n\n--- VAULT SUMMARY ---\n`;
-    consolidatedContent += `Total Files: ${markdownFiles.length}\n`;
+    consolidatedContent += `Total Files: ${notes.length}\n`;
     consolidatedContent += `Total Existing Tasks: ${existingTasks.length}\n`;
-    consolidatedContent += `Completed Tasks: ${existingTasks.filter(t => t.completed).length}\n`;
+    consolidatedContent += `Completed Tasks: ${existingTasks.filter(t => t.status === 'done').length}\n`;
     
     return consolidatedContent;
 }
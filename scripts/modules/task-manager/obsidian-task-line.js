@@ -0,0 +1,323 @@
+/**
+ * obsidian-task-line.js
+ * Parsing and formatting of single Obsidian checkbox lines, including the
+ * hidden block anchor (`^tm-<id>`, or `^tm-<id>-<subtaskId>` for subtasks)
+ * that ties a vault line to a task and the
+ * metadata of the Obsidian Tasks plugin (emoji signifiers) and Dataview
+ * inline fields (`[due:: 2025-01-31]`).
+ */
+
+/**
+ * Prefix used for Task Master block anchors, e.g. `^tm-12`
+ */
+export const TASK_ANCHOR_PREFIX = 'tm-';
+
+/**
+ * Checkbox characters and the task status they map to
+ */
+export const CHECKBOX_STATUS = {
+	' ': 'pending',
+	x: 'done',
+	X: 'done',
+	'/': 'in-progress',
+	'-': 'cancelled',
+	'>': 'deferred'
+};
+
+/**
+ * Checkbox character written for each task status. Statuses without an
+ * Obsidian equivalent use the closest state.
+ */
+const STATUS_CHECKBOX = {
+	pending: ' ',
+	done: 'x',
+	'in-progress': '/',
+	review: '/',
+	cancelled: '-',
+	deferred: '>'
+};
+
+/**
+ * Date fields, keyed by task field, with their Obsidian Tasks emoji and
+ * Dataview field name. Listed in the order the Tasks plugin writes them.
+ */
+const DATE_FIELDS = [
+	{ field: 'startDate', emoji: '🛫', dataview: 'start' },
+	{ field: 'scheduledDate', emoji: '⏳', dataview: 'scheduled' },
+	{ field: 'dueDate', emoji: '📅', dataview: 'due' },
+	{ field: 'completedAt', emoji: '✅', dataview: 'completion' }
+];
+
+const PRIORITY_EMOJI = {
+	'🔺': 'high',
+	'⏫': 'high',
+	'🔼': 'medium',
+	'🔽': 'low',
+	'⏬': 'low'
+};
+
+const PRIORITY_TO_EMOJI = { high: '⏫', medium: '🔼', low: '🔽' };
+
+const DATAVIEW_PRIORITY = {
+	highest: 'high',
+	high: 'high',
+	medium: 'medium',
+	low: 'low',
+	lowest: 'low'
+};
+
+const TASK_LINE_REGEX = /^(\s*)([-*+]) \[(.)\] (.+)$/;
+const LIST_ITEM_REGEX = /^(\s*)(?:[-*+]|\d+[.)])\s/;
+const TASK_ANCHOR_REGEX = /(?:^|\s+)\^tm-(\d+)(?:-(\d+))?\s*$/;
+const DATE_SUFFIX_REGEX = /\s*(🛫|⏳|📅|✅)\uFE0F?\s*(\d{4}-\d{2}-\d{2})$/u;
+const PRIORITY_SUFFIX_REGEX = /\s*(🔺|⏫|🔼|🔽|⏬)\uFE0F?$/u;
+const RECURRENCE_SUFFIX_REGEX = /\s*🔁\uFE0F?\s*([a-zA-Z0-9, !]+?)$/u;
+const DATAVIEW_SUFFIX_REGEX = /\s*[[(]([\w-]+)::\s*([^\])]*?)\s*[\])]$/;
+
+/**
+ * Formats the block anchor for a task ID. Block ids cannot contain dots, so
+ * subtask IDs (`12.3`) are written with a dash.
+ * @param {number|string} taskId - Task ID or dotted subtask ID
+ * @returns {string} Block anchor, e.g. `^tm-12` or `^tm-12-3`
+ */
+export function formatTaskAnchor(taskId) {
+	return `^${TASK_ANCHOR_PREFIX}${String(taskId).replace('.', '-')}`;
+}
+
+/**
+ * Tells whether an ID (or parsed anchor) refers to a subtask, i.e. is dotted
+ * @param {number|string|null} taskId - Task ID, subtask ID or anchor
+ * @returns {boolean}
+ */
+export function isSubtaskId(taskId) {
+	return typeof taskId === 'string' && taskId.includes('.');
+}
+
+/**
+ * Returns the checkbox character written for a task status
+ * @param {string} status - Task status
+ * @returns {string} Checkbox character
+ */
+export function statusToCheckbox(status) {
+	return STATUS_CHECKBOX[status] ?? ' ';
+}
+
+/**
+ * Parses a markdown checkbox line
+ * @param {string} line - A single line of markdown
+ * @returns {Object|null} Parsed line or null if the line is not a task.
+ *   Contains `title`, `status`, `anchorId` (a number for tasks, a dotted
+ *   string such as `'12.3'` for subtasks), `indent`, `format` ('emoji' or
+ *   'dataview') and whichever of `priority`, `recurrence`, `startDate`,
+ *   `scheduledDate`, `dueDate` and `completedAt` the line carries.
+ */
+export function parseTaskLine(line) {
+	const match = TASK_LINE_REGEX.exec(line);
+	if (!match || !(match[3] in CHECKBOX_STATUS)) {
+		return null;
+	}
+
+	let text = match[4];
+	let anchorId = null;
+	const anchorMatch = TASK_ANCHOR_REGEX.exec(text);
+	if (anchorMatch) {
+		anchorId = anchorMatch[2]
+			? `${anchorMatch[1]}.${anchorMatch[2]}`
+			: parseInt(anchorMatch[1], 10);
+		text = text.slice(0, anchorMatch.index);
+	}
+
+	const { text: parsedTitle, metadata, format } = parseMetadata(text.trimEnd());
+	// Subtask lines show their ID before the title
+	const title =
+		isSubtaskId(anchorId) && parsedTitle.startsWith(`${anchorId} `)
+			? parsedTitle.slice(anchorId.length + 1).trim()
+			: parsedTitle;
+	if (!title) {
+		return null;
+	}
+
+	return {
+		title,
+		status: CHECKBOX_STATUS[match[3]],
+		anchorId,
+		indent: measureIndent(match[1]),
+		format,
+		...metadata
+	};
+}
+
+/**
+ * Strips Obsidian Tasks and Dataview metadata from the end of a line,
+ * the same way the Tasks plugin reads it. Parsing stops at the first
+ * token it does not recognise, which then stays part of the title.
+ */
+function parseMetadata(text) {
+	const metadata = {};
+	let format = 'emoji';
+	let rest = text;
+	let match;
+
+	while (rest) {
+		if ((match = DATE_SUFFIX_REGEX.exec(rest))) {
+			const { field } = DATE_FIELDS.find((d) => d.emoji === match[1]);
+			metadata[field] ??= match[2];
+		} else if ((match = PRIORITY_SUFFIX_REGEX.exec(rest))) {
+			metadata.priority ??= PRIORITY_EMOJI[match[1]];
+		} else if ((match = RECURRENCE_SUFFIX_REGEX.exec(rest))) {
+			metadata.recurrence ??= match[1].trim();
+		} else if (
+			(match = DATAVIEW_SUFFIX_REGEX.exec(rest)) &&
+			applyDataviewField(metadata, match[1], match[2])
+		) {
+			format = 'dataview';
+		} else {
+			break;
+		}
+		rest = rest.slice(0, match.index);
+	}
+
+	return { text: rest.trim(), metadata, format };
+}
+
+/**
+ * Maps a Dataview inline field onto task metadata
+ * @returns {boolean} False when the field is not one Task Master knows
+ */
+function applyDataviewField(metadata, key, value) {
+	const name = key.toLowerCase();
+	if (name === 'priority') {
+		const priority = DATAVIEW_PRIORITY[value.toLowerCase()];
+		if (!priority) return false;
+		metadata.priority ??= priority;
+		return true;
+	}
+	if (name === 'repeat') {
+		metadata.recurrence ??= value;
+		return true;
+	}
+	const dateField = DATE_FIELDS.find((d) => d.dataview === name);
+	if (dateField && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+		metadata[dateField.field] ??= value;
+		return true;
+	}
+	return false;
+}
+
+function measureIndent(whitespace) {
+	return whitespace.replace(/\t/g, '    ').length;
+}
+
+/**
+ * Formats a task as a markdown checkbox line carrying its metadata and block anchor
+ * @param {Object} task - Task with at least title and status
+ * @param {number|string} [task.id] - Task ID, or dotted subtask ID which is also
+ *   shown before the title; the anchor is omitted when absent
+ * @param {Object} [options]
+ * @param {string} [options.format='emoji'] - 'emoji' (Obsidian Tasks) or 'dataview'
+ * @param {string} [options.indent=''] - Leading whitespace
+ * @param {string} [options.bullet='-'] - List marker
+ * @returns {string} Markdown checkbox line
+ */
+export function formatTaskLine(task, options = {}) {
+	const { format = 'emoji', indent = '', bullet = '-' } = options;
+	const parts = [
+		isSubtaskId(task.id) ? `${task.id} ${task.title}` : task.title
+	];
+
+	if (format === 'dataview') {
+		if (task.priority) parts.push(`[priority:: ${task.priority}]`);
+		if (task.recurrence) parts.push(`[repeat:: ${task.recurrence}]`);
+		for (const { field, dataview } of DATE_FIELDS) {
+			if (task[field]) parts.push(`[${dataview}:: ${task[field]}]`);
+		}
+	} else {
+		if (PRIORITY_TO_EMOJI[task.priority]) {
+			parts.push(PRIORITY_TO_EMOJI[task.priority]);
+		}
+		if (task.recurrence) parts.push(`🔁 ${task.recurrence}`);
+		for (const { field, emoji } of DATE_FIELDS) {
+			if (task[field]) parts.push(`${emoji} ${task[field]}`);
+		}
+	}
+
+	if (task.id !== undefined && task.id !== null) {
+		parts.push(formatTaskAnchor(task.id));
+	}
+
+	return `${indent}${bullet} [${statusToCheckbox(task.status)}] ${parts.join(' ')}`;
+}
+
+/**
+ * Re-formats an existing checkbox line for a task, keeping the line's
+ * indentation, list marker and metadata format
+ * @param {string} line - Existing checkbox line
+ * @param {Object} task - Task to write
+ * @returns {string} Updated line
+ */
+export function replaceTaskLine(line, task) {
+	const match = TASK_LINE_REGEX.exec(line);
+	const parsed = parseTaskLine(line);
+	if (!match || !parsed) {
+		return formatTaskLine(task);
+	}
+	return formatTaskLine(task, {
+		format: parsed.format,
+		indent: match[1],
+		bullet: match[2]
+	});
+}
+
+/**
+ * Extracts all checkbox lines from markdown content with their line numbers.
+ * Checkboxes nested under another checkbox get the parent's line number as
+ * `parentLineNumber` (null for top-level tasks).
+ * @param {string} content - Markdown content
+ * @returns {Array<Object>} Parsed lines with a 1-based `lineNumber`
+ */
+export function extractTaskLines(content) {
+	const results = [];
+	// Open list items, innermost last: { indent, lineNumber, isTask }
+	const stack = [];
+
+	content.split('\n').forEach((line, index) => {
+		const lineNumber = index + 1;
+		const listMatch = LIST_ITEM_REGEX.exec(line);
+		if (!listMatch) {
+			// Non-indented text (headings, paragraphs) ends the current list
+			if (line.trim() && !/^\s/.test(line)) {
+				stack.length = 0;
+			}
+			return;
+		}
+
+		const indent = measureIndent(listMatch[1]);
+		while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+			stack.pop();
+		}
+		const parent = stack.findLast((item) => item.isTask);
+		const parsed = parseTaskLine(line);
+		stack.push({ indent, lineNumber, isTask: Boolean(parsed) });
+
+		if (parsed) {
+			results.push({
+				...parsed,
+				lineNumber,
+				parentLineNumber: parent ? parent.lineNumber : null
+			});
+		}
+	});
+
+	return results;
+}
+
+/**
+ * Adds (or replaces) the block anchor on a checkbox line
+ * @param {string} line - Checkbox line
+ * @param {number|string} taskId - Task ID or dotted subtask ID to anchor
+ * @returns {string} Line ending with the task anchor
+ */
+export function setTaskLineAnchor(line, taskId) {
+	const withoutAnchor = line.replace(TASK_ANCHOR_REGEX, '').replace(/\s+$/, '');
+	return `${withoutAnchor} ${formatTaskAnchor(taskId)}`;
+}
@@ -0,0 +1,560 @@
+/**
+ * obsidian-templates.js
+ * Handlebars-style templates for task notes and their file names:
+ * `{{variable}}` and `{{helper arg ...}}` expressions, `{{#if}}`,
+ * `{{#unless}}` and `{{#each}}` blocks with `{{else}}`, `(sub expressions)`
+ * and `{{! comments}}`. Output is not escaped, and Templater `<% %>`
+ * commands are left for Templater to run.
+ */
+
+const MONTH_NAMES = [
+	'January',
+	'February',
+	'March',
+	'April',
+	'May',
+	'June',
+	'July',
+	'August',
+	'September',
+	'October',
+	'November',
+	'December'
+];
+const DAY_NAMES = [
+	'Sunday',
+	'Monday',
+	'Tuesday',
+	'Wednesday',
+	'Thursday',
+	'Friday',
+	'Saturday'
+];
+// Longest tokens first so `YYYY` is not read as two `YY`
+const MOMENT_TOKEN_REGEX =
+	/\[([^\]]*)\]|YYYY|GGGG|YY|Q|MMMM|MMM|MM|M|Do|DDDD|DD|D|dddd|ddd|dd|d|WW|W|HH|H|mm|ss/g;
+
+const TAG_REGEX = /\{\{!--[\s\S]*?--\}\}|\{\{\{?([\s\S]*?)\}?\}\}/g;
+const DATE_ONLY_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const ISO_DATE_REGEX = /^\d{4}-\d{2}-\d{2}/;
+// Characters Obsidian does not allow in note names or link targets
+const INVALID_FILENAME_CHARS_REGEX = /[\\/:*?"<>|#^[\]]/g;
+
+/**
+ * Helpers callable from templates, e.g. `{{date dueDate "D MMMM"}}` or
+ * `{{#if (eq status "done")}}`
+ */
+export const TEMPLATE_HELPERS = {
+	date: formatTemplateDate,
+	pad: (value, width = 3) => String(value ?? '').padStart(Number(width), '0'),
+	slug: (value) =>
+		String(value ?? '')
+			.replace(/[^a-zA-Z0-9]/g, '-')
+			.toLowerCase(),
+	lower: (value) => String(value ?? '').toLowerCase(),
+	upper: (value) => String(value ?? '').toUpperCase(),
+	join: (list, separator = ', ') =>
+		Array.isArray(list) ? list.join(separator) : String(list ?? ''),
+	default: (value, fallback) => (isTruthy(value) ? value : fallback),
+	eq: (a, b) => a === b || String(a) === String(b),
+	ne: (a, b) => !(a === b || String(a) === String(b)),
+	and: (...values) => values.every(isTruthy),
+	or: (...values) => values.some(isTruthy),
+	not: (value) => !isTruthy(value)
+};
+
+/**
+ * Formats a date with the subset of moment.js tokens used in daily note
+ * formats and templates; text in `[brackets]` is kept as is
+ * @param {Date} date - Local date
+ * @param {string} format - e.g. `YYYY-MM-DD` or `YYYY/MM/[Week] WW`
+ * @returns {string}
+ */
+export function formatMomentDate(date, format) {
+	const pad = (value, length = 2) => String(value).padStart(length, '0');
+	const year = date.getFullYear();
+	const month = date.getMonth();
+	const day = date.getDate();
+	const weekday = date.getDay();
+	const { week, weekYear } = isoWeek(date);
+	const dayOfYear =
+		Math.round((new Date(year, month, day) - new Date(year, 0, 1)) / 86400000) +
+		1;
+
+	const tokens = {
+		YYYY: () => String(year),
+		GGGG: () => String(weekYear),
+		YY: () => pad(year % 100),
+		Q: () => String(Math.floor(month / 3) + 1),
+		MMMM: () => MONTH_NAMES[month],
+		MMM: () => MONTH_NAMES[month].slice(0, 3),
+		MM: () => pad(month + 1),
+		M: () => String(month + 1),
+		Do: () => `${day}${ordinalSuffix(day)}`,
+		DDDD: () => pad(dayOfYear, 3),
+		DD: () => pad(day),
+		D: () => String(day),
+		dddd: () => DAY_NAMES[weekday],
+		ddd: () => DAY_NAMES[weekday].slice(0, 3),
+		dd: () => DAY_NAMES[weekday].slice(0, 2),
+		d: () => String(weekday),
+		WW: () => pad(week),
+		W: () => String(week),
+		HH: () => pad(date.getHours()),
+		H: () => String(date.getHours()),
+		mm: () => pad(date.getMinutes()),
+		ss: () => pad(date.getSeconds())
+	};
+	return format.replace(MOMENT_TOKEN_REGEX, (token, literal) =>
+		literal !== undefined ? literal : tokens[token]()
+	);
+}
+
+/**
+ * Renders a template
+ * @param {string} template - Template text
+ * @param {Object} context - Values the template refers to
+ * @param {Object} [options]
+ * @param {Object} [options.blocks] - Extra block helpers by name, called
+ *   with the evaluated arguments and a function rendering the block body
+ * @returns {string} Rendered text
+ * @throws {Error} On unbalanced blocks or unknown helpers
+ */
+export function renderTemplate(template, context, options = {}) {
+	const nodes = parseTemplate(template);
+	const scope = { value: context, data: {}, parent: null };
+	return renderNodes(nodes, scope, options.blocks || {});
+}
+
+/**
+ * Compiles a note file name pattern such as `{{pad id 3}} {{title}}`. The
+ * pattern must use the task ID, which identifies a task's note whatever its
+ * other parts (e.g. the title) become.
+ * @param {string} pattern - File name pattern without the `.md` extension
+ * @returns {{pattern: string, render: function(Object): string, parseTaskId: function(string): number|null}}
+ *   `render` builds a file name (without extension) from a task context,
+ *   `parseTaskId` reads the task ID back from a note name
+ * @throws {Error} When the pattern is invalid or does not use the task ID
+ */
+export function compileFilenamePattern(pattern) {
+	const nodes = parseTemplate(pattern);
+	let hasId = false;
+	const source = nodes
+		.map((node) => {
+			if (node.type === 'text') {
+				return escapeRegex(node.value);
+			}
+			if (node.type !== 'expression') {
+				throw new Error(
+					`Template error: blocks are not supported in file name patterns ("${pattern}")`
+				);
+			}
+			if (!hasId && usesTaskId(node.expression)) {
+				hasId = true;
+				return '0*(\\d+)';
+			}
+			return '.*?';
+		})
+		.join('');
+	if (!hasId) {
+		throw new Error(
+			`Template error: file name pattern "${pattern}" must contain the task ID, e.g. {{id}}`
+		);
+	}
+
+	const idRegex = new RegExp(`^${source}$`);
+	return {
+		pattern,
+		render: (context) =>
+			renderNodes(nodes, { value: context, data: {}, parent: null }, {})
+				.replace(INVALID_FILENAME_CHARS_REGEX, '')
+				.trim(),
+		parseTaskId: (name) => {
+			const match = idRegex.exec(name);
+			return match ? Number(match[1]) : null;
+		}
+	};
+}
+
+/**
+ * Splits a template into a tree of text, expression and block nodes.
+ * Block tags, `{{else}}` and comments standing alone on a line take the
+ * whole line with them, so they leave no blank lines in the output.
+ */
+function parseTemplate(template) {
+	const tokens = [];
+	let last = 0;
+	for (const match of template.matchAll(TAG_REGEX)) {
+		tokens.push({ type: 'text', value: template.slice(last, match.index) });
+		tokens.push(toTagToken(match[1] === undefined ? '!' : match[1].trim()));
+		last = match.index + match[0].length;
+	}
+	tokens.push({ type: 'text', value: template.slice(last) });
+	stripStandaloneTags(tokens);
+
+	const root = { children: [] };
+	const stack = [root];
+	let current = root.children;
+	for (const token of tokens) {
+		const parent = stack[stack.length - 1];
+		switch (token.type) {
+			case 'text':
+				if (token.value) current.push(token);
+				break;
+			case 'comment':
+				break;
+			case 'expression':
+				current.push(token);
+				break;
+			case 'open': {
+				const block = { ...token, type: 'block', children: [], inverse: [] };
+				current.push(block);
+				stack.push(block);
+				current = block.children;
+				break;
+			}
+			case 'else':
+				if (stack.length === 1) {
+					throw new Error('Template error: {{else}} outside of a block');
+				}
+				parent.inElse = true;
+				current = parent.inverse;
+				break;
+			case 'close':
+				if (stack.length === 1 || parent.name !== token.name) {
+					throw new Error(
+						`Template error: unexpected {{/${token.name}}}${stack.length > 1 ? `, expected {{/${parent.name}}}` : ''}`
+					);
+				}
+				stack.pop();
+				current = stack[stack.length - 1].inElse
+					? stack[stack.length - 1].inverse
+					: stack[stack.length - 1].children;
+				break;
+		}
+	}
+	if (stack.length > 1) {
+		throw new Error(
+			`Template error: {{#${stack[stack.length - 1].name}}} is not closed`
+		);
+	}
+	return root.children;
+}
+
+function toTagToken(content) {
+	if (content.startsWith('!')) {
+		return { type: 'comment', standalone: true };
+	}
+	if (content === 'else') {
+		return { type: 'else', standalone: true };
+	}
+	if (content.startsWith('#')) {
+		const [name, ...args] = parseArguments(content.slice(1));
+		if (name?.type !== 'path') {
+			throw new Error(`Template error: invalid block {{${content}}}`);
+		}
+		return { type: 'open', name: name.path, args, standalone: true };
+	}
+	if (content.startsWith('/')) {
+		return { type: 'close', name: content.slice(1).trim(), standalone: true };
+	}
+	return { type: 'expression', expression: parseExpression(content) };
+}
+
+function stripStandaloneTags(tokens) {
+	// Whether the previous tag took its line, leaving the next text at a line start
+	let previousStripped = true;
+	for (let i = 1; i < tokens.length - 1; i += 2) {
+		const before = tokens[i - 1];
+		const after = tokens[i + 1];
+		const lineStart = before.value.lastIndexOf('\n') + 1;
+		const lineEnd = after.value.indexOf('\n');
+		const isFirst = lineStart > 0 || previousStripped;
+		const isLast = lineEnd !== -1 || i === tokens.length - 2;
+		previousStripped =
+			tokens[i].standalone &&
+			isFirst &&
+			isLast &&
+			!before.value.slice(lineStart).trim() &&
+			!after.value.slice(0, lineEnd === -1 ? undefined : lineEnd).trim();
+		if (previousStripped) {
+			before.value = before.value.slice(0, lineStart);
+			after.value = lineEnd === -1 ? '' : after.value.slice(lineEnd + 1);
+		}
+	}
+}
+
+/**
+ * Parses `helper arg "string" 3 (sub expr)` or a bare path
+ */
+function parseExpression(content) {
+	const [head, ...args] = parseArguments(content);
+	if (!head) {
+		throw new Error('Template error: empty {{}}');
+	}
+	if (
+		args.length === 0 &&
+		head.type === 'path' &&
+		!TEMPLATE_HELPERS[head.path]
+	) {
+		return head;
+	}
+	if (head.type !== 'path') {
+		return head;
+	}
+	return { type: 'call', helper: head.path, args };
+}
+
+function parseArguments(content) {
+	const args = [];
+	let i = 0;
+	while (i < content.length) {
+		const char = content[i];
+		if (/\s/.test(char)) {
+			i++;
+		} else if (char === '"' || char === "'") {
+			const end = content.indexOf(char, i + 1);
+			if (end === -1) {
+				throw new Error(`Template error: unclosed string in {{${content}}}`);
+			}
+			args.push({ type: 'literal', value: content.slice(i + 1, end) });
+			i = end + 1;
+		} else if (char === '(') {
+			let depth = 0;
+			let end = i;
+			for (; end < content.length; end++) {
+				if (content[end] === '(') depth++;
+				if (content[end] === ')' && --depth === 0) break;
+			}
+			if (depth !== 0) {
+				throw new Error(`Template error: unclosed ( in {{${content}}}`);
+			}
+			args.push(parseExpression(content.slice(i + 1, end)));
+			i = end + 1;
+		} else {
+			const word = /^[^\s()]+/.exec(content.slice(i))[0];
+			args.push(toWordArgument(word));
+			i += word.length;
+		}
+	}
+	return args;
+}
+
+function toWordArgument(word) {
+	if (/^-?\d+(\.\d+)?$/.test(word)) {
+		return { type: 'literal', value: Number(word) };
+	}
+	if (word === 'true' || word === 'false') {
+		return { type: 'literal', value: word === 'true' };
+	}
+	if (word === 'null' || word === 'undefined') {
+		return { type: 'literal', value: null };
+	}
+	return { type: 'path', path: word };
+}
+
+function renderNodes(nodes, scope, blocks) {
+	let output = '';
+	for (const node of nodes) {
+		if (node.type === 'text') {
+			output += node.value;
+		} else if (node.type === 'expression') {
+			output += toText(evaluate(node.expression, scope));
+		} else {
+			output += renderBlock(node, scope, blocks);
+		}
+	}
+	return output;
+}
+
+function renderBlock(node, scope, blocks) {
+	const args = node.args.map((arg) => evaluate(arg, scope));
+	const [value] = args;
+	switch (node.name) {
+		case 'if':
+			return renderNodes(
+				isTruthy(value) ? node.children : node.inverse,
+				scope,
+				blocks
+			);
+		case 'unless':
+			return renderNodes(
+				isTruthy(value) ? node.inverse : node.children,
+				scope,
+				blocks
+			);
+		case 'each': {
+			const items = Array.isArray(value) ? value : [];
+			if (items.length === 0) {
+				return renderNodes(node.inverse, scope, blocks);
+			}
+			return items
+				.map((item, index) =>
+					renderNodes(
+						node.children,
+						{
+							value: item,
+							data: {
+								index,
+								first: index === 0,
+								last: index === items.length - 1
+							},
+							parent: scope
+						},
+						blocks
+					)
+				)
+				.join('');
+		}
+		default: {
+			const block = blocks[node.name];
+			if (!block) {
+				throw new Error(`Template error: unknown block {{#${node.name}}}`);
+			}
+			return block(args, () => renderNodes(node.children, scope, blocks));
+		}
+	}
+}
+
+function evaluate(expression, scope) {
+	switch (expression.type) {
+		case 'literal':
+			return expression.value;
+		case 'path':
+			return lookup(expression.path, scope);
+		case 'call': {
+			const helper = TEMPLATE_HELPERS[expression.helper];
+			if (!helper) {
+				throw new Error(
+					`Template error: unknown helper "${expression.helper}"`
+				);
+			}
+			return helper(...expression.args.map((arg) => evaluate(arg, scope)));
+		}
+	}
+	return undefined;
+}
+
+/**
+ * Looks a path up in the current scope, then in the enclosing ones;
+ * `this` is the current item, `../` the enclosing scope and `@index`,
+ * `@first` and `@last` describe the `{{#each}}` iteration
+ */
+function lookup(pathExpression, scope) {
+	let current = scope;
+	let rest = pathExpression;
+	while (rest.startsWith('../')) {
+		current = current.parent || current;
+		rest = rest.slice(3);
+	}
+	if (rest.startsWith('@')) {
+		return current.data[rest.slice(1)];
+	}
+
+	const [first, ...keys] = rest.split('.');
+	let value;
+	if (first === 'this') {
+		value = current.value;
+	} else {
+		for (let s = current; s; s = s.parent) {
+			if (s.value !== null && typeof s.value === 'object' && first in s.value) {
+				value = s.value[first];
+				break;
+			}
+		}
+	}
+	for (const key of keys) {
+		value = value?.[key];
+	}
+	return value;
+}
+
+function toText(value) {
+	if (value === undefined || value === null || value === false) {
+		return '';
+	}
+	if (Array.isArray(value)) {
+		return value.map(toText).join(', ');
+	}
+	if (value instanceof Date) {
+		return formatMomentDate(value, 'YYYY-MM-DD');
+	}
+	return String(value);
+}
+
+function isTruthy(value) {
+	return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * `{{date}}` is today, `{{date "YYYY"}}` today in a format, and
+ * `{{date dueDate}}` or `{{date dueDate "D MMM"}}` a task date; missing task
+ * dates render as nothing
+ */
+function formatTemplateDate(...args) {
+	if (args.length === 0) {
+		return formatMomentDate(new Date(), 'YYYY-MM-DD');
+	}
+	const [value, format] = args;
+	if (
+		args.length === 1 &&
+		typeof value === 'string' &&
+		!ISO_DATE_REGEX.test(value)
+	) {
+		return formatMomentDate(new Date(), value);
+	}
+	const date = toDate(value);
+	return date ? formatMomentDate(date, format || 'YYYY-MM-DD') : '';
+}
+
+function toDate(value) {
+	if (value instanceof Date) {
+		return value;
+	}
+	if (value === undefined || value === null || value === '') {
+		return null;
+	}
+	// Date-only values are local days, not UTC midnight
+	const dateOnly = DATE_ONLY_REGEX.exec(String(value));
+	if (dateOnly) {
+		return new Date(
+			Number(dateOnly[1]),
+			Number(dateOnly[2]) - 1,
+			Number(dateOnly[3])
+		);
+	}
+	const date = new Date(value);
+	return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function usesTaskId(expression) {
+	if (expression.type === 'path') {
+		return expression.path === 'id';
+	}
+	return expression.type === 'call' && expression.args.some(usesTaskId);
+}
+
+function escapeRegex(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function ordinalSuffix(day) {
+	if (day % 100 >= 11 && day % 100 <= 13) return 'th';
+	return ['th', 'st', 'nd', 'rd'][day % 10] || 'th';
+}
+
+/**
+ * ISO 8601 week number and week-based year of a date
+ */
+function isoWeek(date) {
+	const target = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+	// Thursday of the same week decides the year
+	target.setDate(target.getDate() + 3 - ((target.getDay() + 6) % 7));
+	const weekYear = target.getFullYear();
+	const firstThursday = new Date(weekYear, 0, 4);
+	firstThursday.setDate(
+		firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7)
+	);
+	const week = 1 + Math.round((target - firstThursday) / (7 * 86400000));
+	return { week, weekYear };
+}
@@ -0,0 +1,156 @@
+/**
+ * obsidian-vaults.js
+ * Picks the vault an Obsidian command works on, so `--vault` is only needed
+ * to override the `vaults` section of `.taskmaster/config.json`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { findConfigPath } from '../../../src/utils/path-utils.js';
+import { readJSON } from '../utils.js';
+import {
+	getConfig,
+	getVaultConfig,
+	getVaultForTag,
+	getVaultsConfig
+} from '../config-manager.js';
+import {
+	getLinkedVaults,
+	getTagNotesDir,
+	loadVaultLayout
+} from './obsidian-layout.js';
+
+/**
+ * Resolves the vault of a command, in order: the `vault` option (the name of
+ * a configured vault, or a path), the vault the tag is routed to in the
+ * config, and the vault recorded in the tag metadata by a previous sync
+ * @param {Object} options
+ * @param {string} [options.vault] - Vault name or path given to the command
+ * @param {string} [options.tag='master'] - Tag the command works on
+ * @param {string} [options.tasksPath] - Path to tasks.json, for the recorded vault
+ * @param {string} [options.projectRoot] - Project root path
+ * @returns {{vaultPath: string, vault: Object|null, source: string}} Absolute
+ *   vault path, its config (null for an unconfigured vault) and where it came
+ *   from: `option`, `config` or `metadata`
+ * @throws {Error} When no vault applies to the tag
+ */
+export function resolveObsidianVault(options = {}) {
+	const { vault, tag = 'master', tasksPath, projectRoot } = options;
+
+	if (vault) {
+		const named = getVaultConfig(vault, projectRoot);
+		if (named) {
+			return { vaultPath: named.root, vault: named, source: 'option' };
+		}
+		const vaultPath = path.resolve(vault);
+		return {
+			vaultPath,
+			vault: findVaultByRoot(vaultPath, projectRoot),
+			source: 'option'
+		};
+	}
+
+	const routed = getVaultForTag(tag, projectRoot);
+	if (routed) {
+		return { vaultPath: routed.root, vault: routed, source: 'config' };
+	}
+
+	const recorded =
+		tasksPath && readJSON(tasksPath, projectRoot, tag)?.metadata?.vaultPath;
+	if (recorded) {
+		return {
+			vaultPath: path.resolve(recorded),
+			vault: findVaultByRoot(path.resolve(recorded), projectRoot),
+			source: 'metadata'
+		};
+	}
+
+	throw new Error(
+		`No Obsidian vault for tag "${tag}". Pass --vault, or add the tag to a vault in the "vaults" section of .taskmaster/config.json.`
+	);
+}
+
+/**
+ * Lists the roots of every configured vault
+ * @param {string} [projectRoot] - Project root path
+ * @returns {Array<string>} Absolute vault paths
+ */
+export function getConfiguredVaultPaths(projectRoot) {
+	return Object.keys(getVaultsConfig(projectRoot)).map(
+		(name) => getVaultConfig(name, projectRoot).root
+	);
+}
+
+/**
+ * Lists the vaults holding the notes of a tag, for tag commands to update:
+ * the vaults recorded in tag metadata by previous syncs, the vault the tag is
+ * routed to in the config, and every configured vault with a task folder for
+ * the tag. Only vaults still on disk are listed.
+ * @param {Object} rawData - Raw tagged tasks data
+ * @param {string} tag - Tag name
+ * @param {string} [projectRoot] - Project root path
+ * @returns {Array<{vaultPath: string, vault: Object|null}>} Absolute vault
+ *   paths, with the vault config of the configured ones so their layout
+ *   settings apply
+ */
+export function getTagVaults(rawData, tag, projectRoot) {
+	const vaults = new Map();
+	for (const vaultPath of getLinkedVaults(rawData)) {
+		vaults.set(vaultPath, findVaultByRoot(vaultPath, projectRoot));
+	}
+
+	const routed = getVaultForTag(tag, projectRoot);
+	if (routed && fs.existsSync(routed.root)) {
+		vaults.set(routed.root, routed);
+	}
+	for (const name of Object.keys(getVaultsConfig(projectRoot))) {
+		const vault = getVaultConfig(name, projectRoot);
+		const tagDir = getTagNotesDir(tag, loadVaultLayout(vault.root, { vault }));
+		if (fs.existsSync(path.join(vault.root, tagDir))) {
+			vaults.set(vault.root, vault);
+		}
+	}
+	return [...vaults].map(([vaultPath, vault]) => ({ vaultPath, vault }));
+}
+
+/**
+ * Renames a tag in the `tags` lists of the configured vaults, so a renamed
+ * tag stays routed to its vault. The config file is edited as written, so
+ * the defaults getConfig merges in are not saved with it.
+ * @param {string} oldTag - Old tag name
+ * @param {string} newTag - New tag name
+ * @param {string} [projectRoot] - Project root path
+ * @returns {Array<string>} Names of the vaults whose `tags` changed
+ * @throws {Error} When the config cannot be read or written
+ */
+export function renameRoutedTag(oldTag, newTag, projectRoot) {
+	const configPath = findConfigPath(null, { projectRoot });
+	if (!configPath) {
+		return [];
+	}
+	const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+	const renamed = [];
+	for (const [name, vault] of Object.entries(config.vaults || {})) {
+		if (vault.tags?.includes(oldTag)) {
+			vault.tags = vault.tags.map((tag) => (tag === oldTag ? newTag : tag));
+			renamed.push(name);
+		}
+	}
+
+	if (renamed.length > 0) {
+		fs.writeFileSync(configPath, JSON.stringify(config, null, 2));
+		getConfig(projectRoot, true);
+	}
+	return renamed;
+}
+
+function findVaultByRoot(vaultPath, projectRoot) {
+	for (const name of Object.keys(getVaultsConfig(projectRoot))) {
+		const vault = getVaultConfig(name, projectRoot);
+		if (vault.root === vaultPath) {
+			return vault;
+		}
+	}
+	return null;
+}
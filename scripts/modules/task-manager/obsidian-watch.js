@@ -0,0 +1,351 @@
+/**
+ * obsidian-watch.js
+ * Long-running watcher that keeps an Obsidian vault and tasks.json in sync.
+ * Changes are debounced into a single sync run whose direction follows the
+ * side that changed; files rewritten by the sync itself are recognised by
+ * their content hash and do not trigger another run.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import chokidar from 'chokidar';
+
+import { log } from '../utils.js';
+import { syncTasksFromObsidian, syncTasksToObsidian } from './obsidian-sync.js';
+import { scanVaultIndex } from './obsidian-index.js';
+
+/**
+ * Lock file written at the vault root while a watcher runs
+ */
+export const WATCH_LOCK_FILE = '.taskmaster-sync.lock';
+
+/**
+ * How often a running watcher refreshes its lock, and how long a lock held
+ * on another host stays valid without a refresh
+ */
+export const WATCH_LOCK_HEARTBEAT_MS = 60 * 1000;
+export const WATCH_LOCK_TIMEOUT_MS = 5 * WATCH_LOCK_HEARTBEAT_MS;
+
+/**
+ * Watches a vault and its tasks file and syncs on change
+ * @param {Object} options - Watch options
+ * @param {string} options.vaultPath - Path to Obsidian vault
+ * @param {string} options.tasksPath - Path to tasks.json
+ * @param {string} [options.tag='master'] - Tag context
+ * @param {string} [options.projectRoot] - Project root path
+ * @param {string} [options.conflictResolution] - Overrides the tag's conflict strategy
+ * @param {boolean} [options.indexJson] - Overrides the tag's JSON index setting
+ * @param {Object} [options.vault] - Configured vault, whose note layout settings apply
+ * @param {string} [options.syncDirection='bidirectional'] - Sides that are synced:
+ *   `to-obsidian` ignores vault changes, `from-obsidian` ignores tasks file changes
+ * @param {number} [options.debounceMs=500] - Quiet period before a sync runs
+ * @param {boolean} [options.force=false] - Take over a lock another watcher still holds
+ * @param {Function} [options.onEvent] - Receives `{ type, time, ... }` for every
+ *   watcher event: start, change, echo, sync, error and stop
+ * @returns {Promise<{close: Function, lockPath: string}>} Handle to stop the watcher
+ */
+export async function watchObsidianSync(options) {
+	const {
+		vaultPath,
+		tasksPath,
+		tag = 'master',
+		projectRoot,
+		conflictResolution,
+		indexJson,
+		vault,
+		syncDirection = 'bidirectional',
+		debounceMs = 500,
+		force = false,
+		onEvent = () => {}
+	} = options;
+
+	const emit = (type, details = {}) =>
+		onEvent({ type, time: new Date(), ...details });
+
+	const lockPath = acquireWatchLock(vaultPath, tasksPath, force);
+
+	// Content hashes as of the end of the last sync, used to drop echo events
+	const knownHashes = new Map();
+	// Paths changed since the last sync, with the kind of change
+	const pending = new Map();
+	let timer = null;
+	let running = null;
+	let closed = false;
+	let vaultWatcher = null;
+	let tasksWatcher = null;
+
+	const rememberState = () => {
+		knownHashes.clear();
+		const { notes } = scanVaultIndex(vaultPath, { projectRoot });
+		for (const note of notes) {
+			knownHashes.set(path.join(vaultPath, note.path), note.hash);
+		}
+		knownHashes.set(tasksPath, hashFile(tasksPath));
+	};
+
+	const runSync = async (direction, files) => {
+		const startedAt = Date.now();
+		try {
+			const syncOptions = {
+				vaultPath,
+				tasksPath,
+				tag,
+				projectRoot,
+				conflictResolution,
+				indexJson,
+				vault
+			};
+			// The steps of `task-master obsidian-sync`: vault changes are read
+			// first, then the task notes are written
+			const fromObsidian =
+				direction === 'to-obsidian'
+					? null
+					: await syncTasksFromObsidian(syncOptions);
+			const toObsidian =
+				direction === 'from-obsidian'
+					? null
+					: await syncTasksToObsidian(syncOptions);
+			const results = {
+				updated: (fromObsidian?.updated || 0) + (toObsidian?.updated || 0),
+				created: (fromObsidian?.created || 0) + (toObsidian?.created || 0),
+				conflicts: fromObsidian?.conflicts || 0,
+				fromObsidian,
+				toObsidian
+			};
+			emit('sync', {
+				direction,
+				files,
+				results,
+				durationMs: Date.now() - startedAt
+			});
+		} catch (error) {
+			emit('error', { direction, message: error.message });
+			log('error', `Watch sync failed: ${error.message}`);
+		} finally {
+			rememberState();
+		}
+	};
+
+	const flush = () => {
+		timer = null;
+		if (running || closed || pending.size === 0) return;
+
+		// Compare against the state the last sync left behind: anything
+		// that still matches it was written by the sync itself
+		const files = [];
+		let tasksChanged = false;
+		for (const [filePath, changeType] of pending) {
+			const source = filePath === tasksPath ? 'tasks' : 'vault';
+			// One-way vaults only follow the side they are synced from
+			if (
+				(source === 'vault' && syncDirection === 'to-obsidian') ||
+				(source === 'tasks' && syncDirection === 'from-obsidian')
+			) {
+				continue;
+			}
+			const hash = changeType === 'unlink' ? null : hashFile(filePath);
+			const file = displayPath(filePath);
+			if (knownHashes.get(filePath) === hash) {
+				emit('echo', { source, changeType, file });
+				continue;
+			}
+			emit('change', { source, changeType, file });
+			if (source === 'tasks') {
+				tasksChanged = true;
+			} else {
+				files.push(file);
+			}
+		}
+		pending.clear();
+		if (!tasksChanged && files.length === 0) return;
+
+		const direction =
+			tasksChanged && files.length > 0
+				? 'bidirectional'
+				: tasksChanged
+					? 'to-obsidian'
+					: 'from-obsidian';
+
+		running = runSync(direction, files).finally(() => {
+			running = null;
+			// Changes that arrived during the sync are checked against the new state
+			schedule();
+		});
+	};
+
+	const schedule = () => {
+		if (closed) return;
+		clearTimeout(timer);
+		timer = setTimeout(flush, debounceMs);
+	};
+
+	const onChange = (changeType, filePath) => {
+		if (filePath !== tasksPath && !filePath.endsWith('.md')) return;
+		pending.set(filePath, changeType);
+		schedule();
+	};
+
+	const displayPath = (filePath) =>
+		filePath === tasksPath
+			? path.basename(tasksPath)
+			: path.relative(vaultPath, filePath);
+
+	try {
+		// Start from a consistent state before listening for changes
+		await runSync(syncDirection, []);
+
+		vaultWatcher = chokidar.watch(vaultPath, {
+			ignoreInitial: true,
+			// Dot-folders (.obsidian, .trash, .git) and the lock file are not notes.
+			// Only the path inside the vault counts, the vault itself may sit in one
+			ignored: (filePath) =>
+				path
+					.relative(vaultPath, filePath)
+					.split(path.sep)
+					.some((segment) => segment.startsWith('.'))
+		});
+		tasksWatcher = chokidar.watch(tasksPath, { ignoreInitial: true });
+		for (const changeType of ['add', 'change', 'unlink']) {
+			for (const watcher of [vaultWatcher, tasksWatcher]) {
+				watcher.on(changeType, (filePath) => onChange(changeType, filePath));
+			}
+		}
+		for (const watcher of [vaultWatcher, tasksWatcher]) {
+			watcher.on('error', (error) => emit('error', { message: error.message }));
+		}
+		await Promise.all([
+			new Promise((resolve) => vaultWatcher.once('ready', resolve)),
+			new Promise((resolve) => tasksWatcher.once('ready', resolve))
+		]);
+	} catch (error) {
+		closed = true;
+		clearTimeout(timer);
+		await Promise.all([vaultWatcher?.close(), tasksWatcher?.close()]);
+		releaseWatchLock(lockPath);
+		throw error;
+	}
+
+	// Keeps the lock fresh so watchers on other hosts know it is still held
+	const heartbeat = setInterval(
+		() => refreshWatchLock(lockPath),
+		WATCH_LOCK_HEARTBEAT_MS
+	);
+	heartbeat.unref();
+
+	emit('start', { vaultPath, tasksPath, lockPath });
+
+	const close = async () => {
+		if (closed) return;
+		closed = true;
+		clearTimeout(timer);
+		clearInterval(heartbeat);
+		await Promise.all([vaultWatcher.close(), tasksWatcher.close()]);
+		if (running) {
+			await running;
+		}
+		releaseWatchLock(lockPath);
+		emit('stop');
+	};
+
+	return { close, lockPath };
+}
+
+/**
+ * Creates the vault lock file, refusing to start when another watcher holds
+ * it: a live process on this host, or a lock from another host (a synced or
+ * shared vault) refreshed within WATCH_LOCK_TIMEOUT_MS
+ * @param {boolean} force - Take over the lock anyway
+ * @returns {string} Path of the lock file
+ */
+function acquireWatchLock(vaultPath, tasksPath, force) {
+	const lockPath = path.join(vaultPath, WATCH_LOCK_FILE);
+	const now = new Date().toISOString();
+	const lock = JSON.stringify({
+		pid: process.pid,
+		host: os.hostname(),
+		tasksPath,
+		startedAt: now,
+		heartbeatAt: now
+	});
+
+	try {
+		fs.writeFileSync(lockPath, lock, { flag: 'wx' });
+		return lockPath;
+	} catch (error) {
+		if (error.code !== 'EEXIST') throw error;
+	}
+
+	let holder = null;
+	try {
+		holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+	} catch {
+		// Unreadable lock: treat as stale
+	}
+	if (holder && !force && isLockHeld(holder)) {
+		const where = holder.host === os.hostname() ? '' : ` on ${holder.host}`;
+		throw new Error(
+			`Another watcher (pid ${holder.pid}${where}) is already syncing this vault. Use --force or remove ${lockPath} if it is no longer running.`
+		);
+	}
+
+	log(
+		'warn',
+		`${holder && isLockHeld(holder) ? 'Taking over' : 'Replacing stale'} watch lock ${lockPath}`
+	);
+	fs.writeFileSync(lockPath, lock);
+	return lockPath;
+}
+
+function isLockHeld(holder) {
+	if (holder.host === os.hostname()) {
+		return isProcessAlive(holder.pid);
+	}
+	// The process cannot be checked from here; trust the heartbeat
+	const heartbeatAt = Date.parse(holder.heartbeatAt || holder.startedAt);
+	return Date.now() - heartbeatAt < WATCH_LOCK_TIMEOUT_MS;
+}
+
+function refreshWatchLock(lockPath) {
+	try {
+		const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+		if (holder.pid === process.pid && holder.host === os.hostname()) {
+			holder.heartbeatAt = new Date().toISOString();
+			fs.writeFileSync(lockPath, JSON.stringify(holder));
+		}
+	} catch {
+		// Removed by hand; the next watcher may take it over
+	}
+}
+
+function releaseWatchLock(lockPath) {
+	try {
+		const holder = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+		if (holder.pid === process.pid && holder.host === os.hostname()) {
+			fs.unlinkSync(lockPath);
+		}
+	} catch {
+		// Already gone
+	}
+}
+
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (error) {
+		return error.code === 'EPERM';
+	}
+}
+
+function hashFile(filePath) {
+	try {
+		return crypto
+			.createHash('sha256')
+			.update(fs.readFileSync(filePath, 'utf8'))
+			.digest('hex');
+	} catch {
+		return null;
+	}
+}
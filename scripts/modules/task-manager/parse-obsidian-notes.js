@@ -8,6 +8,7 @@ import { z } from 'zod';
 import {
     log,
     writeJSON,
+    aggregateTelemetry,
     enableSilentMode,
     disableSilentMode,
     isSilentMode,
@@ -21,6 +22,22 @@ import { getDebugFlag } from '../config-manager.js';
 import { getPromptManager } from '../prompt-manager.js';
 import { displayAiUsageSummary } from '../ui.js';
 import { syncTasksToObsidian } from './obsidian-sync.js';
+import { scanVaultIndex } from './obsidian-index.js';
+import { describeNoteFilters, filterNotes } from './obsidian-filters.js';
+import {
+    applyReconcileEntries,
+    diffExtractedTasks,
+    reviewReconcileEntries
+} from './obsidian-reconcile.js';
+import { parseFrontmatter } from './obsidian-frontmatter.js';
+import {
+    DEFAULT_CHUNK_TOKENS,
+    buildNoteChunks,
+    mergeChunkResults,
+    splitTaskBudget
+} from './obsidian-chunks.js';
+import { ContextGatherer } from '../utils/contextGatherer.js';
+import { recordTaskSources, writeSourceBlockIds } from './obsidian-source.js';
 
 // Schema para tasks extraídas de notas Obsidian
 const obsidianNotesTaskSchema = z.object({
@@ -36,7 +53,10 @@ const obsidianNotesTaskSchema = z.object({
     sourceFile: z.string(),
     obsidianTags: z.array(z.string()).optional(),
     linkedNotes: z.array(z.string()).optional(),
-    vaultLocation: z.string()
+    vaultLocation: z.string(),
+    // Rastreabilidade: trecho da nota que justifica a task
+    section: z.string().optional(),
+    originalTaskText: z.string().optional()
 });
 
 // Schema da resposta da AI
@@ -44,25 +64,40 @@ const obsidianNotesResponseSchema = z.object({
     tasks: z.array(obsidianNotesTaskSchema)
 });
 
+// Pastas ignoradas quando excludePatterns não é informado
+const DEFAULT_EXCLUDE_PATTERNS = [
+    '**/Templates/**',
+    '**/Archive/**',
+    '**/.obsidian/**',
+    '**/Tasks/**', // Excluir pasta Tasks para evitar tasks já geradas
+    '**/Tags/**', // Visões gerais das tags, também geradas
+    '**/TaskMaster/**' // Índice Dataview e dashboard gerados
+];
+
 /**
  * Escaneia todas as notas markdown no vault Obsidian
  * @param {string} vaultPath - Caminho para o vault Obsidian
  * @param {Object} options - Opções de escaneamento
+ * @param {Object} [options.filters] - Filtros de notas (pasta, tag, frontmatter, data, links); ver filterNotes
  * @returns {Object} Conteúdo consolidado das notas
  */
 async function scanObsidianNotes(vaultPath, options = {}) {
     const {
-        excludePatterns = [
-            '**/Templates/**',
-            '**/Archive/**',
-            '**/.obsidian/**',
-            '**/Tasks/**' // Excluir pasta Tasks para evitar tasks já geradas
-        ],
         includePatterns = ['**/*.md'],
         maxDepth = 10,
-        maxFileSize = 1024 * 1024 // 1MB por arquivo
+        maxFileSize = 1024 * 1024, // 1MB por arquivo
+        projectRoot,
+        filters = {}
     } = options;
 
+    // Uma pasta pedida explicitamente (ex.: Archive/2024) não é escondida
+    // pelas exclusões padrão
+    const folderSegments = (filters.folder || '').toLowerCase().split('/');
+    const excludePatterns = options.excludePatterns || DEFAULT_EXCLUDE_PATTERNS.filter((pattern) => {
+        const folder = /^\*\*\/([^/*]+)\/\*\*$/.exec(pattern)?.[1];
+        return folder === '.obsidian' || !folderSegments.includes(folder?.toLowerCase());
+    });
+
     log('info', `Scanning Obsidian vault: ${vaultPath}`);
 
     if (!fs.existsSync(vaultPath)) {
@@ -82,101 +117,91 @@ async function scanObsidianNotes(vaultPath, options = {}) {
         totalFiles: 0,
         totalSize: 0,
         content: '',
+        sections: [],
         tags: new Set(),
         links: new Set(),
         existingTasks: []
     };
 
-    // Buscar arquivos markdown
+    // Buscar arquivos markdown; tags, links e tasks vêm do índice do vault,
+    // que só reprocessa notas alteradas desde o último scan
     const searchPattern = includePatterns.length === 1 ? includePatterns[0] : `{${includePatterns.join(',')}}`;
-    const markdownFiles = glob.sync(searchPattern, {
-        cwd: vaultPath,
-        ignore: excludePatterns,
-        maxDepth: maxDepth,
-        nodir: true
+    const { notes: indexedNotes, stats: indexStats } = scanVaultIndex(vaultPath, {
+        projectRoot,
+        pattern: searchPattern,
+        ignore: excludePatterns
     });
+    consolidatedContent.indexStats = indexStats;
 
-    log('info', `Found ${markdownFiles.length} markdown files to analyze`);
+    const notes = filterNotes(indexedNotes, filters);
+    const filterDescription = describeNoteFilters(filters);
+    if (filterDescription) {
+        log('info', `${notes.length} of ${indexedNotes.length} notes match the filters: ${filterDescription}`);
+    }
+    consolidatedContent.filterDescription = filterDescription;
 
-    for (const relativePath of markdownFiles) {
+    log('info', `Found ${notes.length} markdown files to analyze (${indexStats.reparsed} re-parsed, ${indexStats.skipped} unchanged)`);
+
+    for (const note of notes) {
+        const relativePath = note.path;
         try {
             const fullPath = path.join(vaultPath, relativePath);
-            const stats = fs.statSync(fullPath);
 
             // Verificar tamanho do arquivo
-            if (stats.size > maxFileSize) {
-                log('warn', `Skipping large file: ${relativePath} (${Math.round(stats.size / 1024)}KB)`);
+            if (note.size > maxFileSize) {
+                log('warn', `Skipping large file: ${relativePath} (${Math.round(note.size / 1024)}KB)`);
                 continue;
             }
 
+            // O corpo da nota ainda é lido, pois vai inteiro para o prompt
             const content = fs.readFileSync(fullPath, 'utf8');
             
-            // Extrair metadados do frontmatter
-            const frontmatterMatch = content.match(/^---\n([\s\S]*?)\n---/);
-            let frontmatter = {};
-            let bodyContent = content;
-
-            if (frontmatterMatch) {
-                try {
-                    // Parse simples do YAML frontmatter
-                    const yamlLines = frontmatterMatch[1].split('\n');
-                    for (const line of yamlLines) {
-                        const colonIndex = line.indexOf(':');
-                        if (colonIndex > 0) {
-                            const key = line.slice(0, colonIndex).trim();
-                            const value = line.slice(colonIndex + 1).trim();
-                            
-                            // Processar arrays simples
-                            if (value.startsWith('[') && value.endsWith(']')) {
-                                frontmatter[key] = value.slice(1, -1)
-                                    .split(',')
-                                    .map(item => item.trim().replace(/['"]/g, ''));
-                            } else {
-                                frontmatter[key] = value.replace(/['"]/g, '');
-                            }
-                        }
-                    }
-                    bodyContent = content.replace(frontmatterMatch[0], '').trim();
-                } catch (e) {
-                    log('debug', `Failed to parse frontmatter in ${relativePath}`);
-                }
+            // Extrair metadados do frontmatter (YAML completo: valores multilinha, listas aninhadas, dois-pontos)
+            const parsed = parseFrontmatter(content);
+            if (parsed.error) {
+                log('debug', `Failed to parse frontmatter in ${relativePath}: ${parsed.error}`);
             }
+            const frontmatter = parsed.data || {};
+            const bodyContent = parsed.data ? parsed.body.trim() : content;
 
-            // Extrair tags
-            const tags = content.match(/#[\w-]+/g) || [];
+            const tags = note.tags.map(tag => `#${tag}`);
             tags.forEach(tag => consolidatedContent.tags.add(tag));
 
-            // Extrair links internos
-            const links = content.match(/\[\[([^\]]+)\]\]/g) || [];
+            const links = note.links;
             links.forEach(link => consolidatedContent.links.add(link));
 
-            // Extrair tasks existentes (checkboxes)
-            const existingTasks = content.match(/^- \[([ x])\] (.+)$/gm) || [];
-            existingTasks.forEach(taskMatch => {
-                const isCompleted = taskMatch.includes('[x]');
-                const taskText = taskMatch.replace(/^- \[([ x])\] /, '');
+            // Tasks existentes (checkboxes)
+            const existingTasks = note.tasks;
+            existingTasks.forEach(task => {
                 consolidatedContent.existingTasks.push({
-                    text: taskText,
-                    completed: isCompleted,
+                    text: task.title,
+                    completed: task.status === 'done',
                     file: relativePath
                 });
             });
 
             // Adicionar ao conteúdo consolidado
-            const fileSection = `\n\n--- FILE: ${relativePath} ---\n` +
-                `Modified: ${stats.mtime.toISOString()}\n` +
-                `Size: ${Math.round(stats.size / 1024)}KB\n` +
+            const fileHeader = `\n\n--- FILE: ${relativePath} ---\n` +
+                `Modified: ${new Date(note.mtimeMs).toISOString()}\n` +
+                `Size: ${Math.round(note.size / 1024)}KB\n` +
                 (frontmatter.tags ? `Tags: ${Array.isArray(frontmatter.tags) ? frontmatter.tags.join(', ') : frontmatter.tags}\n` : '') +
                 `Internal Links: ${links.join(', ')}\n` +
                 `Existing Tasks: ${existingTasks.length}\n` +
-                `---\n\n${bodyContent}`;
+                `---\n\n`;
 
-            consolidatedContent.content += fileSection;
+            consolidatedContent.content += fileHeader + bodyContent;
+            // Seções por nota, agrupadas depois em chunks que cabem no contexto do modelo
+            consolidatedContent.sections.push({
+                path: relativePath,
+                links,
+                header: fileHeader,
+                body: bodyContent
+            });
             consolidatedContent.files.push({
                 path: relativePath,
                 fullPath,
-                size: stats.size,
-                modified: stats.mtime.toISOString(),
+                size: note.size,
+                modified: new Date(note.mtimeMs).toISOString(),
                 frontmatter,
                 tags: tags,
                 links: links,
@@ -184,7 +209,7 @@ async function scanObsidianNotes(vaultPath, options = {}) {
             });
 
             consolidatedContent.totalFiles++;
-            consolidatedContent.totalSize += stats.size;
+            consolidatedContent.totalSize += note.size;
 
         } catch (error) {
             log('warn', `Failed to process ${relativePath}: ${error.message}`);
@@ -206,12 +231,71 @@ async function scanObsidianNotes(vaultPath, options = {}) {
     return consolidatedContent;
 }
 
+/**
+ * Valida a resposta do serviço de IA e devolve os dados com as tasks
+ * @param {Object} aiServiceResponse - Resposta de generateObjectService
+ * @param {Object} logFn - Logger
+ * @returns {{tasks: Array<Object>}} Dados gerados
+ */
+function extractGeneratedTasks(aiServiceResponse, logFn) {
+    let generatedData = null;
+    if (aiServiceResponse?.mainResult) {
+        if (
+            typeof aiServiceResponse.mainResult === 'object' &&
+            aiServiceResponse.mainResult !== null &&
+            'tasks' in aiServiceResponse.mainResult
+        ) {
+            generatedData = aiServiceResponse.mainResult;
+        } else if (
+            typeof aiServiceResponse.mainResult.object === 'object' &&
+            aiServiceResponse.mainResult.object !== null &&
+            'tasks' in aiServiceResponse.mainResult.object
+        ) {
+            generatedData = aiServiceResponse.mainResult.object;
+        }
+    }
+
+    if (!generatedData || !Array.isArray(generatedData.tasks)) {
+        logFn.error(
+            `Internal Error: generateObjectService returned unexpected data structure: ${JSON.stringify(generatedData)}`
+        );
+        throw new Error(
+            'AI service returned unexpected data structure after validation.'
+        );
+    }
+    return generatedData;
+}
+
+/**
+ * Resume uma entrada do diff do reconcile para a resposta (sem as tasks completas)
+ */
+function summarizeReconcileEntry(entry) {
+    return {
+        type: entry.type,
+        taskId: entry.existing?.id ?? null,
+        title: (entry.existing || entry.proposed).title,
+        changes: entry.changes,
+        ...(entry.matchedBy ? { matchedBy: entry.matchedBy } : {}),
+        ...(entry.protected ? { protected: true, status: entry.existing.status } : {}),
+        accepted: Boolean(entry.accepted && !entry.protected)
+    };
+}
+
 /**
  * Extrai tasks de notas do Obsidian usando IA
  * @param {string} vaultPath - Caminho para o vault Obsidian
  * @param {string} tasksPath - Caminho para o arquivo tasks.json
  * @param {number} numTasks - Número de tasks para gerar
  * @param {Object} options - Opções adicionais
+ * @param {number} [options.chunkTokens] - Orçamento de tokens do conteúdo de cada chunk enviado à IA
+ * @param {Object} [options.filters] - Restringe o parse às notas que casam com todos os filtros
+ *   informados: folder, tag, frontmatter, since, root e hops (ver obsidian-filters.js)
+ * @param {boolean} [options.reconcile] - Compara as tasks extraídas com as existentes e aplica só as
+ *   mudanças aceitas (novas, alteradas, obsoletas); tasks in-progress ou done nunca são sobrescritas
+ * @param {boolean} [options.acceptAll] - No modo reconcile, aceita todas as mudanças sem perguntar
+ *   (sem ele, o MCP só devolve o diff)
+ * @param {function} [options.reportProgress] - Recebe { progress, total } a cada chunk processado
+ * @param {AbortSignal} [options.signal] - Interrompe o parse antes do próximo chunk, sem gravar nada
  */
 async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {}) {
     const {
@@ -227,7 +311,12 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
         includeTags = true,
         excludePatterns,
         syncAfterParse = true,
-        autoSync = false
+        autoSync = false,
+        chunkTokens = DEFAULT_CHUNK_TOKENS,
+        filters = {},
+        reconcile = false,
+        acceptAll = false,
+        signal
     } = options;
     
     const isMCP = !!mcpLog;
@@ -257,9 +346,13 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
     };
 
     report(
-        `Parsing Obsidian notes from vault: ${vaultPath}, Force: ${force}, Append: ${append}, Research: ${research}`
+        `Parsing Obsidian notes from vault: ${vaultPath}, Force: ${force}, Append: ${append}, Reconcile: ${reconcile}, Research: ${research}`
     );
 
+    if (reconcile && (force || append)) {
+        throw new Error('--reconcile cannot be combined with --force or --append.');
+    }
+
     let existingTasks = [];
     let nextId = 1;
     let aiServiceResponse = null;
@@ -288,7 +381,12 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
 
         // Handle file existence and overwrite/append logic
         if (hasExistingTasksInTag) {
-            if (append) {
+            if (reconcile) {
+                report(
+                    `Reconcile mode enabled. Extracted tasks will be compared with the ${existingTasks.length} existing tasks in tag '${targetTag}'.`,
+                    'info'
+                );
+            } else if (append) {
                 report(
                     `Append mode enabled. Found ${existingTasks.length} existing tasks in tag '${targetTag}'. Next ID will be ${nextId}.`,
                     'info'
@@ -319,9 +417,15 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
         report('Scanning Obsidian vault for notes...', 'info');
         const vaultContent = await scanObsidianNotes(vaultPath, {
             excludePatterns,
-            maxDepth: 10
+            maxDepth: 10,
+            projectRoot,
+            filters
         });
 
+        if (vaultContent.filterDescription && vaultContent.totalFiles === 0) {
+            throw new Error(`No notes in vault ${vaultPath} match the filters: ${vaultContent.filterDescription}.`);
+        }
+
         if (!vaultContent || !vaultContent.content) {
             throw new Error(`No content found in vault ${vaultPath} or vault is empty.`);
         }
@@ -337,37 +441,77 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
         const { getDefaultPriority } = await import('../config-manager.js');
         const defaultTaskPriority = getDefaultPriority(projectRoot) || 'medium';
 
-        const { systemPrompt, userPrompt } = await promptManager.loadPrompt(
-            'parse-obsidian-notes',
-            {
-                research,
-                numTasks,
-                nextId,
-                notesContent: vaultContent.content,
-                vaultPath,
-                defaultTaskPriority,
-                preserveLinks,
-                includeTags
+        // Map: dividir o vault em chunks dentro do orçamento de tokens,
+        // agrupados por cluster de links e pasta, e extrair cada um separadamente
+        const contextGatherer = new ContextGatherer(projectRoot || vaultPath, targetTag);
+        const chunks = buildNoteChunks(vaultContent.sections, {
+            maxTokens: chunkTokens,
+            countTokens: (text) => contextGatherer.countTokens(text)
+        });
+        const totalChunkTokens = chunks.reduce((sum, chunk) => sum + chunk.tokens, 0);
+        const progressTotal = chunks.length + 1;
+        await reportProgress?.({ progress: 0, total: progressTotal });
+
+        if (chunks.length > 1) {
+            report(
+                `Vault content (${totalChunkTokens} tokens) split into ${chunks.length} chunks of at most ${chunkTokens} tokens`,
+                'info'
+            );
+        }
+
+        // Cada chunk recebe uma parte da meta de tasks proporcional ao seu tamanho
+        const taskBudget = splitTaskBudget(numTasks, chunks);
+        const chunkTasks = [];
+        const telemetry = [];
+        for (const [index, chunk] of chunks.entries()) {
+            signal?.throwIfAborted();
+            const chunkNumTasks = taskBudget[index];
+            if (numTasks > 0 && chunkNumTasks === 0) {
+                // Sem meta o prompt deixaria o modelo escolher quantas tasks criar
+                report(`Skipping chunk ${index + 1}/${chunks.length}: too small for a share of the ${numTasks} tasks`, 'info');
+                chunkTasks.push([]);
+                await reportProgress?.({ progress: index + 1, total: progressTotal });
+                continue;
             }
-        );
+            const { systemPrompt, userPrompt } = await promptManager.loadPrompt(
+                'parse-obsidian-notes',
+                {
+                    research,
+                    numTasks: chunkNumTasks,
+                    nextId: 1,
+                    notesContent: chunk.content,
+                    vaultPath,
+                    defaultTaskPriority,
+                    preserveLinks,
+                    includeTags
+                }
+            );
 
-        // Call the unified AI service
-        report(
-            `Calling AI service to extract tasks from ${vaultContent.totalFiles} notes${research ? ' with research-backed analysis' : ''}...`,
-            'info'
-        );
+            report(
+                `Calling AI service to extract tasks from ${chunks.length > 1 ? `chunk ${index + 1}/${chunks.length} (${chunk.files.length} notes, ${chunk.tokens} tokens)` : `${vaultContent.totalFiles} notes`}${research ? ' with research-backed analysis' : ''}...`,
+                'info'
+            );
 
-        aiServiceResponse = await generateObjectService({
-            role: research ? 'research' : 'main',
-            session: session,
-            projectRoot: projectRoot,
-            schema: obsidianNotesResponseSchema,
-            objectName: 'obsidian_tasks_data',
-            systemPrompt: systemPrompt,
-            prompt: userPrompt,
-            commandName: 'parse-obsidian-notes',
-            outputType: isMCP ? 'mcp' : 'cli'
-        });
+            aiServiceResponse = await generateObjectService({
+                role: research ? 'research' : 'main',
+                session: session,
+                projectRoot: projectRoot,
+                schema: obsidianNotesResponseSchema,
+                objectName: 'obsidian_tasks_data',
+                systemPrompt: systemPrompt,
+                prompt: userPrompt,
+                commandName: 'parse-obsidian-notes',
+                outputType: isMCP ? 'mcp' : 'cli'
+            });
+
+            const generatedData = extractGeneratedTasks(aiServiceResponse, logFn);
+            chunkTasks.push(generatedData.tasks);
+            if (aiServiceResponse?.telemetryData) {
+                telemetry.push(aiServiceResponse.telemetryData);
+            }
+            await reportProgress?.({ progress: index + 1, total: progressTotal });
+        }
+        signal?.throwIfAborted();
 
         // Create the directory if it doesn't exist
         const tasksDir = path.dirname(tasksPath);
@@ -379,76 +523,84 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
             `Successfully analyzed ${vaultContent.totalFiles} notes${research ? ' with research-backed analysis' : ''}.`
         );
 
-        // Validate and Process Tasks
-        let generatedData = null;
-        if (aiServiceResponse?.mainResult) {
-            if (
-                typeof aiServiceResponse.mainResult === 'object' &&
-                aiServiceResponse.mainResult !== null &&
-                'tasks' in aiServiceResponse.mainResult
-            ) {
-                generatedData = aiServiceResponse.mainResult;
-            } else if (
-                typeof aiServiceResponse.mainResult.object === 'object' &&
-                aiServiceResponse.mainResult.object !== null &&
-                'tasks' in aiServiceResponse.mainResult.object
-            ) {
-                generatedData = aiServiceResponse.mainResult.object;
-            }
+        // Reduce: deduplicar, atribuir IDs globais e remapear dependências
+        const { tasks: mergedTasks, duplicates } = mergeChunkResults(chunkTasks, { nextId });
+        if (duplicates > 0) {
+            report(`Merged ${duplicates} duplicate tasks found in more than one chunk`, 'info');
         }
-
-        if (!generatedData || !Array.isArray(generatedData.tasks)) {
-            logFn.error(
-                `Internal Error: generateObjectService returned unexpected data structure: ${JSON.stringify(generatedData)}`
-            );
-            throw new Error(
-                'AI service returned unexpected data structure after validation.'
+        const telemetryData = telemetry.length > 1
+            ? aggregateTelemetry(telemetry, 'parse-obsidian-notes')
+            : telemetry[0];
+
+        const processedNewTasks = mergedTasks.map((task) => ({
+            ...task,
+            status: task.status || 'pending',
+            priority: task.priority || 'medium',
+            dependencies: task.dependencies.filter(
+                (depId) =>
+                    existingTasks.some((t) => t.id === depId) ||
+                    mergedTasks.some((t) => t.id === depId)
+            ),
+            subtasks: [],
+            // Ensure all required fields have values
+            title: task.title || '',
+            description: task.description || '',
+            details: task.details || '',
+            testStrategy: task.testStrategy || '',
+            // Obsidian-specific fields
+            sourceFile: task.sourceFile || '',
+            obsidianTags: Array.isArray(task.obsidianTags) ? task.obsidianTags : [],
+            linkedNotes: Array.isArray(task.linkedNotes) ? task.linkedNotes : [],
+            vaultLocation: task.vaultLocation || vaultPath,
+            syncStatus: 'pending',
+            lastSyncAt: new Date().toISOString()
+        }));
+        await reportProgress?.({ progress: progressTotal, total: progressTotal });
+
+        // Registrar o trecho de origem (cabeçalhos, linhas, block reference) de cada task;
+        // as notas só recebem os block IDs das tasks que forem gravadas
+        const located = recordTaskSources(
+            vaultPath,
+            processedNewTasks,
+            vaultContent.files.map(f => f.path)
+        );
+        report(`Traced ${located} of ${processedNewTasks.length} tasks back to their source passage`, 'info');
+
+        // Modo reconcile: diff contra as tasks existentes, aplicando só o que for aceito
+        let reconcileResult = null;
+        let keptTasks = processedNewTasks;
+        if (reconcile) {
+            const entries = diffExtractedTasks(existingTasks, processedNewTasks, {
+                scannedFiles: vaultContent.files.map(f => f.path)
+            });
+            if (outputFormat === 'text') {
+                await reviewReconcileEntries(entries, { acceptAll });
+            } else {
+                for (const entry of entries) {
+                    entry.accepted = acceptAll;
+                }
+            }
+            reconcileResult = {
+                ...applyReconcileEntries(existingTasks, entries),
+                diff: entries.map(summarizeReconcileEntry)
+            };
+            keptTasks = entries
+                .filter((entry) => entry.accepted && !entry.protected && ['new', 'changed'].includes(entry.type))
+                .map((entry) => entry.proposed);
+            report(
+                `Reconcile: ${reconcileResult.added} added, ${reconcileResult.updated} updated, ${reconcileResult.cancelled} cancelled${acceptAll || outputFormat === 'text' ? '' : ' (preview only, pass acceptAll to apply)'}`,
+                'info'
             );
         }
 
-        let currentId = nextId;
-        const taskMap = new Map();
-        const processedNewTasks = generatedData.tasks.map((task) => {
-            const newId = currentId++;
-            taskMap.set(task.id, newId);
-            return {
-                ...task,
-                id: newId,
-                status: task.status || 'pending',
-                priority: task.priority || 'medium',
-                dependencies: Array.isArray(task.dependencies) ? task.dependencies : [],
-                subtasks: [],
-                // Ensure all required fields have values
-                title: task.title || '',
-                description: task.description || '',
-                details: task.details || '',
-                testStrategy: task.testStrategy || '',
-                // Obsidian-specific fields
-                sourceFile: task.sourceFile || '',
-                obsidianTags: Array.isArray(task.obsidianTags) ? task.obsidianTags : [],
-                linkedNotes: Array.isArray(task.linkedNotes) ? task.linkedNotes : [],
-                vaultLocation: task.vaultLocation || vaultPath,
-                syncStatus: 'pending',
-                lastSyncAt: new Date().toISOString()
-            };
-        });
-
-        // Remap dependencies for the NEWLY processed tasks
-        processedNewTasks.forEach((task) => {
-            task.dependencies = task.dependencies
-                .map((depId) => taskMap.get(depId)) // Map old AI ID to new sequential ID
-                .filter(
-                    (newDepId) =>
-                        newDepId != null && // Must exist
-                        newDepId < task.id && // Must be a lower ID
-                        (existingTasks.some((t) => t.id === newDepId) || // Check if it exists in old tasks OR
-                            processedNewTasks.some((t) => t.id === newDepId)) // check if it exists in new tasks
-                );
-        });
-
-        const finalTasks = append
-            ? [...existingTasks, ...processedNewTasks]
-            : processedNewTasks;
+        const finalTasks = reconcileResult
+            ? reconcileResult.tasks
+            : append
+                ? [...existingTasks, ...processedNewTasks]
+                : processedNewTasks;
+        const appliedCount = reconcileResult
+            ? reconcileResult.added + reconcileResult.updated + reconcileResult.cancelled
+            : processedNewTasks.length;
 
         // Read the existing file to preserve other tags
         let outputData = {};
@@ -489,14 +641,19 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
         });
 
         // Write the complete data structure back to the file
-        fs.writeFileSync(tasksPath, JSON.stringify(outputData, null, 2));
-        report(
-            `Successfully ${append ? 'appended' : 'generated'} ${processedNewTasks.length} tasks from ${vaultContent.totalFiles} notes in ${tasksPath}${research ? ' with research-backed analysis' : ''}`,
-            'success'
-        );
+        // (um reconcile sem mudanças aceitas não altera nada)
+        const shouldWrite = !reconcileResult || appliedCount > 0;
+        if (shouldWrite) {
+            fs.writeFileSync(tasksPath, JSON.stringify(outputData, null, 2));
+            writeSourceBlockIds(vaultPath, keptTasks);
+            report(
+                `Successfully ${reconcileResult ? 'reconciled' : append ? 'appended' : 'generated'} ${appliedCount} tasks from ${vaultContent.totalFiles} notes in ${tasksPath}${research ? ' with research-backed analysis' : ''}`,
+                'success'
+            );
+        }
 
         // Sync tasks back to Obsidian if requested
-        if (syncAfterParse) {
+        if (syncAfterParse && shouldWrite) {
             try {
                 report('Syncing newly created tasks back to Obsidian vault...', 'info');
                 const syncResult = await syncTasksToObsidian({
@@ -522,6 +679,9 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
                 boxen(
                     chalk.green(
                         `Successfully extracted ${processedNewTasks.length} tasks from ${vaultContent.totalFiles} Obsidian notes${research ? ' with research-backed analysis' : ''}!\n\n` +
+                        (reconcileResult
+                            ? `Reconciled: ${reconcileResult.added} added, ${reconcileResult.updated} updated, ${reconcileResult.cancelled} cancelled\n`
+                            : '') +
                         `Total tasks in ${tasksPath}: ${finalTasks.length}\n` +
                         `Vault: ${vaultPath}\n` +
                         `Tag: ${targetTag}`
@@ -546,8 +706,8 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
                 )
             );
 
-            if (aiServiceResponse && aiServiceResponse.telemetryData) {
-                displayAiUsageSummary(aiServiceResponse.telemetryData, 'cli');
+            if (telemetryData) {
+                displayAiUsageSummary(telemetryData, 'cli');
             }
         }
 
@@ -558,8 +718,19 @@ async function parseObsidianNotes(vaultPath, tasksPath, numTasks, options = {})
             extractedTasks: processedNewTasks.length,
             sourceFiles: vaultContent.totalFiles,
             vaultPath,
-            telemetryData: aiServiceResponse?.telemetryData,
-            syncResult: syncAfterParse ? 'completed' : 'skipped'
+            telemetryData,
+            syncResult: syncAfterParse && shouldWrite ? 'completed' : 'skipped',
+            ...(reconcileResult
+                ? {
+                    reconcile: {
+                        added: reconcileResult.added,
+                        updated: reconcileResult.updated,
+                        cancelled: reconcileResult.cancelled,
+                        applied: shouldWrite,
+                        diff: reconcileResult.diff
+                    }
+                }
+                : {})
         };
 
     } catch (error) {
@@ -68,6 +68,7 @@ const prdResponseSchema = z.object({
  * @param {Object} [options.session] - Session object from MCP server (optional).
  * @param {string} [options.projectRoot] - Project root path (for MCP/env fallback).
  * @param {string} [options.tag] - Target tag for task generation.
+ * @param {AbortSignal} [options.signal] - Once aborted, the generated tasks are not written.
  * @param {string} [outputFormat='text'] - Output format ('text' or 'json').
  */
 async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
@@ -79,7 +80,8 @@ async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
 		force = false,
 		append = false,
 		research = false,
-		tag
+		tag,
+		signal
 	} = options;
 	const isMCP = !!mcpLog;
 	const outputFormat = isMCP ? 'json' : 'text';
@@ -217,6 +219,7 @@ async function parsePRD(prdPath, tasksPath, numTasks, options = {}) {
 			commandName: 'parse-prd',
 			outputType: isMCP ? 'mcp' : 'cli'
 		});
+		signal?.throwIfAborted();
 
 		// Create the directory if it doesn't exist
 		const tasksDir = path.dirname(tasksPath);
@@ -14,6 +14,7 @@ import { validateTaskDependencies } from '../dependency-manager.js';
 import { getDebugFlag } from '../config-manager.js';
 import updateSingleTaskStatus from './update-single-task-status.js';
 import generateTaskFiles from './generate-task-files.js';
+import { recordTaskActivity, statusChangeEvents } from './obsidian-journal.js';
 import {
 	isValidTaskStatus,
 	TASK_STATUS_OPTIONS
@@ -84,6 +85,7 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 		// Handle multiple task IDs (comma-separated)
 		const taskIds = taskIdInput.split(',').map((id) => id.trim());
 		const updatedTasks = [];
+		const previousStatuses = collectStatuses(data.tasks);
 
 		// Update each task and capture old status for display
 		for (const id of taskIds) {
@@ -111,6 +113,9 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 			updatedTasks.push({ id, oldStatus, newStatus });
 		}
 
+		// Includes the subtasks completed along with their parent
+		updateCompletedDates(data.tasks, previousStatuses);
+
 		// Update the raw data structure with the modified tasks
 		rawData[tag].tasks = data.tasks;
 
@@ -123,6 +128,12 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 		// The writeJSON function will automatically filter out _rawTaggedData
 		writeJSON(tasksPath, rawData, projectRoot, tag);
 
+		recordTaskActivity(rawData[tag], {
+			tag,
+			projectRoot,
+			events: statusChangeEvents(data.tasks, updatedTasks)
+		});
+
 		// Validate dependencies after status update
 		log('info', 'Validating dependencies after status update...');
 		validateTaskDependencies(data.tasks);
@@ -180,4 +191,50 @@ async function setTaskStatus(tasksPath, taskIdInput, newStatus, options = {}) {
 	}
 }
 
+/**
+ * Maps the ID of every task and subtask (`3` and `3.1`) to its entry and status
+ * @param {Array<Object>} tasks - Tasks of the tag
+ * @returns {Map<string, {item: Object, status: string}>}
+ */
+function collectStatuses(tasks) {
+	const statuses = new Map();
+	for (const task of tasks) {
+		statuses.set(String(task.id), { item: task, status: task.status });
+		for (const subtask of task.subtasks || []) {
+			statuses.set(`${task.id}.${subtask.id}`, {
+				item: subtask,
+				status: subtask.status
+			});
+		}
+	}
+	return statuses;
+}
+
+/**
+ * Stamps `completedAt` (the local date, as Obsidian Tasks writes `✅`) on
+ * tasks that became done and clears it on tasks that were reopened, so the
+ * Dataview index and dashboard see completions made outside the vault
+ * @param {Array<Object>} tasks - Updated tasks of the tag
+ * @param {Map<string, {item: Object, status: string}>} previousStatuses - See collectStatuses
+ */
+function updateCompletedDates(tasks, previousStatuses) {
+	const now = new Date();
+	const today = [
+		now.getFullYear(),
+		String(now.getMonth() + 1).padStart(2, '0'),
+		String(now.getDate()).padStart(2, '0')
+	].join('-');
+	for (const [id, { item, status }] of collectStatuses(tasks)) {
+		const previous = previousStatuses.get(id);
+		if (!previous || previous.item !== item || status === previous.status) {
+			continue;
+		}
+		if (status === 'done') {
+			item.completedAt = today;
+		} else if (previous.status === 'done') {
+			delete item.completedAt;
+		}
+	}
+}
+
 export default setTaskStatus;
@@ -18,6 +18,12 @@ import {
 } from '../utils.js';
 import { displayBanner, getStatusWithColor } from '../ui.js';
 import findNextTask from './find-next-task.js';
+import {
+	activateVaultTag,
+	archiveVaultTag,
+	renameVaultTag
+} from './obsidian-layout.js';
+import { getTagVaults, renameRoutedTag } from './obsidian-vaults.js';
 
 /**
  * Create a new tag context
@@ -348,6 +354,9 @@ async function deleteTag(
 			logFn.info('Double confirmation received, proceeding with deletion...');
 		}
 
+		// Vaults are looked up first, the deleted tag may be the one that links them
+		const linkedVaults = getTagVaults(rawData, tagName, projectRoot);
+
 		// Delete the tag
 		delete rawData[tagName];
 
@@ -368,6 +377,15 @@ async function deleteTag(
 		// Write the clean data back to file with proper context to avoid tag corruption
 		writeJSON(tasksPath, cleanData, projectRoot);
 
+		updateLinkedVaults(linkedVaults, logFn, (vaultPath, vault) => {
+			const archiveDir = archiveVaultTag(vaultPath, tagName, { vault });
+			if (archiveDir) {
+				logFn.info(
+					`Archived vault folder of tag "${tagName}" to ${archiveDir}`
+				);
+			}
+		});
+
 		logFn.success(`Successfully deleted tag "${tagName}"`);
 
 		// For JSON output, return structured data
@@ -414,6 +432,25 @@ async function deleteTag(
 	}
 }
 
+/**
+ * Applies a tag change to the Obsidian vaults linked to the project.
+ * A vault that cannot be updated is reported but never fails the tag command.
+ * @param {Array<{vaultPath: string, vault: Object|null}>} vaults - Vaults from getTagVaults
+ * @param {Object} logFn - Logger object
+ * @param {Function} update - Called with each vault path and its vault config
+ */
+function updateLinkedVaults(vaults, logFn, update) {
+	for (const { vaultPath, vault } of vaults) {
+		try {
+			update(vaultPath, vault);
+		} catch (error) {
+			logFn.warn(
+				`Could not update Obsidian vault ${vaultPath}: ${error.message}`
+			);
+		}
+	}
+}
+
 /**
  * Enhance existing tags with metadata if they don't have it
  * @param {string} tasksPath - Path to the tasks.json file
@@ -735,6 +772,13 @@ async function useTag(
 		// Switch to the new tag
 		await switchCurrentTag(projectRoot, tagName);
 
+		updateLinkedVaults(
+			getTagVaults(rawData, tagName, projectRoot),
+			logFn,
+			(vaultPath, vault) =>
+				activateVaultTag(vaultPath, tagName, rawData[tagName], { vault })
+		);
+
 		// Get task count for the new tag - read tasks specifically for this tag
 		const tagData = readJSON(tasksPath, projectRoot, tagName);
 		const tasks = tagData ? tagData.tasks || [] : [];
@@ -878,6 +922,9 @@ async function renameTag(
 		const currentTag = getCurrentTag(projectRoot);
 		const isCurrentTag = currentTag === oldName;
 
+		// Vaults are looked up first, they may be routed by the old name
+		const linkedVaults = getTagVaults(rawData, oldName, projectRoot);
+
 		// Rename the tag by copying data and deleting old
 		rawData[newName] = { ...rawData[oldName] };
 
@@ -908,6 +955,29 @@ async function renameTag(
 		// Write the clean data back to file with proper context to avoid tag corruption
 		writeJSON(tasksPath, cleanData, projectRoot);
 
+		try {
+			for (const vault of renameRoutedTag(oldName, newName, projectRoot)) {
+				logFn.info(`Routed tag "${newName}" to vault "${vault}"`);
+			}
+		} catch (error) {
+			logFn.warn(
+				`Could not rename tag "${oldName}" in the vault routing: ${error.message}`
+			);
+		}
+
+		updateLinkedVaults(linkedVaults, logFn, (vaultPath, vault) => {
+			const { moved, from, to } = renameVaultTag(
+				vaultPath,
+				oldName,
+				newName,
+				rawData[newName],
+				{ vault }
+			);
+			if (moved) {
+				logFn.info(`Moved vault folder ${from} to ${to} in ${vaultPath}`);
+			}
+		});
+
 		// Get task count
 		const tasks = getTasksForTag(rawData, newName);
 		const taskCount = tasks.length;
@@ -23,6 +23,7 @@ import { generateTextService } from '../ai-services-unified.js';
 import { getDebugFlag } from '../config-manager.js';
 import { getPromptManager } from '../prompt-manager.js';
 import generateTaskFiles from './generate-task-files.js';
+import { recordTaskActivity } from './obsidian-journal.js';
 import { ContextGatherer } from '../utils/contextGatherer.js';
 import { FuzzyTaskSearch } from '../utils/fuzzyTaskSearch.js';
 
@@ -333,6 +334,22 @@ async function updateSubtaskById(
 			console.log('>>> DEBUG: writeJSON call completed.');
 		}
 
+		if (generatedContentString && generatedContentString.trim()) {
+			recordTaskActivity(data, {
+				tag: data.tag || tag,
+				projectRoot,
+				events: [
+					{
+						type: 'note',
+						taskId: subtaskId,
+						title: updatedSubtask.title,
+						parent: { id: parentTask.id, title: parentTask.title },
+						text: generatedContentString.trim()
+					}
+				]
+			});
+		}
+
 		report('success', `Successfully updated subtask ${subtaskId}`);
 		// Updated  function call to make sure if uncommented it will generate the task files for the updated subtask based on the tag
 		// await generateTaskFiles(tasksPath, path.dirname(tasksPath), {
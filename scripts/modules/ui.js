@@ -30,6 +30,10 @@ import {
 	TASKMASTER_TASKS_FILE
 } from '../../src/constants/paths.js';
 import { getTaskMasterVersion } from '../../src/utils/getVersion.js';
+import {
+	formatObsidianUri,
+	readSourcePassage
+} from './task-manager/obsidian-source.js';
 
 // Create a color gradient for the banner
 const coolGradient = gradient(['#00b4d8', '#0077b6', '#03045e']);
@@ -1720,6 +1724,78 @@ async function displayTaskById(
 	displayTaggedTasksFYI(data);
 }
 
+/**
+ * Display the note passage a task was extracted from by parse-obsidian-notes,
+ * with an obsidian:// link to it
+ * @param {string} tasksPath - Path to the tasks.json file
+ * @param {string|number} taskId - The ID of the task to trace
+ * @param {Object} context - Context object containing projectRoot and tag
+ */
+function displayTaskSource(tasksPath, taskId, context = {}) {
+	const { projectRoot, tag } = context;
+	const data = readJSON(tasksPath, projectRoot, tag);
+	const { task } = findTaskById(data?.tasks || [], taskId);
+	if (!task) {
+		return;
+	}
+
+	const vaultPath = task.vaultLocation || data.metadata?.vaultPath;
+	if (!task.sourceFile || task.lineNumber === undefined || !vaultPath) {
+		console.log(
+			boxen(
+				chalk.yellow(
+					`No source passage recorded for task ${taskId}. Tasks extracted with parse-obsidian-notes record one.`
+				),
+				{
+					padding: { top: 0, bottom: 0, left: 1, right: 1 },
+					borderColor: 'yellow',
+					borderStyle: 'round',
+					margin: { top: 1 }
+				}
+			)
+		);
+		return;
+	}
+
+	// Read the passage as it is now; fall back to the text recorded at extraction
+	const passage = readSourcePassage(vaultPath, task);
+	const lineStart = passage?.lineStart ?? task.lineNumber;
+	const lineEnd = passage?.lineEnd ?? task.lineEnd ?? task.lineNumber;
+	const section = passage ? passage.headingPath.join(' > ') : task.section;
+	const excerpt = (passage?.excerpt ?? task.originalTaskText ?? '').split('\n');
+	const width = String(lineEnd).length;
+
+	let content = chalk.white.bold('Source:') + '\n\n';
+	content += `${chalk.cyan('File:')} ${task.sourceFile}\n`;
+	if (section) {
+		content += `${chalk.cyan('Section:')} ${section}\n`;
+	}
+	content += `${chalk.cyan('Lines:')} ${lineStart === lineEnd ? lineStart : `${lineStart}-${lineEnd}`}\n`;
+	if (task.blockRef) {
+		content += `${chalk.cyan('Block:')} ${task.blockRef}\n`;
+	}
+	content += '\n';
+	content += excerpt
+		.map(
+			(line, index) =>
+				`${chalk.gray(String(lineStart + index).padStart(width))} ${chalk.gray('│')} ${line}`
+		)
+		.join('\n');
+	if (!passage) {
+		content += `\n\n${chalk.yellow('This passage is no longer in the note; showing the text recorded when the task was extracted.')}`;
+	}
+	content += `\n\n${chalk.cyan('Open in Obsidian:')} ${formatObsidianUri(vaultPath, task.sourceFile, task.blockRef)}`;
+
+	console.log(
+		boxen(content, {
+			padding: { top: 0, bottom: 0, left: 1, right: 1 },
+			borderColor: 'magenta',
+			borderStyle: 'round',
+			margin: { top: 1 }
+		})
+	);
+}
+
 /**
  * Display the complexity analysis report in a nice format
  * @param {string} reportPath - Path to the complexity report file
@@ -2784,6 +2860,7 @@ export {
 	getComplexityWithColor,
 	displayNextTask,
 	displayTaskById,
+	displayTaskSource,
 	displayComplexityReport,
 	generateComplexityAnalysisPrompt,
 	confirmTaskOverwrite,
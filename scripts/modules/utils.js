@@ -10,6 +10,10 @@ import dotenv from 'dotenv';
 // Import specific config getters needed here
 import { getLogLevel, getDebugFlag } from './config-manager.js';
 import * as gitUtils from './utils/git-utils.js';
+import {
+	formatTaskLink,
+	resolveTaskLink
+} from './task-manager/obsidian-links.js';
 import {
 	COMPLEXITY_REPORT_FILE,
 	LEGACY_COMPLEXITY_REPORT_FILE,
@@ -1489,11 +1493,15 @@ function findTaskByIdObsidian(tasks, taskId) {
 }
 
 /**
- * Resolves Obsidian links to task IDs and vice versa
+ * Resolves Obsidian links to task IDs and vice versa.
+ * Links resolve by the task ID in a task note's file name, or by an exact
+ * title that only one task or subtask has; broken and ambiguous links are
+ * left unresolved rather than matched by partial title.
  * @param {string|number} identifier - Task ID or Obsidian link
  * @param {Array} tasks - Array of all tasks
  * @param {string} mode - 'to-id' or 'to-link'
- * @returns {string|number|null} Resolved identifier or null if not found
+ * @returns {string|number|null} Resolved identifier, the identifier itself
+ *   when a link does not resolve ('to-id'), or null if not found ('to-link')
  */
 function resolveObsidianLink(identifier, tasks, mode = 'to-id') {
 	if (!tasks || !Array.isArray(tasks)) {
@@ -1502,66 +1510,24 @@ function resolveObsidianLink(identifier, tasks, mode = 'to-id') {
 
 	if (mode === 'to-id') {
 		// Convert Obsidian link to task ID
-		if (typeof identifier === 'string' && identifier.startsWith('[[') && identifier.endsWith(']]')) {
-			const linkText = identifier.slice(2, -2).trim(); // Remove [[ ]] and trim
-			
-			if (!linkText) {
-				return null;
-			}
-			
-			// Find exact title match first
-			let task = tasks.find(t => 
-				t.title && t.title.toLowerCase() === linkText.toLowerCase()
-			);
-			
-			if (task) {
-				return task.id;
-			}
-			
-			// Check subtasks for exact match
-			for (const parentTask of tasks) {
-				if (parentTask.subtasks && Array.isArray(parentTask.subtasks)) {
-					const subtask = parentTask.subtasks.find(st => 
-						st.title && st.title.toLowerCase() === linkText.toLowerCase()
-					);
-					if (subtask) {
-						return `${parentTask.id}.${subtask.id}`;
-					}
-				}
-			}
-			
-			// Fallback: partial match
-			task = tasks.find(t => 
-				t.title && t.title.toLowerCase().includes(linkText.toLowerCase())
-			);
-			
-			if (task) {
-				return task.id;
-			}
-			
-			// Check subtasks for partial match
-			for (const parentTask of tasks) {
-				if (parentTask.subtasks && Array.isArray(parentTask.subtasks)) {
-					const subtask = parentTask.subtasks.find(st => 
-						st.title && st.title.toLowerCase().includes(linkText.toLowerCase())
-					);
-					if (subtask) {
-						return `${parentTask.id}.${subtask.id}`;
-					}
-				}
+		if (
+			typeof identifier === 'string' &&
+			identifier.startsWith('[[') &&
+			identifier.endsWith(']]')
+		) {
+			const resolved = resolveTaskLink(identifier, tasks);
+			if (!resolved.error) {
+				return resolved.id;
 			}
 		}
-		return identifier; // Return as-is if not a link
+		return identifier; // Return as-is if not a link or not resolvable
 	}
-	
+
 	if (mode === 'to-link') {
-		// Convert task ID to Obsidian link
-		const taskResult = findTaskByIdObsidian(tasks, identifier);
-		if (taskResult && taskResult.task && taskResult.task.title) {
-			return `[[${taskResult.task.title}]]`;
-		}
+		// Convert task ID to a link to the task's note
+		return formatTaskLink(identifier, tasks);
 	}
-	
+
 	return null;
 }
 
@@ -8,10 +8,15 @@ export const TASKMASTER_TASKS_DIR = '.taskmaster/tasks';
 export const TASKMASTER_DOCS_DIR = '.taskmaster/docs';
 export const TASKMASTER_REPORTS_DIR = '.taskmaster/reports';
 export const TASKMASTER_TEMPLATES_DIR = '.taskmaster/templates';
+export const TASKMASTER_PROMPTS_DIR = '.taskmaster/prompts';
 
 // Task Master configuration files
 export const TASKMASTER_CONFIG_FILE = '.taskmaster/config.json';
 export const TASKMASTER_STATE_FILE = '.taskmaster/state.json';
+export const TASKMASTER_OBSIDIAN_INDEX_FILE = '.taskmaster/obsidian-index.json';
+export const TASKMASTER_OBSIDIAN_JOURNAL_FILE =
+	'.taskmaster/obsidian-journal.jsonl';
+export const TASKMASTER_OPERATIONS_FILE = '.taskmaster/operations.json';
 export const LEGACY_CONFIG_FILE = '.taskmasterconfig';
 
 // Task Master report files
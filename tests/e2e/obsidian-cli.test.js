@@ -217,8 +217,8 @@ describe('Obsidian CLI End-to-End Tests', () => {
             expect(result.success).toBe(true);
             expect(result.stdout).toContain('Syncing tasks from TaskMaster to Obsidian');
 
-            // Check that markdown files were created
-            const tasksDir = path.join(vaultDir, 'Tasks');
+            // Check that markdown files were created in the tag folder
+            const tasksDir = path.join(vaultDir, 'Tasks', 'master');
             const files = fs.readdirSync(tasksDir);
             expect(files.length).toBeGreaterThan(0);
             
@@ -304,8 +304,8 @@ Should be synced to TaskMaster
             expect(result.success).toBe(true);
             expect(result.stdout).toContain('DRY RUN MODE');
 
-            // Verify no files were actually created
-            const tasksDir = path.join(vaultDir, 'Tasks');
+            // Verify no files were actually created (init creates the empty tag folder)
+            const tasksDir = path.join(vaultDir, 'Tasks', 'master');
             if (fs.existsSync(tasksDir)) {
                 const files = fs.readdirSync(tasksDir);
                 expect(files.length).toBe(0); // Should be empty
@@ -433,6 +433,27 @@ Should be synced to TaskMaster
         });
     });
 
+    describe('obsidian-doctor command', () => {
+        test('should print only the JSON report with --json', async () => {
+            // Without a config file every config lookup logs a warning
+            fs.rmSync(path.join(testDir, '.taskmasterconfig'));
+
+            const result = await runCLICommand([
+                'obsidian-doctor',
+                '--vault', vaultDir,
+                '--file', path.join(testDir, '.taskmaster/tasks/tasks.json'),
+                '--json'
+            ], {
+                cwd: testDir,
+                env: { DEBUG: 'false' }
+            });
+
+            expect(result.stdout).not.toContain('[WARN]');
+            const report = JSON.parse(result.stdout);
+            expect(report).toHaveProperty('healthy');
+        }, 10000);
+    });
+
     describe('Tag Context Integration', () => {
         beforeEach(async () => {
             // Create tasks with different tags
@@ -147,7 +147,8 @@ const DEFAULT_CONFIG = {
 		bedrockBaseURL: 'https://bedrock.us-east-1.amazonaws.com',
 		responseLanguage: 'English'
 	},
-	claudeCode: {}
+	claudeCode: {},
+	vaults: {}
 };
 
 // Other test data (VALID_CUSTOM_CONFIG, PARTIAL_CONFIG, INVALID_PROVIDER_CONFIG)
@@ -635,7 +636,8 @@ describe('getConfig Tests', () => {
 			claudeCode: {
 				...DEFAULT_CONFIG.claudeCode,
 				...VALID_CUSTOM_CONFIG.claudeCode
-			}
+			},
+			vaults: DEFAULT_CONFIG.vaults
 		};
 		expect(config).toEqual(expectedMergedConfig);
 		expect(fsExistsSyncSpy).toHaveBeenCalledWith(MOCK_CONFIG_PATH);
@@ -677,7 +679,8 @@ describe('getConfig Tests', () => {
 			claudeCode: {
 				...DEFAULT_CONFIG.claudeCode,
 				...VALID_CUSTOM_CONFIG.claudeCode
-			}
+			},
+			vaults: DEFAULT_CONFIG.vaults
 		};
 		expect(config).toEqual(expectedMergedConfig);
 		expect(fsReadFileSyncSpy).toHaveBeenCalledWith(MOCK_CONFIG_PATH, 'utf-8');
@@ -785,7 +788,8 @@ describe('getConfig Tests', () => {
 			claudeCode: {
 				...DEFAULT_CONFIG.claudeCode,
 				...VALID_CUSTOM_CONFIG.claudeCode
-			}
+			},
+			vaults: DEFAULT_CONFIG.vaults
 		};
 		expect(config).toEqual(expectedMergedConfig);
 	});
@@ -1159,5 +1163,68 @@ describe('Configuration Getters', () => {
 	});
 });
 
+describe('Obsidian Vault Configuration', () => {
+	const VAULTS_CONFIG = {
+		vaults: {
+			personal: { root: 'notes', default: true },
+			shared: {
+				root: '../team-vault',
+				syncDirection: 'to-obsidian',
+				tags: ['api', 'release']
+			},
+			broken: { syncDirection: 'sideways' }
+		}
+	};
+
+	beforeEach(() => {
+		mockFindConfigPath.mockReturnValue(MOCK_CONFIG_PATH);
+		fsReadFileSyncSpy.mockImplementation((filePath) => {
+			if (filePath === MOCK_CONFIG_PATH) return JSON.stringify(VAULTS_CONFIG);
+			throw new Error(`Unexpected fs.readFileSync call: ${filePath}`);
+		});
+		configManager.getConfig(MOCK_PROJECT_ROOT, true);
+	});
+
+	test('drops invalid vaults with a warning', () => {
+		expect(
+			Object.keys(configManager.getVaultsConfig(MOCK_PROJECT_ROOT))
+		).toEqual(['personal', 'shared']);
+		expect(console.warn).toHaveBeenCalledWith(
+			expect.stringContaining('Invalid settings for vault "broken"')
+		);
+	});
+
+	test('routes tags to their vault and others to the default vault', () => {
+		expect(configManager.getVaultForTag('api', MOCK_PROJECT_ROOT)).toEqual({
+			name: 'shared',
+			root: '/mock/team-vault',
+			syncDirection: 'to-obsidian',
+			tags: ['api', 'release']
+		});
+		expect(
+			configManager.getVaultForTag('master', MOCK_PROJECT_ROOT)
+		).toMatchObject({
+			name: 'personal',
+			root: '/mock/project/notes',
+			syncDirection: 'bidirectional'
+		});
+		expect(configManager.getVaultConfig('missing', MOCK_PROJECT_ROOT)).toBe(
+			null
+		);
+	});
+
+	test('warns when a tag is routed to two vaults and keeps the first', () => {
+		const vaults = configManager.validateVaultsConfig({
+			one: { root: 'a', tags: ['api'] },
+			two: { root: 'b', tags: ['api'] }
+		});
+
+		expect(Object.keys(vaults)).toEqual(['one', 'two']);
+		expect(console.warn).toHaveBeenCalledWith(
+			expect.stringContaining('Tag "api" is routed to both vault "one"')
+		);
+	});
+});
+
 // Note: Tests for setMainModel, setResearchModel were removed as the functions were removed in the implementation.
 // If similar setter functions exist, add tests for them following the writeConfig pattern.
@@ -0,0 +1,158 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { AsyncOperationManager } from '../../../../mcp-server/src/core/async-operation-manager.js';
+
+const log = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function waitFor(manager, operationId, status) {
+	return new Promise((resolve, reject) => {
+		const started = Date.now();
+		const check = () => {
+			const current = manager.getStatus(operationId);
+			if (current.status === status) return resolve(current);
+			if (Date.now() - started > 1000) {
+				return reject(new Error(`Still ${current.status}`));
+			}
+			setTimeout(check, 5);
+		};
+		check();
+	});
+}
+
+describe('AsyncOperationManager', () => {
+	let projectRoot;
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-operations-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('returns an ID right away and records progress and the result', async () => {
+		const manager = new AsyncOperationManager();
+		let finish;
+		const operationFn = jest.fn(async (args, _log, { reportProgress }) => {
+			await reportProgress({ progress: 1, total: 2 });
+			await new Promise((resolve) => {
+				finish = resolve;
+			});
+			return { success: true, data: { expanded: args.count } };
+		});
+
+		const operationId = manager.addOperation(
+			'expand_all',
+			operationFn,
+			{ count: 3, projectRoot },
+			log,
+			{ session: { id: 's' } }
+		);
+		expect(manager.getStatus(operationId).status).toBe('pending');
+
+		const running = await waitFor(manager, operationId, 'running');
+		expect(running.progress).toEqual({ progress: 1, total: 2 });
+		expect(operationFn.mock.calls[0][2].session).toEqual({ id: 's' });
+
+		finish();
+		const completed = await waitFor(manager, operationId, 'completed');
+		expect(completed).toMatchObject({
+			name: 'expand_all',
+			result: { expanded: 3 },
+			error: null
+		});
+		expect(completed.finishedAt).toEqual(expect.any(String));
+	});
+
+	test('reports failed direct functions and thrown errors', async () => {
+		const manager = new AsyncOperationManager();
+		const failed = manager.addOperation(
+			'parse_prd',
+			async () => ({
+				success: false,
+				error: { code: 'INPUT_FILE_NOT_FOUND', message: 'No PRD' }
+			}),
+			{},
+			log
+		);
+		const thrown = manager.addOperation(
+			'parse_prd',
+			async () => {
+				throw new Error('AI service down');
+			},
+			{},
+			log
+		);
+
+		expect((await waitFor(manager, failed, 'failed')).error.code).toBe(
+			'INPUT_FILE_NOT_FOUND'
+		);
+		expect((await waitFor(manager, thrown, 'failed')).error.message).toBe(
+			'AI service down'
+		);
+		expect(manager.getStatus('op-missing').status).toBe('not_found');
+	});
+
+	test('cancelling aborts the signal and discards the late result', async () => {
+		const manager = new AsyncOperationManager();
+		let signal;
+		let finish;
+		const operationId = manager.addOperation(
+			'parse_obsidian_notes',
+			async (_args, _log, context) => {
+				signal = context.signal;
+				await new Promise((resolve) => {
+					finish = resolve;
+				});
+				return { success: true, data: { extractedTasks: 5 } };
+			},
+			{},
+			log
+		);
+		await waitFor(manager, operationId, 'running');
+
+		const { cancelled, operation } = manager.cancelOperation(operationId);
+		expect(cancelled).toBe(true);
+		expect(operation.status).toBe('cancelled');
+		expect(signal.aborted).toBe(true);
+
+		finish();
+		await new Promise((resolve) => setTimeout(resolve, 10));
+		expect(manager.getStatus(operationId)).toMatchObject({
+			status: 'cancelled',
+			result: null
+		});
+		expect(manager.cancelOperation(operationId).cancelled).toBe(false);
+	});
+
+	test('persisted operations outlive the manager', async () => {
+		const manager = new AsyncOperationManager({ persist: true });
+		const done = manager.addOperation(
+			'analyze_project_complexity',
+			async () => ({ success: true, data: { tasksAnalyzed: 4 } }),
+			{ projectRoot },
+			log
+		);
+		await waitFor(manager, done, 'completed');
+		const unfinished = manager.addOperation(
+			'expand_all',
+			() => new Promise(() => {}),
+			{ projectRoot },
+			log
+		);
+		await waitFor(manager, unfinished, 'running');
+
+		const restarted = new AsyncOperationManager({ persist: true });
+		expect(restarted.getStatus(done, { projectRoot })).toMatchObject({
+			status: 'completed',
+			result: { tasksAnalyzed: 4 }
+		});
+		expect(restarted.getStatus(unfinished, { projectRoot })).toMatchObject({
+			status: 'failed',
+			error: { code: 'OPERATION_INTERRUPTED' }
+		});
+		expect(restarted.getStatus(done).status).toBe('not_found');
+	});
+});
@@ -0,0 +1,79 @@
+import path from 'path';
+import {
+	PROJECT_ROOT_HEADER,
+	authenticateHttpRequest
+} from '../../../../mcp-server/src/core/http-auth.js';
+
+const options = { authToken: 's3cret' };
+
+function request(headers = {}) {
+	return {
+		headers: {
+			host: 'localhost:8080',
+			authorization: 'Bearer s3cret',
+			...headers
+		}
+	};
+}
+
+describe('authenticateHttpRequest', () => {
+	test('requires the bearer token', () => {
+		expect(() =>
+			authenticateHttpRequest(request({ authorization: undefined }), options)
+		).toThrow(expect.objectContaining({ status: 401 }));
+		expect(() =>
+			authenticateHttpRequest(
+				request({ authorization: 'Bearer wrong' }),
+				options
+			)
+		).toThrow(expect.objectContaining({ status: 401 }));
+		expect(() => authenticateHttpRequest(request())).toThrow(
+			expect.objectContaining({ status: 401 })
+		);
+		expect(authenticateHttpRequest(request(), options).id).toEqual(
+			expect.any(String)
+		);
+	});
+
+	test('rejects cross-origin requests and foreign hosts', () => {
+		expect(() =>
+			authenticateHttpRequest(
+				request({ origin: 'https://evil.example' }),
+				options
+			)
+		).toThrow(expect.objectContaining({ status: 403 }));
+		expect(() =>
+			authenticateHttpRequest(request({ origin: 'null' }), options)
+		).toThrow(expect.objectContaining({ status: 403 }));
+		// DNS rebinding: a foreign name resolving to 127.0.0.1
+		expect(() =>
+			authenticateHttpRequest(request({ host: 'evil.example:8080' }), options)
+		).toThrow(expect.objectContaining({ status: 403 }));
+
+		expect(
+			authenticateHttpRequest(
+				request({ host: '[::1]:8080', origin: 'http://127.0.0.1:3000' }),
+				options
+			).id
+		).toEqual(expect.any(String));
+		expect(
+			authenticateHttpRequest(
+				request({ host: 'devbox:8080', origin: 'http://devbox:8080' }),
+				{ ...options, allowedHosts: ['DevBox'] }
+			).id
+		).toEqual(expect.any(String));
+	});
+
+	test('binds the session to the project root header', () => {
+		const projectRoot = path.resolve('/projects/app');
+		const session = authenticateHttpRequest(
+			request({ [PROJECT_ROOT_HEADER]: projectRoot }),
+			options
+		);
+		expect(session).toMatchObject({
+			projectRoot,
+			env: { TASK_MASTER_PROJECT_ROOT: projectRoot }
+		});
+		expect(authenticateHttpRequest(request(), options).projectRoot).toBeNull();
+	});
+});
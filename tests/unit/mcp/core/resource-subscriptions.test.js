@@ -0,0 +1,122 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import { jest } from '@jest/globals';
+import { ResourceSubscriptionManager } from '../../../../mcp-server/src/core/resource-subscriptions.js';
+
+const projectRoot = path.resolve('/projects/app');
+const tasksPath = path.join(projectRoot, '.taskmaster/tasks/tasks.json');
+const reportPath = path.join(
+	projectRoot,
+	'.taskmaster/reports/task-complexity-report_api.json'
+);
+
+function createSession() {
+	const handlers = new Map();
+	return {
+		handlers,
+		roots: [{ uri: `file://${projectRoot}` }],
+		server: {
+			registerCapabilities: jest.fn(),
+			setRequestHandler: jest.fn((schema, handler) =>
+				handlers.set(schema.shape.method.value, handler)
+			),
+			sendResourceUpdated: jest.fn().mockResolvedValue()
+		}
+	};
+}
+
+function request(session, method, uri) {
+	return session.handlers.get(method)({ method, params: { uri } });
+}
+
+describe('ResourceSubscriptionManager', () => {
+	const log = { debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+	let watchers;
+	let manager;
+
+	beforeEach(() => {
+		jest.useFakeTimers();
+		delete process.env.TASK_MASTER_PROJECT_ROOT;
+		watchers = [];
+		const watch = jest.fn((paths) => {
+			const watcher = Object.assign(new EventEmitter(), {
+				paths,
+				close: jest.fn().mockResolvedValue()
+			});
+			watchers.push(watcher);
+			return watcher;
+		});
+		manager = new ResourceSubscriptionManager({ watch, log, debounceMs: 50 });
+	});
+
+	afterEach(async () => {
+		await manager.close();
+		jest.useRealTimers();
+	});
+
+	test('advertises subscriptions and watches the project of the session', () => {
+		const session = createSession();
+		manager.attachSession(session);
+
+		expect(session.server.registerCapabilities).toHaveBeenCalledWith({
+			resources: { subscribe: true }
+		});
+		expect(
+			request(session, 'resources/subscribe', 'taskmaster://tags')
+		).toEqual({});
+		request(session, 'resources/subscribe', 'taskmaster://tasks/master');
+
+		expect(watchers).toHaveLength(1);
+		expect(watchers[0].paths).toContain(tasksPath);
+		expect(() =>
+			request(session, 'resources/subscribe', 'file:///etc/passwd')
+		).toThrow('Resource does not support subscriptions');
+	});
+
+	test('notifies only the URIs that depend on the changed file, once per burst', async () => {
+		const session = createSession();
+		manager.attachSession(session);
+		request(session, 'resources/subscribe', 'taskmaster://tasks/master');
+		request(session, 'resources/subscribe', 'taskmaster://complexity/api');
+
+		watchers[0].emit('all', 'change', tasksPath);
+		watchers[0].emit('all', 'change', tasksPath);
+		jest.advanceTimersByTime(50);
+		watchers[0].emit('all', 'add', reportPath);
+		jest.advanceTimersByTime(50);
+
+		await Promise.resolve();
+
+		expect(
+			session.server.sendResourceUpdated.mock.calls.map(([params]) => params)
+		).toEqual([
+			{ uri: 'taskmaster://tasks/master' },
+			{ uri: 'taskmaster://complexity/api' }
+		]);
+	});
+
+	test('stops watching once the last subscriber is gone', () => {
+		const first = createSession();
+		const second = createSession();
+		manager.attachSession(first);
+		manager.attachSession(second);
+		request(first, 'resources/subscribe', 'taskmaster://task/3');
+		request(second, 'resources/subscribe', 'taskmaster://task/3');
+
+		request(first, 'resources/unsubscribe', 'taskmaster://task/3');
+		expect(watchers[0].close).not.toHaveBeenCalled();
+
+		manager.detachSession(second);
+		expect(watchers[0].close).toHaveBeenCalled();
+		expect(manager.watchers.size).toBe(0);
+	});
+
+	test('prefers TASK_MASTER_PROJECT_ROOT over the session roots', () => {
+		manager.attachSession(createSession());
+		expect(manager.getProjectRoot()).toBe(projectRoot);
+
+		process.env.TASK_MASTER_PROJECT_ROOT = '/projects/other';
+		expect(manager.getProjectRoot()).toBe(path.resolve('/projects/other'));
+		delete process.env.TASK_MASTER_PROJECT_ROOT;
+	});
+});
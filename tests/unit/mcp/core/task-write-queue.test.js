@@ -0,0 +1,61 @@
+import { jest } from '@jest/globals';
+import {
+	runTaskWrite,
+	serializeTaskWrites
+} from '../../../../mcp-server/src/core/task-write-queue.js';
+
+function deferred() {
+	let resolve;
+	const promise = new Promise((r) => {
+		resolve = r;
+	});
+	return { promise, resolve };
+}
+
+describe('task write queue', () => {
+	test('runs writes of one project one at a time, and other projects alongside', async () => {
+		const events = [];
+		const first = deferred();
+		const write = (name, wait) => async () => {
+			events.push(`${name} start`);
+			await wait;
+			events.push(`${name} end`);
+			return name;
+		};
+
+		const a1 = runTaskWrite('/projects/a', write('a1', first.promise));
+		const a2 = runTaskWrite('/projects/a/', write('a2'));
+		const b1 = runTaskWrite('/projects/b', write('b1'));
+
+		expect(await b1).toBe('b1');
+		expect(events).toEqual(['a1 start', 'b1 start', 'b1 end']);
+
+		first.resolve();
+		expect(await Promise.all([a1, a2])).toEqual(['a1', 'a2']);
+		expect(events.slice(3)).toEqual(['a1 end', 'a2 start', 'a2 end']);
+	});
+
+	test('a failed write does not block the queue, and cancelled operations are skipped', async () => {
+		const failing = serializeTaskWrites(async () => {
+			throw new Error('AI service down');
+		});
+		const directFn = jest.fn(async (args) => ({ success: true, data: args }));
+		const queued = serializeTaskWrites(directFn);
+		const controller = new AbortController();
+		controller.abort();
+
+		const results = await Promise.allSettled([
+			failing({ projectRoot: '/p' }, {}),
+			queued({ projectRoot: '/p' }, {}, { signal: controller.signal }),
+			queued({ projectRoot: '/p', id: 3 }, {}, {})
+		]);
+
+		expect(results.map((result) => result.status)).toEqual([
+			'rejected',
+			'rejected',
+			'fulfilled'
+		]);
+		expect(results[2].value.data.id).toBe(3);
+		expect(directFn).toHaveBeenCalledTimes(1);
+	});
+});
@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+
+jest.unstable_mockModule(
+	'../../../../scripts/modules/task-manager/obsidian-sync.js',
+	() => ({
+		syncTasksFromObsidian: jest.fn(),
+		syncTasksToObsidian: jest.fn()
+	})
+);
+jest.unstable_mockModule(
+	'../../../../scripts/modules/task-manager/obsidian-vaults.js',
+	() => ({
+		resolveObsidianVault: jest.fn()
+	})
+);
+
+const { syncTasksFromObsidian, syncTasksToObsidian } = await import(
+	'../../../../scripts/modules/task-manager/obsidian-sync.js'
+);
+const { resolveObsidianVault } = await import(
+	'../../../../scripts/modules/task-manager/obsidian-vaults.js'
+);
+const { obsidianSyncDirect } = await import(
+	'../../../../mcp-server/src/core/direct-functions/obsidian-sync.js'
+);
+
+describe('obsidianSyncDirect', () => {
+	const log = { info: jest.fn(), error: jest.fn(), warn: jest.fn() };
+	const args = {
+		tasksJsonPath: '/p/.taskmaster/tasks/tasks.json',
+		projectRoot: '/p',
+		tag: 'api'
+	};
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		resolveObsidianVault.mockReturnValue({
+			vaultPath: os.tmpdir(),
+			vault: { name: 'shared', syncDirection: 'to-obsidian' },
+			source: 'config'
+		});
+		syncTasksFromObsidian.mockResolvedValue({
+			updated: 2,
+			created: 1,
+			conflicts: 1,
+			autoResolved: 0,
+			conflictDetails: [{ taskId: 3, fields: ['status'] }],
+			brokenLinks: [],
+			errors: [{ task: 'Broken', error: 'bad line' }]
+		});
+		syncTasksToObsidian.mockResolvedValue({
+			updated: 4,
+			created: 2,
+			skippedConflicts: 1,
+			errors: []
+		});
+	});
+
+	test('reads the vault before writing it and adds up both directions', async () => {
+		const result = await obsidianSyncDirect(
+			{ ...args, vaultPath: 'shared', direction: 'bidirectional' },
+			log
+		);
+
+		expect(resolveObsidianVault).toHaveBeenCalledWith(
+			expect.objectContaining({ vault: 'shared', tag: 'api' })
+		);
+		expect(syncTasksFromObsidian.mock.invocationCallOrder[0]).toBeLessThan(
+			syncTasksToObsidian.mock.invocationCallOrder[0]
+		);
+		expect(result).toEqual({
+			success: true,
+			data: expect.objectContaining({
+				vaultPath: os.tmpdir(),
+				direction: 'bidirectional',
+				dryRun: false,
+				created: 3,
+				updated: 6,
+				conflicts: 1,
+				skippedConflicts: 1,
+				conflictDetails: [{ taskId: 3, fields: ['status'] }],
+				errors: [{ task: 'Broken', error: 'bad line' }]
+			})
+		});
+	});
+
+	test("defaults to the vault's sync direction and passes dry-run through", async () => {
+		const result = await obsidianSyncDirect({ ...args, dryRun: true }, log);
+
+		expect(syncTasksFromObsidian).not.toHaveBeenCalled();
+		expect(syncTasksToObsidian).toHaveBeenCalledWith(
+			expect.objectContaining({
+				vaultPath: os.tmpdir(),
+				dryRun: true,
+				vault: expect.objectContaining({ name: 'shared' })
+			})
+		);
+		expect(result.data).toMatchObject({
+			direction: 'to-obsidian',
+			created: 2,
+			conflicts: 0,
+			fromObsidian: null
+		});
+	});
+
+	test('reports a missing vault and an invalid direction', async () => {
+		resolveObsidianVault.mockImplementation(() => {
+			throw new Error('No Obsidian vault for tag "api"');
+		});
+		expect(await obsidianSyncDirect(args, log)).toEqual({
+			success: false,
+			error: {
+				code: 'MISSING_ARGUMENT',
+				message: 'No Obsidian vault for tag "api"'
+			}
+		});
+
+		const invalid = await obsidianSyncDirect(
+			{ ...args, direction: 'sideways' },
+			log
+		);
+		expect(invalid.error.code).toBe('INVALID_ARGUMENT');
+		expect(syncTasksToObsidian).not.toHaveBeenCalled();
+	});
+});
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { registerTaskMasterPrompts } from '../../../../mcp-server/src/prompts/index.js';
+
+function writeJson(filePath, data) {
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+describe('Task Master prompts', () => {
+	let projectRoot;
+	let prompts;
+
+	const load = async (name, args) => {
+		const prompt = prompts.find((entry) => entry.name === name);
+		const { messages } = await prompt.load(args);
+		return messages[0].content.text;
+	};
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-prompts-'));
+		writeJson(path.join(projectRoot, '.taskmaster/tasks/tasks.json'), {
+			master: {
+				tasks: [
+					{ id: 1, title: 'Setup', status: 'done', dependencies: [] },
+					{
+						id: 2,
+						title: 'API',
+						status: 'pending',
+						priority: 'high',
+						dependencies: [1],
+						subtasks: [{ id: 1, title: 'Routes', status: 'pending' }]
+					}
+				],
+				metadata: {}
+			}
+		});
+		writeJson(path.join(projectRoot, '.taskmaster/prompts/standup.json'), {
+			id: 'standup',
+			version: '1.0.0',
+			description: 'Daily standup',
+			parameters: {
+				yesterday: {
+					type: 'string',
+					required: true,
+					description: 'What was done'
+				}
+			},
+			prompts: {
+				default: { system: 'Be brief.', user: 'Yesterday: {{yesterday}}' }
+			}
+		});
+
+		prompts = [];
+		const server = { addPrompt: (prompt) => prompts.push(prompt) };
+		registerTaskMasterPrompts(server, { getProjectRoot: () => projectRoot });
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('exposes the built-in and project templates with typed arguments', async () => {
+		const research = prompts.find((prompt) => prompt.name === 'research');
+		expect(research.arguments).toEqual(
+			expect.arrayContaining([
+				expect.objectContaining({ name: 'query', required: true }),
+				expect.objectContaining({
+					name: 'detailLevel',
+					required: false,
+					enum: ['low', 'medium', 'high']
+				})
+			])
+		);
+		expect(
+			prompts.find((prompt) => prompt.name === 'update-tasks').arguments
+		).toContainEqual(
+			expect.objectContaining({
+				name: 'tasks',
+				description: expect.stringContaining('(JSON array)')
+			})
+		);
+
+		expect(await load('standup', { yesterday: 'Shipped 2.1' })).toBe(
+			'Be brief.\n\nYesterday: Shipped 2.1'
+		);
+		await expect(load('update-tasks', { tasks: '{}' })).rejects.toThrow(
+			'must be a JSON array'
+		);
+	});
+
+	test('workflow prompts read the task data instead of asking for it', async () => {
+		const breakDown = prompts.find(
+			(prompt) => prompt.name === 'break-down-task'
+		);
+		expect(breakDown.arguments.map((argument) => argument.name)).toEqual([
+			'id',
+			'numSubtasks'
+		]);
+		const text = await load('break-down-task', { id: '2', numSubtasks: '4' });
+		expect(text).toContain('"title": "API"');
+		expect(text).toContain('about 4 subtasks');
+		await expect(load('break-down-task', { id: '9' })).rejects.toThrow(
+			'Task 9 not found'
+		);
+
+		const plan = await load('plan-session', { hours: '2' });
+		expect(plan).toContain('I have about 2 hours');
+		expect(plan).toContain('starting with task 2: API');
+		expect(plan).not.toContain('"title": "Setup"');
+		await expect(load('plan-session', { hours: 'lots' })).rejects.toThrow(
+			'must be a number'
+		);
+
+		expect(
+			await load('implementation-log', { id: '2.1', notes: 'Added routes' })
+		).toContain('My notes on what I did:\nAdded routes');
+	});
+});
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { registerTaskResources } from '../../../../mcp-server/src/resources/tasks.js';
+import { registerComplexityResources } from '../../../../mcp-server/src/resources/complexity.js';
+
+function writeJson(filePath, data) {
+	fs.mkdirSync(path.dirname(filePath), { recursive: true });
+	fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+}
+
+describe('Task Master resources', () => {
+	let projectRoot;
+	let resources;
+
+	const read = async (uri) => {
+		const resource = resources.find(
+			(entry) =>
+				entry.uri === uri ||
+				uri.startsWith(entry.uriTemplate?.split('{')[0] ?? '\0')
+		);
+		const value = uri.split('/').pop();
+		const argument = resource.arguments?.[0]?.name;
+		const { text } = await resource.load(
+			argument ? { [argument]: value } : undefined
+		);
+		return JSON.parse(text);
+	};
+
+	beforeEach(() => {
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-resources-'));
+		writeJson(path.join(projectRoot, '.taskmaster/tasks/tasks.json'), {
+			master: {
+				tasks: [
+					{
+						id: 1,
+						title: 'Setup',
+						status: 'done',
+						dependencies: [],
+						subtasks: [{ id: 1, title: 'Repo', status: 'done' }]
+					},
+					{ id: 2, title: 'API', status: 'pending', dependencies: [1] }
+				],
+				metadata: { description: 'Main work' }
+			},
+			'feature-x': {
+				tasks: [{ id: 1, title: 'Spike', status: 'pending' }],
+				metadata: {}
+			}
+		});
+		writeJson(path.join(projectRoot, '.taskmaster/state.json'), {
+			currentTag: 'master'
+		});
+		writeJson(
+			path.join(
+				projectRoot,
+				'.taskmaster/reports/task-complexity-report_feature-x.json'
+			),
+			{ complexityAnalysis: [{ taskId: 1, complexityScore: 8 }] }
+		);
+
+		resources = [];
+		const server = {
+			addResource: (resource) => resources.push(resource),
+			addResourceTemplate: (resource) => resources.push(resource)
+		};
+		const subscriptions = { getProjectRoot: () => projectRoot };
+		registerTaskResources(server, subscriptions);
+		registerComplexityResources(server, subscriptions);
+	});
+
+	afterEach(() => {
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('lists tags and reads the tasks of a tag', async () => {
+		const tags = await read('taskmaster://tags');
+		expect(tags.currentTag).toBe('master');
+		expect(tags.tags).toEqual([
+			expect.objectContaining({
+				name: 'master',
+				isCurrent: true,
+				taskCount: 2,
+				completedTasks: 1,
+				description: 'Main work'
+			}),
+			expect.objectContaining({ name: 'feature-x', isCurrent: false })
+		]);
+
+		const featureTasks = await read('taskmaster://tasks/feature-x');
+		expect(featureTasks.tasks.map((task) => task.title)).toEqual(['Spike']);
+		await expect(read('taskmaster://tasks/missing')).rejects.toThrow(
+			'Tag "missing" does not exist'
+		);
+	});
+
+	test('reads tasks and subtasks of the current tag', async () => {
+		expect((await read('taskmaster://task/2')).task.title).toBe('API');
+		expect((await read('taskmaster://task/1.1')).task).toMatchObject({
+			title: 'Repo',
+			isSubtask: true
+		});
+		await expect(read('taskmaster://task/9')).rejects.toThrow(
+			'Task 9 not found in tag "master"'
+		);
+	});
+
+	test('reads the complexity report of a tag', async () => {
+		const report = await read('taskmaster://complexity/feature-x');
+		expect(report.complexityAnalysis[0].complexityScore).toBe(8);
+		await expect(read('taskmaster://complexity/master')).rejects.toThrow(
+			'No complexity report for tag "master"'
+		);
+	});
+});
@@ -152,7 +152,7 @@ status: done
 
             const result = await syncTasksToObsidian(options);
 
-            expect(result.created).toBe(0);
+            expect(result.created).toBe(1);
             expect(result.updated).toBe(0);
             expect(mockUtils.log).toHaveBeenCalledWith('info', expect.stringContaining('[DRY RUN]'));
         });
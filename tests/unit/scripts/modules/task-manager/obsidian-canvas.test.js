@@ -0,0 +1,177 @@
+import {
+	canvasToTasks,
+	dependencyDepths,
+	tasksToCanvas
+} from '../../../../../scripts/modules/task-manager/obsidian-canvas.js';
+
+describe('obsidian-canvas', () => {
+	const canvas = {
+		nodes: [
+			{ id: 'a', type: 'text', text: '# Design schema\nTables and indexes' },
+			{ id: 'b', type: 'file', file: 'Projects/Build API.md' },
+			{ id: 'c', type: 'text', text: '- [ ] Ship it' },
+			{ id: 'img', type: 'file', file: 'diagram.png' },
+			{ id: 'g', type: 'group', label: 'Backend' },
+			{ id: 'tm-1', type: 'text', text: '**#1 Existing**' },
+			{
+				id: 'note',
+				type: 'file',
+				file: 'Tasks/master/task-002-docs.md'
+			}
+		],
+		edges: [
+			{ id: 'e1', fromNode: 'a', toNode: 'b' },
+			{ id: 'e2', fromNode: 'b', toNode: 'c' },
+			{ id: 'e3', fromNode: 'c', toNode: 'a' },
+			{ id: 'e4', fromNode: 'tm-1', toNode: 'a' },
+			{
+				id: 'e5',
+				fromNode: 'note',
+				toNode: 'c',
+				fromEnd: 'arrow',
+				toEnd: 'none'
+			},
+			{ id: 'e6', fromNode: 'img', toNode: 'c' }
+		]
+	};
+	const existingTasks = () => [
+		{ id: 1, title: 'Existing', status: 'done', dependencies: [] },
+		{ id: 2, title: 'Docs', status: 'pending', dependencies: [] }
+	];
+
+	test('imports text and note nodes as tasks and edges as dependencies', () => {
+		const tasks = existingTasks();
+		const result = canvasToTasks(canvas, tasks, { canvasRef: 'Plan.canvas' });
+
+		expect(result).toMatchObject({ added: 3, updated: 0, dependencies: 4 });
+		expect(result.skippedEdges).toEqual([
+			{ from: '5', to: '3', reason: 'it would create a circular dependency' }
+		]);
+		expect(
+			tasks.map((task) => [task.id, task.title, task.dependencies])
+		).toEqual([
+			[1, 'Existing', []],
+			// Reversed arrow: the note task depends on "Ship it"
+			[2, 'Docs', [5]],
+			[3, 'Design schema', [1]],
+			[4, 'Build API', [3]],
+			[5, 'Ship it', [4]]
+		]);
+		expect(tasks[2]).toMatchObject({
+			description: 'Tables and indexes',
+			status: 'pending',
+			canvasNode: { canvas: 'Plan.canvas', node: 'a' }
+		});
+		expect(tasks[3].sourceFile).toBe('Projects/Build API.md');
+	});
+
+	test('updates tasks imported before instead of adding them again', () => {
+		const tasks = existingTasks();
+		canvasToTasks(canvas, tasks, { canvasRef: 'Plan.canvas' });
+		const edited = {
+			...canvas,
+			nodes: canvas.nodes.map((node) =>
+				node.id === 'c' ? { ...node, text: 'Ship it today' } : node
+			)
+		};
+
+		const result = canvasToTasks(edited, tasks, { canvasRef: 'Plan.canvas' });
+
+		expect(result).toMatchObject({ added: 0, updated: 1, dependencies: 0 });
+		expect(tasks).toHaveLength(5);
+		expect(tasks[4].title).toBe('Ship it today');
+	});
+
+	test('lays out tasks by dependency depth and colors them by status', () => {
+		const tasks = [
+			{ id: 1, title: 'Root', status: 'done', dependencies: [] },
+			{ id: 2, title: 'Middle', status: 'in-progress', dependencies: [1] },
+			{ id: 3, title: 'Leaf', status: 'pending', dependencies: [1, 2] },
+			{ id: 4, title: 'Alone', status: 'pending', dependencies: [] }
+		];
+		expect([...dependencyDepths(tasks)]).toEqual([
+			[1, 0],
+			[2, 1],
+			[3, 2],
+			[4, 0]
+		]);
+
+		const { nodes, edges } = tasksToCanvas(tasks, {
+			taskNotePath: (task) =>
+				task.id === 1 ? 'Tasks/master/task-001-root.md' : null
+		});
+		expect(nodes.map((node) => [node.id, node.x, node.y, node.color])).toEqual([
+			['tm-1', 0, 0, '4'],
+			['tm-4', 0, 260, undefined],
+			['tm-2', 480, 0, '3'],
+			['tm-3', 960, 0, undefined]
+		]);
+		expect(nodes[0]).toMatchObject({
+			type: 'file',
+			file: 'Tasks/master/task-001-root.md'
+		});
+		expect(nodes[1].text).toBe('**#4 Alone**\n\n_pending · medium_');
+		expect(edges.map((edge) => edge.id)).toEqual([
+			'tm-1-2',
+			'tm-1-3',
+			'tm-2-3'
+		]);
+	});
+
+	test('keeps hand-set positions and user content on re-export', () => {
+		const tasks = [
+			{ id: 1, title: 'Root', status: 'pending', dependencies: [] },
+			{ id: 2, title: 'Next', status: 'pending', dependencies: [1] }
+		];
+		const existing = {
+			nodes: [
+				{
+					id: 'tm-1',
+					type: 'text',
+					text: 'old',
+					x: 500,
+					y: 700,
+					width: 200,
+					height: 100
+				},
+				{
+					id: 'tm-9',
+					type: 'text',
+					text: 'deleted task',
+					x: 0,
+					y: 0,
+					width: 10,
+					height: 10
+				},
+				{
+					id: 'idea',
+					type: 'text',
+					text: 'Idea',
+					x: -300,
+					y: 0,
+					width: 100,
+					height: 50
+				}
+			],
+			edges: [
+				{ id: 'mine', fromNode: 'idea', toNode: 'tm-1' },
+				{ id: 'drawn', fromNode: 'tm-9', toNode: 'tm-1' }
+			]
+		};
+
+		const { nodes, edges } = tasksToCanvas(tasks, { existing });
+
+		expect(nodes.map((node) => [node.id, node.x, node.y])).toEqual([
+			['idea', -300, 0],
+			['tm-1', 500, 700],
+			// Below everything already on the canvas
+			['tm-2', 480, 920]
+		]);
+		expect(nodes[1]).toMatchObject({
+			width: 200,
+			height: 100,
+			text: '**#1 Root**\n\n_pending · medium_'
+		});
+		expect(edges.map((edge) => edge.id)).toEqual(['mine', 'tm-1-2']);
+	});
+});
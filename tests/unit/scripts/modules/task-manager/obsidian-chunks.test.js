@@ -0,0 +1,123 @@
+import {
+	buildNoteChunks,
+	clusterNotes,
+	mergeChunkResults,
+	splitTaskBudget
+} from '../../../../../scripts/modules/task-manager/obsidian-chunks.js';
+
+describe('obsidian-chunks', () => {
+	// One token per character keeps budgets easy to reason about
+	const countTokens = (text) => text.length;
+	const section = (notePath, body, links = []) => ({
+		path: notePath,
+		links,
+		header: `--- FILE: ${notePath} ---\n`,
+		body
+	});
+
+	test('clusters notes connected by links, ordered by folder', () => {
+		const clusters = clusterNotes([
+			section('Work/b.md', 'b'),
+			section('Ideas/c.md', 'c', ['[[Work/a|A]]']),
+			section('Work/a.md', 'a'),
+			section('Work/d.md', 'd', ['[[b#Heading]]'])
+		]);
+
+		expect(clusters.map((cluster) => cluster.map((s) => s.path))).toEqual([
+			['Ideas/c.md', 'Work/a.md'],
+			['Work/b.md', 'Work/d.md']
+		]);
+	});
+
+	test('keeps clusters together and stays within the budget', () => {
+		const chunks = buildNoteChunks(
+			[
+				section('a.md', 'x'.repeat(30), ['[[c]]']),
+				section('b.md', 'y'.repeat(30)),
+				section('c.md', 'z'.repeat(30))
+			],
+			{ maxTokens: 110, countTokens }
+		);
+
+		expect(chunks.map((chunk) => chunk.files)).toEqual([
+			['a.md', 'c.md'],
+			['b.md']
+		]);
+		expect(chunks.every((chunk) => chunk.tokens <= 110)).toBe(true);
+	});
+
+	test('splits an oversized note into numbered parts', () => {
+		const body = ['one '.repeat(10), 'two '.repeat(10), 'three'].join('\n\n');
+		const chunks = buildNoteChunks([section('big.md', body)], {
+			maxTokens: 70,
+			countTokens
+		});
+
+		expect(chunks.length).toBeGreaterThan(1);
+		expect(chunks[0].content).toContain('--- FILE: big.md (part 1/');
+		expect(chunks.map((chunk) => chunk.content).join('')).toContain('three');
+	});
+
+	test('merges duplicates and remaps chunk-local dependencies', () => {
+		const { tasks, duplicates } = mergeChunkResults(
+			[
+				[
+					{ id: 1, title: 'Set up CI', priority: 'low', obsidianTags: ['ops'] },
+					{ id: 2, title: 'Deploy', dependencies: [1] }
+				],
+				[
+					{ id: 1, title: 'Write docs' },
+					{
+						id: 2,
+						title: 'set up  CI!',
+						priority: 'high',
+						details: 'Use the shared runners',
+						obsidianTags: ['ci'],
+						dependencies: [1]
+					},
+					{ id: 3, title: 'Release', dependencies: [2, 9] }
+				]
+			],
+			{ nextId: 10 }
+		);
+
+		expect(duplicates).toBe(1);
+		expect(tasks.map((t) => [t.id, t.title, t.dependencies])).toEqual([
+			// The duplicate's dependency on a later task is kept
+			[10, 'Set up CI', [12]],
+			[11, 'Deploy', [10]],
+			[12, 'Write docs', []],
+			[13, 'Release', [10]]
+		]);
+		expect(tasks[0]).toMatchObject({
+			priority: 'high',
+			details: 'Use the shared runners',
+			obsidianTags: ['ops', 'ci']
+		});
+	});
+
+	test('keeps dependencies on later tasks of the same chunk', () => {
+		const { tasks } = mergeChunkResults([
+			[
+				{ id: 1, title: 'Ship', dependencies: [2, 1] },
+				{ id: 2, title: 'Build', dependencies: [] }
+			]
+		]);
+
+		expect(tasks.map((t) => [t.id, t.dependencies])).toEqual([
+			[1, [2]],
+			[2, []]
+		]);
+	});
+
+	test('splits the task target across chunks without overshooting it', () => {
+		const tokens = (...counts) => counts.map((count) => ({ tokens: count }));
+
+		expect(splitTaskBudget(3, tokens(100, 100, 100, 100, 100))).toEqual([
+			1, 1, 1, 0, 0
+		]);
+		expect(splitTaskBudget(10, tokens(500, 300, 200))).toEqual([5, 3, 2]);
+		expect(splitTaskBudget(4, tokens(600, 250, 150))).toEqual([2, 1, 1]);
+		expect(splitTaskBudget(0, tokens(100, 100))).toEqual([0, 0]);
+	});
+});
@@ -0,0 +1,141 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	buildTaskIndexEntries,
+	generateDashboard,
+	writeTaskIndex
+} from '../../../../../scripts/modules/task-manager/obsidian-dataview.js';
+import { parseFrontmatter } from '../../../../../scripts/modules/task-manager/obsidian-frontmatter.js';
+
+describe('obsidian-dataview', () => {
+	let vaultPath;
+	const tagData = {
+		tasks: [
+			{
+				id: 1,
+				title: 'Design schema',
+				status: 'done',
+				priority: 'high',
+				dependencies: [],
+				completedAt: '2025-03-04T10:00:00.000Z'
+			},
+			{
+				id: 2,
+				title: 'Build API',
+				status: 'pending',
+				priority: 'medium',
+				dependencies: [1, 3],
+				complexityScore: '7',
+				dueDate: '2025-03-10',
+				sourceFile: 'Projects/API.md',
+				subtasks: [
+					{ id: 1, title: 'Routes', status: 'done' },
+					{ id: 2, title: 'Auth', status: 'pending' }
+				]
+			},
+			{ id: 3, title: 'Write docs', status: 'in-progress', dependencies: [] }
+		]
+	};
+
+	const read = (name) => fs.readFileSync(path.join(vaultPath, name), 'utf8');
+
+	beforeEach(() => {
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-dataview-'));
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+	});
+
+	test('describes every task with the same typed keys', () => {
+		const entries = buildTaskIndexEntries('master', tagData.tasks);
+
+		expect(entries.map((entry) => Object.keys(entry))).toEqual([
+			Object.keys(entries[0]),
+			Object.keys(entries[0]),
+			Object.keys(entries[0])
+		]);
+		expect(entries[1]).toMatchObject({
+			id: 2,
+			priority_rank: 2,
+			complexity: 7,
+			dependencies: [1, 3],
+			blocked: true,
+			waiting_on: [3],
+			subtasks_total: 2,
+			subtasks_done: 1,
+			due: '2025-03-10',
+			start: null,
+			note: '[[Tasks/master/task-002-build-api|#2 Build API]]',
+			source: '[[Projects/API]]'
+		});
+		expect(entries[0]).toMatchObject({
+			blocked: false,
+			completed: '2025-03-04T10:00:00.000Z'
+		});
+		expect(entries[2]).toMatchObject({ priority: null, priority_rank: 0 });
+	});
+
+	test('writes the index note and the JSON cache when asked', () => {
+		const { indexPath, jsonPath } = writeTaskIndex(
+			vaultPath,
+			'master',
+			tagData,
+			{ json: true }
+		);
+
+		expect(indexPath).toBe('TaskMaster/Index/master.md');
+		const { data } = parseFrontmatter(read(indexPath));
+		expect(data).toMatchObject({
+			tag: 'master',
+			taskmaster_index: true,
+			total_tasks: 3
+		});
+		expect(data.tasks[1]).toMatchObject({
+			id: 2,
+			blocked: true,
+			waiting_on: [3]
+		});
+		expect(jsonPath).toBe('TaskMaster/Index/master.json');
+		expect(JSON.parse(read(jsonPath)).tasks).toEqual(
+			buildTaskIndexEntries('master', tagData.tasks)
+		);
+		expect(read(indexPath)).toContain(`dv.io.load("${jsonPath}")`);
+	});
+
+	test('creates the dashboard once and leaves later edits alone', () => {
+		writeTaskIndex(vaultPath, 'master', tagData);
+		expect(read('TaskMaster/Dashboard.md')).toBe(generateDashboard());
+		expect(
+			fs.existsSync(path.join(vaultPath, 'TaskMaster/Index/master.json'))
+		).toBe(false);
+
+		fs.writeFileSync(
+			path.join(vaultPath, 'TaskMaster/Dashboard.md'),
+			'# Mine\n'
+		);
+		writeTaskIndex(vaultPath, 'feature', tagData);
+
+		expect(read('TaskMaster/Dashboard.md')).toBe('# Mine\n');
+		expect(
+			fs.existsSync(path.join(vaultPath, 'TaskMaster/Index/feature.md'))
+		).toBe(true);
+	});
+
+	test('dashboard queries the index notes of every tag', () => {
+		const dashboard = generateDashboard();
+
+		for (const heading of [
+			'## Next Tasks',
+			'## Blocked Tasks',
+			'## Open Tasks by Priority',
+			'## Completed This Week'
+		]) {
+			expect(dashboard).toContain(heading);
+		}
+		expect(dashboard.match(/FROM "TaskMaster\/Index"/g)).toHaveLength(4);
+		expect(dashboard).toContain('t.completed >= date(sow)');
+	});
+});
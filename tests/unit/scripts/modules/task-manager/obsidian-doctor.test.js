@@ -0,0 +1,180 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { diagnoseObsidianVault } from '../../../../../scripts/modules/task-manager/obsidian-doctor.js';
+
+describe('obsidian-doctor', () => {
+	let vaultPath;
+	let projectRoot;
+	let tasksPath;
+
+	const writeNote = (name, content) => {
+		const notePath = path.join(vaultPath, name);
+		fs.mkdirSync(path.dirname(notePath), { recursive: true });
+		fs.writeFileSync(notePath, content);
+	};
+	const readNote = (name) =>
+		fs.readFileSync(path.join(vaultPath, name), 'utf8');
+	const exists = (name) => fs.existsSync(path.join(vaultPath, name));
+	const readTasks = () =>
+		JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master.tasks;
+	const diagnose = (options = {}) =>
+		diagnoseObsidianVault({
+			vaultPath,
+			tasksPath,
+			projectRoot,
+			tag: 'master',
+			...options
+		});
+
+	beforeEach(() => {
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-doctor-vault-'));
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-doctor-project-'));
+		tasksPath = path.join(projectRoot, 'tasks.json');
+		fs.writeFileSync(
+			tasksPath,
+			JSON.stringify({
+				master: {
+					tasks: [
+						{
+							id: 1,
+							title: 'Write docs',
+							status: 'pending',
+							dependencies: [],
+							sourceFile: 'plan.md',
+							lineNumber: 3
+						},
+						{
+							id: 2,
+							title: 'Add tests',
+							status: 'pending',
+							dependencies: [],
+							sourceFile: 'gone.md',
+							lineNumber: 8,
+							blockRef: '^src-abc123',
+							syncStatus: 'conflict',
+							syncConflict: {
+								fields: [
+									{
+										field: 'title',
+										base: 'Tests',
+										taskmaster: 'Add tests',
+										obsidian: 'Add more tests'
+									}
+								]
+							}
+						}
+					],
+					metadata: { created: '2025-01-01T00:00:00.000Z' }
+				}
+			})
+		);
+
+		writeNote(
+			'Tasks/master/task-001-write-docs.md',
+			'---\ntask_id: 1\n---\n' +
+				'See [[Tasks/master/task-002-old-title|#2 Old]], [[task-009-gone]] ' +
+				'and [[Tasks/feature/task-005-other-tag]].\n'
+		);
+		writeNote('Tasks/master/task-002-add-tests.md', '---\ntask_id: 2\n---\n');
+		writeNote('Tasks/master/task-002-copy.md', '---\ntask_id: 2\n---\n');
+		writeNote('Tasks/master/task-007-removed.md', '---\ntask_id: 7\n---\n');
+		writeNote('Projects/plan.md', '# Plan\n');
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('reports each problem with the fix it would apply', async () => {
+		const report = await diagnose();
+
+		expect(report.healthy).toBe(false);
+		expect(report.summary).toMatchObject({
+			tasks: 2,
+			findings: 7,
+			fixed: 0,
+			byCheck: {
+				'orphaned-note': 1,
+				'duplicate-task-id': 1,
+				'missing-source': 2,
+				'broken-link': 2,
+				'sync-conflict': 1
+			}
+		});
+		expect(
+			report.findings.map((finding) => [
+				finding.check,
+				finding.file ?? finding.taskId,
+				finding.fix
+			])
+		).toEqual([
+			[
+				'orphaned-note',
+				'Tasks/master/task-007-removed.md',
+				'Move the note to Archive/Tasks/master/'
+			],
+			[
+				'duplicate-task-id',
+				'Tasks/master/task-002-copy.md',
+				'Keep Tasks/master/task-002-add-tests.md and move this note to Archive/Tasks/master/'
+			],
+			['missing-source', 'plan.md', 'Point the source at Projects/plan.md'],
+			['missing-source', 'gone.md', 'Clear the source fields of the task'],
+			[
+				'broken-link',
+				'Tasks/master/task-001-write-docs.md',
+				'Replace with [[Tasks/master/task-002-add-tests|#2 Add tests]]'
+			],
+			[
+				'broken-link',
+				'Tasks/master/task-001-write-docs.md',
+				'Replace the link with its text "task-009-gone"'
+			],
+			[
+				'sync-conflict',
+				2,
+				'Resolve with the merged values (or run obsidian-resolve)'
+			]
+		]);
+		// Nothing is changed without fix
+		expect(exists('Tasks/master/task-007-removed.md')).toBe(true);
+		expect(readTasks()[1].syncStatus).toBe('conflict');
+	});
+
+	test('fixes every finding and reports a healthy vault afterwards', async () => {
+		const report = await diagnose({ fix: true, strategy: 'taskmaster' });
+
+		expect(report.summary.fixed).toBe(7);
+		expect(report.healthy).toBe(true);
+		expect(exists('Archive/Tasks/master/task-007-removed.md')).toBe(true);
+		expect(exists('Archive/Tasks/master/task-002-copy.md')).toBe(true);
+		expect(readNote('Tasks/master/task-001-write-docs.md')).toContain(
+			'See [[Tasks/master/task-002-add-tests|#2 Add tests]], task-009-gone ' +
+				'and [[Tasks/feature/task-005-other-tag]].'
+		);
+
+		const [first, second] = readTasks();
+		expect(first).toMatchObject({
+			sourceFile: 'Projects/plan.md',
+			lineNumber: 3
+		});
+		expect(second).not.toHaveProperty('sourceFile');
+		expect(second).not.toHaveProperty('blockRef');
+		expect(second).toMatchObject({ title: 'Add tests', syncStatus: 'pending' });
+
+		const again = await diagnose();
+		expect(again.summary.findings).toBe(0);
+	});
+
+	test('rejects unknown conflict strategies and missing vaults', async () => {
+		await expect(diagnose({ strategy: 'newest' })).rejects.toThrow(
+			'Invalid strategy'
+		);
+		await expect(
+			diagnose({ vaultPath: path.join(vaultPath, 'missing') })
+		).rejects.toThrow('Vault path does not exist');
+	});
+});
@@ -0,0 +1,96 @@
+import {
+	describeNoteFilters,
+	filterNotes,
+	parseFrontmatterQuery
+} from '../../../../../scripts/modules/task-manager/obsidian-filters.js';
+
+describe('obsidian-filters', () => {
+	const notes = [
+		{
+			path: 'Roadmap.md',
+			tags: ['planning'],
+			links: ['[[Projects/API/Auth|auth]]'],
+			frontmatter: null,
+			mtimeMs: Date.parse('2024-05-01')
+		},
+		{
+			path: 'Projects/API/Auth.md',
+			tags: ['project/api'],
+			links: ['[[Sessions#Storage]]'],
+			frontmatter: { type: 'project', status: 'active' },
+			mtimeMs: Date.parse('2024-06-10')
+		},
+		{
+			path: 'Projects/API/Sessions.md',
+			tags: [],
+			links: [],
+			frontmatter: { type: 'Project', status: 'done' },
+			mtimeMs: Date.parse('2024-06-20')
+		},
+		{
+			path: 'Journal/2024-06-01.md',
+			tags: ['daily'],
+			links: [],
+			frontmatter: { type: ['journal', 'log'] },
+			mtimeMs: Date.parse('2024-06-01')
+		}
+	];
+	const paths = (filters) =>
+		filterNotes(notes, filters).map((note) => note.path);
+
+	test('filters by folder subtree, tag and modification date', () => {
+		expect(paths({ folder: 'Projects/' })).toEqual([
+			'Projects/API/Auth.md',
+			'Projects/API/Sessions.md'
+		]);
+		expect(paths({ tag: '#project' })).toEqual(['Projects/API/Auth.md']);
+		expect(paths({ tag: 'daily,planning' })).toEqual([
+			'Roadmap.md',
+			'Journal/2024-06-01.md'
+		]);
+		expect(paths({ since: '2024-06-05' })).toEqual([
+			'Projects/API/Auth.md',
+			'Projects/API/Sessions.md'
+		]);
+		expect(() => paths({ since: 'last week' })).toThrow('Invalid date');
+	});
+
+	test('matches frontmatter queries case-insensitively, lists included', () => {
+		const matches = parseFrontmatterQuery('type: project, status != done');
+		expect(matches({ type: 'project', status: 'active' })).toBe(true);
+		expect(matches({ type: 'project', status: 'done' })).toBe(false);
+		expect(matches({ type: 'project' })).toBe(true);
+		expect(matches(null)).toBe(false);
+
+		expect(paths({ frontmatter: 'type = journal' })).toEqual([
+			'Journal/2024-06-01.md'
+		]);
+		expect(paths({ frontmatter: 'type: project' })).toHaveLength(2);
+		expect(() => parseFrontmatterQuery('just words')).toThrow(
+			'Invalid frontmatter query'
+		);
+	});
+
+	test('keeps notes within N link hops of the root in either direction', () => {
+		expect(paths({ root: 'Roadmap' })).toEqual([
+			'Roadmap.md',
+			'Projects/API/Auth.md'
+		]);
+		expect(paths({ root: 'Projects/API/Sessions.md', hops: 2 })).toEqual([
+			'Roadmap.md',
+			'Projects/API/Auth.md',
+			'Projects/API/Sessions.md'
+		]);
+		expect(
+			paths({ root: 'Roadmap', hops: 2, frontmatter: 'status != done' })
+		).toEqual(['Roadmap.md', 'Projects/API/Auth.md']);
+		expect(() => paths({ root: 'Missing' })).toThrow('not found');
+	});
+
+	test('describes the active filters', () => {
+		expect(
+			describeNoteFilters({ folder: 'Projects', tag: ['a', '#b'], root: 'X' })
+		).toBe('folder Projects, tag #a or #b, within 1 link hop(s) of X');
+		expect(describeNoteFilters({})).toBe('');
+	});
+});
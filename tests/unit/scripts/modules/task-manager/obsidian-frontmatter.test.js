@@ -0,0 +1,110 @@
+import {
+	formatFrontmatter,
+	frontmatterToTask,
+	parseFrontmatter,
+	taskToFrontmatter
+} from '../../../../../scripts/modules/task-manager/obsidian-frontmatter.js';
+
+describe('obsidian-frontmatter', () => {
+	const task = {
+		id: 7,
+		title: 'Deploy: staging',
+		status: 'in-progress',
+		priority: 'high',
+		dependencies: [3, '4.1'],
+		complexityScore: 8,
+		description: 'Ship it',
+		details: 'Line one\nLine two: with a colon',
+		testStrategy: 'Smoke test',
+		dueDate: '2025-03-01',
+		createdAt: '2025-01-01T10:00:00.000Z'
+	};
+
+	test('parses multi-line values, nested lists and colons', () => {
+		const content = [
+			'---',
+			'title: "Deploy: staging"',
+			'details: |',
+			'  Line one',
+			'  Line two',
+			'reviewers:',
+			'  - name: Ana',
+			'    roles: [dev, qa]',
+			'---',
+			'',
+			'# Body'
+		].join('\n');
+
+		const { data, body } = parseFrontmatter(content);
+
+		expect(data.title).toBe('Deploy: staging');
+		expect(data.details).toBe('Line one\nLine two\n');
+		expect(data.reviewers).toEqual([{ name: 'Ana', roles: ['dev', 'qa'] }]);
+		expect(body).toBe('# Body');
+		expect(parseFrontmatter('# No frontmatter')).toEqual({
+			data: null,
+			body: '# No frontmatter'
+		});
+		expect(parseFrontmatter('---\n: [\n---\n').error).toBeDefined();
+	});
+
+	test('round-trips every task field and custom keys', () => {
+		const custom = { reviewer: 'ana', links: { pr: 12 } };
+		const written = formatFrontmatter(
+			taskToFrontmatter(task, { tag: 'feature', custom })
+		);
+		const { data } = parseFrontmatter(written);
+
+		expect(Object.keys(data).slice(0, 6)).toEqual([
+			'task_id',
+			'title',
+			'status',
+			'priority',
+			'tag',
+			'dependencies'
+		]);
+		expect(data.created).toBe('2025-01-01T10:00:00.000Z');
+
+		const { taskId, fields, custom: readCustom } = frontmatterToTask(data);
+		expect(taskId).toBe(7);
+		expect(readCustom).toEqual(custom);
+		expect(fields).toEqual({
+			title: task.title,
+			status: task.status,
+			priority: task.priority,
+			dependencies: task.dependencies,
+			complexityScore: 8,
+			description: task.description,
+			details: task.details,
+			testStrategy: task.testStrategy,
+			dueDate: task.dueDate
+		});
+	});
+
+	test('keeps markdown rules in values and reads empty frontmatter', () => {
+		const details = 'Step one\n\n---\n\nStep two';
+		const note = `${formatFrontmatter(
+			taskToFrontmatter({ ...task, details })
+		)}# Deploy\n\n---\n\nBody`;
+		const { data, body } = parseFrontmatter(note);
+
+		expect(frontmatterToTask(data).fields.details).toBe(details);
+		expect(body).toBe('# Deploy\n\n---\n\nBody');
+
+		expect(parseFrontmatter('---\n---\n# Title')).toEqual({
+			data: {},
+			body: '# Title'
+		});
+	});
+
+	test('writes empty dependencies and reads comma-separated lists', () => {
+		expect(taskToFrontmatter({ id: 1, title: 'A' })).toEqual({
+			task_id: 1,
+			title: 'A',
+			dependencies: []
+		});
+		expect(
+			frontmatterToTask({ task_id: '2', dependencies: '1, 3.2' }).fields
+		).toEqual({ dependencies: [1, '3.2'] });
+	});
+});
@@ -0,0 +1,123 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	log: jest.fn()
+}));
+
+const { scanVaultIndex } = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-index.js'
+);
+
+describe('Obsidian vault index', () => {
+	let vaultPath;
+	let projectRoot;
+
+	// Back-date notes so their mtime is outside the racy window
+	const past = new Date(Date.now() - 60 * 1000);
+	const writeNote = (name, content, mtime = past) => {
+		const notePath = path.join(vaultPath, name);
+		fs.mkdirSync(path.dirname(notePath), { recursive: true });
+		fs.writeFileSync(notePath, content);
+		fs.utimesSync(notePath, mtime, mtime);
+	};
+
+	beforeEach(() => {
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-vault-'));
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-project-'));
+		writeNote('a.md', '- [ ] One #work\n');
+		writeNote('Projects/b.md', 'See [[a]]\n- [x] Two\n');
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('parses every note on the first scan and stores the index', () => {
+		const { notes, stats } = scanVaultIndex(vaultPath, { projectRoot });
+
+		expect(stats).toMatchObject({ total: 2, reparsed: 2, skipped: 0 });
+		const a = notes.find((note) => note.path === 'a.md');
+		expect(a.tasks[0]).toMatchObject({ title: 'One #work', status: 'pending' });
+		expect(a.tags).toEqual(['work']);
+		expect(
+			fs.existsSync(path.join(projectRoot, '.taskmaster/obsidian-index.json'))
+		).toBe(true);
+	});
+
+	test('leaves the links of managed regions out of the note links', () => {
+		writeNote(
+			'Tasks/master/Task 2.md',
+			[
+				'<!-- TASKMASTER_START: dependencies -->',
+				'## Dependencies',
+				'- [[Tasks/master/Task 1|#1 Setup]]',
+				'<!-- TASKMASTER_END: dependencies -->',
+				'',
+				'See [[Design notes]]',
+				'',
+				'<!-- TASKMASTER_START: related-notes -->',
+				'## Related Notes',
+				'- [[Tasks/master/Task 1|#1 Setup]]',
+				'<!-- TASKMASTER_END: related-notes -->',
+				''
+			].join('\n')
+		);
+
+		const { notes } = scanVaultIndex(vaultPath, { projectRoot });
+		const note = notes.find((entry) => entry.path === 'Tasks/master/Task 2.md');
+		expect(note.links).toEqual(['[[Design notes]]']);
+		expect(note.dependencies).toHaveLength(1);
+	});
+
+	test('re-parses only changed, added and deleted notes', () => {
+		scanVaultIndex(vaultPath, { projectRoot });
+
+		writeNote('a.md', '- [x] One, done\n', new Date(Date.now() - 30 * 1000));
+		writeNote('c.md', '- [ ] Three\n');
+		fs.rmSync(path.join(vaultPath, 'Projects/b.md'));
+
+		const { notes, stats } = scanVaultIndex(vaultPath, { projectRoot });
+		expect(stats).toMatchObject({
+			total: 2,
+			reparsed: 2,
+			skipped: 0,
+			removed: 1
+		});
+		expect(notes.find((note) => note.path === 'a.md').tasks[0].title).toBe(
+			'One, done'
+		);
+	});
+
+	test('skips notes whose content is unchanged', () => {
+		scanVaultIndex(vaultPath, { projectRoot });
+
+		// Touching a note without changing it only refreshes the index entry
+		const touched = new Date(Date.now() - 30 * 1000);
+		fs.utimesSync(path.join(vaultPath, 'a.md'), touched, touched);
+
+		const { stats } = scanVaultIndex(vaultPath, { projectRoot });
+		expect(stats).toMatchObject({ total: 2, reparsed: 0, skipped: 2 });
+	});
+
+	test('keeps notes left out by ignore patterns in the index', () => {
+		scanVaultIndex(vaultPath, { projectRoot });
+
+		const { notes, stats } = scanVaultIndex(vaultPath, {
+			projectRoot,
+			ignore: ['Projects/**']
+		});
+		expect(notes.map((note) => note.path)).toEqual(['a.md']);
+		expect(stats.removed).toBe(0);
+
+		expect(scanVaultIndex(vaultPath, { projectRoot }).stats.skipped).toBe(2);
+	});
+
+	test('parses everything without a project root', () => {
+		scanVaultIndex(vaultPath, {});
+		expect(scanVaultIndex(vaultPath, {}).stats.reparsed).toBe(2);
+	});
+});
@@ -0,0 +1,261 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	readJSON: jest.fn(),
+	writeJSON: jest.fn(),
+	log: jest.fn()
+}));
+
+const { readJSON, writeJSON } = await import(
+	'../../../../../scripts/modules/utils.js'
+);
+const {
+	configureObsidianJournal,
+	getDailyNotePath,
+	rebuildDailyJournal,
+	recordTaskActivity,
+	statusChangeEvents,
+	writeJournalSection
+} = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-journal.js'
+);
+const { formatMomentDate } = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-templates.js'
+);
+
+describe('obsidian-journal', () => {
+	let vaultPath;
+	let projectRoot;
+	let tagData;
+
+	const read = (name) => fs.readFileSync(path.join(vaultPath, name), 'utf8');
+	const historyPath = () =>
+		path.join(projectRoot, '.taskmaster/obsidian-journal.jsonl');
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-journal-vault-'));
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-journal-project-'));
+		tagData = {
+			tasks: [
+				{
+					id: 3,
+					title: 'Build API',
+					status: 'in-progress',
+					subtasks: [{ id: 2, title: 'Routes', status: 'done' }]
+				}
+			],
+			metadata: {
+				vaultPath,
+				syncSettings: { dailyNotes: { enabled: true } }
+			}
+		};
+		readJSON.mockImplementation(() => ({
+			...tagData,
+			_rawTaggedData: { master: tagData }
+		}));
+	});
+
+	afterEach(() => {
+		jest.useRealTimers();
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('names daily notes with the vault folder and moment format', () => {
+		const date = new Date(2025, 2, 4, 9, 5);
+		expect(
+			formatMomentDate(date, 'YYYY-MM-DD dddd, MMMM Do [W]WW [at] HH:mm')
+		).toBe('2025-03-04 Tuesday, March 4th W10 at 09:05');
+		expect(getDailyNotePath(vaultPath, date)).toBe('2025-03-04.md');
+
+		fs.mkdirSync(path.join(vaultPath, '.obsidian'));
+		fs.writeFileSync(
+			path.join(vaultPath, '.obsidian/daily-notes.json'),
+			JSON.stringify({ folder: 'Journal/', format: 'YYYY/MM/DD-ddd' })
+		);
+		expect(getDailyNotePath(vaultPath, date)).toBe('Journal/2025/03/04-Tue.md');
+	});
+
+	test('appends to the heading section and adds the heading when missing', () => {
+		const note =
+			'# Tuesday\n\n## Task Master\n\n- 08:00 Old\n\n## Notes\nText\n';
+
+		expect(writeJournalSection(note, '## Task Master', ['- 09:00 New'])).toBe(
+			'# Tuesday\n\n## Task Master\n\n- 08:00 Old\n- 09:00 New\n\n## Notes\nText\n'
+		);
+		expect(
+			writeJournalSection(note, '## Task Master', ['- 09:00 New'], {
+				replace: true
+			})
+		).toBe('# Tuesday\n\n## Task Master\n\n- 09:00 New\n\n## Notes\nText\n');
+		expect(writeJournalSection('# Tuesday\n', '## Log', ['- 09:00 New'])).toBe(
+			'# Tuesday\n\n## Log\n\n- 09:00 New\n'
+		);
+	});
+
+	test('describes started and completed tasks and subtasks', () => {
+		expect(
+			statusChangeEvents(tagData.tasks, [
+				{ id: '3', oldStatus: 'pending', newStatus: 'in-progress' },
+				{ id: '3.2', oldStatus: 'pending', newStatus: 'done' },
+				{ id: '3', oldStatus: 'done', newStatus: 'done' },
+				{ id: '3', oldStatus: 'pending', newStatus: 'review' }
+			])
+		).toEqual([
+			{ type: 'started', taskId: '3', title: 'Build API' },
+			{
+				type: 'completed',
+				taskId: '3.2',
+				title: 'Routes',
+				parent: { id: 3, title: 'Build API' }
+			}
+		]);
+	});
+
+	test('writes activity to the daily note and history only when enabled', () => {
+		jest.useFakeTimers().setSystemTime(new Date(2025, 2, 4, 9, 15));
+		const events = [
+			{ type: 'created', taskId: 3, title: 'Build API' },
+			{
+				type: 'note',
+				taskId: '3.2',
+				title: 'Routes',
+				parent: { id: 3, title: 'Build API' },
+				text: 'Used express.Router\nAdded tests'
+			}
+		];
+
+		const notePath = recordTaskActivity(tagData, {
+			tag: 'master',
+			projectRoot,
+			events
+		});
+
+		expect(notePath).toBe('2025-03-04.md');
+		expect(read(notePath)).toBe(
+			'## Task Master\n\n' +
+				'- 09:15 Created [[Tasks/master/task-003-build-api|#3 Build API]]\n' +
+				'- 09:15 Note on subtask 3.2 Routes ([[Tasks/master/task-003-build-api|#3 Build API]])\n' +
+				'\t> Used express.Router\n' +
+				'\t> Added tests\n'
+		);
+		const history = fs
+			.readFileSync(historyPath(), 'utf8')
+			.trim()
+			.split('\n')
+			.map((line) => JSON.parse(line));
+		expect(history[0]).toMatchObject({
+			tag: 'master',
+			vault: path.resolve(vaultPath),
+			type: 'created',
+			taskId: '3'
+		});
+
+		tagData.metadata.syncSettings.dailyNotes.enabled = false;
+		expect(
+			recordTaskActivity(tagData, { tag: 'master', projectRoot, events })
+		).toBeNull();
+		expect(
+			fs.readFileSync(historyPath(), 'utf8').trim().split('\n')
+		).toHaveLength(2);
+	});
+
+	test('rebuilds a day from history with the current task titles', () => {
+		const at = (day, hour) => new Date(2025, 2, day, hour).toISOString();
+		const vault = path.resolve(vaultPath);
+		fs.mkdirSync(path.dirname(historyPath()), { recursive: true });
+		fs.writeFileSync(
+			historyPath(),
+			[
+				{
+					time: at(4, 10),
+					tag: 'master',
+					vault,
+					type: 'completed',
+					taskId: '3',
+					title: 'Old title'
+				},
+				{
+					time: at(4, 9),
+					tag: 'master',
+					vault,
+					type: 'started',
+					taskId: '3',
+					title: 'Old title'
+				},
+				{
+					time: at(5, 9),
+					tag: 'master',
+					vault,
+					type: 'created',
+					taskId: '4',
+					title: 'Next day'
+				},
+				{
+					time: at(4, 9),
+					tag: 'master',
+					vault: '/other',
+					type: 'created',
+					taskId: '1',
+					title: 'Other vault'
+				}
+			]
+				.map((event) => JSON.stringify(event))
+				.join('\n')
+		);
+		fs.writeFileSync(
+			path.join(vaultPath, '2025-03-04.md'),
+			'## Task Master\n\n- stale entry\n\n## Notes\nKeep me\n'
+		);
+
+		const result = rebuildDailyJournal('/tasks.json', {
+			projectRoot,
+			date: '2025-03-04'
+		});
+
+		expect(result).toEqual({ notePath: '2025-03-04.md', entries: 2 });
+		expect(read('2025-03-04.md')).toBe(
+			'## Task Master\n\n' +
+				'- 09:00 Started [[Tasks/master/task-003-build-api|#3 Build API]]\n' +
+				'- 10:00 Completed [[Tasks/master/task-003-build-api|#3 Build API]]\n' +
+				'\n## Notes\nKeep me\n'
+		);
+		expect(() =>
+			rebuildDailyJournal('/tasks.json', { projectRoot, date: '04/03/2025' })
+		).toThrow('Invalid date');
+	});
+
+	test('enabling needs a vault and keeps the chosen heading', () => {
+		delete tagData.metadata.vaultPath;
+		expect(() =>
+			configureObsidianJournal('/tasks.json', { enabled: true, projectRoot })
+		).toThrow('not linked to a vault');
+
+		const settings = configureObsidianJournal('/tasks.json', {
+			enabled: true,
+			projectRoot,
+			vaultPath,
+			heading: 'Work log'
+		});
+
+		expect(settings).toEqual({
+			enabled: true,
+			heading: '## Work log',
+			vaultPath
+		});
+		expect(tagData.metadata.syncSettings.dailyNotes).toEqual({
+			enabled: true,
+			heading: '## Work log'
+		});
+		expect(writeJSON).toHaveBeenCalledWith(
+			'/tasks.json',
+			{ master: tagData },
+			projectRoot,
+			'master'
+		);
+	});
+});
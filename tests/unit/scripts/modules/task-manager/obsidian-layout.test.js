@@ -0,0 +1,302 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	readJSON: jest.fn(),
+	writeJSON: jest.fn(),
+	log: jest.fn()
+}));
+
+const { readJSON, writeJSON } = await import(
+	'../../../../../scripts/modules/utils.js'
+);
+const { syncTasksFromObsidian, syncTasksToObsidian } = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-sync.js'
+);
+const {
+	archiveVaultTag,
+	generateTagOverview,
+	getLinkedVaults,
+	isOutsideTagScope,
+	renameVaultTag
+} = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-layout.js'
+);
+
+describe('Obsidian vault layout', () => {
+	let vaultPath;
+	let projectRoot;
+	let tasksData;
+
+	const writeNote = (name, content) => {
+		const notePath = path.join(vaultPath, name);
+		fs.mkdirSync(path.dirname(notePath), { recursive: true });
+		fs.writeFileSync(notePath, content);
+	};
+	const readNote = (name) =>
+		fs.readFileSync(path.join(vaultPath, name), 'utf8');
+	const exists = (name) => fs.existsSync(path.join(vaultPath, name));
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-obsidian-'));
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-project-'));
+		tasksData = {
+			tasks: [
+				{ id: 1, title: 'Write docs', status: 'done', priority: 'high' },
+				{ id: 2, title: 'Add tests', status: 'pending', priority: 'medium' }
+			],
+			metadata: { description: 'Feature work' }
+		};
+		readJSON.mockImplementation(() => tasksData);
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	const syncOptions = () => ({
+		vaultPath,
+		tasksPath: '/tasks.json',
+		tag: 'feature',
+		projectRoot
+	});
+
+	test('overview shows description, status counts, progress and task links', () => {
+		const overview = generateTagOverview('feature', tasksData);
+
+		expect(overview).toContain('progress: 50\n');
+		expect(overview).toContain('Feature work');
+		expect(overview).toContain('50% (1 of 2 tasks done)');
+		expect(overview).toContain('| pending | 1 |\n| done | 1 |');
+		expect(overview).toContain(
+			'- [[Tasks/feature/task-001-write-docs|#1 Write docs]] · done · high'
+		);
+		expect(overview).not.toMatch(/- \[[ x]\]/);
+	});
+
+	test('sync writes task notes into the tag folder with an overview', async () => {
+		writeNote('Tasks/task-002-add-tests.md', '# Add tests\n');
+
+		await syncTasksToObsidian(syncOptions());
+
+		expect(exists('Tasks/feature/task-001-write-docs.md')).toBe(true);
+		// Notes of the flat layout are moved into the tag folder
+		expect(exists('Tasks/task-002-add-tests.md')).toBe(false);
+		expect(readNote('Tasks/feature/task-002-add-tests.md')).toContain(
+			'- [ ] Add tests 🔼 ^tm-2'
+		);
+		expect(readNote('Tags/feature.md')).toContain('# feature');
+		expect(readNote('TaskMaster/Index/feature.md')).toContain(
+			'taskmaster_index: true'
+		);
+		expect(exists('TaskMaster/Index/feature.json')).toBe(false);
+		expect(tasksData.metadata.vaultPath).toBe(vaultPath);
+		expect(writeJSON).toHaveBeenCalled();
+	});
+
+	test('a dry run counts the notes it would write without writing them', async () => {
+		writeNote('Tasks/task-002-add-tests.md', '# Add tests\n');
+
+		const result = await syncTasksToObsidian({
+			...syncOptions(),
+			dryRun: true
+		});
+
+		expect(result).toMatchObject({ created: 1, updated: 1 });
+		expect(exists('Tasks/feature/task-001-write-docs.md')).toBe(false);
+		expect(exists('Tasks/task-002-add-tests.md')).toBe(true);
+		expect(writeJSON).not.toHaveBeenCalled();
+	});
+
+	test('converts a note of the old generator without duplicating it', async () => {
+		tasksData.tasks[1] = {
+			...tasksData.tasks[1],
+			description: 'Cover the parser',
+			dependencies: [1],
+			linkedNotes: ['[[Parser]]']
+		};
+		writeNote(
+			'Tasks/feature/task-002-add-tests.md',
+			[
+				'---',
+				'task_id: 2',
+				'priority: medium',
+				'status: pending',
+				'---',
+				'',
+				'# Add tests',
+				'',
+				'- [ ] Add tests',
+				'',
+				'## Description',
+				'Cover the parser',
+				'',
+				'## Dependencies',
+				'- Task 1',
+				'',
+				'## Related Notes',
+				'- [[Parser]]',
+				'',
+				'## Findings',
+				'Fuzzing found two crashes',
+				''
+			].join('\n')
+		);
+
+		await syncTasksToObsidian(syncOptions());
+
+		const converted = readNote('Tasks/feature/task-002-add-tests.md');
+		expect(converted.match(/^# Add tests$/gm)).toHaveLength(1);
+		expect(converted.match(/- \[ \] Add tests/g)).toHaveLength(1);
+		expect(converted.match(/^## Dependencies$/gm)).toHaveLength(1);
+		expect(converted.match(/^## Related Notes$/gm)).toHaveLength(1);
+		expect(converted).not.toContain('- Task 1');
+		expect(converted).toMatch(
+			/<!-- TASKMASTER_END: [\w-]+ -->\n\n## Findings\nFuzzing found two crashes\n$/
+		);
+	});
+
+	test('sync ignores task notes of other tags and overviews', async () => {
+		writeNote('Tasks/master/task-001-other.md', '- [x] Other ^tm-1\n');
+		writeNote('Tags/master.md', '- [ ] Not a task\n');
+		writeNote(
+			'Tasks/feature/task-001-write-docs.md',
+			'- [x] Write docs ^tm-1\n'
+		);
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.created).toBe(0);
+		expect(tasksData.tasks[0].title).toBe('Write docs');
+		expect(isOutsideTagScope('Tasks/task-001-old.md', 'feature')).toBe(false);
+		expect(isOutsideTagScope('Archive/Tasks/feature/a.md')).toBe(true);
+	});
+
+	test('vault note layout sets the folder, file names and note template', async () => {
+		writeNote(
+			'TaskMaster/templates.json',
+			JSON.stringify({
+				taskFolder: 'Projects',
+				filename: '{{pad id 2}} {{title}}',
+				noteTemplate: 'Templates/Task.md',
+				frontmatterKeys: { priority: 'importance' }
+			})
+		);
+		writeNote(
+			'Templates/Task.md',
+			[
+				'---',
+				'state: "{{status}}"',
+				'type: task',
+				'---',
+				'{{#region "task"}}',
+				'# {{title}}',
+				'{{taskLine}}',
+				'{{/region}}',
+				'{{#if description}}',
+				'{{#region "description"}}',
+				'> {{description}}',
+				'{{/region}}',
+				'{{/if}}',
+				'Created <% tp.date.now() %>'
+			].join('\n')
+		);
+		writeNote('Tasks/feature/task-002-add-tests.md', '# Add tests\n');
+		tasksData.tasks[0].description = 'Cover the API';
+
+		await syncTasksToObsidian(syncOptions());
+
+		const note = readNote('Projects/feature/01 Write docs.md');
+		expect(note).toMatch(
+			/^---\ntask_id: 1\ntitle: Write docs\nstate: done\nimportance: high\n[\s\S]*type: task\n---\n/
+		);
+		expect(note).toContain('- [x] Write docs ⏫ ^tm-1');
+		expect(note).toContain(
+			'<!-- TASKMASTER_START: description -->\n> Cover the API\n'
+		);
+		expect(note).toContain('Created <% tp.date.now() %>');
+		// Notes of the built-in layout move to the vault's layout
+		expect(exists('Tasks/feature/task-002-add-tests.md')).toBe(false);
+		expect(exists('Projects/feature/02 Add tests.md')).toBe(true);
+		expect(readNote('Tags/feature.md')).toContain(
+			'[[Projects/feature/01 Write docs|#1 Write docs]]'
+		);
+
+		// Fields are read back from the keys the layout maps them to
+		writeNote(
+			'Projects/feature/01 Write docs.md',
+			note.replace('importance: high', 'importance: low')
+		);
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.created).toBe(0);
+		expect(tasksData.tasks[0].priority).toBe('low');
+	});
+
+	test('renaming a tag moves its folder and overview', () => {
+		writeNote('Tasks/feature/task-001-write-docs.md', '# Write docs\n');
+		writeNote('Tags/feature.md', '# feature\n');
+		writeNote('TaskMaster/Index/feature.md', '---\ntag: feature\n---\n');
+
+		const { moved } = renameVaultTag(vaultPath, 'feature', 'ui', tasksData);
+
+		expect(moved).toBe(true);
+		expect(exists('Tasks/ui/task-001-write-docs.md')).toBe(true);
+		expect(exists('Tags/feature.md')).toBe(false);
+		expect(exists('TaskMaster/Index/feature.md')).toBe(false);
+		expect(readNote('Tags/ui.md')).toContain('Tasks/ui/task-001-write-docs');
+	});
+
+	test('tag changes use the task folder of a configured vault', () => {
+		const options = { vault: { name: 'work', taskFolder: 'Projects' } };
+		writeNote('Projects/feature/task-001-write-docs.md', '# Write docs\n');
+
+		const result = renameVaultTag(
+			vaultPath,
+			'feature',
+			'ui',
+			tasksData,
+			options
+		);
+
+		expect(result).toMatchObject({
+			moved: true,
+			from: 'Projects/feature',
+			to: 'Projects/ui'
+		});
+		expect(exists('Projects/ui/task-001-write-docs.md')).toBe(true);
+		expect(readNote('Tags/ui.md')).toContain('Projects/ui/task-001-write-docs');
+
+		expect(archiveVaultTag(vaultPath, 'ui', options)).toBe('Archive/Tasks/ui');
+		expect(exists('Projects/ui')).toBe(false);
+	});
+
+	test('deleting a tag archives its folder without overwriting older archives', () => {
+		writeNote('Tasks/feature/task-001-write-docs.md', '# Write docs\n');
+		writeNote('Tags/feature.md', '# feature\n');
+		writeNote('Archive/Tasks/feature/task-009-old.md', '# Old\n');
+
+		const archiveDir = archiveVaultTag(vaultPath, 'feature');
+
+		expect(archiveDir).toMatch(/^Archive\/Tasks\/feature-\d{4}-\d{2}-\d{2}$/);
+		expect(exists(`${archiveDir}/task-001-write-docs.md`)).toBe(true);
+		expect(exists(`${archiveDir}/feature.md`)).toBe(true);
+		expect(exists('Archive/Tasks/feature/task-009-old.md')).toBe(true);
+		expect(exists('Tasks/feature')).toBe(false);
+		expect(archiveVaultTag(vaultPath, 'missing')).toBeNull();
+	});
+
+	test('linked vaults come from tag metadata and must exist', () => {
+		expect(
+			getLinkedVaults({
+				master: { metadata: { vaultPath } },
+				feature: { metadata: { vaultPath } },
+				old: { metadata: { vaultPath: path.join(vaultPath, 'gone') } }
+			})
+		).toEqual([vaultPath]);
+	});
+});
@@ -0,0 +1,70 @@
+import {
+	extractDependencyEntries,
+	formatTaskLink,
+	resolveTaskLink
+} from '../../../../../scripts/modules/task-manager/obsidian-links.js';
+
+describe('obsidian-links', () => {
+	const tasks = [
+		{
+			id: 3,
+			title: 'Set up database',
+			subtasks: [{ id: 1, title: 'Write schema' }]
+		},
+		{ id: 4, title: 'Deploy' },
+		{ id: 5, title: 'Deploy' }
+	];
+
+	test('links to the task note in the tag folder', () => {
+		expect(formatTaskLink(3, tasks, 'master')).toBe(
+			'[[Tasks/master/task-003-set-up-database|#3 Set up database]]'
+		);
+		expect(formatTaskLink('3.1', tasks, 'master')).toBe(
+			'[[Tasks/master/task-003-set-up-database#^tm-3-1|3.1 Write schema]]'
+		);
+		expect(formatTaskLink(9, tasks, 'master')).toBeNull();
+	});
+
+	test('resolves links by the task ID in the note file name', () => {
+		// The slug is stale after a rename; the ID still identifies the task
+		expect(
+			resolveTaskLink('[[Tasks/master/task-003-old-title|x]]', tasks)
+		).toEqual({ id: 3 });
+		expect(
+			resolveTaskLink('[[task-003-set-up-database#^tm-3-1]]', tasks)
+		).toEqual({ id: '3.1' });
+		expect(resolveTaskLink('Task 4', tasks)).toEqual({ id: 4 });
+	});
+
+	test('reports broken and ambiguous links instead of guessing', () => {
+		expect(resolveTaskLink('[[task-042-gone]]', tasks)).toEqual({
+			error: 'broken',
+			matches: []
+		});
+		expect(resolveTaskLink('[[Set up]]', tasks).error).toBe('broken');
+		expect(resolveTaskLink('[[Deploy]]', tasks)).toEqual({
+			error: 'ambiguous',
+			matches: [4, 5]
+		});
+		expect(resolveTaskLink('[[write schema]]', tasks)).toEqual({ id: '3.1' });
+	});
+
+	test('reads the entries of the dependencies section only', () => {
+		const content = [
+			'# Task',
+			'See [[Elsewhere]]',
+			'## Dependencies',
+			'- [[Tasks/master/task-003-set-up-database|#3 Set up database]]',
+			'- Task 4',
+			'## Related Notes',
+			'- [[Other]]'
+		].join('\n');
+
+		expect(extractDependencyEntries(content)).toEqual([
+			'[[Tasks/master/task-003-set-up-database|#3 Set up database]]',
+			'Task 4'
+		]);
+		expect(extractDependencyEntries('## Dependencies\n_None_\n')).toEqual([]);
+		expect(extractDependencyEntries('# No section')).toBeNull();
+	});
+});
@@ -0,0 +1,121 @@
+import {
+	threeWayMerge,
+	createSyncBase,
+	proposeResolution
+} from '../../../../../scripts/modules/task-manager/obsidian-merge.js';
+
+describe('obsidian-merge', () => {
+	const base = {
+		title: 'Write docs',
+		status: 'pending',
+		description: 'Document the API',
+		dependencies: [1]
+	};
+
+	test('applies fields changed only in Obsidian', () => {
+		const { merged, changes, conflicts } = threeWayMerge(
+			base,
+			{ ...base },
+			{ title: 'Write API docs', status: 'pending' }
+		);
+		expect(merged.title).toBe('Write API docs');
+		expect(changes).toEqual(['title']);
+		expect(conflicts).toHaveLength(0);
+	});
+
+	test('keeps fields changed only in TaskMaster', () => {
+		const { merged, changes } = threeWayMerge(
+			base,
+			{ ...base, status: 'in-progress' },
+			{ title: 'Write docs', status: 'pending' }
+		);
+		expect(merged.status).toBe('in-progress');
+		expect(changes).toHaveLength(0);
+	});
+
+	test('ignores fields the Obsidian side does not carry', () => {
+		const { merged } = threeWayMerge(
+			base,
+			{ ...base, details: 'Long details' },
+			{ title: 'Write docs' }
+		);
+		expect(merged.details).toBe('Long details');
+		expect(merged.dependencies).toEqual([1]);
+	});
+
+	test('reports fields changed on both sides with manual strategy', () => {
+		const { merged, conflicts } = threeWayMerge(
+			base,
+			{ ...base, title: 'Write user docs' },
+			{ title: 'Write API docs' }
+		);
+		expect(merged.title).toBe('Write user docs');
+		expect(conflicts).toEqual([
+			{
+				field: 'title',
+				base: 'Write docs',
+				taskmaster: 'Write user docs',
+				obsidian: 'Write API docs'
+			}
+		]);
+	});
+
+	test.each([
+		['obsidian_wins', 'Write API docs'],
+		['taskmaster_wins', 'Write user docs']
+	])('resolves conflicts automatically with %s', (strategy, expected) => {
+		const { merged, conflicts } = threeWayMerge(
+			base,
+			{ ...base, title: 'Write user docs' },
+			{ title: 'Write API docs' },
+			strategy
+		);
+		expect(merged.title).toBe(expected);
+		expect(conflicts[0].resolution).toBe(strategy);
+	});
+
+	test('uses the TaskMaster side as base when no snapshot exists', () => {
+		const { merged, conflicts } = threeWayMerge(
+			undefined,
+			{ ...base },
+			{ status: 'done' }
+		);
+		expect(merged.status).toBe('done');
+		expect(conflicts).toHaveLength(0);
+	});
+
+	test('compares dependencies regardless of order', () => {
+		const { changes } = threeWayMerge(
+			{ dependencies: [1, 2] },
+			{ dependencies: [1, 2] },
+			{ dependencies: [2, 1] }
+		);
+		expect(changes).toHaveLength(0);
+	});
+
+	test('createSyncBase snapshots only merge fields', () => {
+		const snapshot = createSyncBase({ ...base, id: 4, subtasks: [] });
+		expect(snapshot).toEqual(base);
+		expect(snapshot.dependencies).not.toBe(base.dependencies);
+	});
+
+	test('proposes unions for dependencies and keeps both texts', () => {
+		expect(
+			proposeResolution({
+				field: 'dependencies',
+				taskmaster: [3, 1],
+				obsidian: [2]
+			})
+		).toEqual([1, 2, 3]);
+		expect(
+			proposeResolution({
+				field: 'details',
+				taskmaster: 'Use REST',
+				obsidian: 'Use REST and webhooks'
+			})
+		).toBe('Use REST and webhooks');
+		expect(
+			proposeResolution({ field: 'details', taskmaster: 'A', obsidian: 'B' })
+		).toBe('A\n\nB');
+	});
+});
@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('inquirer', () => ({
+	default: { prompt: jest.fn() }
+}));
+
+const { default: inquirer } = await import('inquirer');
+const { applyReconcileEntries, diffExtractedTasks, reviewReconcileEntries } =
+	await import(
+		'../../../../../scripts/modules/task-manager/obsidian-reconcile.js'
+	);
+
+describe('obsidian-reconcile', () => {
+	const existing = [
+		{
+			id: 1,
+			title: 'Set up CI pipeline',
+			description: 'Run tests on every push',
+			priority: 'medium',
+			dependencies: [],
+			status: 'pending',
+			sourceFile: 'plan.md',
+			blockRef: '^src-aaaaaa'
+		},
+		{
+			id: 2,
+			title: 'Write API docs',
+			description: 'Document the endpoints',
+			priority: 'low',
+			dependencies: [1],
+			status: 'done',
+			sourceFile: 'plan.md'
+		},
+		{
+			id: 3,
+			title: 'Migrate database',
+			priority: 'high',
+			dependencies: [],
+			status: 'pending',
+			sourceFile: 'plan.md'
+		},
+		{
+			id: 4,
+			title: 'Untouched elsewhere',
+			dependencies: [],
+			status: 'pending',
+			sourceFile: 'other.md'
+		}
+	];
+	const proposed = [
+		{
+			id: 5,
+			title: 'Configure the CI pipeline',
+			description: 'Run tests and lint on every push',
+			priority: 'medium',
+			dependencies: [],
+			sourceFile: 'plan.md',
+			blockRef: '^src-aaaaaa'
+		},
+		{
+			id: 6,
+			title: 'Write the API docs',
+			description: 'Document the endpoints',
+			priority: 'high',
+			dependencies: [5],
+			sourceFile: 'plan.md'
+		},
+		{
+			id: 7,
+			title: 'Add release notes',
+			priority: 'low',
+			dependencies: [6],
+			sourceFile: 'plan.md'
+		}
+	];
+
+	const diff = () =>
+		diffExtractedTasks(existing, proposed, { scannedFiles: ['plan.md'] });
+
+	test('matches by source anchor, then by similarity, and classifies', () => {
+		const entries = diff();
+		expect(
+			entries.map((entry) => [
+				entry.type,
+				entry.existing?.id,
+				entry.matchedBy,
+				entry.protected
+			])
+		).toEqual([
+			['changed', 1, 'anchor', false],
+			['changed', 2, 'similarity', true],
+			['new', undefined, undefined, false],
+			['obsolete', 3, undefined, false]
+		]);
+		expect(entries[0].changes.map((change) => change.field)).toEqual([
+			'title',
+			'description'
+		]);
+		// Dependencies on matched proposals point at the existing tasks
+		expect(entries[1].changes.map((change) => change.field)).toEqual([
+			'title',
+			'priority'
+		]);
+		expect(entries[2].proposed.dependencies).toEqual([2]);
+	});
+
+	test('applies accepted entries and never overwrites protected tasks', () => {
+		const entries = diff().map((entry) => ({ ...entry, accepted: true }));
+		const result = applyReconcileEntries(existing, entries);
+
+		expect(result).toMatchObject({ added: 1, updated: 1, cancelled: 1 });
+		expect(
+			result.tasks.map((task) => [task.id, task.title, task.status])
+		).toEqual([
+			[1, 'Configure the CI pipeline', 'pending'],
+			[2, 'Write API docs', 'done'],
+			[3, 'Migrate database', 'cancelled'],
+			[4, 'Untouched elsewhere', 'pending'],
+			[5, 'Add release notes', undefined]
+		]);
+		expect(result.tasks[4].dependencies).toEqual([2]);
+		expect(existing[0].title).toBe('Set up CI pipeline');
+	});
+
+	test('drops dependencies on skipped proposals instead of reusing their IDs', () => {
+		const tasks = existing.slice(0, 3);
+		const entries = diffExtractedTasks(tasks, [
+			{ id: 4, title: 'Provision servers', dependencies: [] },
+			{ id: 5, title: 'Deploy to staging', dependencies: [4, 3] }
+		]);
+		entries[0].accepted = false;
+		entries[1].accepted = true;
+
+		const result = applyReconcileEntries(tasks, entries);
+
+		expect(result.added).toBe(1);
+		expect(result.tasks[3]).toMatchObject({
+			id: 4,
+			title: 'Deploy to staging',
+			dependencies: [3]
+		});
+	});
+
+	test('asks per change and can accept the rest at once', async () => {
+		const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+		inquirer.prompt
+			.mockResolvedValueOnce({ action: 'skip' })
+			.mockResolvedValueOnce({ action: 'accept-all' });
+
+		const entries = await reviewReconcileEntries(diff());
+
+		// The protected task is not offered
+		expect(inquirer.prompt).toHaveBeenCalledTimes(2);
+		expect(entries.map((entry) => entry.accepted)).toEqual([
+			false,
+			undefined,
+			true,
+			true
+		]);
+		log.mockRestore();
+	});
+});
@@ -0,0 +1,106 @@
+import {
+	applyManagedRegions,
+	findRegions,
+	formatRegion
+} from '../../../../../scripts/modules/task-manager/obsidian-regions.js';
+
+describe('obsidian-regions', () => {
+	const note = (frontmatter, ...parts) =>
+		`---\n${frontmatter}\n---\n\n${parts.join('\n\n')}\n`;
+
+	test('wraps content in named markers', () => {
+		const region = formatRegion('details', '## Details\nText\n\n');
+
+		expect(region).toBe(
+			'<!-- TASKMASTER_START: details -->\n## Details\nText\n<!-- TASKMASTER_END: details -->'
+		);
+		expect(findRegions(`intro\n${region}\n`)).toMatchObject([
+			{ name: 'details', start: 6, text: region }
+		]);
+	});
+
+	test('rewrites regions and keeps content around them', () => {
+		const existing = note(
+			'title: Old\nowner: sam',
+			formatRegion('task', '# Old'),
+			'My notes ![[diagram.png]]',
+			formatRegion('details', '## Details\nOld details'),
+			'See [[Meeting]]'
+		);
+		const generated = note(
+			'title: New',
+			formatRegion('task', '# New'),
+			formatRegion('details', '## Details\nNew details')
+		);
+
+		expect(applyManagedRegions(existing, generated)).toBe(
+			note(
+				'title: New',
+				formatRegion('task', '# New'),
+				'My notes ![[diagram.png]]',
+				formatRegion('details', '## Details\nNew details'),
+				'See [[Meeting]]'
+			)
+		);
+	});
+
+	test('removes dropped regions and inserts new ones in order', () => {
+		const existing = note(
+			'title: A',
+			formatRegion('task', '# A'),
+			'Mine',
+			formatRegion('details', '## Details\nGone')
+		);
+		const generated = note(
+			'title: A',
+			formatRegion('task', '# A'),
+			formatRegion('description', '## Description\nNew')
+		);
+
+		expect(applyManagedRegions(existing, generated)).toBe(
+			note(
+				'title: A',
+				formatRegion('task', '# A'),
+				formatRegion('description', '## Description\nNew'),
+				'Mine'
+			)
+		);
+	});
+
+	test('converts notes written before managed regions', () => {
+		const generated = note(
+			'title: A',
+			formatRegion('task', '# A\n\n- [ ] A ^tm-1')
+		);
+
+		expect(applyManagedRegions('# A\n\n- [ ] A\n', generated)).toBe(generated);
+	});
+
+	test('keeps the user content of notes written before managed regions', () => {
+		const existing = note(
+			'task_id: 1\nstatus: pending',
+			'# A\n\n- [ ] A',
+			'## Description\nOld description',
+			'## Details\nDetails\n\nMy findings ![[trace.png]]',
+			'## Meeting notes\nSee [[2024-05-01]]'
+		);
+		const generated = note(
+			'title: A',
+			formatRegion('task', '# A\n\n- [ ] A ^tm-1'),
+			formatRegion('description', '## Description\nNew description'),
+			formatRegion('details', '## Details\nDetails')
+		);
+
+		expect(applyManagedRegions(existing, generated)).toBe(
+			note(
+				'title: A',
+				formatRegion('task', '# A\n\n- [ ] A ^tm-1'),
+				formatRegion('description', '## Description\nNew description'),
+				formatRegion('details', '## Details\nDetails'),
+				'## Description\nOld description',
+				'## Details\nDetails\n\nMy findings ![[trace.png]]',
+				'## Meeting notes\nSee [[2024-05-01]]'
+			)
+		);
+	});
+});
@@ -0,0 +1,96 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	readJSON: jest.fn(),
+	writeJSON: jest.fn(),
+	log: jest.fn(),
+	truncate: jest.fn((text) => text)
+}));
+
+const { readJSON, writeJSON } = await import(
+	'../../../../../scripts/modules/utils.js'
+);
+const { default: resolveObsidianConflicts } = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-resolve.js'
+);
+
+describe('resolveObsidianConflicts', () => {
+	let data;
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		data = {
+			tasks: [
+				{
+					id: 1,
+					title: 'Write user docs',
+					status: 'pending',
+					dependencies: [2],
+					syncStatus: 'conflict',
+					syncBase: { title: 'Write docs', dependencies: [] },
+					syncConflict: {
+						sourceFile: 'Projects/api.md',
+						lineNumber: 3,
+						fields: [
+							{
+								field: 'title',
+								base: 'Write docs',
+								taskmaster: 'Write user docs',
+								obsidian: 'Write API docs'
+							},
+							{
+								field: 'dependencies',
+								base: [],
+								taskmaster: [2],
+								obsidian: [3]
+							}
+						]
+					}
+				},
+				{ id: 2, title: 'Other', status: 'done', syncStatus: 'synced' }
+			]
+		};
+		readJSON.mockReturnValue(data);
+	});
+
+	test('resolves conflicts with the obsidian strategy', async () => {
+		const summary = await resolveObsidianConflicts('tasks.json', {
+			strategy: 'obsidian'
+		});
+
+		expect(summary).toEqual({ resolved: [1], skipped: [] });
+		expect(data.tasks[0]).toMatchObject({
+			title: 'Write API docs',
+			dependencies: [3],
+			syncStatus: 'pending'
+		});
+		expect(data.tasks[0].syncConflict).toBeUndefined();
+		expect(writeJSON).toHaveBeenCalledTimes(1);
+	});
+
+	test('merged strategy applies proposals and rebases on the Obsidian side', async () => {
+		await resolveObsidianConflicts('tasks.json', { strategy: 'merged' });
+
+		expect(data.tasks[0].dependencies).toEqual([2, 3]);
+		expect(data.tasks[0].syncBase).toEqual({
+			title: 'Write API docs',
+			dependencies: [3]
+		});
+	});
+
+	test('only resolves the requested ids', async () => {
+		const summary = await resolveObsidianConflicts('tasks.json', {
+			strategy: 'taskmaster',
+			ids: [2]
+		});
+
+		expect(summary.resolved).toHaveLength(0);
+		expect(writeJSON).not.toHaveBeenCalled();
+	});
+
+	test('rejects unknown strategies', async () => {
+		await expect(
+			resolveObsidianConflicts('tasks.json', { strategy: 'newest' })
+		).rejects.toThrow('Invalid strategy');
+	});
+});
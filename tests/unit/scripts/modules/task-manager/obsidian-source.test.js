@@ -0,0 +1,155 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+	formatObsidianUri,
+	locateSourcePassage,
+	readSourcePassage,
+	recordTaskSources,
+	writeSourceBlockIds
+} from '../../../../../scripts/modules/task-manager/obsidian-source.js';
+
+describe('obsidian-source', () => {
+	let vaultPath;
+
+	const note = [
+		'# Roadmap',
+		'',
+		'## Q3',
+		'',
+		'We should move the build',
+		'to the shared CI runners.',
+		'',
+		'- [ ] Update the docs',
+		'- Ask Ana about budget ^existing',
+		'',
+		'## Q4',
+		'Nothing planned.'
+	].join('\n');
+
+	beforeEach(() => {
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-obsidian-'));
+		fs.mkdirSync(path.join(vaultPath, 'Projects'));
+		fs.writeFileSync(path.join(vaultPath, 'Projects/plan.md'), note);
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+	});
+
+	test('locates the paragraph quoted by the model with its heading path', () => {
+		expect(
+			locateSourcePassage(note, { excerpt: 'to the shared  CI runners' })
+		).toEqual({
+			lineStart: 5,
+			lineEnd: 6,
+			headingPath: ['Roadmap', 'Q3'],
+			excerpt: 'We should move the build\nto the shared CI runners.',
+			blockId: null
+		});
+		expect(
+			locateSourcePassage(note, { section: 'Roadmap > Q4' })
+		).toMatchObject({
+			lineStart: 12,
+			headingPath: ['Roadmap', 'Q4']
+		});
+		expect(
+			locateSourcePassage(note, { excerpt: 'Not in the note' })
+		).toBeNull();
+	});
+
+	test('records sources and adds block IDs outside checkbox lines', () => {
+		const tasks = [
+			{ sourceFile: 'plan.md', originalTaskText: 'move the build' },
+			{ sourceFile: 'Projects/plan.md', originalTaskText: 'Update the docs' },
+			{ sourceFile: 'plan.md', originalTaskText: 'Ask Ana about budget' },
+			{ sourceFile: 'missing.md', originalTaskText: 'anything' }
+		];
+
+		expect(recordTaskSources(vaultPath, tasks, ['Projects/plan.md'])).toBe(3);
+
+		expect(tasks[0]).toMatchObject({
+			sourceFile: 'Projects/plan.md',
+			lineNumber: 5,
+			lineEnd: 6,
+			section: 'Roadmap > Q3',
+			blockRef: expect.stringMatching(/^\^src-[0-9a-f]{6}$/)
+		});
+		expect(tasks[1].blockRef).toBeUndefined();
+		expect(tasks[2].blockRef).toBe('^existing');
+
+		const notePath = path.join(vaultPath, 'Projects/plan.md');
+		expect(fs.readFileSync(notePath, 'utf8')).toBe(note);
+		expect(writeSourceBlockIds(vaultPath, tasks)).toBe(1);
+		const lines = fs.readFileSync(notePath, 'utf8').split('\n');
+		expect(lines[5]).toBe(`to the shared CI runners. ${tasks[0].blockRef}`);
+		expect(lines[7]).toBe('- [ ] Update the docs');
+	});
+
+	test('never places a passage in frontmatter, code blocks or on a fence', () => {
+		const content = [
+			'---',
+			'tags: [plan]',
+			'---',
+			'Ship the beta',
+			'Set up the runner',
+			'```sh',
+			'npm run deploy',
+			'```',
+			'Watch the logs',
+			'***',
+			'Tell the team'
+		].join('\n');
+		fs.writeFileSync(path.join(vaultPath, 'Projects/plan.md'), content);
+
+		expect(
+			locateSourcePassage(content, { excerpt: 'tags: [plan]' })
+		).toBeNull();
+		expect(
+			locateSourcePassage(content, { excerpt: 'npm run deploy' })
+		).toBeNull();
+
+		const tasks = [
+			{ sourceFile: 'plan.md', originalTaskText: 'Ship the beta' },
+			{ sourceFile: 'plan.md', originalTaskText: 'Watch the logs' }
+		];
+		recordTaskSources(vaultPath, tasks, ['Projects/plan.md']);
+		expect(tasks.map((task) => [task.lineNumber, task.lineEnd])).toEqual([
+			[4, 5],
+			[9, 9]
+		]);
+
+		writeSourceBlockIds(vaultPath, tasks);
+		const lines = fs
+			.readFileSync(path.join(vaultPath, 'Projects/plan.md'), 'utf8')
+			.split('\n');
+		expect(lines[2]).toBe('---');
+		expect(lines[4]).toBe(`Set up the runner ${tasks[0].blockRef}`);
+		expect(lines[7]).toBe('```');
+		expect(lines[8]).toBe(`Watch the logs ${tasks[1].blockRef}`);
+		expect(lines[9]).toBe('***');
+	});
+
+	test('follows the block reference after the note changes', () => {
+		const task = { sourceFile: 'plan.md', originalTaskText: 'move the build' };
+		recordTaskSources(vaultPath, [task], ['Projects/plan.md']);
+		writeSourceBlockIds(vaultPath, [task]);
+		const notePath = path.join(vaultPath, 'Projects/plan.md');
+		fs.writeFileSync(
+			notePath,
+			`Intro\n\n${fs.readFileSync(notePath, 'utf8').replace('move the build', 'move all builds')}`
+		);
+
+		expect(readSourcePassage(vaultPath, task)).toMatchObject({
+			lineStart: 7,
+			lineEnd: 8,
+			excerpt: 'We should move all builds\nto the shared CI runners.'
+		});
+		expect(
+			formatObsidianUri('/vaults/My Notes', task.sourceFile, task.blockRef)
+		).toBe(
+			`obsidian://open?vault=My%20Notes&file=Projects%2Fplan%23${encodeURIComponent(task.blockRef)}`
+		);
+	});
+});
@@ -0,0 +1,397 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	readJSON: jest.fn(),
+	writeJSON: jest.fn(),
+	log: jest.fn()
+}));
+
+const { readJSON, writeJSON } = await import(
+	'../../../../../scripts/modules/utils.js'
+);
+const { syncTasksFromObsidian, syncTasksToObsidian, migrateObsidianAnchors } =
+	await import('../../../../../scripts/modules/task-manager/obsidian-sync.js');
+
+describe('Obsidian sync task anchors', () => {
+	let vaultPath;
+	let projectRoot;
+	let tasksData;
+
+	const writeNote = (name, content) => {
+		const notePath = path.join(vaultPath, name);
+		fs.mkdirSync(path.dirname(notePath), { recursive: true });
+		fs.writeFileSync(notePath, content);
+	};
+	const readNote = (name) =>
+		fs.readFileSync(path.join(vaultPath, name), 'utf8');
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-obsidian-'));
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-project-'));
+		tasksData = {
+			tasks: [
+				{
+					id: 1,
+					title: 'Write docs',
+					description: 'Document the API',
+					details: 'Keep me',
+					status: 'pending',
+					sourceFile: 'Projects/api.md',
+					dependencies: []
+				},
+				{
+					id: 2,
+					title: 'Add tests',
+					description: 'Cover the API',
+					status: 'pending',
+					sourceFile: 'Projects/api.md',
+					dependencies: []
+				}
+			]
+		};
+		readJSON.mockImplementation(() => tasksData);
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	const syncOptions = () => ({
+		vaultPath,
+		tasksPath: '/tasks.json',
+		tag: 'master',
+		projectRoot
+	});
+
+	test('renamed anchored line updates the same task', async () => {
+		writeNote('Projects/api.md', '- [ ] Write API docs ^tm-1\n');
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.created).toBe(0);
+		expect(tasksData.tasks).toHaveLength(2);
+		expect(tasksData.tasks[0].title).toBe('Write API docs');
+		expect(tasksData.tasks[0].details).toBe('Keep me');
+		expect(writeJSON).toHaveBeenCalled();
+	});
+
+	test('line moved to another note updates sourceFile', async () => {
+		writeNote('Projects/api.md', '- [ ] Add tests ^tm-2\n');
+		writeNote('Projects/docs.md', '- [x] Write docs ^tm-1\n');
+
+		await syncTasksFromObsidian(syncOptions());
+
+		expect(tasksData.tasks[0].sourceFile).toBe('Projects/docs.md');
+		expect(tasksData.tasks[0].status).toBe('done');
+		expect(tasksData.tasks[1].sourceFile).toBe('Projects/api.md');
+	});
+
+	test('new lines are created as tasks and stamped with their anchor', async () => {
+		writeNote('Inbox.md', '# Inbox\n- [ ] Brand new idea\n');
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.created).toBe(1);
+		expect(tasksData.tasks[2]).toMatchObject({
+			id: 3,
+			title: 'Brand new idea',
+			sourceFile: 'Inbox.md'
+		});
+		expect(tasksData.tasks[2].anchorId).toBeUndefined();
+		expect(readNote('Inbox.md')).toBe('# Inbox\n- [ ] Brand new idea ^tm-3\n');
+	});
+
+	test('generated task note mirrors do not create duplicate tasks', async () => {
+		writeNote('Projects/api.md', '- [ ] Write docs\n');
+		writeNote(
+			'Tasks/task-001-write-docs.md',
+			'# Write docs\n\n- [ ] Write docs\n'
+		);
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.created).toBe(0);
+		expect(readNote('Projects/api.md')).toBe('- [ ] Write docs ^tm-1\n');
+		expect(readNote('Tasks/task-001-write-docs.md')).toContain(
+			'- [ ] Write docs ^tm-1'
+		);
+	});
+
+	test('migration backfills anchors and reports unmatched lines', async () => {
+		writeNote(
+			'Projects/api.md',
+			'- [ ] Write docs\n- [ ] Add tests ^tm-2\n- [ ] Unknown line\n'
+		);
+
+		const result = await migrateObsidianAnchors(syncOptions());
+
+		expect(result.anchored).toBe(1);
+		expect(result.alreadyAnchored).toBe(1);
+		expect(result.unmatched).toHaveLength(1);
+		expect(readNote('Projects/api.md')).toBe(
+			'- [ ] Write docs ^tm-1\n- [ ] Add tests ^tm-2\n- [ ] Unknown line\n'
+		);
+	});
+
+	test('migration dry run leaves the vault untouched', async () => {
+		writeNote('Projects/api.md', '- [ ] Write docs\n');
+
+		const result = await migrateObsidianAnchors({
+			...syncOptions(),
+			dryRun: true
+		});
+
+		expect(result.anchored).toBe(1);
+		expect(readNote('Projects/api.md')).toBe('- [ ] Write docs\n');
+	});
+
+	test('records a conflict when both sides changed the same field', async () => {
+		tasksData.tasks[0].title = 'Write user docs';
+		tasksData.tasks[0].syncBase = { title: 'Write docs', status: 'pending' };
+		writeNote('Projects/api.md', '- [x] Write API docs ^tm-1\n');
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.conflicts).toBe(1);
+		expect(result.conflictDetails).toEqual([
+			{ taskId: 1, title: 'Write user docs', fields: ['title'] }
+		]);
+		// Non-conflicting field is still merged
+		expect(tasksData.tasks[0].status).toBe('done');
+		expect(tasksData.tasks[0].title).toBe('Write user docs');
+		expect(tasksData.tasks[0].syncStatus).toBe('conflict');
+	});
+
+	test('applies the tag conflict resolution strategy', async () => {
+		tasksData.metadata = {
+			syncSettings: { conflictResolution: 'obsidian_wins' }
+		};
+		tasksData.tasks[0].title = 'Write user docs';
+		tasksData.tasks[0].syncBase = { title: 'Write docs', status: 'pending' };
+		writeNote('Projects/api.md', '- [ ] Write API docs ^tm-1\n');
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.conflicts).toBe(0);
+		expect(result.autoResolved).toBe(1);
+		expect(tasksData.tasks[0].title).toBe('Write API docs');
+		expect(tasksData.tasks[0].syncBase.title).toBe('Write API docs');
+	});
+
+	test('ignores stale generated notes while the task is pending', async () => {
+		tasksData.tasks[0].title = 'Write API docs';
+		tasksData.tasks[0].syncStatus = 'pending';
+		tasksData.tasks[0].syncBase = {
+			title: 'Write API docs',
+			status: 'pending'
+		};
+		writeNote('Projects/api.md', '- [ ] Write API docs ^tm-1\n');
+		writeNote(
+			'Tasks/task-001-write-docs.md',
+			'# Write docs\n\n- [ ] Write docs ^tm-1\n'
+		);
+
+		await syncTasksFromObsidian(syncOptions());
+
+		expect(tasksData.tasks[0].title).toBe('Write API docs');
+	});
+
+	test('moves the generated task note when the title changes', async () => {
+		writeNote(
+			'Tasks/task-001-write-docs.md',
+			'# Write docs\n\n- [ ] Write docs ^tm-1\n'
+		);
+		tasksData.tasks[0].title = 'Write API docs';
+
+		await syncTasksToObsidian(syncOptions());
+
+		expect(
+			fs.existsSync(path.join(vaultPath, 'Tasks/task-001-write-docs.md'))
+		).toBe(false);
+		expect(readNote('Tasks/master/task-001-write-api-docs.md')).toContain(
+			'- [ ] Write API docs ^tm-1'
+		);
+	});
+
+	test('reads Obsidian Tasks metadata and nested subtasks into new tasks', async () => {
+		writeNote(
+			'Inbox.md',
+			'- [/] Plan release 🔽 📅 2025-03-01\n  - [x] Draft notes\n  - [ ] Tag build\n'
+		);
+
+		await syncTasksFromObsidian(syncOptions());
+
+		expect(tasksData.tasks).toHaveLength(3);
+		expect(tasksData.tasks[2]).toMatchObject({
+			title: 'Plan release',
+			status: 'in-progress',
+			priority: 'low',
+			dueDate: '2025-03-01',
+			subtasks: [
+				{ id: 1, title: 'Draft notes', status: 'done' },
+				{ id: 2, title: 'Tag build', status: 'pending' }
+			]
+		});
+	});
+
+	test('keeps the Dataview format and review status when writing back', async () => {
+		tasksData.tasks[0].status = 'review';
+		tasksData.tasks[0].dueDate = '2025-01-10';
+		writeNote('Projects/api.md', '- [/] Write docs [due:: 2025-01-31] ^tm-1\n');
+
+		await syncTasksFromObsidian(syncOptions());
+		expect(tasksData.tasks[0].status).toBe('review');
+		expect(tasksData.tasks[0].dueDate).toBe('2025-01-31');
+
+		await syncTasksToObsidian(syncOptions());
+		expect(readNote('Projects/api.md')).toBe(
+			'- [/] Write docs [due:: 2025-01-31] ^tm-1\n'
+		);
+	});
+
+	test('renders subtasks as a nested checklist in the task note', async () => {
+		tasksData.tasks[0].subtasks = [
+			{ id: 1, title: 'Outline', status: 'done', dependencies: [] },
+			{
+				id: 2,
+				title: 'Draft',
+				status: 'pending',
+				details: 'Cover auth\nand errors',
+				dependencies: [1, 5]
+			}
+		];
+
+		await syncTasksToObsidian(syncOptions());
+
+		expect(readNote('Tasks/master/task-001-write-docs.md')).toContain(
+			[
+				'- [ ] Write docs ^tm-1',
+				'\t- [x] 1.1 Outline ^tm-1-1',
+				'\t- [ ] 1.2 Draft ^tm-1-2',
+				'\t\t- Details: Cover auth',
+				'\t\t  and errors',
+				'\t\t- Depends on: [[#^tm-1-1|1.1]], Task 5'
+			].join('\n')
+		);
+	});
+
+	test('reads ticked and hand-added subtasks back into the task', async () => {
+		tasksData.tasks[0].subtasks = [
+			{ id: 1, title: 'Outline', status: 'pending', dependencies: [] }
+		];
+		tasksData.tasks[0].syncBase = {
+			title: 'Write docs',
+			status: 'pending',
+			subtasks: [{ id: 1, title: 'Outline', status: 'pending' }]
+		};
+		writeNote(
+			'Projects/api.md',
+			'- [ ] Write docs ^tm-1\n\t- [x] 1.1 Outline ^tm-1-1\n\t- [ ] Review\n'
+		);
+
+		const result = await syncTasksFromObsidian(syncOptions());
+
+		expect(result.created).toBe(0);
+		expect(tasksData.tasks[0].subtasks).toMatchObject([
+			{ id: 1, title: 'Outline', status: 'done' },
+			{ id: 2, title: 'Review', status: 'pending', dependencies: [] }
+		]);
+		expect(readNote('Projects/api.md')).toBe(
+			'- [ ] Write docs ^tm-1\n\t- [x] 1.1 Outline ^tm-1-1\n\t- [ ] Review ^tm-1-2\n'
+		);
+	});
+
+	test('writes dependencies as note links and reads edited links back', async () => {
+		tasksData.tasks[1].dependencies = [1];
+
+		await syncTasksToObsidian(syncOptions());
+		const notePath = 'Tasks/master/task-002-add-tests.md';
+		expect(readNote(notePath)).toContain(
+			'## Dependencies\n- [[Tasks/master/task-001-write-docs|#1 Write docs]]\n'
+		);
+
+		// Swap the dependency in Obsidian, then add a link to no task
+		writeNote(
+			notePath,
+			readNote(notePath).replace(
+				'- [[Tasks/master/task-001-write-docs|#1 Write docs]]',
+				'- [[task-002-x]]\n- [[Write docs]]'
+			)
+		);
+		await syncTasksFromObsidian(syncOptions());
+		expect(tasksData.tasks[1].dependencies).toEqual([1]);
+
+		writeNote(
+			notePath,
+			readNote(notePath).replace('- [[Write docs]]', '- [[Missing]]')
+		);
+		const result = await syncTasksFromObsidian(syncOptions());
+		expect(result.brokenLinks).toMatchObject([
+			{ taskId: 2, link: '[[Missing]]', reason: 'broken' }
+		]);
+		expect(tasksData.tasks[1].dependencies).toEqual([1]);
+	});
+
+	test('reads frontmatter edits back and keeps custom keys on regeneration', async () => {
+		tasksData.tasks[0].complexityScore = 5;
+
+		await syncTasksToObsidian(syncOptions());
+		const notePath = 'Tasks/master/task-001-write-docs.md';
+		expect(readNote(notePath)).toMatch(/^---\ntask_id: 1\ntitle: Write docs\n/);
+
+		writeNote(
+			notePath,
+			readNote(notePath)
+				.replace('details: Keep me', 'details: |-\n  Keep me\n  and: this')
+				.replace('complexity: 5', 'complexity: 7\nreviewer: ana')
+		);
+		await syncTasksFromObsidian(syncOptions());
+
+		expect(tasksData.tasks[0]).toMatchObject({
+			details: 'Keep me\nand: this',
+			complexityScore: 7,
+			status: 'pending',
+			frontmatter: { reviewer: 'ana' }
+		});
+
+		tasksData.tasks[0].status = 'done';
+		await syncTasksToObsidian(syncOptions());
+		expect(readNote(notePath)).toContain('status: done\n');
+		expect(readNote(notePath)).toContain('reviewer: ana\n');
+	});
+
+	test('keeps content written around the managed regions', async () => {
+		await syncTasksToObsidian(syncOptions());
+		const oldPath = 'Tasks/master/task-001-write-docs.md';
+		writeNote(
+			oldPath,
+			readNote(oldPath)
+				.replace(
+					'<!-- TASKMASTER_START: description -->',
+					'My notes ![[sketch.png]]\n\n<!-- TASKMASTER_START: description -->'
+				)
+				.concat('\n## Log\n- Talked to [[Ana]]\n')
+		);
+
+		tasksData.tasks[0].title = 'Write API docs';
+		tasksData.tasks[0].details = 'Changed';
+		await syncTasksToObsidian(syncOptions());
+
+		expect(fs.existsSync(path.join(vaultPath, oldPath))).toBe(false);
+		const note = readNote('Tasks/master/task-001-write-api-docs.md');
+		expect(note).toContain('# Write API docs\n\n- [ ] Write API docs ^tm-1');
+		expect(note).toContain('## Details\nChanged\n');
+		expect(note).toContain(
+			'My notes ![[sketch.png]]\n\n<!-- TASKMASTER_START: description -->'
+		);
+		expect(note).toMatch(/## Log\n- Talked to \[\[Ana\]\]\n$/);
+		// Links written by the user after the dependencies are not dependencies
+		await syncTasksFromObsidian(syncOptions());
+		expect(tasksData.tasks[0].dependencies).toEqual([]);
+	});
+});
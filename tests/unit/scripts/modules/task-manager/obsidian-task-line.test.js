@@ -0,0 +1,138 @@
+import {
+	parseTaskLine,
+	formatTaskLine,
+	replaceTaskLine,
+	extractTaskLines,
+	setTaskLineAnchor
+} from '../../../../../scripts/modules/task-manager/obsidian-task-line.js';
+
+describe('obsidian-task-line', () => {
+	test('parses a plain checkbox line without anchor', () => {
+		expect(parseTaskLine('- [ ] Write docs')).toEqual({
+			title: 'Write docs',
+			status: 'pending',
+			anchorId: null,
+			indent: 0,
+			format: 'emoji'
+		});
+	});
+
+	test('parses the task anchor and strips it from the title', () => {
+		expect(parseTaskLine('- [x] Write docs ^tm-12')).toEqual({
+			title: 'Write docs',
+			status: 'done',
+			anchorId: 12,
+			indent: 0,
+			format: 'emoji'
+		});
+	});
+
+	test('returns null for non-task lines', () => {
+		expect(parseTaskLine('Just some text')).toBeNull();
+		expect(parseTaskLine('- [ ] ^tm-3')).toBeNull();
+	});
+
+	test('formats a task line with its anchor', () => {
+		expect(formatTaskLine({ id: 4, title: 'Ship it', status: 'done' })).toBe(
+			'- [x] Ship it ^tm-4'
+		);
+		expect(formatTaskLine({ title: 'No id', status: 'pending' })).toBe(
+			'- [ ] No id'
+		);
+	});
+
+	test('extracts task lines with 1-based line numbers', () => {
+		const lines = extractTaskLines(
+			'# Note\n\n- [ ] One\ntext\n- [x] Two ^tm-2'
+		);
+		expect(lines.map((l) => [l.lineNumber, l.title, l.anchorId])).toEqual([
+			[3, 'One', null],
+			[5, 'Two', 2]
+		]);
+	});
+
+	test('round-trips subtask anchors and ID prefixes', () => {
+		const line = formatTaskLine(
+			{ id: '3.2', title: 'Add index', status: 'done' },
+			{ indent: '\t' }
+		);
+		expect(line).toBe('\t- [x] 3.2 Add index ^tm-3-2');
+		expect(parseTaskLine(line)).toMatchObject({
+			title: 'Add index',
+			anchorId: '3.2'
+		});
+		expect(setTaskLineAnchor('- [ ] New', '3.4')).toBe('- [ ] New ^tm-3-4');
+	});
+
+	test('adds or replaces an anchor on a line', () => {
+		expect(setTaskLineAnchor('- [ ] One', 7)).toBe('- [ ] One ^tm-7');
+		expect(setTaskLineAnchor('- [ ] One ^tm-3  ', 7)).toBe('- [ ] One ^tm-7');
+	});
+
+	test('parses Obsidian Tasks emoji metadata', () => {
+		expect(
+			parseTaskLine(
+				'- [ ] Ship it ⏫ 🔁 every week 🛫 2025-01-01 ⏳ 2025-01-02 📅 2025-01-03 ^tm-4'
+			)
+		).toMatchObject({
+			title: 'Ship it',
+			anchorId: 4,
+			priority: 'high',
+			recurrence: 'every week',
+			startDate: '2025-01-01',
+			scheduledDate: '2025-01-02',
+			dueDate: '2025-01-03'
+		});
+		expect(parseTaskLine('- [x] Done ✅ 2025-01-05')).toMatchObject({
+			title: 'Done',
+			status: 'done',
+			completedAt: '2025-01-05'
+		});
+	});
+
+	test('parses Dataview inline fields and keeps unknown ones in the title', () => {
+		expect(
+			parseTaskLine(
+				'- [ ] Review [owner:: sam] [priority:: lowest] (due:: 2025-02-01)'
+			)
+		).toMatchObject({
+			title: 'Review [owner:: sam]',
+			priority: 'low',
+			dueDate: '2025-02-01',
+			format: 'dataview'
+		});
+	});
+
+	test('maps the extra checkbox states', () => {
+		expect(parseTaskLine('- [/] A').status).toBe('in-progress');
+		expect(parseTaskLine('- [-] B').status).toBe('cancelled');
+		expect(parseTaskLine('- [>] C').status).toBe('deferred');
+		expect(parseTaskLine('- [?] Custom status')).toBeNull();
+		expect(formatTaskLine({ title: 'R', status: 'review' })).toBe('- [/] R');
+	});
+
+	test('round trips metadata in both formats', () => {
+		const emoji =
+			'- [/] Ship it 🔽 🔁 every day ⏳ 2025-01-02 📅 2025-01-03 ^tm-4';
+		const dataview =
+			'\t* [ ] Ship it [priority:: medium] [due:: 2025-01-03] ^tm-5';
+		for (const line of [emoji, dataview]) {
+			const parsed = parseTaskLine(line);
+			expect(replaceTaskLine(line, { ...parsed, id: parsed.anchorId })).toBe(
+				line
+			);
+		}
+	});
+
+	test('links nested checkboxes to their parent line', () => {
+		const lines = extractTaskLines(
+			'- [ ] Parent\n  - [ ] Child\n    - note\n      - [ ] Grandchild\n- plain\n  - [ ] Under plain'
+		);
+		expect(lines.map((l) => [l.title, l.parentLineNumber])).toEqual([
+			['Parent', null],
+			['Child', 1],
+			['Grandchild', 2],
+			['Under plain', null]
+		]);
+	});
+});
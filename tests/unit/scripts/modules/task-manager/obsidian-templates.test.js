@@ -0,0 +1,97 @@
+import {
+	compileFilenamePattern,
+	renderTemplate
+} from '../../../../../scripts/modules/task-manager/obsidian-templates.js';
+
+describe('obsidian-templates', () => {
+	const task = {
+		id: 7,
+		title: 'Write docs',
+		status: 'in-progress',
+		priority: 'high',
+		dueDate: '2025-03-04',
+		subtasks: [
+			{ id: 1, title: 'Outline', status: 'done' },
+			{ id: 2, title: 'Draft', status: 'pending' }
+		],
+		dependencies: []
+	};
+
+	test('renders variables, helpers, conditionals and loops', () => {
+		const template = [
+			'# {{title}} ({{upper priority}})',
+			'{{! not rendered }}',
+			'{{#if (eq status "in-progress")}}',
+			'Started, due {{date dueDate "D MMM YYYY"}}',
+			'{{else}}',
+			'Not started',
+			'{{/if}}',
+			'{{#each subtasks}}',
+			'{{@index}}. {{title}} of {{../title}}{{#unless @last}},{{/unless}}',
+			'{{/each}}',
+			'{{#each dependencies}}',
+			'- {{this}}',
+			'{{else}}',
+			'No dependencies',
+			'{{/each}}',
+			'Created <% tp.date.now() %>'
+		].join('\n');
+
+		expect(renderTemplate(template, task)).toBe(
+			[
+				'# Write docs (HIGH)',
+				'Started, due 4 Mar 2025',
+				'0. Outline of Write docs,',
+				'1. Draft of Write docs',
+				'No dependencies',
+				'Created <% tp.date.now() %>'
+			].join('\n')
+		);
+		expect(
+			renderTemplate('{{default complexity "n/a"}} {{date completedAt}}', task)
+		).toBe('n/a ');
+	});
+
+	test('passes custom blocks their arguments and rendered body', () => {
+		const blocks = {
+			wrap: ([name], render) => `<${name}>${render().trim()}</${name}>`
+		};
+
+		expect(
+			renderTemplate('{{#wrap "b"}}\n{{title}}\n{{/wrap}}', task, { blocks })
+		).toBe('<b>Write docs</b>');
+	});
+
+	test('reports malformed templates', () => {
+		expect(() => renderTemplate('{{#if title}}open', task)).toThrow(
+			'{{#if}} is not closed'
+		);
+		expect(() => renderTemplate('{{#each subtasks}}{{/if}}', task)).toThrow(
+			'unexpected {{/if}}'
+		);
+		expect(() => renderTemplate('{{shout title}}', task)).toThrow(
+			'unknown helper "shout"'
+		);
+		expect(() => renderTemplate('{{#region "x"}}{{/region}}', task)).toThrow(
+			'unknown block {{#region}}'
+		);
+	});
+
+	test('file name patterns render names and read the task ID back', () => {
+		const builtIn = compileFilenamePattern('task-{{pad id 3}}-{{slug title}}');
+		expect(builtIn.render(task)).toBe('task-007-write-docs');
+		expect(builtIn.parseTaskId('task-007-old-title')).toBe(7);
+		expect(builtIn.parseTaskId('meeting notes')).toBeNull();
+
+		const custom = compileFilenamePattern('{{title}} ({{id}})');
+		expect(custom.render({ id: 12, title: 'Fix: login / signup?' })).toBe(
+			'Fix login  signup (12)'
+		);
+		expect(custom.parseTaskId('Renamed in Obsidian (12)')).toBe(12);
+		expect(custom.parseTaskId('Renamed in Obsidian')).toBeNull();
+
+		expect(() => compileFilenamePattern('{{title}}')).toThrow(
+			'must contain the task ID'
+		);
+	});
+});
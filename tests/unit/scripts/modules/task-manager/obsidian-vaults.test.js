@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const VAULTS = {
+	personal: {
+		name: 'personal',
+		root: '/home/me/Notes',
+		syncDirection: 'bidirectional',
+		tags: []
+	},
+	shared: {
+		name: 'shared',
+		root: '/work/team-vault',
+		syncDirection: 'to-obsidian',
+		tags: ['api']
+	}
+};
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	log: jest.fn(),
+	readJSON: jest.fn()
+}));
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/config-manager.js',
+	() => ({
+		getVaultsConfig: jest.fn(() => VAULTS),
+		getVaultConfig: jest.fn((name) => VAULTS[name] || null),
+		getVaultForTag: jest.fn((tag) =>
+			tag === 'api' ? VAULTS.shared : tag === 'master' ? VAULTS.personal : null
+		),
+		getConfig: jest.fn()
+	})
+);
+
+const { readJSON } = await import('../../../../../scripts/modules/utils.js');
+const { getConfig, getVaultConfig, getVaultForTag, getVaultsConfig } =
+	await import('../../../../../scripts/modules/config-manager.js');
+const {
+	getConfiguredVaultPaths,
+	getTagVaults,
+	renameRoutedTag,
+	resolveObsidianVault
+} = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-vaults.js'
+);
+
+describe('obsidian-vaults', () => {
+	beforeEach(() => {
+		jest.clearAllMocks();
+		readJSON.mockReturnValue(null);
+	});
+
+	test('takes --vault as a configured vault name or a path', () => {
+		expect(resolveObsidianVault({ vault: 'shared', tag: 'master' })).toEqual({
+			vaultPath: '/work/team-vault',
+			vault: VAULTS.shared,
+			source: 'option'
+		});
+		expect(
+			resolveObsidianVault({ vault: '/home/me/Notes', tag: 'api' })
+		).toEqual({
+			vaultPath: '/home/me/Notes',
+			vault: VAULTS.personal,
+			source: 'option'
+		});
+		expect(resolveObsidianVault({ vault: 'elsewhere' })).toEqual({
+			vaultPath: path.resolve('elsewhere'),
+			vault: null,
+			source: 'option'
+		});
+	});
+
+	test('routes the tag through the config before the recorded vault', () => {
+		readJSON.mockReturnValue({ metadata: { vaultPath: '/old/vault' } });
+
+		expect(
+			resolveObsidianVault({ tag: 'api', tasksPath: '/p/tasks.json' })
+		).toMatchObject({ vaultPath: '/work/team-vault', source: 'config' });
+		expect(
+			resolveObsidianVault({ tag: 'feature', tasksPath: '/p/tasks.json' })
+		).toEqual({ vaultPath: '/old/vault', vault: null, source: 'metadata' });
+	});
+
+	test('fails when no vault applies to the tag', () => {
+		expect(() =>
+			resolveObsidianVault({ tag: 'feature', tasksPath: '/p/tasks.json' })
+		).toThrow('No Obsidian vault for tag "feature"');
+		expect(getConfiguredVaultPaths()).toEqual([
+			'/home/me/Notes',
+			'/work/team-vault'
+		]);
+	});
+
+	test('lists the recorded, routed and configured vaults of a tag', () => {
+		const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-vaults-'));
+		const vault = (name) => {
+			const root = path.join(tmp, name);
+			fs.mkdirSync(root, { recursive: true });
+			return { name, root, syncDirection: 'bidirectional', tags: [] };
+		};
+		const configured = {
+			recorded: vault('recorded'),
+			routed: { ...vault('routed'), tags: ['api'] },
+			holding: vault('holding'),
+			other: vault('other')
+		};
+		fs.mkdirSync(path.join(configured.holding.root, 'Tasks', 'api'), {
+			recursive: true
+		});
+		getVaultsConfig.mockReturnValue(configured);
+		getVaultConfig.mockImplementation((name) => configured[name]);
+		getVaultForTag.mockReturnValueOnce(configured.routed);
+
+		try {
+			expect(
+				getTagVaults(
+					{ master: { metadata: { vaultPath: configured.recorded.root } } },
+					'api'
+				)
+			).toEqual(
+				['recorded', 'routed', 'holding'].map((name) => ({
+					vaultPath: configured[name].root,
+					vault: configured[name]
+				}))
+			);
+		} finally {
+			getVaultsConfig.mockImplementation(() => VAULTS);
+			getVaultConfig.mockImplementation((name) => VAULTS[name] || null);
+			fs.rmSync(tmp, { recursive: true, force: true });
+		}
+	});
+
+	test('renames a tag in the routing of the configured vaults', () => {
+		const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-project-'));
+		const configPath = path.join(projectRoot, '.taskmaster', 'config.json');
+		const config = {
+			vaults: {
+				shared: { root: '/work/team-vault', tags: ['api', 'web'] },
+				personal: { root: '/home/me/Notes' }
+			}
+		};
+		fs.mkdirSync(path.dirname(configPath), { recursive: true });
+		fs.writeFileSync(configPath, JSON.stringify(config));
+		const readConfig = () => JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+		try {
+			expect(renameRoutedTag('api', 'api-v2', projectRoot)).toEqual(['shared']);
+			// Only the routing changes; no defaults are written into the file
+			expect(readConfig()).toEqual({
+				vaults: {
+					...config.vaults,
+					shared: { ...config.vaults.shared, tags: ['api-v2', 'web'] }
+				}
+			});
+			expect(getConfig).toHaveBeenCalledWith(projectRoot, true);
+
+			getConfig.mockClear();
+			expect(renameRoutedTag('missing', 'other', projectRoot)).toEqual([]);
+			expect(getConfig).not.toHaveBeenCalled();
+		} finally {
+			fs.rmSync(projectRoot, { recursive: true, force: true });
+		}
+	});
+});
@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	log: jest.fn()
+}));
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/task-manager/obsidian-sync.js',
+	() => ({
+		syncTasksFromObsidian: jest.fn(),
+		syncTasksToObsidian: jest.fn()
+	})
+);
+
+const { syncTasksFromObsidian, syncTasksToObsidian } = await import(
+	'../../../../../scripts/modules/task-manager/obsidian-sync.js'
+);
+const { watchObsidianSync, WATCH_LOCK_FILE, WATCH_LOCK_TIMEOUT_MS } =
+	await import('../../../../../scripts/modules/task-manager/obsidian-watch.js');
+
+const waitFor = async (condition, timeout = 5000) => {
+	const start = Date.now();
+	while (!condition()) {
+		if (Date.now() - start > timeout) {
+			throw new Error('Timed out waiting for watcher');
+		}
+		await new Promise((resolve) => setTimeout(resolve, 25));
+	}
+};
+
+describe('Obsidian watch mode', () => {
+	let vaultPath;
+	let projectRoot;
+	let tasksPath;
+	let watcher;
+	let events;
+
+	const start = (options = {}) =>
+		watchObsidianSync({
+			vaultPath,
+			tasksPath,
+			projectRoot,
+			debounceMs: 50,
+			onEvent: (event) => events.push(event),
+			...options
+		});
+	// Sync steps in call order
+	let steps;
+	const syncs = () => events.filter((event) => event.type === 'sync');
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		events = [];
+		steps = [];
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-watch-vault-'));
+		projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-watch-project-'));
+		tasksPath = path.join(projectRoot, 'tasks.json');
+		fs.writeFileSync(tasksPath, '{"master":{"tasks":[]}}');
+		fs.writeFileSync(path.join(vaultPath, 'notes.md'), '- [ ] One\n');
+		syncTasksFromObsidian.mockImplementation(async () => {
+			steps.push('from');
+			return { updated: 0, created: 0, conflicts: 0 };
+		});
+		syncTasksToObsidian.mockImplementation(async () => {
+			steps.push('to');
+			return { updated: 0, created: 0 };
+		});
+	});
+
+	afterEach(async () => {
+		await watcher?.close();
+		watcher = null;
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(projectRoot, { recursive: true, force: true });
+	});
+
+	test('syncs once on start and writes a lock file', async () => {
+		watcher = await start();
+
+		// Vault changes are read before the notes are written, like obsidian-sync
+		expect(steps).toEqual(['from', 'to']);
+		expect(syncTasksToObsidian).toHaveBeenCalledWith(
+			expect.objectContaining({ vaultPath, tasksPath, projectRoot })
+		);
+		expect(fs.existsSync(path.join(vaultPath, WATCH_LOCK_FILE))).toBe(true);
+		await expect(start()).rejects.toThrow(/already syncing this vault/);
+
+		await watcher.close();
+		watcher = null;
+		expect(fs.existsSync(path.join(vaultPath, WATCH_LOCK_FILE))).toBe(false);
+		expect(events.map((event) => event.type)).toContain('stop');
+	});
+
+	test('respects a lock held on another host until its heartbeat times out', async () => {
+		const lockPath = path.join(vaultPath, WATCH_LOCK_FILE);
+		const writeLock = (heartbeatAt) =>
+			fs.writeFileSync(
+				lockPath,
+				JSON.stringify({ pid: 1, host: 'other-host', heartbeatAt })
+			);
+
+		writeLock(new Date().toISOString());
+		await expect(start()).rejects.toThrow(/pid 1 on other-host/);
+		expect(syncTasksFromObsidian).not.toHaveBeenCalled();
+
+		watcher = await start({ force: true });
+		expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+		await watcher.close();
+
+		writeLock(
+			new Date(Date.now() - WATCH_LOCK_TIMEOUT_MS - 1000).toISOString()
+		);
+		watcher = await start();
+		expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+	});
+
+	test('releases the lock when the start fails', async () => {
+		await expect(
+			start({
+				onEvent: () => {
+					throw new Error('listener failed');
+				}
+			})
+		).rejects.toThrow('listener failed');
+
+		expect(fs.existsSync(path.join(vaultPath, WATCH_LOCK_FILE))).toBe(false);
+	});
+
+	test('picks the sync direction from the side that changed', async () => {
+		watcher = await start();
+
+		fs.writeFileSync(path.join(vaultPath, 'notes.md'), '- [x] One\n');
+		await waitFor(() => syncs().length === 2);
+		expect(syncs()[1].direction).toBe('from-obsidian');
+		expect(steps.slice(2)).toEqual(['from']);
+
+		fs.writeFileSync(tasksPath, '{"master":{"tasks":[{"id":1}]}}');
+		await waitFor(() => syncs().length === 3);
+		expect(syncs()[2].direction).toBe('to-obsidian');
+		expect(steps.slice(3)).toEqual(['to']);
+	});
+
+	test("follows only the side a one-way vault's syncDirection reads from", async () => {
+		watcher = await start({ syncDirection: 'to-obsidian' });
+		expect(steps).toEqual(['to']);
+
+		fs.writeFileSync(path.join(vaultPath, 'notes.md'), '- [x] One\n');
+		fs.writeFileSync(tasksPath, '{"master":{"tasks":[{"id":1}]}}');
+		await waitFor(() => syncs().length === 2);
+		expect(syncs()[1].direction).toBe('to-obsidian');
+		expect(steps).toEqual(['to', 'to']);
+		expect(events.filter((event) => event.type === 'change')).toEqual([
+			expect.objectContaining({ source: 'tasks' })
+		]);
+	});
+
+	test('ignores changes written by its own sync', async () => {
+		watcher = await start();
+		syncTasksFromObsidian.mockImplementationOnce(async () => {
+			// The sync rewrites the note it was triggered by
+			fs.writeFileSync(path.join(vaultPath, 'notes.md'), '- [x] One ^tm-1\n');
+			return { updated: 1, created: 0, conflicts: 0 };
+		});
+
+		fs.writeFileSync(path.join(vaultPath, 'notes.md'), '- [x] One\n');
+		await waitFor(() => events.some((event) => event.type === 'echo'));
+
+		expect(syncTasksFromObsidian).toHaveBeenCalledTimes(2);
+	});
+
+	test('watches a vault inside a dot-folder but not the dot-folders in it', async () => {
+		const parent = vaultPath;
+		vaultPath = path.join(parent, '.vaults', 'work');
+		fs.mkdirSync(path.join(vaultPath, '.obsidian'), { recursive: true });
+		watcher = await start();
+
+		fs.writeFileSync(path.join(vaultPath, '.obsidian', 'cache.md'), 'x');
+		fs.writeFileSync(path.join(vaultPath, 'notes.md'), '- [ ] Two\n');
+		await waitFor(() => syncs().length === 2);
+		expect(events.filter((event) => event.type === 'change')).toEqual([
+			expect.objectContaining({ file: 'notes.md' })
+		]);
+
+		await watcher.close();
+		watcher = null;
+		vaultPath = parent;
+	});
+});
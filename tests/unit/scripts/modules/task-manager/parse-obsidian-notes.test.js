@@ -0,0 +1,276 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+jest.unstable_mockModule('../../../../../scripts/modules/utils.js', () => ({
+	log: jest.fn(),
+	readJSON: jest.fn(),
+	writeJSON: jest.fn(),
+	truncate: jest.fn((text) => text),
+	aggregateTelemetry: jest.fn((items) => ({
+		totalTokens: items.reduce((sum, item) => sum + item.totalTokens, 0)
+	})),
+	enableSilentMode: jest.fn(),
+	disableSilentMode: jest.fn(),
+	isSilentMode: jest.fn(() => true),
+	ensureTagMetadata: jest.fn((tagObj) => tagObj),
+	getCurrentTag: jest.fn(() => 'master')
+}));
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/ai-services-unified.js',
+	() => ({ generateObjectService: jest.fn() })
+);
+
+jest.unstable_mockModule('../../../../../scripts/modules/ui.js', () => ({
+	displayAiUsageSummary: jest.fn()
+}));
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/config-manager.js',
+	() => ({
+		getDebugFlag: jest.fn(() => false),
+		getDefaultPriority: jest.fn(() => 'medium')
+	})
+);
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/prompt-manager.js',
+	() => ({
+		getPromptManager: jest.fn(() => ({
+			loadPrompt: jest.fn(async (name, params) => ({
+				systemPrompt: 'system',
+				userPrompt: params.notesContent
+			}))
+		}))
+	})
+);
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/utils/contextGatherer.js',
+	() => ({
+		ContextGatherer: jest.fn().mockImplementation(() => ({
+			countTokens: (text) => text.length
+		}))
+	})
+);
+
+jest.unstable_mockModule(
+	'../../../../../scripts/modules/task-manager/obsidian-sync.js',
+	() => ({ syncTasksToObsidian: jest.fn() })
+);
+
+const { generateObjectService } = await import(
+	'../../../../../scripts/modules/ai-services-unified.js'
+);
+const { default: parseObsidianNotes } = await import(
+	'../../../../../scripts/modules/task-manager/parse-obsidian-notes.js'
+);
+
+describe('parseObsidianNotes', () => {
+	let vaultPath;
+	let tasksPath;
+
+	beforeEach(() => {
+		jest.clearAllMocks();
+		vaultPath = fs.mkdtempSync(path.join(os.tmpdir(), 'tm-obsidian-'));
+		tasksPath = path.join(
+			fs.mkdtempSync(path.join(os.tmpdir(), 'tm-project-')),
+			'tasks.json'
+		);
+		fs.writeFileSync(path.join(vaultPath, 'api.md'), `API ${'a'.repeat(200)}`);
+		fs.writeFileSync(path.join(vaultPath, 'ui.md'), `UI ${'u'.repeat(200)}`);
+	});
+
+	afterEach(() => {
+		fs.rmSync(vaultPath, { recursive: true, force: true });
+		fs.rmSync(path.dirname(tasksPath), { recursive: true, force: true });
+	});
+
+	test('extracts each chunk separately and merges the results', async () => {
+		generateObjectService.mockImplementation(async ({ prompt }) => {
+			const source = prompt.includes('FILE: api.md') ? 'api' : 'ui';
+			return {
+				mainResult: {
+					tasks: [
+						{ id: 1, title: 'Shared setup', dependencies: [] },
+						{ id: 2, title: `Build ${source}`, dependencies: [1] }
+					]
+				},
+				telemetryData: { totalTokens: 10 }
+			};
+		});
+		const reportProgress = jest.fn();
+
+		const result = await parseObsidianNotes(vaultPath, tasksPath, 0, {
+			chunkTokens: 400,
+			syncAfterParse: false,
+			reportProgress,
+			mcpLog: {
+				info: jest.fn(),
+				warn: jest.fn(),
+				error: jest.fn(),
+				debug: jest.fn(),
+				success: jest.fn()
+			}
+		});
+
+		expect(generateObjectService).toHaveBeenCalledTimes(2);
+		const { tasks } = JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master;
+		expect(tasks.map((t) => [t.id, t.title, t.dependencies])).toEqual([
+			[1, 'Shared setup', []],
+			[2, 'Build api', [1]],
+			[3, 'Build ui', [1]]
+		]);
+		expect(result.telemetryData).toEqual({ totalTokens: 20 });
+		expect(reportProgress).toHaveBeenLastCalledWith({ progress: 3, total: 3 });
+	});
+
+	test('skips chunks whose share of the task target is zero', async () => {
+		generateObjectService.mockResolvedValue({
+			mainResult: { tasks: [{ id: 1, title: 'Build api', dependencies: [] }] },
+			telemetryData: { totalTokens: 10 }
+		});
+
+		await parseObsidianNotes(vaultPath, tasksPath, 1, {
+			chunkTokens: 400,
+			syncAfterParse: false,
+			mcpLog: {
+				info: jest.fn(),
+				warn: jest.fn(),
+				error: jest.fn(),
+				debug: jest.fn(),
+				success: jest.fn()
+			}
+		});
+
+		expect(generateObjectService).toHaveBeenCalledTimes(1);
+		expect(generateObjectService.mock.calls[0][0].prompt).toContain(
+			'FILE: api.md'
+		);
+		const { tasks } = JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master;
+		expect(tasks).toHaveLength(1);
+	});
+
+	test('parses only the notes matching the filters', async () => {
+		fs.mkdirSync(path.join(vaultPath, 'Archive/2024'), { recursive: true });
+		fs.writeFileSync(
+			path.join(vaultPath, 'Archive/2024/old.md'),
+			'---\ntype: project\n---\nOld project'
+		);
+		fs.writeFileSync(
+			path.join(vaultPath, 'Archive/2024/done.md'),
+			'---\ntype: project\nstatus: done\n---\nFinished'
+		);
+		generateObjectService.mockResolvedValue({
+			mainResult: { tasks: [{ id: 1, title: 'Revive', dependencies: [] }] },
+			telemetryData: { totalTokens: 5 }
+		});
+
+		const result = await parseObsidianNotes(vaultPath, tasksPath, 0, {
+			syncAfterParse: false,
+			filters: { folder: 'Archive/2024', frontmatter: 'status != done' },
+			mcpLog: {
+				info: jest.fn(),
+				warn: jest.fn(),
+				error: jest.fn(),
+				debug: jest.fn(),
+				success: jest.fn()
+			}
+		});
+
+		expect(result.sourceFiles).toBe(1);
+		const { prompt } = generateObjectService.mock.calls[0][0];
+		expect(prompt).toContain('FILE: Archive/2024/old.md');
+		expect(prompt).not.toContain('api.md');
+
+		await expect(
+			parseObsidianNotes(vaultPath, tasksPath, 0, {
+				force: true,
+				syncAfterParse: false,
+				filters: { tag: 'nothing' },
+				mcpLog: { info: jest.fn(), error: jest.fn() }
+			})
+		).rejects.toThrow('match the filters: tag #nothing');
+	});
+
+	test('reconcile returns a diff and only writes accepted changes', async () => {
+		const existing = {
+			master: {
+				tasks: [
+					{
+						id: 1,
+						title: 'Build api',
+						status: 'in-progress',
+						dependencies: []
+					},
+					{
+						id: 2,
+						title: 'Old idea',
+						status: 'pending',
+						dependencies: [],
+						sourceFile: 'ui.md'
+					}
+				]
+			}
+		};
+		fs.writeFileSync(tasksPath, JSON.stringify(existing));
+		generateObjectService.mockResolvedValue({
+			mainResult: {
+				tasks: [
+					{
+						id: 1,
+						title: 'Build api',
+						details: 'New details',
+						dependencies: []
+					},
+					{
+						id: 2,
+						title: 'Polish ui',
+						dependencies: [1],
+						sourceFile: 'ui.md',
+						originalTaskText: 'UI'
+					}
+				]
+			},
+			telemetryData: { totalTokens: 5 }
+		});
+		const options = {
+			reconcile: true,
+			syncAfterParse: false,
+			mcpLog: { info: jest.fn(), success: jest.fn(), error: jest.fn() }
+		};
+
+		const preview = await parseObsidianNotes(vaultPath, tasksPath, 0, options);
+		expect(
+			preview.reconcile.diff.map((entry) => [entry.type, entry.taskId])
+		).toEqual([
+			['changed', 1],
+			['new', null],
+			['obsolete', 2]
+		]);
+		expect(preview.reconcile).toMatchObject({ applied: false, added: 0 });
+		expect(JSON.parse(fs.readFileSync(tasksPath, 'utf8'))).toEqual(existing);
+		// A preview leaves the notes without block IDs
+		const uiNote = path.join(vaultPath, 'ui.md');
+		expect(fs.readFileSync(uiNote, 'utf8')).toBe(`UI ${'u'.repeat(200)}`);
+
+		await parseObsidianNotes(vaultPath, tasksPath, 0, {
+			...options,
+			acceptAll: true
+		});
+		const { tasks } = JSON.parse(fs.readFileSync(tasksPath, 'utf8')).master;
+		expect(tasks.map((t) => [t.id, t.title, t.status, t.dependencies])).toEqual(
+			[
+				[1, 'Build api', 'in-progress', []],
+				[2, 'Old idea', 'cancelled', []],
+				[3, 'Polish ui', 'pending', [1]]
+			]
+		);
+		expect(tasks[0].details).toBeUndefined();
+		expect(fs.readFileSync(uiNote, 'utf8')).toBe(
+			`UI ${'u'.repeat(200)} ${tasks[2].blockRef}`
+		);
+	});
+});
@@ -370,6 +370,41 @@ describe('setTaskStatus', () => {
 		);
 	});
 
+	test('should set completedAt on completion and clear it on reopening', async () => {
+		const testTasksData = JSON.parse(JSON.stringify(sampleTasks));
+		testTasksData.master.tasks[1].status = 'done';
+		testTasksData.master.tasks[1].completedAt = '2026-10-01';
+		const tasksPath = '/mock/path/tasks.json';
+		readJSON.mockReturnValue({
+			...testTasksData.master,
+			tag: 'master',
+			_rawTaggedData: testTasksData
+		});
+		jest.useFakeTimers({ now: new Date(2026, 9, 14, 9, 30) });
+
+		try {
+			await setTaskStatus(tasksPath, '3', 'done', {
+				tag: 'master',
+				mcpLog: { info: jest.fn() }
+			});
+			await setTaskStatus(tasksPath, '2', 'pending', {
+				tag: 'master',
+				mcpLog: { info: jest.fn() }
+			});
+		} finally {
+			jest.useRealTimers();
+		}
+
+		const [task1, task2, task3] = testTasksData.master.tasks;
+		expect(task3.completedAt).toBe('2026-10-14');
+		expect(task3.subtasks.map((subtask) => subtask.completedAt)).toEqual([
+			'2026-10-14',
+			'2026-10-14'
+		]);
+		expect(task2).not.toHaveProperty('completedAt');
+		expect(task1).not.toHaveProperty('completedAt');
+	});
+
 	test('should throw error for non-existent task ID', async () => {
 		// Arrange
 		const testTasksData = JSON.parse(JSON.stringify(sampleTasks));